@@ -0,0 +1,11 @@
+/**
+ * Regenerate mcp-manifest.json from the tool registry
+ */
+const fs = require('fs');
+const path = require('path');
+const { buildManifest } = require('../src/core/tool-registry');
+
+const manifestPath = path.join(__dirname, '..', 'mcp-manifest.json');
+
+fs.writeFileSync(manifestPath, `${JSON.stringify(buildManifest(), null, 2)}\n`);
+console.log(`Wrote ${manifestPath}`);
@@ -5,7 +5,7 @@
  * without requiring additional dependencies.
  */
 
-const { chromium } = require('playwright');
+const { launchBrowser, getContextOptions, resolveEngine } = require('./browser-launcher');
 const { logger } = require('../utils/logger');
 const fs = require('fs').promises;
 const path = require('path');
@@ -18,6 +18,7 @@ const path = require('path');
  * @param {string} options.selector - Optional selector to compare (if not provided, full page is compared)
  * @param {string} options.baselineName - Name for the baseline image
  * @param {boolean} options.updateBaseline - Whether to update the baseline
+ * @param {string} [options.browser] - Browser engine (chromium, firefox or webkit)
  * @returns {Promise<Object>} Comparison results
  */
 async function visualCompare(options) {
@@ -25,10 +26,8 @@ async function visualCompare(options) {
   
   logger.info(`Performing visual comparison for ${url}`);
   
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({
-    viewport: { width: 1366, height: 768 }
-  });
+  const browser = await launchBrowser(options.browser, { headless: true });
+  const context = await browser.newContext(getContextOptions());
   
   try {
     const page = await context.newPage();
@@ -172,6 +171,7 @@ async function visualCompare(options) {
  * @param {Object} options - Accessibility testing options
  * @param {string} options.url - URL to test
  * @param {string} options.standard - Accessibility standard (wcag2a, wcag2aa, wcag21aa)
+ * @param {string} [options.browser] - Browser engine (chromium, firefox or webkit)
  * @returns {Promise<Object>} Accessibility test results
  */
 async function accessibilityTest(options) {
@@ -179,10 +179,8 @@ async function accessibilityTest(options) {
   
   logger.info(`Performing accessibility testing on ${url}`);
   
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({
-    viewport: { width: 1366, height: 768 }
-  });
+  const browser = await launchBrowser(options.browser, { headless: true });
+  const context = await browser.newContext(getContextOptions());
   
   try {
     const page = await context.newPage();
@@ -313,6 +311,7 @@ async function accessibilityTest(options) {
  * @param {Object} options - Performance testing options
  * @param {string} options.url - URL to test
  * @param {number} options.iterations - Number of test iterations
+ * @param {string} [options.browser] - Browser engine (chromium, firefox or webkit)
  * @returns {Promise<Object>} Performance test results
  */
 async function performanceTest(options) {
@@ -325,10 +324,8 @@ async function performanceTest(options) {
   for (let i = 0; i < iterations; i++) {
     logger.info(`Performance test iteration ${i + 1}/${iterations}`);
     
-    const browser = await chromium.launch({ headless: true });
-    const context = await browser.newContext({
-      viewport: { width: 1366, height: 768 }
-    });
+    const browser = await launchBrowser(options.browser, { headless: true });
+    const context = await browser.newContext(getContextOptions());
     
     try {
       const page = await context.newPage();
@@ -409,7 +406,6 @@ async function performanceTest(options) {
   // Calculate aggregated metrics
   const aggregatedResults = {
     url,
-    iterations,
     timestamp: new Date().toISOString(),
     averages: {},
     iterations: results
@@ -453,6 +449,7 @@ async function performanceTest(options) {
  * @param {Object} options - Network tracing options
  * @param {string} options.url - URL to test
  * @param {Array<string>} options.apiEndpoints - Optional API endpoints to specifically monitor
+ * @param {string} [options.browser] - Browser engine (chromium, firefox or webkit)
  * @returns {Promise<Object>} Network trace results
  */
 async function networkTrace(options) {
@@ -460,10 +457,8 @@ async function networkTrace(options) {
   
   logger.info(`Tracing network activity for ${url}`);
   
-  const browser = await chromium.launch({ headless: true });
-  const context = await browser.newContext({
-    viewport: { width: 1366, height: 768 }
-  });
+  const browser = await launchBrowser(options.browser, { headless: true });
+  const context = await browser.newContext(getContextOptions());
   
   try {
     const page = await context.newPage();
@@ -597,73 +592,31 @@ async function networkTrace(options) {
  * @param {boolean} options.accessibility - Whether to run accessibility tests
  * @param {boolean} options.performance - Whether to run performance tests
  * @param {boolean} options.network - Whether to run network tests
+ * @param {Array<string>} [options.browsers] - Browser engines to run the suite on (defaults to the configured browser)
  * @returns {Promise<Object>} Combined test results
  */
 async function runTestSuite(options) {
-  const { url, visual = true, accessibility = true, performance = true, network = true } = options;
+  const { url, browsers } = options;
+  const engines = browsers && browsers.length > 0
+    ? [...new Set(browsers.map(browser => resolveEngine(browser)))]
+    : [resolveEngine()];
   
-  logger.info(`Running comprehensive test suite for ${url}`);
+  logger.info(`Running comprehensive test suite for ${url} on ${engines.join(', ')}`);
   
   const startTime = Date.now();
-  const results = {};
-  
-  // Run tests in parallel
-  const testPromises = [];
-  
-  if (visual) {
-    testPromises.push(
-      visualCompare({ url, baselineName: url.replace(/[^a-z0-9]/gi, '_') })
-        .then(result => { results.visual = result; })
-        .catch(err => { 
-          logger.error(`Visual test error: ${err.message}`);
-          results.visual = { status: 'error', error: err.message }; 
-        })
-    );
-  }
-  
-  if (accessibility) {
-    testPromises.push(
-      accessibilityTest({ url })
-        .then(result => { results.accessibility = result; })
-        .catch(err => { 
-          logger.error(`Accessibility test error: ${err.message}`);
-          results.accessibility = { status: 'error', error: err.message }; 
-        })
-    );
-  }
-  
-  if (performance) {
-    testPromises.push(
-      performanceTest({ url, iterations: 1 })
-        .then(result => { results.performance = result; })
-        .catch(err => { 
-          logger.error(`Performance test error: ${err.message}`);
-          results.performance = { status: 'error', error: err.message }; 
-        })
-    );
-  }
+  const resultsByBrowser = {};
   
-  if (network) {
-    testPromises.push(
-      networkTrace({ url })
-        .then(result => { results.network = result; })
-        .catch(err => { 
-          logger.error(`Network test error: ${err.message}`);
-          results.network = { status: 'error', error: err.message }; 
-        })
-    );
+  // Engines run one after another; the tests for each engine run in parallel
+  for (const engine of engines) {
+    resultsByBrowser[engine] = await runTestsOnEngine(options, engine);
   }
   
-  // Wait for all tests to complete
-  await Promise.all(testPromises);
-  
   // Generate combined report
   const totalTime = Date.now() - startTime;
   
-  // Calculate overall status
-  const statuses = Object.values(results).map(result => result.status);
-  const overallStatus = statuses.includes('error') ? 'error' : 
-                        statuses.includes('failed') ? 'failed' : 'success';
+  const overallStatus = combineStatuses(
+    Object.values(resultsByBrowser).flatMap(results => Object.values(results).map(result => result.status))
+  );
   
   // Save combined report
   const reportDir = path.join(process.cwd(), 'test-reports');
@@ -674,27 +627,82 @@ async function runTestSuite(options) {
     timestamp: new Date().toISOString(),
     duration: totalTime,
     overallStatus,
-    tests: Object.keys(results).length,
-    results
+    browsers: engines,
+    tests: Object.values(resultsByBrowser).reduce((count, results) => count + Object.keys(results).length, 0),
+    results: resultsByBrowser
   };
   
   const reportPath = path.join(reportDir, `${url.replace(/[^a-z0-9]/gi, '_')}_${Date.now()}.json`);
   await fs.writeFile(reportPath, JSON.stringify(report, null, 2));
   
+  // The top-level summary reports the worst status of each test type across engines
+  const summary = {};
+  for (const type of ['visual', 'accessibility', 'performance', 'network']) {
+    const statuses = engines.map(engine => resultsByBrowser[engine][type]?.status).filter(Boolean);
+    summary[type] = statuses.length > 0 ? combineStatuses(statuses) : undefined;
+  }
+  
+  const browserSummaries = {};
+  for (const engine of engines) {
+    const results = resultsByBrowser[engine];
+    browserSummaries[engine] = {
+      status: combineStatuses(Object.values(results).map(result => result.status)),
+      summary: {
+        visual: results.visual?.status,
+        accessibility: results.accessibility?.status,
+        performance: results.performance?.status,
+        network: results.network?.status
+      }
+    };
+  }
+  
   return {
     status: overallStatus,
     url,
     duration: totalTime,
     reportPath,
-    summary: {
-      visual: results.visual?.status,
-      accessibility: results.accessibility?.status,
-      performance: results.performance?.status,
-      network: results.network?.status
-    }
+    summary,
+    browsers: browserSummaries
   };
 }
 
+/**
+ * Run the selected test types in parallel on one browser engine
+ * 
+ * @param {Object} options - Test suite options
+ * @param {string} engine - Browser engine
+ * @returns {Promise<Object>} Results keyed by test type
+ */
+async function runTestsOnEngine(options, engine) {
+  const { url, visual = true, accessibility = true, performance = true, network = true } = options;
+  const results = {};
+  
+  // Rendering differs between engines, so only the default engine keeps the plain baseline name
+  const baselineName = url.replace(/[^a-z0-9]/gi, '_') + (engine === 'chromium' ? '' : `_${engine}`);
+  
+  const tests = [];
+  if (visual) tests.push(['visual', () => visualCompare({ url, baselineName, browser: engine })]);
+  if (accessibility) tests.push(['accessibility', () => accessibilityTest({ url, browser: engine })]);
+  if (performance) tests.push(['performance', () => performanceTest({ url, iterations: 1, browser: engine })]);
+  if (network) tests.push(['network', () => networkTrace({ url, browser: engine })]);
+  
+  await Promise.all(tests.map(([type, run]) =>
+    run()
+      .then(result => { results[type] = result; })
+      .catch(err => {
+        logger.error(`${type} test error on ${engine}: ${err.message}`);
+        results[type] = { status: 'error', error: err.message };
+      })
+  ));
+  
+  return results;
+}
+
+function combineStatuses(statuses) {
+  return statuses.includes('error') ? 'error' : 
+         statuses.includes('failed') ? 'failed' : 'success';
+}
+
 module.exports = {
   visualCompare,
   accessibilityTest,
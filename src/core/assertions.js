@@ -0,0 +1,228 @@
+/**
+ * Assertions Module
+ *
+ * Assertion commands verify the state of the active page. Each one polls
+ * until it passes or its timeout runs out, then fails with an
+ * AssertionFailedError whose `details` hold the expected and actual values.
+ *
+ * Backends read page state through a probe:
+ *   isVisible(selector)         -> boolean
+ *   count(selector)             -> number
+ *   text(selector)              -> string|null (null when the element is missing)
+ *   value(selector)             -> string|null
+ *   attribute(selector, name)   -> string|null
+ *   url()                       -> string
+ *   title()                     -> string
+ *   live                        -> false if the page cannot change while polling
+ *
+ * Text, value, attribute, URL and title assertions take one matcher:
+ * `equals`, `contains` or `matches` (a regular expression, with optional
+ * `flags`). Element text is compared with its whitespace collapsed.
+ */
+
+const { getConfig } = require('../utils/config');
+
+const ASSERTION_COMMANDS = [
+  'assert_visible',
+  'assert_hidden',
+  'assert_text',
+  'assert_attribute',
+  'assert_url',
+  'assert_title',
+  'assert_count',
+  'assert_value'
+];
+
+const MATCHERS = ['equals', 'contains', 'matches'];
+
+class AssertionFailedError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'AssertionFailedError';
+    this.details = details;
+  }
+}
+
+// What each command reads from the page and how it compares the result
+const assertions = {
+  assert_visible: {
+    selector: true,
+    expect: () => 'visible',
+    read: async (probe, params) => visibility(await probe.isVisible(params.selector)),
+    check: actual => actual === 'visible'
+  },
+  assert_hidden: {
+    selector: true,
+    expect: () => 'hidden',
+    read: async (probe, params) => visibility(await probe.isVisible(params.selector)),
+    check: actual => actual === 'hidden'
+  },
+  assert_text: {
+    selector: true,
+    expect: params => matcherOf(params),
+    read: async (probe, params) => normalizeText(await probe.text(params.selector)),
+    check: (actual, expected) => matchText(actual, expected, normalizeText)
+  },
+  assert_attribute: {
+    selector: true,
+    expect: params => {
+      if (!params.attribute) {
+        throw new Error('assert_attribute requires an attribute');
+      }
+      return matcherOf(params);
+    },
+    read: (probe, params) => probe.attribute(params.selector, params.attribute),
+    check: (actual, expected) => matchText(actual, expected)
+  },
+  assert_url: {
+    expect: params => matcherOf(params),
+    read: probe => probe.url(),
+    check: (actual, expected) => matchText(actual, expected)
+  },
+  assert_title: {
+    expect: params => matcherOf(params),
+    read: probe => probe.title(),
+    check: (actual, expected) => matchText(actual, expected)
+  },
+  assert_count: {
+    selector: true,
+    expect: params => {
+      const expected = Object.fromEntries(['equals', 'min', 'max']
+        .filter(key => params[key] !== undefined)
+        .map(key => [key, Number(params[key])]));
+      if (Object.keys(expected).length === 0 || Object.values(expected).some(Number.isNaN)) {
+        throw new Error('assert_count requires a numeric equals, min or max');
+      }
+      return expected;
+    },
+    read: (probe, params) => probe.count(params.selector),
+    check: (actual, expected) =>
+      (expected.equals === undefined || actual === expected.equals) &&
+      (expected.min === undefined || actual >= expected.min) &&
+      (expected.max === undefined || actual <= expected.max)
+  },
+  assert_value: {
+    selector: true,
+    expect: params => matcherOf(params),
+    read: (probe, params) => probe.value(params.selector),
+    check: (actual, expected) => matchText(actual, expected)
+  }
+};
+
+function isAssertionCommand(command) {
+  return ASSERTION_COMMANDS.includes(command);
+}
+
+/**
+ * Run an assertion command against a page probe
+ *
+ * @param {string} command - Assertion command (see ASSERTION_COMMANDS)
+ * @param {Object} params - Command parameters (selector, matcher, options)
+ * @param {Object} probe - Page probe provided by the backend
+ * @returns {Promise<Object>} Result with the expected and actual values
+ * @throws {AssertionFailedError} If the assertion does not pass before the timeout
+ */
+async function runAssertion(command, params, probe) {
+  const assertion = assertions[command];
+  if (!assertion) {
+    throw new Error(`Unknown assertion: ${command}`);
+  }
+  if (assertion.selector && !params.selector) {
+    throw new Error(`${command} requires a selector`);
+  }
+
+  const expected = assertion.expect(params);
+  const { timeout, interval } = pollingOptions(params);
+  const startTime = Date.now();
+  const deadline = startTime + timeout;
+  let actual;
+  let readError;
+
+  for (;;) {
+    try {
+      actual = await assertion.read(probe, params);
+      readError = null;
+      if (assertion.check(actual, expected)) {
+        return { status: 'success', assertion: command, ...(params.selector && { selector: params.selector }), expected, actual };
+      }
+    } catch (error) {
+      // The page may be mid-navigation; keep polling until the timeout
+      readError = error;
+    }
+
+    if (probe.live === false || Date.now() >= deadline) break;
+    await new Promise(resolve => setTimeout(resolve, Math.min(interval, Math.max(deadline - Date.now(), 0))));
+  }
+
+  const details = {
+    assertion: command,
+    ...(params.selector && { selector: params.selector }),
+    expected,
+    actual: readError ? null : actual,
+    ...(readError && { error: readError.message }),
+    timeout
+  };
+  throw new AssertionFailedError(describeFailure(details, Date.now() - startTime), details);
+}
+
+function pollingOptions(params) {
+  const { automation } = getConfig();
+  const options = params.options || {};
+  return {
+    timeout: firstNumber(options.timeout, params.timeout, automation.assertionTimeout),
+    interval: firstNumber(options.interval, params.interval, automation.assertionInterval)
+  };
+}
+
+function firstNumber(...values) {
+  return values.find(value => typeof value === 'number' && value >= 0);
+}
+
+function matcherOf(params) {
+  const present = MATCHERS.filter(matcher => params[matcher] !== undefined);
+  if (present.length !== 1) {
+    throw new Error(`Assertion requires exactly one of ${MATCHERS.join(', ')}`);
+  }
+
+  const [matcher] = present;
+  if (matcher === 'matches') {
+    // Fail on an invalid pattern now rather than on every poll
+    try {
+      RegExp(params.matches, params.flags);
+    } catch (error) {
+      throw new Error(`Invalid matches pattern: ${error.message}`);
+    }
+    return { matches: String(params.matches), ...(params.flags && { flags: params.flags }) };
+  }
+  return { [matcher]: String(params[matcher]) };
+}
+
+function matchText(actual, expected, normalize = value => value) {
+  if (actual === null || actual === undefined) return false;
+  const text = String(actual);
+
+  if (expected.equals !== undefined) return text === normalize(expected.equals);
+  if (expected.contains !== undefined) return text.includes(normalize(expected.contains));
+  return new RegExp(expected.matches, expected.flags).test(text);
+}
+
+function normalizeText(text) {
+  return text === null || text === undefined ? null : String(text).replace(/\s+/g, ' ').trim();
+}
+
+function visibility(visible) {
+  return visible ? 'visible' : 'hidden';
+}
+
+function describeFailure(details, elapsed) {
+  const target = details.selector ? ` for "${details.selector}"` : '';
+  const actual = details.error ? `could not be read (${details.error})` : `was ${JSON.stringify(details.actual)}`;
+  return `${details.assertion} failed${target}: expected ${JSON.stringify(details.expected)} but ${actual} after ${elapsed}ms`;
+}
+
+module.exports = {
+  ASSERTION_COMMANDS,
+  AssertionFailedError,
+  isAssertionCommand,
+  runAssertion
+};
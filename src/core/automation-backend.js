@@ -0,0 +1,128 @@
+/**
+ * Automation Backend Module
+ *
+ * Routes automation commands and session management to a pluggable backend.
+ * `real` drives Playwright (automation.js) and `mock` answers from fixtures
+ * without a browser (mock-automation.js). The default comes from
+ * `automation.backend` in the config; a session can pick its own backend
+ * when it is created, and later commands for that session follow it.
+ *
+ * A backend is a module exposing:
+ *   handleAutomationCommand(command, params) -> Promise<Object>
+ *   createSession(options)                   -> Promise<{ sessionId, ... }>
+ *   listSessions()                           -> { sessions: Array<Object> }
+ *   closeSession(sessionId)                  -> Promise<Object>
+ *   onSessionClosed(listener)                -> void (optional; for backends
+ *                                               that close sessions by themselves)
+ */
+
+const { logger } = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+
+// Backends are loaded on first use so the mock never pulls in a browser
+const backendLoaders = new Map([
+  ['real', () => require('./automation')],
+  ['mock', () => require('./mock-automation')]
+]);
+const loadedBackends = new Map();
+const sessionBackends = new Map();
+
+/**
+ * Register an additional backend
+ *
+ * @param {string} name - Backend name
+ * @param {Function} loader - Returns an object implementing the backend interface
+ */
+function registerBackend(name, loader) {
+  backendLoaders.set(name, loader);
+  loadedBackends.delete(name);
+}
+
+function listBackends() {
+  return Array.from(backendLoaders.keys());
+}
+
+/**
+ * Resolve a backend by name, falling back to the configured default
+ *
+ * @param {string} [name] - Backend name
+ * @returns {Object} Backend implementation
+ */
+function getBackend(name) {
+  const backendName = resolveBackendName(name);
+  if (!loadedBackends.has(backendName)) {
+    logger.info(`Loading automation backend: ${backendName}`);
+    const backend = backendLoaders.get(backendName)();
+    // Sessions closed by the backend itself, such as idle ones, are forgotten too
+    if (typeof backend.onSessionClosed === 'function') {
+      backend.onSessionClosed(sessionId => forgetSession(sessionId, backendName));
+    }
+    loadedBackends.set(backendName, backend);
+  }
+  return loadedBackends.get(backendName);
+}
+
+function resolveBackendName(name) {
+  const backendName = name || getConfig().automation.backend;
+  if (!backendLoaders.has(backendName)) {
+    throw new Error(`Unknown automation backend: ${backendName}. Expected one of ${listBackends().join(', ')}`);
+  }
+  return backendName;
+}
+
+// Sessions created through this module remember their backend; anything else uses the default
+function backendNameForSession(sessionId) {
+  return sessionBackends.get(sessionId) || resolveBackendName();
+}
+
+function forgetSession(sessionId, backendName) {
+  if (sessionBackends.get(sessionId) === backendName) {
+    sessionBackends.delete(sessionId);
+  }
+}
+
+async function handleAutomationCommand(command, params) {
+  const backendName = params.sessionId ? backendNameForSession(params.sessionId) : resolveBackendName();
+  return await getBackend(backendName).handleAutomationCommand(command, params);
+}
+
+/**
+ * Create a session on the requested (or default) backend
+ *
+ * @param {Object} [options] - Session options, passed through to the backend
+ * @param {string} [options.backend] - Backend to create the session on
+ * @returns {Promise<Object>} Created session
+ */
+async function createSession(options = {}) {
+  const backendName = resolveBackendName(options.backend);
+  const result = await getBackend(backendName).createSession(options);
+  sessionBackends.set(result.sessionId, backendName);
+  return { ...result, backend: backendName };
+}
+
+function listSessions() {
+  const sessions = [];
+  for (const [backendName, backend] of loadedBackends) {
+    for (const session of backend.listSessions().sessions) {
+      sessions.push({ ...session, backend: backendName });
+    }
+  }
+  return { status: 'success', sessions };
+}
+
+async function closeSession(sessionId) {
+  const backendName = backendNameForSession(sessionId);
+  const result = await getBackend(backendName).closeSession(sessionId);
+  forgetSession(sessionId, backendName);
+  return { ...result, backend: backendName };
+}
+
+module.exports = {
+  registerBackend,
+  listBackends,
+  getBackend,
+  handleAutomationCommand,
+  createSession,
+  listSessions,
+  closeSession
+};
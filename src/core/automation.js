@@ -1,90 +1,75 @@
-const { chromium } = require('playwright');
 const { logger } = require('../utils/logger');
 const { selfHeal } = require('./self-healing');
-const { ElementRepository } = require('./element-repository');
+const { getElementRepository } = require('./element-repository');
+const { getHealingLog } = require('./healing-log');
+const { SessionManager } = require('./session-manager');
+const { isAssertionCommand, runAssertion, AssertionFailedError } = require('./assertions');
+const { isWaitCommand, runWait, WaitTimeoutError, NAVIGATION_WAITS } = require('./waits');
+const { FrameNotFoundError, usesFrame, resolveFrame, pageOf } = require('./frames');
 
-let browser;
-let context;
-let activePage;
-const elementRepo = new ElementRepository();
+// Launch options come from the automation config
+const sessionManager = new SessionManager();
 
-async function initBrowser() {
-  if (!browser) {
-    const newBrowser = await chromium.launch({
-      headless: false
-    });
-    const newContext = await newBrowser.newContext({
-      viewport: { width: 1366, height: 768 }
-    });
-    
-    browser = newBrowser;
-    context = newContext;
-    logger.info('Browser initialized');
-  }
-  return browser;
+// A failed assertion or wait is a test result and a missing frame is not the element's fault; none of them is a broken selector
+const UNHEALABLE_ERRORS = [AssertionFailedError, WaitTimeoutError, FrameNotFoundError];
+
+// Longest a single assertion read may wait for an element that was just counted
+const PROBE_TIMEOUT = 1000;
+
+async function initBrowser(browserName) {
+  return await sessionManager.getBrowser(browserName);
 }
 
-async function getPage() {
-  if (!browser) {
-    await initBrowser();
-  }
-  
-  if (!activePage) {
-    const pages = context.pages();
-    const newPage = pages.length > 0 ? pages[0] : await context.newPage();
-    activePage = newPage;
-  }
-  
-  return activePage;
+async function createSession(options = {}) {
+  const session = await sessionManager.createSession(options);
+  return { status: 'success', sessionId: session.id, label: session.label, browser: session.browser };
+}
+
+function listSessions() {
+  return { status: 'success', sessions: sessionManager.listSessions() };
+}
+
+async function closeSession(sessionId) {
+  const session = await sessionManager.closeSession(sessionId);
+  return { status: 'success', ...session };
+}
+
+function onSessionClosed(listener) {
+  sessionManager.onSessionClosed(listener);
 }
 
 async function handleAutomationCommand(command, params) {
-  logger.info(`Executing command: ${command}`);
+  logger.info(`Executing command: ${command}${params.sessionId ? ` (session ${params.sessionId})` : ''}`);
   
+  let session;
+  let scope;
   try {
-    switch (command) {
-      case 'navigate':
-        return await navigateTo(params.url);
-      
-      case 'click':
-        return await clickElement(params.selector, params.options);
-      
-      case 'type':
-        return await typeText(params.selector, params.text, params.options);
-      
-      case 'select':
-        return await selectOption(params.selector, params.value, params.options);
-      
-      case 'extract':
-        return await extractData(params.selector, params.attribute, params.options);
-      
-      case 'screenshot':
-        return await takeScreenshot(params.fileName);
-      
-      case 'desktop_click':
-        return await desktopClick(params.x, params.y);
-      
-      case 'desktop_type':
-        return await desktopType(params.text);
-      
-      case 'wait':
-        return await wait(params.milliseconds);
-      
-      default:
-        throw new Error(`Unknown command: ${command}`);
+    // Every command except a plain wait runs against the session's active page, or one of its frames
+    if (command !== 'wait') {
+      session = await sessionManager.resolveSession(params.sessionId, { browser: params.browser });
+      const page = await sessionManager.getActivePage(session);
+      scope = params.frame && usesFrame(command)
+        ? await resolveFrame(page, params.frame, { timeout: params.options && params.options.timeout })
+        : page;
     }
+    
+    const result = await executeCommand(command, params, session, scope);
+    return session ? withPageInfo(result, session) : result;
   } catch (error) {
     logger.error(`Command execution failed: ${error.message}`);
     
-    // Attempt self-healing if it's a selector-related error
-    if (params.selector && (error.message.includes('selector') || error.message.includes('timeout') || error.message.includes('element'))) {
+    // Attempt self-healing if it's a selector-related error, within the frame the command ran in
+    if (scope && params.selector && !UNHEALABLE_ERRORS.some(type => error instanceof type) && (error.message.includes('selector') || error.message.includes('timeout') || error.message.includes('element'))) {
       logger.info('Attempting to self-heal');
-      const healedSelector = await selfHeal(params.selector, activePage);
+      const healing = await selfHeal(params.selector, scope);
       
-      if (healedSelector && healedSelector !== params.selector) {
-        logger.info(`Self-healing found alternative selector: ${healedSelector}`);
-        const newParams = { ...params, selector: healedSelector };
-        return await handleAutomationCommand(command, newParams);
+      if (healing && healing.selector !== params.selector) {
+        logger.info(`Self-healing found alternative selector: ${healing.selector} (${healing.strategy}${healing.confidence !== null ? `, confidence ${healing.confidence}` : ''})`);
+        const newParams = { ...params, selector: healing.selector };
+        const result = await handleAutomationCommand(command, newParams);
+        const healed = { originalSelector: params.selector, ...healing };
+        await getHealingLog().recordHealing(command, healed, pageOf(scope));
+        return { ...result, healing: healed };
       }
     }
     
@@ -92,17 +77,120 @@ async function handleAutomationCommand(command, params) {
   }
 }
 
-async function navigateTo(url) {
-  const page = await getPage();
-  await page.goto(url, { waitUntil: 'networkidle' });
-  return { status: 'success', url: page.url() };
+// `page` is the frame the command runs in for element commands with a `frame`
+async function executeCommand(command, params, session, page) {
+  switch (command) {
+    case 'navigate':
+      return await navigateTo(page, params.url, params.waitUntil);
+    
+    case 'click':
+      return await clickElement(page, params.selector, params.options);
+    
+    case 'type':
+      return await typeText(page, params.selector, params.text, params.options);
+    
+    case 'select':
+      return await selectOption(page, params.selector, params.value, params.options);
+    
+    case 'hover':
+      return await hoverElement(page, params.selector, params.options);
+    
+    case 'double_click':
+      return await doubleClickElement(page, params.selector, params.options);
+    
+    case 'right_click':
+      return await rightClickElement(page, params.selector, params.options);
+    
+    case 'press_key':
+      return await pressKey(page, params.key, params.selector, params.options);
+    
+    case 'drag_and_drop':
+      return await dragAndDrop(page, params.selector, params.target, params.options);
+    
+    case 'upload_file':
+      return await uploadFiles(page, params.selector, params.files, params.options);
+    
+    case 'check':
+      return await setChecked(page, params.selector, true, params.options);
+    
+    case 'uncheck':
+      return await setChecked(page, params.selector, false, params.options);
+    
+    case 'scroll':
+      return await scroll(page, params, params.options);
+    
+    case 'focus':
+      return await focusElement(page, params.selector, params.options);
+    
+    case 'blur':
+      return await blurElement(page, params.selector, params.options);
+    
+    case 'extract':
+      return await extractData(page, params.selector, params.attribute, params.options);
+    
+    case 'extract_all':
+      return await extractAllData(page, params.selector, params.attribute);
+    
+    case 'screenshot':
+      return await takeScreenshot(page, params.fileName);
+    
+    case 'desktop_click':
+      return await desktopClick(page, params.x, params.y);
+    
+    case 'desktop_type':
+      return await desktopType(page, params.text);
+    
+    case 'wait':
+      return await wait(params.milliseconds);
+    
+    case 'list_pages':
+      return await listPages(session);
+    
+    case 'switch_page':
+      return await switchPage(session, params);
+    
+    case 'new_page':
+      return await openNewPage(session, params.url);
+    
+    case 'close_page':
+      return await closePage(session, params.index);
+    
+    case 'wait_for_popup':
+      return await waitForPopup(session, params.selector, params.options);
+    
+    default:
+      if (isAssertionCommand(command)) {
+        return await runAssertion(command, params, createPageProbe(page));
+      }
+      if (isWaitCommand(command)) {
+        return await runWait(command, params, createPageWaiter(page));
+      }
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+// Report which page a command ran against (or switched to)
+function withPageInfo(result, session) {
+  const active = session.activePage;
+  if (!active || (typeof active.isClosed === 'function' && active.isClosed())) {
+    return result;
+  }
+  
+  return { ...result, page: sessionManager.describePage(session, active) };
 }
 
-async function clickElement(selector, options = {}) {
-  const page = await getPage();
+async function navigateTo(page, url, waitUntil = 'networkidle') {
+  if (!NAVIGATION_WAITS.includes(waitUntil)) {
+    throw new Error(`waitUntil must be one of ${NAVIGATION_WAITS.join(', ')}`);
+  }
   
+  await page.goto(url, { waitUntil });
+  return { status: 'success', url: page.url() };
+}
+
+async function clickElement(page, selector, options = {}) {
   // Store element in repository for potential self-healing
-  await elementRepo.captureElement(selector, page);
+  await getElementRepository().captureElement(selector, page);
   
   // Playwright has built-in auto-waiting
   await page.click(selector, { 
@@ -114,9 +202,7 @@ async function clickElement(selector, options = {}) {
   return { status: 'success', selector };
 }
 
-async function typeText(selector, text, options = {}) {
-  const page = await getPage();
-  
+async function typeText(page, selector, text, options = {}) {
   // Clear field if needed
   if (options.clearFirst) {
     await page.fill(selector, '');
@@ -126,17 +212,104 @@ async function typeText(selector, text, options = {}) {
   return { status: 'success', selector, textLength: text.length };
 }
 
-async function selectOption(selector, value, options = {}) {
-  const page = await getPage();
+async function selectOption(page, selector, value, options = {}) {
   await page.selectOption(selector, value, { 
     timeout: options.timeout || 10000 
   });
   return { status: 'success', selector, value };
 }
 
-async function extractData(selector, attribute = 'textContent', options = {}) {
-  const page = await getPage();
+async function hoverElement(page, selector, options = {}) {
+  await getElementRepository().captureElement(selector, page);
+  await page.hover(selector, {
+    timeout: options.timeout || 10000,
+    force: options.force || false
+  });
+  return { status: 'success', selector };
+}
+
+async function doubleClickElement(page, selector, options = {}) {
+  await getElementRepository().captureElement(selector, page);
+  await page.dblclick(selector, {
+    timeout: options.timeout || 10000,
+    force: options.force || false
+  });
+  return { status: 'success', selector };
+}
+
+async function rightClickElement(page, selector, options = {}) {
+  await getElementRepository().captureElement(selector, page);
+  await page.click(selector, {
+    button: 'right',
+    timeout: options.timeout || 10000,
+    force: options.force || false
+  });
+  return { status: 'success', selector };
+}
+
+// Keys use Playwright's names and chords, e.g. "Enter" or "Control+Shift+A"
+async function pressKey(page, key, selector, options = {}) {
+  if (selector) {
+    await page.press(selector, key, { timeout: options.timeout || 10000 });
+    return { status: 'success', selector, key };
+  }
   
+  // Without a selector the key goes to whichever element has focus
+  await pageOf(page).keyboard.press(key);
+  return { status: 'success', key };
+}
+
+async function dragAndDrop(page, selector, target, options = {}) {
+  // Only the source selector is self-healed; the target has to be right
+  await getElementRepository().captureElement(selector, page);
+  await page.dragAndDrop(selector, target, {
+    timeout: options.timeout || 10000,
+    force: options.force || false
+  });
+  return { status: 'success', selector, target };
+}
+
+async function uploadFiles(page, selector, files, options = {}) {
+  // An empty list clears the selection
+  const paths = [].concat(files || []);
+  await page.setInputFiles(selector, paths, { timeout: options.timeout || 10000 });
+  return { status: 'success', selector, files: paths.length };
+}
+
+async function setChecked(page, selector, checked, options = {}) {
+  await getElementRepository().captureElement(selector, page);
+  await page.setChecked(selector, checked, {
+    timeout: options.timeout || 10000,
+    force: options.force || false
+  });
+  return { status: 'success', selector, checked };
+}
+
+// Scrolls an element into view, or the page by an x/y offset in pixels
+async function scroll(page, { selector, x = 0, y = 0 }, options = {}) {
+  if (selector) {
+    await page.locator(selector).scrollIntoViewIfNeeded({ timeout: options.timeout || 10000 });
+    return { status: 'success', selector };
+  }
+  
+  const position = await page.evaluate(([dx, dy]) => {
+    window.scrollBy(dx, dy);
+    return { x: window.scrollX, y: window.scrollY };
+  }, [x, y]);
+  return { status: 'success', ...position };
+}
+
+async function focusElement(page, selector, options = {}) {
+  await page.focus(selector, { timeout: options.timeout || 10000 });
+  return { status: 'success', selector };
+}
+
+async function blurElement(page, selector, options = {}) {
+  await page.locator(selector).blur({ timeout: options.timeout || 10000 });
+  return { status: 'success', selector };
+}
+
+async function extractData(page, selector, attribute = 'textContent', options = {}) {
   let data;
   if (attribute === 'textContent') {
     data = await page.textContent(selector, { 
@@ -155,39 +328,117 @@ async function extractData(selector, attribute = 'textContent', options = {}) {
   return { status: 'success', selector, data };
 }
 
-async function takeScreenshot(fileName = `screenshot-${Date.now()}.png`) {
-  const page = await getPage();
+async function extractAllData(page, selector, attribute = 'textContent') {
+  // Unlike extract this does not wait: no matching elements is an empty list
+  const locator = page.locator(selector);
+  let data;
+  if (attribute === 'textContent') {
+    data = await locator.allTextContents();
+  } else if (attribute === 'innerText') {
+    data = await locator.allInnerTexts();
+  } else {
+    data = await locator.evaluateAll((elements, name) => elements.map(element => element.getAttribute(name)), attribute);
+  }
+  
+  return { status: 'success', selector, data };
+}
+
+async function takeScreenshot(page, fileName = `screenshot-${Date.now()}.png`) {
   const path = `./public/screenshots/${fileName}`;
   await page.screenshot({ path, fullPage: true });
   return { status: 'success', path };
 }
 
-async function desktopClick(x, y) {
-  const page = await getPage();
+async function desktopClick(page, x, y) {
   await page.mouse.click(x, y);
   return { status: 'success', x, y };
 }
 
-async function desktopType(text) {
-  const page = await getPage();
+async function desktopType(page, text) {
   await page.keyboard.type(text);
   return { status: 'success', textLength: text.length };
 }
 
+async function listPages(session) {
+  return { status: 'success', pages: await sessionManager.listPages(session) };
+}
+
+async function switchPage(session, { index, url, title }) {
+  await sessionManager.switchPage(session, { index, url, title });
+  return { status: 'success' };
+}
+
+async function openNewPage(session, url) {
+  const page = await sessionManager.newPage(session);
+  if (url) {
+    await page.goto(url, { waitUntil: 'networkidle' });
+  }
+  return { status: 'success' };
+}
+
+async function closePage(session, index) {
+  const closed = await sessionManager.closePage(session, index);
+  return { status: 'success', closed };
+}
+
+async function waitForPopup(session, selector, options = {}) {
+  // Start listening before clicking so a fast popup is not missed
+  const trigger = selector
+    ? page => page.click(selector, { timeout: options.timeout || 10000 })
+    : null;
+  const popup = await sessionManager.waitForPopup(session, trigger, { timeout: options.timeout });
+  return { status: 'success', url: popup.url() };
+}
+
+// Reads page state for assertions without Playwright's auto-waiting; the assertion does its own polling
+function createPageProbe(page) {
+  const readFirst = async (selector, read) => {
+    const locator = page.locator(selector);
+    return (await locator.count()) > 0 ? await read(locator.first()) : null;
+  };
+  
+  return {
+    isVisible: selector => page.locator(selector).first().isVisible(),
+    count: selector => page.locator(selector).count(),
+    text: selector => readFirst(selector, element => element.textContent({ timeout: PROBE_TIMEOUT })),
+    value: selector => readFirst(selector, element => element.inputValue({ timeout: PROBE_TIMEOUT })),
+    attribute: (selector, name) => readFirst(selector, element => element.getAttribute(name, { timeout: PROBE_TIMEOUT })),
+    url: () => page.url(),
+    title: () => page.title()
+  };
+}
+
+// Playwright's own waits; they reject with a TimeoutError that runWait turns into a WaitTimeoutError
+function createPageWaiter(page) {
+  return {
+    selector: (selector, state, timeout) => page.waitForSelector(selector, { state, timeout }),
+    url: async (pattern, timeout) => {
+      await page.waitForURL(pattern, { timeout });
+      return page.url();
+    },
+    loadState: (state, timeout) => page.waitForLoadState(state, { timeout }),
+    response: async (predicate, timeout) => {
+      const response = await pageOf(page).waitForResponse(
+        candidate => predicate({ url: candidate.url(), status: candidate.status() }),
+        { timeout }
+      );
+      return { url: response.url(), status: response.status() };
+    },
+    function: async (expression, timeout) => {
+      const handle = await page.waitForFunction(expression, undefined, { timeout });
+      // Element handles have no JSON value; the wait passed all the same
+      return await handle.jsonValue().catch(() => true);
+    }
+  };
+}
+
 async function wait(milliseconds = 1000) {
   await new Promise(resolve => setTimeout(resolve, milliseconds));
   return { status: 'success', milliseconds };
 }
 
 async function cleanup() {
-  if (browser) {
-    const browserToClose = browser;
-    browser = null;
-    context = null;
-    activePage = null;
-    await browserToClose.close();
-    logger.info('Browser closed');
-  }
+  await sessionManager.closeAll();
 }
 
 process.on('exit', cleanup);
@@ -195,5 +446,9 @@ process.on('exit', cleanup);
 module.exports = {
   handleAutomationCommand,
   initBrowser,
+  createSession,
+  listSessions,
+  closeSession,
+  onSessionClosed,
   cleanup
 };
\ No newline at end of file
@@ -0,0 +1,111 @@
+/**
+ * Browser Launcher Module
+ *
+ * Resolves which Playwright engine to use and builds launch and context
+ * options from the `automation` section of the server configuration.
+ * Every part of the server that starts a browser goes through here.
+ */
+
+const playwright = require('playwright');
+const { logger } = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+
+const BROWSER_ENGINES = ['chromium', 'firefox', 'webkit'];
+const DEFAULT_VIEWPORT = { width: 1366, height: 768 };
+
+function getAutomationConfig() {
+  return getConfig().automation;
+}
+
+/**
+ * Resolve a browser engine name, falling back to the configured default
+ *
+ * @param {string} [name] - Engine name (chromium, firefox or webkit)
+ * @returns {string} Engine name
+ */
+function resolveEngine(name) {
+  const engine = name || getAutomationConfig().browser || 'chromium';
+  if (!BROWSER_ENGINES.includes(engine)) {
+    throw new Error(`Unsupported browser engine: ${engine}. Expected one of ${BROWSER_ENGINES.join(', ')}`);
+  }
+  return engine;
+}
+
+/**
+ * Build Playwright launch options
+ *
+ * @param {Object} [overrides] - Options that take precedence over config
+ * @returns {Object} Launch options
+ */
+function getLaunchOptions(overrides = {}) {
+  const config = getAutomationConfig();
+  const options = {
+    headless: overrides.headless !== undefined ? overrides.headless : config.headless !== false
+  };
+
+  const slowMo = overrides.slowMo !== undefined ? overrides.slowMo : config.slowMo;
+  if (slowMo) options.slowMo = slowMo;
+
+  return options;
+}
+
+/**
+ * Build Playwright BrowserContext options. A device name (e.g. "iPhone 13")
+ * pulls in Playwright's emulation descriptor for viewport, user agent and
+ * touch support.
+ *
+ * @param {Object} [overrides] - Options that take precedence over config
+ * @param {string} [overrides.device] - Playwright device name to emulate
+ * @param {Object} [overrides.viewport] - Viewport size
+ * @param {string} [overrides.locale] - Locale, e.g. en-GB
+ * @param {string} [overrides.timezone] - Timezone ID, e.g. Europe/London
+ * @returns {Object} Context options
+ */
+function getContextOptions(overrides = {}) {
+  const config = getAutomationConfig();
+  const device = overrides.device || config.device;
+  const options = {};
+
+  if (device) {
+    const descriptor = playwright.devices && playwright.devices[device];
+    if (!descriptor) {
+      throw new Error(`Unknown device: ${device}`);
+    }
+    // The engine is chosen separately, so drop the descriptor's preference
+    Object.assign(options, descriptor);
+    delete options.defaultBrowserType;
+  } else {
+    options.viewport = config.viewport || DEFAULT_VIEWPORT;
+  }
+
+  if (overrides.viewport) options.viewport = overrides.viewport;
+
+  const locale = overrides.locale || config.locale;
+  if (locale) options.locale = locale;
+
+  const timezone = overrides.timezone || config.timezone;
+  if (timezone) options.timezoneId = timezone;
+
+  return options;
+}
+
+/**
+ * Launch a browser
+ *
+ * @param {string} [engine] - Engine name (defaults to the configured browser)
+ * @param {Object} [overrides] - Launch option overrides
+ * @returns {Promise<Browser>} Playwright browser
+ */
+async function launchBrowser(engine, overrides = {}) {
+  const name = resolveEngine(engine);
+  logger.info(`Launching ${name}`);
+  return await playwright[name].launch(getLaunchOptions(overrides));
+}
+
+module.exports = {
+  BROWSER_ENGINES,
+  resolveEngine,
+  getLaunchOptions,
+  getContextOptions,
+  launchBrowser
+};
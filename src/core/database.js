@@ -1,9 +1,9 @@
 const mongoose = require('mongoose');
 const { logger } = require('../utils/logger');
 
-async function initializeDatabase() {
+async function initializeDatabase(uri = process.env.MONGODB_URI) {
   try {
-    await mongoose.connect(process.env.MONGODB_URI, {
+    await mongoose.connect(uri, {
       useNewUrlParser: true,
       useUnifiedTopology: true
     });
@@ -0,0 +1,142 @@
+/**
+ * Dataset Module
+ *
+ * Datasets attached to a test case are a list of rows, each a plain object
+ * whose keys become `${name}` variables when the test case runs against
+ * that row. They can be supplied as JSON (an array of objects) or as CSV
+ * with a header row; CSV values are kept as strings.
+ */
+
+const DATASET_FORMATS = ['json', 'csv'];
+
+class DatasetError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'DatasetError';
+  }
+}
+
+/**
+ * Turn JSON or CSV input into dataset rows
+ *
+ * @param {Array<Object>|string} input - Rows, or JSON/CSV text
+ * @param {string} [format] - `json` or `csv` for text input (default: json)
+ * @returns {Array<Object>} Dataset rows
+ * @throws {DatasetError} If the input is not a list of rows
+ */
+function parseDataset(input, format = 'json') {
+  if (!DATASET_FORMATS.includes(format)) {
+    throw new DatasetError(`Unknown dataset format: ${format}. Expected one of ${DATASET_FORMATS.join(', ')}`);
+  }
+
+  if (typeof input === 'string') {
+    return format === 'csv' ? parseCsv(input) : validateRows(parseJson(input));
+  }
+  return validateRows(input);
+}
+
+/**
+ * Parse CSV text with a header row into objects keyed by the header
+ *
+ * Follows RFC 4180: fields may be quoted, quoted fields may contain commas,
+ * line breaks and doubled quotes. Blank lines are ignored.
+ *
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} One object per data row
+ * @throws {DatasetError} If the CSV is malformed
+ */
+function parseCsv(text) {
+  const records = parseCsvRecords(text.replace(/^\uFEFF/, ''))
+    .filter(record => !(record.length === 1 && record[0] === ''));
+
+  if (records.length === 0) {
+    return [];
+  }
+
+  const [header, ...rows] = records;
+  const columns = header.map(column => column.trim());
+  const duplicate = columns.find((column, index) => columns.indexOf(column) !== index);
+  if (columns.some(column => !column)) {
+    throw new DatasetError('CSV header has an empty column name');
+  }
+  if (duplicate) {
+    throw new DatasetError(`CSV header has a duplicate column: ${duplicate}`);
+  }
+
+  return rows.map((row, index) => {
+    if (row.length !== columns.length) {
+      throw new DatasetError(`CSV row ${index + 1} has ${row.length} field(s), expected ${columns.length}`);
+    }
+    return Object.fromEntries(columns.map((column, position) => [column, row[position]]));
+  });
+}
+
+function parseCsvRecords(text) {
+  const records = [];
+  let record = [];
+  let field = '';
+  let quoted = false;
+
+  for (let index = 0; index < text.length; index++) {
+    const char = text[index];
+
+    if (quoted) {
+      if (char === '"' && text[index + 1] === '"') {
+        field += '"';
+        index++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === ',') {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[index + 1] === '\n') index++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new DatasetError('CSV has an unterminated quoted field');
+  }
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+}
+
+function parseJson(text) {
+  try {
+    return JSON.parse(text);
+  } catch (error) {
+    throw new DatasetError(`Dataset is not valid JSON: ${error.message}`);
+  }
+}
+
+function validateRows(rows) {
+  if (!Array.isArray(rows)) {
+    throw new DatasetError('Dataset must be an array of rows');
+  }
+  const invalid = rows.findIndex(row => !row || typeof row !== 'object' || Array.isArray(row));
+  if (invalid !== -1) {
+    throw new DatasetError(`Dataset row ${invalid + 1} must be an object`);
+  }
+  return rows;
+}
+
+module.exports = {
+  DATASET_FORMATS,
+  DatasetError,
+  parseDataset,
+  parseCsv
+};
@@ -1,28 +1,214 @@
+/**
+ * Element Repository Module
+ *
+ * Remembers what elements looked like when commands acted on them, so
+ * self-healing can find them again once their selector breaks: alternative
+ * selectors, a screenshot, the bounding box, nearby text and a fingerprint
+ * (see fingerprint.js).
+ *
+ * Entries are keyed by the page's URL pattern plus the selector. The
+ * pattern is the URL without query string and fragment, with numeric, UUID
+ * and long hexadecimal path segments replaced by `*`, so `/orders/42` and
+ * `/orders/43` share their elements.
+ *
+ * Entries are stored with the same driver as test cases (see
+ * test-case-repository.js):
+ *
+ *   MongoElementStore - the mongoose CapturedElement model
+ *   FileElementStore  - a local JSON file (`storage.elementsFilePath`), with
+ *                       each screenshot in its own file in a directory beside it
+ *
+ * The shared repository (getElementRepository) is used by every session,
+ * by automation to capture elements and by self-healing to look them up.
+ * A `preferredSelector` pinned on an element is the first one self-healing
+ * tries, and survives later captures. exportElements and importElements
+ * move the repository between machines as JSON.
+ */
+
+const crypto = require('crypto');
+const Joi = require('joi');
 const { logger } = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+const { JsonCollection, clone } = require('../utils/json-file');
+const { BlobDirectory } = require('../utils/blob-directory');
+const { resolveStorageDriver } = require('./test-case-repository');
+const { fingerprintElement } = require('./fingerprint');
 
-class ElementRepository {
+class MongoElementStore {
   constructor() {
-    this.elements = new Map();
+    this.CapturedElement = require('../models/captured-element');
+  }
+
+  async list(url, options = {}) {
+    const filter = url !== undefined ? { url } : {};
+    if (options.images) {
+      return await this.CapturedElement.find(filter).select('-_id -__v').sort({ url: 1, selector: 1 }).lean();
+    }
+    return await this.CapturedElement.aggregate([
+      { $match: filter },
+      { $sort: { url: 1, selector: 1 } },
+      { $addFields: { hasImage: { $gt: ['$image', null] } } },
+      { $project: { _id: 0, __v: 0, image: 0 } }
+    ]);
+  }
+
+  async get(url, selector) {
+    return await this.CapturedElement.findOne({ url, selector }).select('-_id -__v').lean();
+  }
+
+  async save(entry) {
+    await this.CapturedElement.findOneAndUpdate(
+      { url: entry.url, selector: entry.selector },
+      entry,
+      { upsert: true }
+    );
+  }
+
+  async update(url, selector, changes) {
+    return await this.CapturedElement
+      .findOneAndUpdate({ url, selector }, changes, { new: true })
+      .select('-_id -__v')
+      .lean();
+  }
+
+  async delete(url, selector) {
+    const { deletedCount } = await this.CapturedElement.deleteOne({ url, selector });
+    return deletedCount > 0;
+  }
+
+  async deleteOlderThan(timestamp, url) {
+    const { deletedCount } = await this.CapturedElement.deleteMany({
+      timestamp: { $lt: timestamp },
+      ...(url !== undefined && { url })
+    });
+    return deletedCount;
+  }
+}
+
+class FileElementStore {
+  /**
+   * @param {string} filePath - JSON file holding all captured elements; their screenshots are kept beside it
+   */
+  constructor(filePath) {
+    this.collection = new JsonCollection(filePath, {
+      empty: { elements: [] },
+      parse: stored => new Map(stored.elements.map(entry => [entryKey(entry.url, entry.selector), entry])),
+      serialize: elements => ({ elements: Array.from(elements.values()) }),
+      describe: elements => `${elements.size} captured element(s)`
+    });
+    this.images = BlobDirectory.besideFile(filePath);
+  }
+
+  async list(url, options = {}) {
+    const elements = await this.collection.load();
+    const entries = Array.from(elements.values())
+      .filter(entry => url === undefined || entry.url === url)
+      .sort((a, b) => a.url.localeCompare(b.url) || a.selector.localeCompare(b.selector));
+    if (options.images) {
+      return await Promise.all(entries.map(entry => this.withImage(entry)));
+    }
+    return entries.map(entry => {
+      const summary = { ...clone(entry), hasImage: Boolean(entry.image) };
+      delete summary.image;
+      return summary;
+    });
+  }
+
+  async get(url, selector) {
+    const elements = await this.collection.load();
+    const entry = elements.get(entryKey(url, selector));
+    return entry ? await this.withImage(entry) : null;
+  }
+
+  // Fields missing from `entry` keep their stored value, like an update in MongoDB
+  async save(entry) {
+    const elements = await this.collection.load();
+    const key = entryKey(entry.url, entry.selector);
+    elements.set(key, { ...elements.get(key), ...await this.storeImage(key, entry) });
+    await this.collection.save();
+  }
+
+  async update(url, selector, changes) {
+    const elements = await this.collection.load();
+    const key = entryKey(url, selector);
+    if (!elements.has(key)) return null;
+
+    elements.set(key, { ...elements.get(key), ...await this.storeImage(key, changes) });
+    await this.collection.save();
+    return await this.withImage(elements.get(key));
+  }
+
+  async delete(url, selector) {
+    const elements = await this.collection.load();
+    const key = entryKey(url, selector);
+    if (!elements.delete(key)) return false;
+
+    await this.collection.save();
+    await this.images.delete(imageName(key));
+    return true;
+  }
+
+  async deleteOlderThan(timestamp, url) {
+    const elements = await this.collection.load();
+    const deleted = [];
+    for (const [key, entry] of elements) {
+      if (entry.timestamp < timestamp && (url === undefined || entry.url === url)) {
+        elements.delete(key);
+        deleted.push(key);
+      }
+    }
+    if (deleted.length > 0) {
+      await this.collection.save();
+      await Promise.all(deleted.map(key => this.images.delete(imageName(key))));
+    }
+    return deleted.length;
+  }
+
+  // Screenshots go to their own file, so a capture does not rewrite every other element's screenshot; the entry keeps its file name
+  async storeImage(key, fields) {
+    const stored = clone(fields);
+    if (typeof stored.image === 'string') {
+      await this.images.write(imageName(key), Buffer.from(stored.image, 'base64'));
+      stored.image = imageName(key);
+    } else if (stored.image === null) {
+      await this.images.delete(imageName(key));
+    }
+    return stored;
+  }
+
+  async withImage(entry) {
+    const element = clone(entry);
+    if (typeof element.image === 'string') {
+      const image = await this.images.read(element.image);
+      element.image = image ? image.toString('base64') : null;
+    }
+    return element;
+  }
+}
+
+class ElementRepository {
+  /**
+   * @param {MongoElementStore|FileElementStore} store - Where entries are kept
+   */
+  constructor(store) {
+    this.store = store;
   }
   
   async captureElement(selector, page) {
     try {
-      // Check if element exists
+      // Check if element exists; Playwright's selectors pierce open shadow roots
       const element = await page.$(selector);
       if (!element) return;
       
-      // Generate alternative selectors
-      const alternativeSelectors = await page.evaluate((sel) => {
-        const el = document.querySelector(sel);
-        if (!el) return [];
-        
+      // Generate alternative selectors from the element itself, so elements inside shadow roots are covered too
+      const alternativeSelectors = await element.evaluate((el) => {
         const selectors = [];
         
         // ID-based selector
         if (el.id) selectors.push(`#${el.id}`);
         
         // Class-based selector
-        if (el.className) {
+        if (typeof el.className === 'string' && el.className) {
           const classes = el.className.split(' ').filter(c => c.trim());
           if (classes.length > 0) {
             selectors.push(`.${classes.join('.')}`);
@@ -37,9 +223,19 @@ class ElementRepository {
         // Tag + attribute selector
         selectors.push(`${el.tagName.toLowerCase()}${selectors[0] || ''}`);
         
+        // Inside a shadow root, qualify the selectors with the host chain; XPath cannot cross shadow roots
+        const hosts = [];
+        for (let root = el.getRootNode(); root instanceof ShadowRoot; root = root.host.getRootNode()) {
+          const host = root.host;
+          hosts.unshift(host.id ? `#${host.id}` : host.tagName.toLowerCase());
+        }
+        if (hosts.length > 0) {
+          return selectors.map(own => `${hosts.join(' ')} ${own}`);
+        }
+        
         // XPath
         const getXPath = function(element) {
-          if (!element) return '';
+          if (!element || element.nodeType !== Node.ELEMENT_NODE) return '';
           if (element.id) return `//*[@id="${element.id}"]`;
           
           const sameTagSiblings = Array.from(element.parentNode.children)
@@ -53,17 +249,14 @@ class ElementRepository {
         selectors.push(getXPath(el));
         
         return selectors;
-      }, selector);
+      });
       
       // Take screenshot of the element
       const elementScreenshot = await element.screenshot({ type: 'jpeg', quality: 90 });
       const elementScreenshotBase64 = elementScreenshot.toString('base64');
       
       // Get nearby text for context
-      const nearbyText = await page.evaluate((sel) => {
-        const el = document.querySelector(sel);
-        if (!el) return '';
-        
+      const nearbyText = await element.evaluate((el) => {
         // Get element's own text
         let text = el.textContent ? el.textContent.trim() : '';
         
@@ -85,17 +278,23 @@ class ElementRepository {
         }
         
         return text.substring(0, 100); // Limit length
-      }, selector);
+      });
       
       // Get bounding box for visual matching
       const boundingBox = await element.boundingBox();
       
+      // Everything healing scores candidates against
+      const fingerprint = await fingerprintElement(element);
+      
       // Store element data
-      this.elements.set(selector, {
+      await this.store.save({
+        url: urlPattern(page.url()),
+        selector,
         alternativeSelectors,
         image: elementScreenshotBase64,
         boundingBox,
         nearbyText,
+        fingerprint,
         timestamp: Date.now()
       });
       
@@ -105,8 +304,18 @@ class ElementRepository {
     }
   }
   
-  getAlternativeSelector(selector) {
-    const elementData = this.elements.get(selector);
+  /**
+   * Alternative selector captured for a selector on a page
+   *
+   * @param {string} selector - Selector the element was captured with
+   * @param {string} url - URL of the page
+   * @returns {Promise<string|null>} Pinned selector, or else the first alternative selector, if any
+   */
+  async getAlternativeSelector(selector, url) {
+    const elementData = await this.getElementData(selector, url);
+    if (elementData && elementData.preferredSelector) {
+      return elementData.preferredSelector;
+    }
     if (!elementData || !elementData.alternativeSelectors || elementData.alternativeSelectors.length === 0) {
       return null;
     }
@@ -114,8 +323,15 @@ class ElementRepository {
     return elementData.alternativeSelectors[0];
   }
   
-  getElementSnapshot(selector) {
-    const elementData = this.elements.get(selector);
+  /**
+   * Screenshot of an element as it was captured
+   *
+   * @param {string} selector - Selector the element was captured with
+   * @param {string} url - URL of the page
+   * @returns {Promise<Object|null>} Base64 JPEG `image`, `boundingBox` and `timestamp`
+   */
+  async getElementSnapshot(selector, url) {
+    const elementData = await this.getElementData(selector, url);
     if (!elementData || !elementData.image) {
       return null;
     }
@@ -127,20 +343,201 @@ class ElementRepository {
     };
   }
   
-  getElementData(selector) {
-    return this.elements.get(selector) || null;
+  /**
+   * Everything captured for a selector on a page
+   *
+   * @param {string} selector - Selector the element was captured with
+   * @param {string} url - URL of the page; any URL with the same pattern matches
+   * @returns {Promise<Object|null>} Captured element
+   */
+  async getElementData(selector, url) {
+    return await this.store.get(urlPattern(url), selector);
+  }
+  
+  /**
+   * List captured elements without their screenshots
+   *
+   * @param {string} [url] - Only list elements of the page with this URL (or URL pattern)
+   * @returns {Promise<Array<Object>>} Elements sorted by URL pattern and selector, with `hasImage`
+   */
+  async listElements(url) {
+    return await this.store.list(url !== undefined ? urlPattern(url) : undefined);
   }
   
-  clearOldEntries(maxAgeMs = 1000 * 60 * 60) { // 1 hour default
-    const now = Date.now();
-    for (const [selector, data] of this.elements.entries()) {
-      if (now - data.timestamp > maxAgeMs) {
-        this.elements.delete(selector);
+  /**
+   * Pin the selector self-healing tries first for an element
+   *
+   * @param {string} selector - Selector the element was captured with
+   * @param {string} url - URL of the page
+   * @param {string|null} preferredSelector - Selector to pin, or null to unpin
+   * @returns {Promise<Object|null>} Updated element, or null if it was never captured
+   */
+  async pinSelector(selector, url, preferredSelector) {
+    return await this.store.update(urlPattern(url), selector, { preferredSelector });
+  }
+  
+  /**
+   * Forget one captured element
+   *
+   * @param {string} selector - Selector the element was captured with
+   * @param {string} url - URL of the page
+   * @returns {Promise<boolean>} Whether there was such an element
+   */
+  async deleteElement(selector, url) {
+    return await this.store.delete(urlPattern(url), selector);
+  }
+  
+  /**
+   * Forget elements captured longer ago than maxAgeMs
+   *
+   * @param {number} [maxAgeMs] - Maximum age in milliseconds (default: 1 hour)
+   * @param {string} [url] - Only forget elements of the page with this URL (or URL pattern)
+   * @returns {Promise<number>} Number of entries removed
+   */
+  async clearOldEntries(maxAgeMs = 1000 * 60 * 60, url) {
+    return await this.store.deleteOlderThan(Date.now() - maxAgeMs, url !== undefined ? urlPattern(url) : undefined);
+  }
+  
+  /**
+   * Export every captured element, screenshots included
+   *
+   * @returns {Promise<Object>} `{ version, exportedAt, elements }`, the format importElements reads
+   */
+  async exportElements() {
+    return {
+      version: EXPORT_VERSION,
+      exportedAt: new Date().toISOString(),
+      elements: await this.store.list(undefined, { images: true })
+    };
+  }
+  
+  /**
+   * Import elements exported by exportElements, e.g. from a teammate.
+   * An element that is already stored is only replaced by a newer capture.
+   *
+   * @param {Object} data - Export document
+   * @returns {Promise<{imported: number, skipped: number}>} Counts of elements
+   * @throws {Joi.ValidationError} If the document is not an element export
+   */
+  async importElements(data) {
+    const { error, value } = exportSchema.validate(data, { abortEarly: false });
+    if (error) {
+      throw error;
+    }
+    
+    let imported = 0;
+    for (const element of value.elements) {
+      const existing = await this.store.get(element.url, element.selector);
+      if (!existing || !(existing.timestamp > element.timestamp)) {
+        await this.store.save(element);
+        imported++;
       }
     }
+    return { imported, skipped: value.elements.length - imported };
+  }
+}
+
+const EXPORT_VERSION = 1;
+
+const elementSchema = Joi.object({
+  url: Joi.string().required(),
+  selector: Joi.string().required(),
+  alternativeSelectors: Joi.array().items(Joi.string()).default([]),
+  preferredSelector: Joi.string().allow(null),
+  image: Joi.string().allow(null),
+  boundingBox: Joi.object({
+    x: Joi.number().required(),
+    y: Joi.number().required(),
+    width: Joi.number().required(),
+    height: Joi.number().required()
+  }).allow(null),
+  nearbyText: Joi.string().allow(''),
+  timestamp: Joi.number().required()
+}).unknown(true);
+
+const exportSchema = Joi.object({
+  version: Joi.number().valid(EXPORT_VERSION).required(),
+  exportedAt: Joi.string(),
+  elements: Joi.array().items(elementSchema).required()
+});
+
+let currentRepository = null;
+
+/**
+ * Create the repository with the store selected by the storage config
+ *
+ * @param {Object} [storage] - Storage config (defaults to the current config)
+ * @returns {ElementRepository} Repository
+ */
+function createElementRepository(storage = getConfig().storage) {
+  return new ElementRepository(resolveStorageDriver(storage) === 'mongodb'
+    ? new MongoElementStore()
+    : new FileElementStore(storage.elementsFilePath));
+}
+
+/**
+ * Get the shared repository, creating it from the config on first use
+ *
+ * @returns {ElementRepository} Repository
+ */
+function getElementRepository() {
+  if (!currentRepository) {
+    currentRepository = createElementRepository();
+  }
+  return currentRepository;
+}
+
+/**
+ * Replace the shared repository (e.g. with one using a custom store)
+ *
+ * @param {ElementRepository|null} repository - Repository, or null to recreate it from the config
+ */
+function setElementRepository(repository) {
+  currentRepository = repository;
+}
+
+/**
+ * The URL pattern elements of a page are stored under
+ *
+ * @param {string} url - Page URL
+ * @returns {string} Origin and path, with ids in the path replaced by `*`
+ */
+function urlPattern(url) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch (error) {
+    return url;
+  }
+  if (parsed.origin === 'null') {
+    // about:blank, data: and similar URLs have no origin to speak of
+    return `${parsed.protocol}${parsed.pathname}`;
   }
+
+  const path = parsed.pathname
+    .split('/')
+    .map(segment => ID_SEGMENT.test(segment) ? '*' : segment)
+    .join('/');
+  return `${parsed.origin}${path}`;
+}
+
+// Numbers, UUIDs and hexadecimal ids such as MongoDB object ids
+const ID_SEGMENT = /^(\d+|[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}|(?=[a-f]*\d)[0-9a-f]{16,})$/i;
+
+function entryKey(url, selector) {
+  return JSON.stringify([url, selector]);
+}
+
+function imageName(key) {
+  return `${crypto.createHash('sha1').update(key).digest('hex')}.jpg`;
 }
 
 module.exports = {
-  ElementRepository
-};
\ No newline at end of file
+  ElementRepository,
+  MongoElementStore,
+  FileElementStore,
+  createElementRepository,
+  getElementRepository,
+  setElementRepository,
+  urlPattern
+};
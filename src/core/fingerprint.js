@@ -0,0 +1,362 @@
+/**
+ * Fingerprint Module
+ *
+ * A fingerprint describes an element by many features at once, so
+ * self-healing can tell the element it lost from others that merely match
+ * a looser selector:
+ *
+ *   tag        - tag name
+ *   attributes - attributes other than class and style, plus the class list
+ *   text       - text content, whitespace collapsed (first 100 characters)
+ *   role       - explicit or implicit ARIA role
+ *   name       - accessible name (aria-label, aria-labelledby, label, alt, title, placeholder or text)
+ *   path       - tag names from the root down to the element, across shadow roots
+ *   siblings   - tags of the previous and next sibling and the index among same-tag siblings
+ *   parent     - tag, id and classes of the parent (the host for shadow root children)
+ *   position   - bounding box in page coordinates
+ *
+ * scoreFingerprint compares two fingerprints feature by feature (0 to 1
+ * each) and combines the features both sides have with the configured
+ * `selfHealing.weights` into one similarity score.
+ */
+
+const { getConfig } = require('../utils/config');
+
+// Centers further apart than this many pixels have no position similarity left
+const POSITION_RANGE = 500;
+
+/**
+ * Runs in the browser. With an element, returns its fingerprint. With null,
+ * returns the fingerprints of every rendered element of the document and
+ * its open shadow roots. With the index of one of those, or a point
+ * `{ x, y }` in viewport coordinates, returns a selector for that element
+ * (chained with `>>` into shadow roots).
+ *
+ * Self-contained, since Playwright serializes it into the page.
+ *
+ * @param {Element|number|Object|null} target - Element, candidate index, point or null
+ * @returns {Object|Array<Object>|string|null} Fingerprint, fingerprints or selector
+ */
+function inspectElements(target) {
+  const MAX_TEXT = 100;
+  const MAX_CANDIDATES = 5000;
+  const SKIPPED_TAGS = ['html', 'head', 'body', 'script', 'style', 'meta', 'link', 'title', 'noscript', 'template', 'br'];
+  const IMPLICIT_ROLES = {
+    button: 'button', select: 'combobox', textarea: 'textbox', img: 'img', nav: 'navigation', form: 'form',
+    table: 'table', ul: 'list', ol: 'list', li: 'listitem', dialog: 'dialog', option: 'option'
+  };
+  const INPUT_ROLES = {
+    checkbox: 'checkbox', radio: 'radio', button: 'button', submit: 'button', reset: 'button',
+    image: 'button', range: 'slider', search: 'searchbox', number: 'spinbutton'
+  };
+
+  const clean = text => (text || '').replace(/\s+/g, ' ').trim().slice(0, MAX_TEXT);
+  const tagOf = el => el.tagName.toLowerCase();
+  const classesOf = el => typeof el.className === 'string' ? el.className.split(/\s+/).filter(Boolean) : [];
+  const parentOf = el => el.parentElement || (el.parentNode instanceof ShadowRoot ? el.parentNode.host : null);
+
+  const roleOf = el => {
+    const explicit = el.getAttribute('role');
+    if (explicit) return explicit.trim().split(/\s+/)[0];
+    const tag = tagOf(el);
+    if (tag === 'input') return INPUT_ROLES[(el.getAttribute('type') || 'text').toLowerCase()] || 'textbox';
+    if (tag === 'a') return el.hasAttribute('href') ? 'link' : '';
+    if (/^h[1-6]$/.test(tag)) return 'heading';
+    return IMPLICIT_ROLES[tag] || '';
+  };
+
+  const nameOf = el => {
+    if (el.getAttribute('aria-label')) return clean(el.getAttribute('aria-label'));
+    const labelledBy = el.getAttribute('aria-labelledby');
+    if (labelledBy) {
+      const root = el.getRootNode();
+      const text = labelledBy.split(/\s+/)
+        .map(id => root.getElementById(id))
+        .filter(Boolean)
+        .map(label => label.textContent)
+        .join(' ');
+      if (clean(text)) return clean(text);
+    }
+    if (el.labels && el.labels.length > 0) return clean(el.labels[0].textContent);
+    return clean(el.getAttribute('alt') || el.getAttribute('title') || el.getAttribute('placeholder') || el.textContent);
+  };
+
+  const fingerprint = el => {
+    const attributes = {};
+    for (const attribute of el.attributes) {
+      if (attribute.name !== 'class' && attribute.name !== 'style') {
+        attributes[attribute.name] = attribute.value.slice(0, MAX_TEXT);
+      }
+    }
+
+    const path = [];
+    for (let node = el; node; node = parentOf(node)) path.unshift(tagOf(node));
+
+    const siblings = el.parentNode ? Array.from(el.parentNode.children).filter(sibling => sibling.tagName === el.tagName) : [el];
+    const parent = parentOf(el);
+    const rect = el.getBoundingClientRect();
+
+    return {
+      tag: tagOf(el),
+      attributes,
+      classes: classesOf(el),
+      text: clean(el.textContent),
+      role: roleOf(el),
+      name: nameOf(el),
+      path,
+      siblings: {
+        previous: el.previousElementSibling ? tagOf(el.previousElementSibling) : null,
+        next: el.nextElementSibling ? tagOf(el.nextElementSibling) : null,
+        index: siblings.indexOf(el)
+      },
+      parent: parent ? { tag: tagOf(parent), id: parent.id || null, classes: classesOf(parent) } : null,
+      position: { x: rect.x + window.scrollX, y: rect.y + window.scrollY, width: rect.width, height: rect.height }
+    };
+  };
+
+  if (target instanceof Element) {
+    return fingerprint(target);
+  }
+
+  const candidates = [];
+  const collect = root => {
+    for (const el of root.querySelectorAll('*')) {
+      if (candidates.length >= MAX_CANDIDATES) return;
+      if (el.shadowRoot) collect(el.shadowRoot);
+      if (SKIPPED_TAGS.includes(tagOf(el))) continue;
+      const rect = el.getBoundingClientRect();
+      if (rect.width > 0 || rect.height > 0) candidates.push(el);
+    }
+  };
+
+  if (target === null) {
+    collect(document);
+    return candidates.map(fingerprint);
+  }
+
+  // Shortest selector that is unique within the element's document or shadow root
+  const localSelector = el => {
+    const root = el.getRootNode();
+    const unique = selector => {
+      try {
+        return root.querySelectorAll(selector).length === 1;
+      } catch (error) {
+        return false;
+      }
+    };
+
+    if (el.id && unique(`#${CSS.escape(el.id)}`)) return `#${CSS.escape(el.id)}`;
+    for (const name of ['data-testid', 'data-test', 'name', 'aria-label']) {
+      const value = el.getAttribute(name);
+      const selector = value && `${tagOf(el)}[${name}="${value.replace(/["\\]/g, '\\$&')}"]`;
+      if (selector && unique(selector)) return selector;
+    }
+
+    const steps = [];
+    for (let node = el; node && node.nodeType === Node.ELEMENT_NODE; node = node.parentElement) {
+      if (node !== el && node.id && unique(`#${CSS.escape(node.id)}`)) {
+        steps.unshift(`#${CSS.escape(node.id)}`);
+        break;
+      }
+      const sameTag = Array.from(node.parentNode ? node.parentNode.children : []).filter(sibling => sibling.tagName === node.tagName);
+      steps.unshift(sameTag.length > 1 ? `${tagOf(node)}:nth-of-type(${sameTag.indexOf(node) + 1})` : tagOf(node));
+    }
+    return steps.join(' > ');
+  };
+
+  const selectorOf = el => {
+    const root = el.getRootNode();
+    return root instanceof ShadowRoot ? `${selectorOf(root.host)} >> ${localSelector(el)}` : localSelector(el);
+  };
+
+  if (typeof target === 'number') {
+    collect(document);
+    return candidates[target] ? selectorOf(candidates[target]) : null;
+  }
+
+  // The innermost element at the point, looking into open shadow roots
+  let el = document.elementFromPoint(target.x, target.y);
+  while (el && el.shadowRoot) {
+    const inner = el.shadowRoot.elementFromPoint(target.x, target.y);
+    if (!inner || inner === el) break;
+    el = inner;
+  }
+  return el && !SKIPPED_TAGS.includes(tagOf(el)) ? selectorOf(el) : null;
+}
+
+/**
+ * Fingerprint an element
+ *
+ * @param {Object} element - Playwright element handle
+ * @returns {Promise<Object>} Fingerprint
+ */
+async function fingerprintElement(element) {
+  return await element.evaluate(inspectElements);
+}
+
+/**
+ * Compare a stored fingerprint with another element's
+ *
+ * @param {Object} expected - Fingerprint of the element being healed
+ * @param {Object} actual - Fingerprint of a candidate element
+ * @param {Object} [weights] - Weight per feature (default: `selfHealing.weights`)
+ * @returns {{score: number, breakdown: Object}} Weighted score from 0 to 1, and the similarity of each feature
+ */
+function scoreFingerprint(expected, actual, weights = getWeights()) {
+  const breakdown = {};
+  let total = 0;
+  let weightSum = 0;
+
+  for (const [feature, compare] of Object.entries(features)) {
+    const similarity = compare(expected, actual);
+    // A feature neither element has says nothing either way
+    if (similarity === null) continue;
+
+    breakdown[feature] = round(similarity);
+    total += similarity * (weights[feature] || 0);
+    weightSum += weights[feature] || 0;
+  }
+
+  return { score: weightSum > 0 ? round(total / weightSum) : 0, breakdown };
+}
+
+/**
+ * Find the candidate most similar to a fingerprint
+ *
+ * @param {Object} expected - Fingerprint of the element being healed
+ * @param {Array<Object>} candidates - Candidate fingerprints
+ * @param {Object} [weights] - Weight per feature (default: `selfHealing.weights`)
+ * @returns {{index: number, score: number, breakdown: Object}|null} Best candidate, or null if there are none
+ */
+function findBestMatch(expected, candidates, weights = getWeights()) {
+  let best = null;
+  candidates.forEach((candidate, index) => {
+    const { score, breakdown } = scoreFingerprint(expected, candidate, weights);
+    if (!best || score > best.score) {
+      best = { index, score, breakdown };
+    }
+  });
+  return best;
+}
+
+function getWeights() {
+  return getConfig().selfHealing.weights;
+}
+
+// Each feature compares two fingerprints from 0 (different) to 1 (same), or null if neither has it
+const features = {
+  tag: (a, b) => a.tag === b.tag ? 1 : 0,
+  attributes: (a, b) => {
+    const names = new Set([...Object.keys(a.attributes || {}), ...Object.keys(b.attributes || {})]);
+    const hasClasses = (a.classes || []).length > 0 || (b.classes || []).length > 0;
+    if (names.size === 0 && !hasClasses) return null;
+
+    let total = hasClasses ? jaccard(a.classes, b.classes) : 0;
+    for (const name of names) {
+      const left = (a.attributes || {})[name];
+      const right = (b.attributes || {})[name];
+      total += left !== undefined && right !== undefined ? textSimilarity(left, right) : 0;
+    }
+    return total / (names.size + (hasClasses ? 1 : 0));
+  },
+  text: (a, b) => optionalText(a.text, b.text),
+  role: (a, b) => !a.role && !b.role ? null : (a.role === b.role ? 1 : 0),
+  name: (a, b) => optionalText(a.name, b.name),
+  path: (a, b) => {
+    if (!a.path || !b.path) return null;
+    return commonSubsequence(a.path, b.path) / Math.max(a.path.length, b.path.length, 1);
+  },
+  siblings: (a, b) => {
+    if (!a.siblings || !b.siblings) return null;
+    const same = ['previous', 'next', 'index'].filter(key => a.siblings[key] === b.siblings[key]);
+    return same.length / 3;
+  },
+  parent: (a, b) => {
+    if (!a.parent && !b.parent) return null;
+    if (!a.parent || !b.parent) return 0;
+    const scores = [a.parent.tag === b.parent.tag ? 1 : 0];
+    if (a.parent.id || b.parent.id) scores.push(a.parent.id === b.parent.id ? 1 : 0);
+    if (a.parent.classes.length > 0 || b.parent.classes.length > 0) scores.push(jaccard(a.parent.classes, b.parent.classes));
+    return scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  },
+  position: (a, b) => {
+    if (!a.position || !b.position) return null;
+    const distance = Math.hypot(
+      (a.position.x + a.position.width / 2) - (b.position.x + b.position.width / 2),
+      (a.position.y + a.position.height / 2) - (b.position.y + b.position.height / 2)
+    );
+    const size = (ratio(a.position.width, b.position.width) + ratio(a.position.height, b.position.height)) / 2;
+    return (Math.max(0, 1 - distance / POSITION_RANGE) + size) / 2;
+  }
+};
+
+function optionalText(a, b) {
+  if (!a && !b) return null;
+  return textSimilarity(a || '', b || '');
+}
+
+/**
+ * Similarity of two strings from their character pairs (Dice coefficient), ignoring case
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} 1 for equal strings, 0 for strings without a pair in common
+ */
+function textSimilarity(a, b) {
+  const left = String(a).toLowerCase();
+  const right = String(b).toLowerCase();
+  if (left === right) return 1;
+  if (left.length < 2 || right.length < 2) return 0;
+
+  const pairs = new Map();
+  for (let i = 0; i < left.length - 1; i++) {
+    const pair = left.slice(i, i + 2);
+    pairs.set(pair, (pairs.get(pair) || 0) + 1);
+  }
+
+  let shared = 0;
+  for (let i = 0; i < right.length - 1; i++) {
+    const pair = right.slice(i, i + 2);
+    if (pairs.get(pair) > 0) {
+      pairs.set(pair, pairs.get(pair) - 1);
+      shared++;
+    }
+  }
+  return (2 * shared) / (left.length + right.length - 2);
+}
+
+function jaccard(a = [], b = []) {
+  const union = new Set([...a, ...b]);
+  if (union.size === 0) return 1;
+  return a.filter(item => b.includes(item)).length / union.size;
+}
+
+// Length of the longest common subsequence of two lists
+function commonSubsequence(a, b) {
+  let previous = new Array(b.length + 1).fill(0);
+  for (const item of a) {
+    const current = [0];
+    for (let j = 0; j < b.length; j++) {
+      current.push(item === b[j] ? previous[j] + 1 : Math.max(previous[j + 1], current[j]));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+function ratio(a, b) {
+  if (a === b) return 1;
+  return Math.min(a, b) / Math.max(a, b);
+}
+
+function round(value) {
+  return Math.round(value * 1000) / 1000;
+}
+
+module.exports = {
+  inspectElements,
+  fingerprintElement,
+  scoreFingerprint,
+  findBestMatch,
+  textSimilarity
+};
@@ -0,0 +1,195 @@
+/**
+ * Flow Control Module
+ *
+ * Runs the flow-control steps of a test case. Their nested steps go back
+ * through the test runner, so they get the same retries, skipIfFailed
+ * handling and failure screenshots as top-level steps.
+ *
+ *   if           - runs `steps` when a condition holds and `elseSteps`
+ *                  otherwise. The condition is an assertion command
+ *                  (`assertion`, default `assert_visible`) with its
+ *                  parameters, checked once unless a `timeout` is given.
+ *   forEach      - runs `steps` once per item of `items`, or of the values
+ *                  `extract_all` returns for `selector` (and `attribute`,
+ *                  `frame`).
+ *                  The item and its index are available as `${item}` and
+ *                  `${index}` (renamed with `as` and `indexAs`).
+ *   retryBlock   - runs `steps` up to `attempts` times (default 2) until
+ *                  none of them fails, waiting `delay` ms in between.
+ *   callTestCase - runs the steps of the stored test case `testCaseId`
+ *                  with the caller's variables plus `inputs`.
+ *
+ * Each returns its own status along with the nested results: `stepResults`
+ * (if, callTestCase), `iterations` (forEach) or `attempts` (retryBlock).
+ */
+
+const { handleAutomationCommand } = require('./automation-backend');
+const { AssertionFailedError, isAssertionCommand } = require('./assertions');
+const { getTestCaseRepository } = require('./test-case-repository');
+
+const DEFAULT_RETRY_ATTEMPTS = 2;
+
+// callTestCase chains deeper than this are almost certainly a mistake
+const MAX_CALL_DEPTH = 10;
+
+const flowSteps = {
+  if: runIf,
+  forEach: runForEach,
+  retryBlock: runRetryBlock,
+  callTestCase: runCallTestCase
+};
+
+/**
+ * Run a flow-control step
+ *
+ * @param {Object} step - Step whose command is one of FLOW_COMMANDS
+ * @param {Object} params - Step parameters, with variables already resolved
+ * @param {Object} context - Run context
+ * @param {string} context.sessionId - Session to run in
+ * @param {Object} context.variables - Variables for the nested steps
+ * @param {number} [context.retries] - Extra attempts for nested steps with retryOnFailure
+ * @param {Array<string>} context.callStack - Ids of the test cases being run, outermost first
+ * @param {Function} context.runSteps - The test runner's runSteps
+ * @returns {Promise<Object>} Status, error and nested results
+ * @throws {Error} If the step is misconfigured
+ */
+async function runFlowStep(step, params, context) {
+  const run = flowSteps[step.command];
+  if (!run) {
+    throw new Error(`Unknown flow-control command: ${step.command}`);
+  }
+  return await run(step, params, context);
+}
+
+async function runIf(step, params, context) {
+  const condition = await evaluateCondition(params, context.sessionId);
+  const branch = condition.passed ? 'then' : 'else';
+  const { stepResults, aborted } = await runNested(condition.passed ? step.steps : step.elseSteps, context, context.variables);
+
+  return {
+    ...outcome(aborted, `A step in the ${branch} branch failed`),
+    condition,
+    branch,
+    stepResults
+  };
+}
+
+async function evaluateCondition(params, sessionId) {
+  const { assertion = 'assert_visible', ...assertionParams } = params;
+  if (!isAssertionCommand(assertion)) {
+    throw new Error(`if needs an assertion command as its condition, not ${assertion}`);
+  }
+
+  try {
+    const result = await handleAutomationCommand(assertion, { timeout: 0, ...assertionParams, sessionId });
+    return { assertion, passed: true, expected: result.expected, actual: result.actual };
+  } catch (error) {
+    // A failed assertion is a false condition; anything else is a broken step
+    if (error instanceof AssertionFailedError) {
+      return { assertion, passed: false, expected: error.details.expected, actual: error.details.actual };
+    }
+    throw error;
+  }
+}
+
+async function runForEach(step, params, context) {
+  const items = params.items !== undefined
+    ? params.items
+    : params.selector && (await handleAutomationCommand('extract_all', {
+      selector: params.selector,
+      attribute: params.attribute,
+      frame: params.frame,
+      sessionId: context.sessionId
+    })).data;
+
+  if (!Array.isArray(items)) {
+    throw new Error('forEach needs an items array or a selector to extract them from');
+  }
+
+  const itemName = params.as || 'item';
+  const indexName = params.indexAs || 'index';
+  const iterations = [];
+  let aborted = false;
+
+  // A failing iteration stops the loop, like a failing step stops a run
+  for (let index = 0; index < items.length && !aborted; index++) {
+    const variables = { ...context.variables, [itemName]: items[index], [indexName]: index };
+    const nested = await runNested(step.steps, context, variables);
+    iterations.push({ index, item: items[index], stepResults: nested.stepResults });
+    aborted = nested.aborted;
+  }
+
+  return {
+    ...outcome(aborted, `Iteration ${iterations.length - 1} failed`),
+    iterations
+  };
+}
+
+async function runRetryBlock(step, params, context) {
+  const maxAttempts = Math.max(1, Number(params.attempts) || DEFAULT_RETRY_ATTEMPTS);
+  const delay = Number(params.delay) || 0;
+  const attempts = [];
+  let aborted = true;
+
+  for (let attempt = 1; attempt <= maxAttempts && aborted; attempt++) {
+    if (attempt > 1 && delay > 0) {
+      await new Promise(resolve => setTimeout(resolve, delay));
+    }
+    const nested = await runNested(step.steps, context, context.variables);
+    attempts.push({ attempt, stepResults: nested.stepResults });
+    aborted = nested.aborted;
+  }
+
+  return {
+    ...outcome(aborted, `Block failed after ${attempts.length} attempt(s)`),
+    attempts
+  };
+}
+
+async function runCallTestCase(step, params, context) {
+  const testCaseId = params.testCaseId && String(params.testCaseId);
+  if (!testCaseId) {
+    throw new Error('callTestCase needs a testCaseId');
+  }
+  if (context.callStack.includes(testCaseId)) {
+    throw new Error(`callTestCase would call test case ${testCaseId} recursively`);
+  }
+  if (context.callStack.length >= MAX_CALL_DEPTH) {
+    throw new Error(`callTestCase is nested more than ${MAX_CALL_DEPTH} levels deep`);
+  }
+
+  const testCase = await getTestCaseRepository().get(testCaseId);
+  if (!testCase) {
+    throw new Error(`Test case not found: ${testCaseId}`);
+  }
+
+  const { stepResults, aborted } = await runNested(
+    testCase.steps,
+    { ...context, callStack: [...context.callStack, testCaseId] },
+    { ...context.variables, ...params.inputs }
+  );
+
+  return {
+    ...outcome(aborted, `A step in test case "${testCase.name}" failed`),
+    testCaseId,
+    name: testCase.name,
+    ...(testCase.revision !== undefined && { revision: testCase.revision }),
+    stepResults
+  };
+}
+
+function runNested(steps, context, variables) {
+  return context.runSteps(steps || [], context.sessionId, {
+    retries: context.retries,
+    variables,
+    callStack: context.callStack
+  });
+}
+
+function outcome(aborted, error) {
+  return aborted ? { status: 'failure', error } : { status: 'success' };
+}
+
+module.exports = {
+  runFlowStep
+};
@@ -0,0 +1,138 @@
+/**
+ * Frames Module
+ *
+ * Element commands take an optional `frame` parameter to run inside an
+ * iframe instead of the top document. It can be:
+ *
+ *   "checkout"                        - the frame's name
+ *   ["#payment", "iframe.card-field"] - a chain of iframe selectors, outermost first
+ *   { name: "checkout" }              - the frame's name
+ *   { url: "js.stripe.com" }          - a substring of the frame's URL
+ *   { selector: "#payment" }          - an iframe selector, or a chain of them
+ *
+ * Commands that act on the page as a whole ignore `frame`.
+ */
+
+const FRAME_LOOKUP_INTERVAL = 100;
+
+// Navigation, page management, screenshots and desktop input are not scoped to a frame
+const PAGE_COMMANDS = [
+  'navigate',
+  'screenshot',
+  'desktop_click',
+  'desktop_type',
+  'wait',
+  'list_pages',
+  'switch_page',
+  'new_page',
+  'close_page',
+  'wait_for_popup'
+];
+
+class FrameNotFoundError extends Error {
+  constructor(frame, reason) {
+    super(`Frame not found: ${describeFrame(frame)}${reason ? ` (${reason})` : ''}`);
+    this.name = 'FrameNotFoundError';
+    this.frame = frame;
+  }
+}
+
+/**
+ * Whether a command runs inside the frame given in its `frame` parameter
+ *
+ * @param {string} command - Automation command
+ * @returns {boolean} False for commands that act on the whole page
+ */
+function usesFrame(command) {
+  return !PAGE_COMMANDS.includes(command);
+}
+
+/**
+ * Turn a `frame` parameter into `{ name }`, `{ url }` or `{ selector: [...] }`
+ *
+ * @param {string|Array<string>|Object} frame - Frame parameter
+ * @returns {Object} Normalized frame reference
+ * @throws {Error} If the parameter has none of the supported forms
+ */
+function normalizeFrame(frame) {
+  if (typeof frame === 'string' && frame) {
+    return { name: frame };
+  }
+  if (Array.isArray(frame) && frame.length > 0 && frame.every(selector => typeof selector === 'string' && selector)) {
+    return { selector: frame };
+  }
+  if (frame && typeof frame === 'object' && !Array.isArray(frame)) {
+    const keys = ['name', 'url', 'selector'].filter(key => frame[key] !== undefined);
+    if (keys.length === 1 && keys[0] === 'selector') {
+      return normalizeFrame([].concat(frame.selector));
+    }
+    if (keys.length === 1 && typeof frame[keys[0]] === 'string' && frame[keys[0]]) {
+      return { [keys[0]]: frame[keys[0]] };
+    }
+  }
+  throw new Error('frame must be a frame name, a chain of iframe selectors, or an object with one of name, url or selector');
+}
+
+/**
+ * Find a frame of a Playwright page, waiting for it to be attached
+ *
+ * @param {Object} page - Playwright page
+ * @param {string|Array<string>|Object} frame - Frame parameter
+ * @param {Object} [options] - Lookup options
+ * @param {number} [options.timeout] - How long to wait for the frame in milliseconds (default: 10000)
+ * @returns {Promise<Object>} Playwright frame
+ * @throws {FrameNotFoundError} If no such frame appears before the timeout
+ */
+async function resolveFrame(page, frame, options = {}) {
+  const reference = normalizeFrame(frame);
+  const timeout = options.timeout || 10000;
+
+  if (reference.selector) {
+    let scope = page;
+    for (const selector of reference.selector) {
+      const element = await scope.waitForSelector(selector, { state: 'attached', timeout })
+        .catch(() => { throw new FrameNotFoundError(reference, `no element matches ${selector}`); });
+      const contentFrame = await element.contentFrame();
+      if (!contentFrame) {
+        throw new FrameNotFoundError(reference, `${selector} is not an iframe`);
+      }
+      scope = contentFrame;
+    }
+    return scope;
+  }
+
+  // Frames attach asynchronously, so look again until the timeout
+  const deadline = Date.now() + timeout;
+  for (;;) {
+    const found = page.frames().find(candidate => reference.name !== undefined
+      ? candidate.name() === reference.name
+      : candidate.url().includes(reference.url));
+    if (found) return found;
+    if (Date.now() >= deadline) throw new FrameNotFoundError(reference);
+    await new Promise(resolve => setTimeout(resolve, FRAME_LOOKUP_INTERVAL));
+  }
+}
+
+/**
+ * The page a frame belongs to; a page is its own page
+ *
+ * @param {Object} scope - Playwright page or frame
+ * @returns {Object} Playwright page
+ */
+function pageOf(scope) {
+  return typeof scope.page === 'function' ? scope.page() : scope;
+}
+
+function describeFrame(frame) {
+  if (frame.name !== undefined) return `name "${frame.name}"`;
+  if (frame.url !== undefined) return `URL containing "${frame.url}"`;
+  return [].concat(frame.selector).join(' >> ');
+}
+
+module.exports = {
+  FrameNotFoundError,
+  usesFrame,
+  normalizeFrame,
+  resolveFrame,
+  pageOf
+};
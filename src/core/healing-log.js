@@ -0,0 +1,501 @@
+/**
+ * Healing Log Module
+ *
+ * Audit log of every selector self-healing replaced: the original and
+ * healed selector, the strategy that found it, its confidence, the page
+ * URL, a screenshot of the page and the time. Events are stored with the
+ * same driver as test cases (see test-case-repository.js):
+ *
+ *   MongoHealingEventStore - the mongoose HealingEvent model
+ *   FileHealingEventStore  - a local JSON file (`storage.healingFilePath`), with
+ *                            each screenshot in its own file in a directory beside it
+ *
+ * Only the newest `storage.healingMaxEvents` events are kept. Screenshots
+ * are only loaded for a single event, never when listing events.
+ *
+ * A selector that keeps being healed to the same one on the same page
+ * (URL pattern, see element-repository.js) is a suggested fix. Approving a
+ * fix rewrites the original selector to the healed one in the steps of
+ * the test cases that navigate to that page (or the test cases named in
+ * the approval) and in generated test files, and marks its events
+ * `approved` so it is no longer suggested. Test files are rewritten in
+ * `selfHealing.testsDir`, or only in the given paths inside it.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+const { JsonCollection, clone } = require('../utils/json-file');
+const { BlobDirectory } = require('../utils/blob-directory');
+const { resolveStorageDriver, generateId, getTestCaseRepository } = require('./test-case-repository');
+const { urlPattern } = require('./element-repository');
+const { buildVariables, resolveTemplate } = require('./variables');
+
+// Extensions saveGeneratedTests writes, plus Cucumber feature files
+const TEST_FILE_EXTENSIONS = ['.js', '.ts', '.py', '.java', '.cs', '.rb', '.feature'];
+
+// Step parameters that hold a selector
+const SELECTOR_PARAMETERS = ['selector', 'target'];
+
+class InvalidTestPathError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'InvalidTestPathError';
+  }
+}
+
+class MongoHealingEventStore {
+  constructor() {
+    this.HealingEvent = require('../models/healing-event');
+  }
+
+  async add(event) {
+    const created = await this.HealingEvent.create(event);
+    const stored = toPlainEvent(created.toObject({ versionKey: false }));
+    delete stored.screenshot;
+    return stored;
+  }
+
+  async list(filter = {}) {
+    const events = await this.HealingEvent
+      .find(toMongoFilter(filter))
+      .select('-__v -screenshot')
+      .sort({ timestamp: -1 })
+      .limit(filter.limit || 0)
+      .lean();
+    return events.map(toPlainEvent);
+  }
+
+  async get(id) {
+    const event = await this.HealingEvent.findById(id).select('-__v').lean();
+    return event ? toPlainEvent(event) : null;
+  }
+
+  async updateMany(filter, changes) {
+    const { modifiedCount } = await this.HealingEvent.updateMany(toMongoFilter(filter), changes);
+    return modifiedCount;
+  }
+
+  async prune(maxEvents) {
+    const stale = await this.HealingEvent.find().sort({ timestamp: -1, _id: -1 }).skip(maxEvents).select('_id').lean();
+    if (stale.length === 0) return 0;
+
+    const { deletedCount } = await this.HealingEvent.deleteMany({ _id: { $in: stale.map(event => event._id) } });
+    return deletedCount;
+  }
+}
+
+class FileHealingEventStore {
+  /**
+   * @param {string} filePath - JSON file holding all healing events
+   */
+  constructor(filePath) {
+    this.collection = new JsonCollection(filePath, {
+      empty: { events: [] },
+      parse: stored => stored.events,
+      serialize: events => ({ events }),
+      describe: events => `${events.length} healing event(s)`
+    });
+    this.screenshots = BlobDirectory.besideFile(filePath);
+  }
+
+  async add(event) {
+    const events = await this.collection.load();
+    const { screenshot, ...fields } = event;
+    const stored = { _id: generateId(), status: 'pending', ...clone(fields), hasScreenshot: Boolean(screenshot) };
+    if (screenshot) {
+      await this.screenshots.write(screenshotName(stored._id), Buffer.from(screenshot, 'base64'));
+    }
+    events.push(stored);
+    await this.collection.save();
+    return clone(stored);
+  }
+
+  async list(filter = {}) {
+    const events = (await this.collection.load())
+      .filter(event => matches(event, filter))
+      .sort((a, b) => b.timestamp - a.timestamp);
+    return (filter.limit ? events.slice(0, filter.limit) : events).map(clone);
+  }
+
+  async get(id) {
+    const event = (await this.collection.load()).find(stored => stored._id === id);
+    if (!event) return null;
+
+    const screenshot = event.hasScreenshot ? await this.screenshots.read(screenshotName(id)) : null;
+    return { ...clone(event), screenshot: screenshot ? screenshot.toString('base64') : null };
+  }
+
+  async updateMany(filter, changes) {
+    const events = (await this.collection.load()).filter(event => matches(event, filter));
+    for (const event of events) {
+      Object.assign(event, clone(changes));
+    }
+    if (events.length > 0) await this.collection.save();
+    return events.length;
+  }
+
+  async prune(maxEvents) {
+    const events = await this.collection.load();
+    if (events.length <= maxEvents) return 0;
+
+    // Reversed first, so of events recorded in the same millisecond the later one counts as newer
+    const newest = events.slice().reverse().sort((a, b) => b.timestamp - a.timestamp);
+    const kept = new Set(newest.slice(0, maxEvents));
+    const stale = newest.slice(maxEvents);
+    events.splice(0, events.length, ...events.filter(event => kept.has(event)));
+    await this.collection.save();
+    await Promise.all(stale.map(event => this.screenshots.delete(screenshotName(event._id))));
+    return stale.length;
+  }
+}
+
+class HealingLog {
+  /**
+   * @param {MongoHealingEventStore|FileHealingEventStore} store - Where events are kept
+   * @param {Object} [options] - Options
+   * @param {number} [options.maxEvents] - Events kept; older ones are deleted (default: 1000)
+   * @param {string} [options.testsDir] - Directory approved fixes may rewrite test files in (default: generated-tests)
+   */
+  constructor(store, options = {}) {
+    this.store = store;
+    this.maxEvents = options.maxEvents || 1000;
+    this.testsDir = options.testsDir || 'generated-tests';
+  }
+
+  /**
+   * Record a healed selector. Never throws: a failure to record must not fail the command.
+   *
+   * @param {string} command - Command that was healed
+   * @param {Object} healing - selfHeal result plus the `originalSelector`
+   * @param {Object} page - Playwright page the command ran on
+   * @returns {Promise<Object|null>} Stored event without its screenshot, or null if it could not be stored
+   */
+  async recordHealing(command, healing, page) {
+    try {
+      let screenshot = null;
+      try {
+        screenshot = (await page.screenshot({ type: 'jpeg', quality: 60 })).toString('base64');
+      } catch (error) {
+        logger.warn(`Could not take healing screenshot: ${error.message}`);
+      }
+
+      const url = page.url();
+      const event = await this.store.add({
+        url,
+        urlPattern: urlPattern(url),
+        command,
+        originalSelector: healing.originalSelector,
+        selector: healing.selector,
+        strategy: healing.strategy,
+        confidence: healing.confidence !== undefined ? healing.confidence : null,
+        breakdown: healing.breakdown || null,
+        screenshot,
+        hasScreenshot: screenshot !== null,
+        status: 'pending',
+        timestamp: Date.now()
+      });
+      await this.store.prune(this.maxEvents);
+      return event;
+    } catch (error) {
+      logger.error(`Failed to record healing event: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * List healing events, newest first, without their screenshots
+   *
+   * @param {Object} [query] - Filters
+   * @param {string} [query.url] - Page URL (or URL pattern)
+   * @param {string} [query.selector] - Original selector
+   * @param {string} [query.strategy] - Strategy that healed it
+   * @param {string} [query.status] - `pending` or `approved`
+   * @param {number} [query.since] - Only events at or after this time (milliseconds since the epoch)
+   * @param {number} [query.limit] - Maximum number of events
+   * @returns {Promise<Array<Object>>} Events with `hasScreenshot`
+   */
+  async listEvents(query = {}) {
+    return await this.store.list({
+      urlPattern: query.url !== undefined ? urlPattern(query.url) : undefined,
+      originalSelector: query.selector,
+      strategy: query.strategy,
+      status: query.status,
+      since: query.since,
+      limit: query.limit
+    });
+  }
+
+  /**
+   * One healing event, screenshot included
+   *
+   * @param {string} id - Event id
+   * @returns {Promise<Object|null>} Event
+   */
+  async getEvent(id) {
+    return await this.store.get(id);
+  }
+
+  /**
+   * Pending heals that recur, grouped by page, original and healed selector
+   *
+   * @param {Object} [options] - Options
+   * @param {number} [options.minOccurrences] - Heals needed before a fix is suggested (default: 2)
+   * @param {string} [options.url] - Only fixes for the page with this URL (or URL pattern)
+   * @returns {Promise<Array<Object>>} Fixes, most frequent first, with the test cases on the page using the original selector
+   */
+  async suggestFixes(options = {}) {
+    const minOccurrences = options.minOccurrences || 2;
+    const events = await this.store.list({
+      status: 'pending',
+      urlPattern: options.url !== undefined ? urlPattern(options.url) : undefined
+    });
+
+    const groups = new Map();
+    for (const event of events) {
+      const key = JSON.stringify([event.urlPattern, event.originalSelector, event.selector]);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(event);
+    }
+
+    const recurring = Array.from(groups.values()).filter(group => group.length >= minOccurrences);
+    if (recurring.length === 0) return [];
+
+    const { items: testCases } = await getTestCaseRepository().list();
+    const variables = buildVariables();
+    return recurring
+      .map(group => {
+        const confidences = group.map(event => event.confidence).filter(confidence => typeof confidence === 'number');
+        const timestamps = group.map(event => event.timestamp);
+        return {
+          url: group[0].urlPattern,
+          originalSelector: group[0].originalSelector,
+          selector: group[0].selector,
+          occurrences: group.length,
+          strategies: [...new Set(group.map(event => event.strategy))],
+          averageConfidence: confidences.length > 0
+            ? Math.round(confidences.reduce((sum, confidence) => sum + confidence, 0) / confidences.length * 1000) / 1000
+            : null,
+          firstSeen: Math.min(...timestamps),
+          lastSeen: Math.max(...timestamps),
+          testCases: testCases
+            .filter(testCase => navigatesTo(testCase.steps, group[0].urlPattern, variables))
+            .filter(testCase => countSelectorUses(testCase.steps, group[0].originalSelector) > 0)
+            .map(testCase => ({ _id: testCase._id, name: testCase.name }))
+        };
+      })
+      .sort((a, b) => b.occurrences - a.occurrences || b.lastSeen - a.lastSeen);
+  }
+
+  /**
+   * Approve a fix: replace the original selector with the healed one in
+   * test case steps and generated test files, and mark its events approved
+   *
+   * @param {Object} fix - Fix to approve
+   * @param {string} fix.url - Page URL (or URL pattern) the selector was healed on
+   * @param {string} fix.originalSelector - Selector to replace
+   * @param {string} fix.selector - Healed selector to replace it with
+   * @param {Array<string>} [fix.paths] - Test files, or directories of them, to rewrite; relative to the tests directory (default: the whole tests directory)
+   * @param {Array<string>} [fix.testCaseIds] - Test cases to rewrite (default: the test cases that navigate to the page)
+   * @param {Object} [options] - Change options
+   * @param {string} [options.author] - Author of the test case revisions
+   * @returns {Promise<Object|null>} `{ events, testCases, files }`, or null if the selector was never healed that way
+   * @throws {InvalidTestPathError} If a path does not exist, is outside the tests directory or is not a test file
+   */
+  async approveFix(fix, options = {}) {
+    const paths = fix.paths
+      ? await resolveTestPaths(fix.paths, this.testsDir)
+      // A tests directory that was never created has no test files to rewrite
+      : await fs.realpath(this.testsDir).then(root => [root], () => []);
+
+    const filter = { urlPattern: urlPattern(fix.url), originalSelector: fix.originalSelector, selector: fix.selector };
+    const events = await this.store.list({ ...filter, limit: 1 });
+    if (events.length === 0) return null;
+
+    const repository = getTestCaseRepository();
+    const { items } = await repository.list();
+    const variables = buildVariables();
+    const scoped = fix.testCaseIds
+      ? items.filter(testCase => fix.testCaseIds.includes(testCase._id))
+      : items.filter(testCase => navigatesTo(testCase.steps, filter.urlPattern, variables));
+    const testCases = [];
+    for (const testCase of scoped) {
+      const replacements = countSelectorUses(testCase.steps, fix.originalSelector);
+      if (replacements === 0) continue;
+
+      const steps = testCase.steps.map(step => replaceSelector(step, fix.originalSelector, fix.selector));
+      await repository.update(testCase._id, { steps }, { author: options.author });
+      testCases.push({ _id: testCase._id, name: testCase.name, replacements });
+    }
+
+    const files = [];
+    for (const filePath of await listTestFiles(paths)) {
+      const replacements = await rewriteTestFile(filePath, fix.originalSelector, fix.selector);
+      if (replacements > 0) files.push({ path: filePath, replacements });
+    }
+
+    const approved = await this.store.updateMany(filter, { status: 'approved' });
+    logger.info(`Approved selector fix ${fix.originalSelector} -> ${fix.selector}: ${testCases.length} test case(s), ${files.length} file(s)`);
+    return { events: approved, testCases, files };
+  }
+}
+
+let currentLog = null;
+
+/**
+ * Create the healing log with the store selected by the storage config
+ *
+ * @param {Object} [storage] - Storage config (defaults to the current config)
+ * @returns {HealingLog} Healing log
+ */
+function createHealingLog(storage = getConfig().storage) {
+  return new HealingLog(resolveStorageDriver(storage) === 'mongodb'
+    ? new MongoHealingEventStore()
+    : new FileHealingEventStore(storage.healingFilePath), {
+    maxEvents: storage.healingMaxEvents,
+    testsDir: getConfig().selfHealing.testsDir
+  });
+}
+
+/**
+ * Get the shared healing log, creating it from the config on first use
+ *
+ * @returns {HealingLog} Healing log
+ */
+function getHealingLog() {
+  if (!currentLog) {
+    currentLog = createHealingLog();
+  }
+  return currentLog;
+}
+
+/**
+ * Replace the shared healing log (e.g. with one using a custom store)
+ *
+ * @param {HealingLog|null} log - Healing log, or null to recreate it from the config
+ */
+function setHealingLog(log) {
+  currentLog = log;
+}
+
+// Whether the steps navigate to a page with the URL pattern; placeholders are resolved with the active profile
+function navigatesTo(steps, pattern, variables) {
+  return (steps || []).some(step => (step.command === 'navigate' && step.parameters && typeof step.parameters.url === 'string'
+    && urlPattern(resolveTemplate(step.parameters.url, variables)) === pattern)
+    || navigatesTo(step.steps, pattern, variables)
+    || navigatesTo(step.elseSteps, pattern, variables));
+}
+
+function countSelectorUses(steps, selector) {
+  return (steps || []).reduce((count, step) => count
+    + SELECTOR_PARAMETERS.filter(name => step.parameters && step.parameters[name] === selector).length
+    + countSelectorUses(step.steps, selector)
+    + countSelectorUses(step.elseSteps, selector), 0);
+}
+
+function replaceSelector(step, from, to) {
+  const replaced = { ...step };
+  if (step.parameters) {
+    replaced.parameters = { ...step.parameters };
+    for (const name of SELECTOR_PARAMETERS) {
+      if (replaced.parameters[name] === from) replaced.parameters[name] = to;
+    }
+  }
+  for (const field of ['steps', 'elseSteps']) {
+    if (Array.isArray(step[field])) replaced[field] = step[field].map(nested => replaceSelector(nested, from, to));
+  }
+  return replaced;
+}
+
+// Real paths of the given paths, which have to be test files or directories inside the tests directory
+async function resolveTestPaths(paths, testsDir) {
+  const root = await fs.realpath(testsDir).catch(() => path.resolve(testsDir));
+  const resolved = [];
+  for (const filePath of paths) {
+    const fullPath = await fs.realpath(path.resolve(root, filePath)).catch(() => {
+      throw new InvalidTestPathError(`Test file or directory not found: ${filePath}`);
+    });
+    if (fullPath !== root && !fullPath.startsWith(root + path.sep)) {
+      throw new InvalidTestPathError(`Test path is outside ${testsDir}: ${filePath}`);
+    }
+    if ((await fs.stat(fullPath)).isFile() && !TEST_FILE_EXTENSIONS.includes(path.extname(fullPath))) {
+      throw new InvalidTestPathError(`Not a test file: ${filePath}`);
+    }
+    resolved.push(fullPath);
+  }
+  return resolved;
+}
+
+// Test files in the given files and directories, skipping installed packages and symbolic links
+async function listTestFiles(paths) {
+  const files = [];
+  for (const filePath of paths) {
+    const stats = await fs.stat(filePath);
+    if (stats.isFile()) {
+      files.push(filePath);
+      continue;
+    }
+    for (const entry of await fs.readdir(filePath, { withFileTypes: true })) {
+      const entryPath = path.join(filePath, entry.name);
+      if (entry.isDirectory() && entry.name !== 'node_modules' && !entry.name.startsWith('.')) {
+        files.push(...await listTestFiles([entryPath]));
+      } else if (entry.isFile() && TEST_FILE_EXTENSIONS.includes(path.extname(entry.name))) {
+        files.push(entryPath);
+      }
+    }
+  }
+  return files;
+}
+
+// Only whole string literals are replaced, so `#login` does not touch `#login-form`
+async function rewriteTestFile(filePath, from, to) {
+  let source = await fs.readFile(filePath, 'utf8');
+  let replacements = 0;
+  for (const quote of ['\'', '"', '`']) {
+    const parts = source.split(quoted(from, quote));
+    replacements += parts.length - 1;
+    source = parts.join(quoted(to, quote));
+  }
+  if (replacements > 0) {
+    await fs.writeFile(filePath, source);
+  }
+  return replacements;
+}
+
+function quoted(text, quote) {
+  return `${quote}${text.replace(/\\/g, '\\\\').split(quote).join(`\\${quote}`)}${quote}`;
+}
+
+function screenshotName(id) {
+  return `${id}.jpg`;
+}
+
+function matches(event, filter) {
+  return ['urlPattern', 'originalSelector', 'selector', 'strategy', 'status']
+    .every(field => filter[field] === undefined || event[field] === filter[field])
+    && (filter.since === undefined || event.timestamp >= filter.since);
+}
+
+function toMongoFilter(filter) {
+  const conditions = {};
+  for (const field of ['urlPattern', 'originalSelector', 'selector', 'strategy', 'status']) {
+    if (filter[field] !== undefined) conditions[field] = filter[field];
+  }
+  if (filter.since !== undefined) conditions.timestamp = { $gte: filter.since };
+  return conditions;
+}
+
+function toPlainEvent(event) {
+  return { ...event, _id: String(event._id) };
+}
+
+module.exports = {
+  HealingLog,
+  MongoHealingEventStore,
+  FileHealingEventStore,
+  InvalidTestPathError,
+  createHealingLog,
+  getHealingLog,
+  setHealingLog
+};
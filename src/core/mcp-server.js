@@ -0,0 +1,250 @@
+/**
+ * MCP Server Module
+ *
+ * Transport-independent Model Context Protocol request handling. Transports
+ * feed parsed JSON-RPC 2.0 messages to an McpServer instance and write back
+ * whatever response it returns.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../utils/logger');
+const { listTools, getTool, callTool } = require('./tool-registry');
+const { validateToolParameters } = require('../utils/mcp-validator');
+const packageJson = require('../../package.json');
+
+// Protocol revisions this server can speak, newest first
+const SUPPORTED_PROTOCOL_VERSIONS = ['2025-06-18', '2025-03-26', '2024-11-05'];
+
+// Standard JSON-RPC 2.0 error codes
+const JSON_RPC_ERRORS = {
+  PARSE_ERROR: -32700,
+  INVALID_REQUEST: -32600,
+  METHOD_NOT_FOUND: -32601,
+  INVALID_PARAMS: -32602,
+  INTERNAL_ERROR: -32603
+};
+
+class JsonRpcError extends Error {
+  constructor(code, message, data) {
+    super(message);
+    this.name = 'JsonRpcError';
+    this.code = code;
+    this.data = data;
+  }
+}
+
+/**
+ * Build a JSON-RPC error response
+ *
+ * @param {string|number|null} id - Request id (null if unknown)
+ * @param {number} code - JSON-RPC error code
+ * @param {string} message - Error message
+ * @param {*} [data] - Optional additional error data
+ * @returns {Object} JSON-RPC error response
+ */
+function createErrorResponse(id, code, message, data) {
+  const error = { code, message };
+  if (data !== undefined) {
+    error.data = data;
+  }
+
+  return { jsonrpc: '2.0', id: id === undefined ? null : id, error };
+}
+
+class McpServer {
+  constructor(options = {}) {
+    this.name = options.name || 'uniauto-mcp-server';
+    this.version = options.version || packageJson.version;
+    this.transport = options.transport || 'unknown';
+    this.initialized = false;
+    this.protocolVersion = null;
+    this.clientInfo = null;
+  }
+
+  /**
+   * Handle a single parsed JSON-RPC message or a batch of them
+   *
+   * @param {Object|Array} message - Parsed JSON-RPC message(s)
+   * @param {Object} [extra] - Transport hooks
+   * @param {Function} [extra.notify] - Sends a server notification to the client while the request runs
+   * @returns {Promise<Object|Array|null>} Response(s), or null for notifications
+   */
+  async handleMessage(message, extra = {}) {
+    if (Array.isArray(message)) {
+      if (message.length === 0) {
+        return createErrorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Empty batch');
+      }
+
+      const responses = [];
+      for (const entry of message) {
+        const response = await this.handleMessage(entry, extra);
+        if (response) responses.push(response);
+      }
+      return responses.length > 0 ? responses : null;
+    }
+
+    if (!message || typeof message !== 'object' || message.jsonrpc !== '2.0') {
+      return createErrorResponse(message && message.id, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 message');
+    }
+
+    // Responses from the client (we never send requests) are ignored
+    if (!message.method) {
+      return null;
+    }
+
+    const isNotification = message.id === undefined;
+
+    try {
+      const result = await this.dispatch(message.method, message.params || {}, extra);
+      return isNotification ? null : { jsonrpc: '2.0', id: message.id, result };
+    } catch (error) {
+      if (isNotification) {
+        logger.error(`MCP notification ${message.method} failed: ${error.message}`);
+        return null;
+      }
+
+      if (error instanceof JsonRpcError) {
+        return createErrorResponse(message.id, error.code, error.message, error.data);
+      }
+
+      logger.error(`MCP ${message.method} error: ${error.message}`);
+      return createErrorResponse(message.id, JSON_RPC_ERRORS.INTERNAL_ERROR, error.message);
+    }
+  }
+
+  async dispatch(method, params, extra = {}) {
+    switch (method) {
+      case 'initialize':
+        return this.initialize(params);
+
+      case 'notifications/initialized':
+        this.initialized = true;
+        return null;
+
+      case 'notifications/cancelled':
+        return null;
+
+      case 'ping':
+        return {};
+
+      case 'tools/list':
+        return this.listTools();
+
+      case 'tools/call':
+        return await this.callTool(params, extra);
+
+      default:
+        throw new JsonRpcError(JSON_RPC_ERRORS.METHOD_NOT_FOUND, `Method not found: ${method}`);
+    }
+  }
+
+  initialize(params) {
+    const requested = params.protocolVersion;
+    this.protocolVersion = SUPPORTED_PROTOCOL_VERSIONS.includes(requested)
+      ? requested
+      : SUPPORTED_PROTOCOL_VERSIONS[0];
+    this.clientInfo = params.clientInfo || null;
+
+    logger.info(`MCP client connected via ${this.transport}: ${this.clientInfo ? this.clientInfo.name : 'unknown'} (protocol ${this.protocolVersion})`);
+
+    return {
+      protocolVersion: this.protocolVersion,
+      capabilities: {
+        tools: { listChanged: false }
+      },
+      serverInfo: {
+        name: this.name,
+        version: this.version
+      }
+    };
+  }
+
+  listTools() {
+    return {
+      tools: listTools().map(tool => ({
+        name: tool.name,
+        description: tool.description,
+        inputSchema: tool.inputSchema
+      }))
+    };
+  }
+
+  async callTool(params, extra = {}) {
+    const { name, arguments: args } = params;
+
+    if (!name || typeof name !== 'string') {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'Tool name is required');
+    }
+
+    if (!getTool(name)) {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, `Unknown tool: ${name}`);
+    }
+
+    if (args !== undefined && (args === null || typeof args !== 'object' || Array.isArray(args))) {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, 'Tool arguments must be an object');
+    }
+
+    const validation = validateToolParameters(name, args || {});
+    if (!validation.isValid) {
+      throw new JsonRpcError(JSON_RPC_ERRORS.INVALID_PARAMS, validation.error, { errors: validation.details });
+    }
+
+    const progressToken = params._meta ? params._meta.progressToken : undefined;
+    const sendProgress = (progress, total, message) => {
+      if (progressToken === undefined || !extra.notify) return;
+      extra.notify({
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: { progressToken, progress, total, message }
+      });
+    };
+
+    // Tool failures are reported inside the result so the model can see them
+    try {
+      sendProgress(0, 1, `Running ${name}`);
+      const result = await callTool(name, args || {}, {
+        executionId: uuidv4(),
+        transport: this.transport,
+        sendProgress
+      });
+      sendProgress(1, 1, `Completed ${name}`);
+      return formatToolResult(result, false);
+    } catch (error) {
+      logger.error(`MCP tool ${name} failed: ${error.message}`);
+      return formatToolResult({ error: error.message }, true);
+    }
+  }
+}
+
+/**
+ * Wrap a tool result in MCP content blocks
+ *
+ * @param {*} result - Raw tool result
+ * @param {boolean} isError - Whether the tool failed
+ * @returns {Object} MCP tools/call result
+ */
+function formatToolResult(result, isError) {
+  const response = {
+    content: [
+      {
+        type: 'text',
+        text: typeof result === 'string' ? result : JSON.stringify(result, null, 2)
+      }
+    ],
+    isError
+  };
+
+  if (result && typeof result === 'object' && !Array.isArray(result)) {
+    response.structuredContent = result;
+  }
+
+  return response;
+}
+
+module.exports = {
+  McpServer,
+  JsonRpcError,
+  JSON_RPC_ERRORS,
+  SUPPORTED_PROTOCOL_VERSIONS,
+  createErrorResponse
+};
@@ -3,9 +3,24 @@
  * 
  * This module provides mock implementations of automation commands
  * for testing the MCP server without browser dependencies.
+ * 
+ * Without fixtures every selector "exists". Fixtures script the mock
+ * instead: canned pages with their elements (text, value, attributes),
+ * and injected failures for specific commands or selectors. They are
+ * loaded from the `automation.mockFixtures` file, through loadFixtures(),
+ * or per session via createSession({ fixtures }).
  */
 
+const fs = require('fs');
+const Joi = require('joi');
+const { v4: uuidv4 } = require('uuid');
 const { logger } = require('../utils/logger');
+const { getConfig } = require('../utils/config');
+const { SessionNotFoundError, defaultSessionId } = require('./session-manager');
+const { resolveEngine } = require('./browser-launcher');
+const { isAssertionCommand, runAssertion } = require('./assertions');
+const { isWaitCommand, runWait, NAVIGATION_WAITS } = require('./waits');
+const { FrameNotFoundError, usesFrame, normalizeFrame } = require('./frames');
 
 // Mock data for responses
 const mockData = {
@@ -15,47 +30,462 @@ const mockData = {
   screenshotPath: './public/screenshots/mock-screenshot.png'
 };
 
+// Mock sessions only track metadata; there is no browser behind them
+const sessions = new Map();
+
+const elementSchema = Joi.object({
+  text: Joi.string().allow(''),
+  value: Joi.string().allow(''),
+  attributes: Joi.object().pattern(Joi.string(), Joi.string().allow('')),
+  // For assertions: hidden elements exist but are not visible, count is how many the selector matches
+  visible: Joi.boolean(),
+  count: Joi.number().integer().min(0),
+  // Checkbox state; check and uncheck update it
+  checked: Joi.boolean(),
+  // Texts of each element the selector matches, for extract_all; count defaults to their number
+  items: Joi.array().items(Joi.string().allow(''))
+});
+
+// An iframe on a page: found by name, URL substring or the selector of its iframe element
+const frameSchema = Joi.object({
+  name: Joi.string(),
+  url: Joi.string(),
+  selector: Joi.string(),
+  title: Joi.string().allow(''),
+  elements: Joi.object().pattern(Joi.string(), elementSchema).default({}),
+  frames: Joi.array().items(Joi.link('#frame'))
+}).id('frame');
+
+const fixturesSchema = Joi.object({
+  // Keyed by URL; "*" matches any URL without its own entry
+  pages: Joi.object().pattern(Joi.string(), Joi.object({
+    title: Joi.string().allow(''),
+    elements: Joi.object().pattern(Joi.string(), elementSchema),
+    frames: Joi.array().items(frameSchema)
+  })),
+  failures: Joi.array().items(Joi.object({
+    command: Joi.string().required(),
+    selector: Joi.string(),
+    message: Joi.string(),
+    // Omit to fail every time
+    times: Joi.number().integer().min(1)
+  }))
+});
+
+let globalFixtures = null;
+let configFixturesLoaded = false;
+
+/**
+ * Validate fixtures and make them the default for sessions without their own
+ * 
+ * @param {Object} fixtures - Fixture definition ({ pages, failures })
+ * @returns {Object} The loaded fixtures
+ */
+function loadFixtures(fixtures) {
+  globalFixtures = prepareFixtures(fixtures);
+  configFixturesLoaded = true;
+  logger.info('[MOCK] Fixtures loaded');
+  return globalFixtures;
+}
+
+function resetFixtures() {
+  globalFixtures = null;
+  configFixturesLoaded = true;
+  logger.info('[MOCK] Fixtures cleared');
+}
+
+function prepareFixtures(fixtures) {
+  const { error, value } = fixturesSchema.validate(fixtures, { abortEarly: false });
+  if (error) {
+    throw new Error(`Invalid mock fixtures: ${error.details.map(detail => detail.message).join('; ')}`);
+  }
+  
+  // Failure counters are consumed as commands run, so keep a private copy
+  const prepared = JSON.parse(JSON.stringify(value));
+  for (const failure of prepared.failures || []) {
+    failure.remaining = failure.times;
+  }
+  return prepared;
+}
+
+function getFixtures(session) {
+  if (session.fixtures) return session.fixtures;
+  
+  if (!configFixturesLoaded) {
+    configFixturesLoaded = true;
+    const fixturesPath = getConfig().automation.mockFixtures;
+    if (fixturesPath) {
+      globalFixtures = prepareFixtures(JSON.parse(fs.readFileSync(fixturesPath, 'utf8')));
+      logger.info(`[MOCK] Fixtures loaded from ${fixturesPath}`);
+    }
+  }
+  return globalFixtures;
+}
+
+function injectFailure(session, command, params) {
+  const fixtures = getFixtures(session);
+  const failure = fixtures && (fixtures.failures || []).find(candidate =>
+    candidate.command === command &&
+    (!candidate.selector || candidate.selector === params.selector) &&
+    (candidate.remaining === undefined || candidate.remaining > 0)
+  );
+  
+  if (failure) {
+    if (failure.remaining !== undefined) failure.remaining -= 1;
+    throw new Error(failure.message || `Injected failure for ${command}${params.selector ? ` on ${params.selector}` : ''}`);
+  }
+}
+
+// Returns null when the page is not scripted, in which case every selector exists
+function findMockElement(session, selector) {
+  const page = activeMockPage(session);
+  if (!page.elements) return null;
+  
+  const element = page.elements[selector];
+  if (!element) {
+    throw new Error(`Timeout 10000ms exceeded waiting for selector "${selector}"`);
+  }
+  return element;
+}
+
+function resolveMockSession(sessionId, browser) {
+  const engine = sessionId ? null : resolveEngine(browser);
+  const id = sessionId || defaultSessionId(engine);
+  
+  if (!sessions.has(id)) {
+    if (sessionId) {
+      throw new SessionNotFoundError(sessionId);
+    }
+    sessions.set(id, createMockSessionRecord(id, 'Default session', engine));
+  }
+  
+  const session = sessions.get(id);
+  if (browser && browser !== session.browser) {
+    throw new Error(`Session ${id} runs ${session.browser}, not ${browser}`);
+  }
+  session.lastUsedAt = Date.now();
+  return session;
+}
+
+function createMockSessionRecord(id, label, browser, fixtures) {
+  const now = Date.now();
+  const session = {
+    id,
+    label: label || null,
+    browser,
+    fixtures: fixtures ? prepareFixtures(fixtures) : null,
+    pages: [],
+    activeIndex: 0,
+    createdAt: now,
+    lastUsedAt: now
+  };
+  session.pages.push(createMockPage(session));
+  return session;
+}
+
+/**
+ * Build a mock page, taking its title and elements from the fixtures if any
+ * 
+ * @param {Object} session - Mock session
+ * @param {string} [url] - Page URL
+ * @param {boolean} [strict] - Fail when fixtures exist but none matches the URL
+ * @returns {Object} Mock page
+ */
+function createMockPage(session, url = 'about:blank', strict = false) {
+  const fixtures = getFixtures(session);
+  if (!fixtures || !fixtures.pages) {
+    return { url, title: url === 'about:blank' ? '' : mockData.title, elements: null };
+  }
+  
+  const pageFixture = fixtures.pages[url] || fixtures.pages['*'];
+  if (!pageFixture) {
+    if (strict && url !== 'about:blank') {
+      throw new Error(`No mock fixture for ${url}`);
+    }
+    return { url, title: '', elements: {} };
+  }
+  
+  return {
+    url,
+    title: pageFixture.title || '',
+    // Typing changes element values, so each page gets its own copy
+    elements: JSON.parse(JSON.stringify(pageFixture.elements || {})),
+    frames: JSON.parse(JSON.stringify(pageFixture.frames || []))
+  };
+}
+
+// Element commands with a `frame` see that frame as the active page of a view of the session
+function mockFrameSession(session, frame) {
+  const reference = normalizeFrame(frame);
+  const page = activeMockPage(session);
+  
+  // On an unscripted page every frame exists, like every element does
+  const found = page.elements
+    ? findMockFrame(page.frames || [], reference)
+    : { url: page.url, title: '', elements: null };
+  if (!found) {
+    throw new FrameNotFoundError(reference);
+  }
+  return { ...session, pages: [found], activeIndex: 0 };
+}
+
+function findMockFrame(frames, reference) {
+  if (reference.selector) {
+    let found = null;
+    let candidates = frames;
+    for (const selector of reference.selector) {
+      found = candidates.find(candidate => candidate.selector === selector);
+      if (!found) return null;
+      candidates = found.frames || [];
+    }
+    return found;
+  }
+  
+  for (const candidate of frames) {
+    const matches = reference.name !== undefined
+      ? candidate.name === reference.name
+      : (candidate.url || '').includes(reference.url);
+    if (matches) return candidate;
+    
+    const nested = findMockFrame(candidate.frames || [], reference);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+function activeMockPage(session) {
+  if (session.pages.length === 0) {
+    session.pages.push(createMockPage(session));
+    session.activeIndex = 0;
+  }
+  return session.pages[session.activeIndex];
+}
+
+function describeMockSession(session) {
+  return {
+    sessionId: session.id,
+    label: session.label,
+    browser: session.browser,
+    createdAt: new Date(session.createdAt).toISOString(),
+    lastUsedAt: new Date(session.lastUsedAt).toISOString(),
+    pages: session.pages.length
+  };
+}
+
+async function createSession(options = {}) {
+  const id = options.id || uuidv4();
+  if (sessions.has(id)) {
+    throw new Error(`Session already exists: ${id}`);
+  }
+  
+  const session = createMockSessionRecord(id, options.label, resolveEngine(options.browser), options.fixtures);
+  sessions.set(id, session);
+  logger.info(`[MOCK] Session created: ${id} (${session.browser})`);
+  return { status: 'success', sessionId: id, label: session.label, browser: session.browser };
+}
+
+function listSessions() {
+  return { status: 'success', sessions: Array.from(sessions.values()).map(describeMockSession) };
+}
+
+async function closeSession(sessionId) {
+  const session = sessions.get(sessionId);
+  if (!session) {
+    throw new SessionNotFoundError(sessionId);
+  }
+  
+  sessions.delete(sessionId);
+  logger.info(`[MOCK] Session closed: ${sessionId}`);
+  return { status: 'success', ...describeMockSession(session) };
+}
+
 async function handleAutomationCommand(command, params) {
   logger.info(`Executing command: ${command} (MOCK MODE)`);
   
   try {
-    switch (command) {
-      case 'navigate':
-        return await mockNavigateTo(params.url);
-      
-      case 'click':
-        return await mockClickElement(params.selector, params.options);
-      
-      case 'type':
-        return await mockTypeText(params.selector, params.text, params.options);
-      
-      case 'select':
-        return await mockSelectOption(params.selector, params.value, params.options);
-      
-      case 'extract':
-        return await mockExtractData(params.selector, params.attribute, params.options);
-      
-      case 'screenshot':
-        return await mockTakeScreenshot(params.fileName);
-      
-      case 'desktop_click':
-        return mockDesktopClick(params.x, params.y);
-      
-      case 'desktop_type':
-        return mockDesktopType(params.text);
-      
-      case 'wait':
-        return await mockWait(params.milliseconds);
-      
-      default:
-        throw new Error(`Unknown command: ${command}`);
+    const session = resolveMockSession(params.sessionId, params.browser);
+    injectFailure(session, command, params);
+    
+    const scope = params.frame && usesFrame(command) ? mockFrameSession(session, params.frame) : session;
+    const result = await executeMockCommand(command, params, scope);
+    
+    if (command === 'wait' || session.pages.length === 0) {
+      return result;
     }
+    return { ...result, page: { index: session.activeIndex, url: activeMockPage(session).url } };
   } catch (error) {
     logger.error(`Mock command execution failed: ${error.message}`);
     throw error;
   }
 }
 
+async function executeMockCommand(command, params, session) {
+  switch (command) {
+    case 'navigate':
+      if (params.waitUntil && !NAVIGATION_WAITS.includes(params.waitUntil)) {
+        throw new Error(`waitUntil must be one of ${NAVIGATION_WAITS.join(', ')}`);
+      }
+      Object.assign(activeMockPage(session), createMockPage(session, params.url, true));
+      return await mockNavigateTo(params.url);
+    
+    case 'click':
+      findMockElement(session, params.selector);
+      return await mockClickElement(params.selector, params.options);
+    
+    case 'type': {
+      const element = findMockElement(session, params.selector);
+      if (element) element.value = params.text;
+      return await mockTypeText(params.selector, params.text, params.options);
+    }
+    
+    case 'select': {
+      const element = findMockElement(session, params.selector);
+      if (element) element.value = params.value;
+      return await mockSelectOption(params.selector, params.value, params.options);
+    }
+    
+    case 'hover':
+    case 'double_click':
+    case 'right_click':
+    case 'focus':
+    case 'blur':
+      findMockElement(session, params.selector);
+      return mockInteraction(command, params.selector);
+    
+    case 'press_key':
+      if (params.selector) findMockElement(session, params.selector);
+      return mockPressKey(params.key, params.selector);
+    
+    case 'drag_and_drop':
+      findMockElement(session, params.selector);
+      findMockElement(session, params.target);
+      return mockDragAndDrop(params.selector, params.target);
+    
+    case 'upload_file': {
+      const element = findMockElement(session, params.selector);
+      const files = [].concat(params.files || []);
+      if (element) element.files = files;
+      return mockUploadFiles(params.selector, files);
+    }
+    
+    case 'check':
+    case 'uncheck': {
+      const element = findMockElement(session, params.selector);
+      if (element) element.checked = command === 'check';
+      return { status: 'success', selector: params.selector, checked: command === 'check' };
+    }
+    
+    case 'scroll':
+      return mockScroll(session, params);
+    
+    case 'extract': {
+      const element = findMockElement(session, params.selector);
+      if (element) {
+        return { status: 'success', selector: params.selector, data: readMockElement(element, params.attribute) };
+      }
+      return await mockExtractData(params.selector, params.attribute, params.options);
+    }
+    
+    case 'extract_all':
+      return mockExtractAll(session, params.selector, params.attribute);
+    
+    case 'screenshot':
+      return await mockTakeScreenshot(params.fileName);
+    
+    case 'desktop_click':
+      return mockDesktopClick(params.x, params.y);
+    
+    case 'desktop_type':
+      return mockDesktopType(params.text);
+    
+    case 'wait':
+      return await mockWait(params.milliseconds);
+    
+    case 'list_pages':
+      return mockListPages(session);
+    
+    case 'switch_page':
+      return mockSwitchPage(session, params);
+    
+    case 'new_page':
+      return mockNewPage(session, params.url);
+    
+    case 'close_page':
+      return mockClosePage(session, params.index);
+    
+    case 'wait_for_popup':
+      return mockWaitForPopup(session, params.selector);
+    
+    default:
+      if (isAssertionCommand(command)) {
+        return await runAssertion(command, params, createMockProbe(session));
+      }
+      if (isWaitCommand(command)) {
+        return await runWait(command, params, createMockWaiter(session));
+      }
+      throw new Error(`Unknown command: ${command}`);
+  }
+}
+
+// Mock pages only change when commands run, so assertions check them once instead of polling
+function createMockProbe(session) {
+  const page = activeMockPage(session);
+  const element = selector => (page.elements ? page.elements[selector] || null : {});
+  
+  return {
+    live: false,
+    isVisible: selector => {
+      const found = element(selector);
+      return Boolean(found) && found.visible !== false;
+    },
+    count: selector => mockElementCount(element(selector)),
+    text: selector => {
+      const found = element(selector);
+      if (!found) return null;
+      return page.elements ? readMockElement(found, 'textContent') : `Mock data for ${selector}`;
+    },
+    value: selector => {
+      const found = element(selector);
+      return found ? readMockElement(found, 'value') : null;
+    },
+    attribute: (selector, name) => {
+      const found = element(selector);
+      return found ? readMockElement(found, name) : null;
+    },
+    url: () => page.url,
+    title: () => page.title
+  };
+}
+
+// For the same reason a wait that is not met right away never will be, so it fails at once
+function createMockWaiter(session) {
+  const page = activeMockPage(session);
+  const unmet = () => Object.assign(new Error('Mock page is not in the awaited state'), { name: 'TimeoutError' });
+  
+  return {
+    selector: (selector, state) => {
+      const element = page.elements ? page.elements[selector] || null : {};
+      const visible = Boolean(element) && element.visible !== false;
+      const met = { attached: Boolean(element), detached: !element, visible, hidden: !visible }[state];
+      if (!met) throw unmet();
+    },
+    url: pattern => {
+      if (!pattern.test(page.url)) throw unmet();
+      return page.url;
+    },
+    // Mock pages are fully loaded as soon as they are navigated to
+    loadState: () => {},
+    // The only response a mock page has seen is its own document
+    response: predicate => {
+      const response = { url: page.url, status: 200 };
+      if (!predicate(response)) throw unmet();
+      return response;
+    },
+    // There is no page script to run, so every predicate holds
+    function: () => true
+  };
+}
+
 async function mockNavigateTo(url) {
   logger.info(`[MOCK] Navigating to: ${url}`);
   return { status: 'success', url: url };
@@ -76,6 +506,41 @@ async function mockSelectOption(selector, value, options = {}) {
   return { status: 'success', selector, value };
 }
 
+function mockInteraction(command, selector) {
+  logger.info(`[MOCK] ${command} on element: ${selector}`);
+  return { status: 'success', selector };
+}
+
+function mockPressKey(key, selector) {
+  logger.info(`[MOCK] Pressing ${key}${selector ? ` in element: ${selector}` : ''}`);
+  return { status: 'success', ...(selector && { selector }), key };
+}
+
+function mockDragAndDrop(selector, target) {
+  logger.info(`[MOCK] Dragging ${selector} to ${target}`);
+  return { status: 'success', selector, target };
+}
+
+function mockUploadFiles(selector, files) {
+  logger.info(`[MOCK] Uploading ${files.length} file(s) to element: ${selector}`);
+  return { status: 'success', selector, files: files.length };
+}
+
+function mockScroll(session, { selector, x = 0, y = 0 }) {
+  if (selector) {
+    findMockElement(session, selector);
+    logger.info(`[MOCK] Scrolling element into view: ${selector}`);
+    return { status: 'success', selector };
+  }
+  
+  // Pages start at the top and cannot scroll above it
+  const page = activeMockPage(session);
+  const position = page.scroll || { x: 0, y: 0 };
+  page.scroll = { x: Math.max(position.x + x, 0), y: Math.max(position.y + y, 0) };
+  logger.info(`[MOCK] Scrolling page by ${x}, ${y}`);
+  return { status: 'success', ...page.scroll };
+}
+
 async function mockExtractData(selector, attribute = 'textContent', options = {}) {
   logger.info(`[MOCK] Extracting data from element: ${selector}`);
   
@@ -108,6 +573,104 @@ function mockDesktopType(text) {
   return { status: 'success', textLength: text.length };
 }
 
+function mockExtractAll(session, selector, attribute = 'textContent') {
+  logger.info(`[MOCK] Extracting all elements matching: ${selector}`);
+  
+  const page = activeMockPage(session);
+  if (!page.elements) {
+    return { status: 'success', selector, data: [`Mock data for ${selector}`] };
+  }
+  
+  const element = page.elements[selector];
+  let data = [];
+  if (element && element.items && (attribute === 'textContent' || attribute === 'innerText')) {
+    data = element.items.slice(0, mockElementCount(element));
+  } else if (element) {
+    data = new Array(mockElementCount(element)).fill(readMockElement(element, attribute));
+  }
+  return { status: 'success', selector, data };
+}
+
+function mockElementCount(element) {
+  if (!element) return 0;
+  if (element.count !== undefined) return element.count;
+  return element.items ? element.items.length : 1;
+}
+
+function readMockElement(element, attribute = 'textContent') {
+  if (attribute === 'textContent' || attribute === 'innerText') {
+    return element.text !== undefined ? element.text : '';
+  }
+  if (attribute === 'value') {
+    return element.value !== undefined ? element.value : null;
+  }
+  const attributes = element.attributes || {};
+  return attributes[attribute] !== undefined ? attributes[attribute] : null;
+}
+
+function mockListPages(session) {
+  activeMockPage(session);
+  const pages = session.pages.map((page, index) => ({
+    index,
+    url: page.url,
+    title: page.title,
+    active: index === session.activeIndex
+  }));
+  return { status: 'success', pages };
+}
+
+function mockSwitchPage(session, { index, url, title }) {
+  let target;
+  if (index !== undefined) {
+    target = index < session.pages.length ? index : -1;
+  } else if (url) {
+    target = session.pages.findIndex(page => page.url.includes(url));
+  } else if (title) {
+    target = session.pages.findIndex(page => page.title.includes(title));
+  } else {
+    throw new Error('switch_page requires an index, url or title');
+  }
+  
+  if (target < 0) {
+    throw new Error(`No page matches ${JSON.stringify({ index, url, title })}`);
+  }
+  
+  logger.info(`[MOCK] Switching to page ${target}`);
+  session.activeIndex = target;
+  return { status: 'success' };
+}
+
+function mockNewPage(session, url) {
+  logger.info(`[MOCK] Opening new page${url ? `: ${url}` : ''}`);
+  session.pages.push(createMockPage(session, url, Boolean(url)));
+  session.activeIndex = session.pages.length - 1;
+  return { status: 'success' };
+}
+
+function mockClosePage(session, index = session.activeIndex) {
+  if (!session.pages[index]) {
+    throw new Error(`No page at index ${index}`);
+  }
+  
+  logger.info(`[MOCK] Closing page ${index}`);
+  const [closed] = session.pages.splice(index, 1);
+  if (index === session.activeIndex) {
+    session.activeIndex = Math.max(session.pages.length - 1, 0);
+  } else if (index < session.activeIndex) {
+    session.activeIndex -= 1;
+  }
+  return { status: 'success', closed: { index, url: closed.url } };
+}
+
+function mockWaitForPopup(session, selector) {
+  logger.info(`[MOCK] Waiting for popup${selector ? ` opened by ${selector}` : ''}`);
+  if (selector) findMockElement(session, selector);
+  const popup = createMockPage(session, 'https://example.com/popup');
+  session.pages.push(popup);
+  session.activeIndex = session.pages.length - 1;
+  return { status: 'success', url: popup.url };
+}
+
 async function mockWait(milliseconds = 1000) {
   logger.info(`[MOCK] Waiting for ${milliseconds}ms`);
   await new Promise(resolve => setTimeout(resolve, 100)); // Just wait a token amount
@@ -115,5 +678,10 @@ async function mockWait(milliseconds = 1000) {
 }
 
 module.exports = {
-  handleAutomationCommand
+  handleAutomationCommand,
+  createSession,
+  listSessions,
+  closeSession,
+  loadFixtures,
+  resetFixtures
 };
\ No newline at end of file
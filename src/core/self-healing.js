@@ -1,53 +1,129 @@
 const { logger } = require('../utils/logger');
-const { ElementRepository } = require('./element-repository');
-const fs = require('fs').promises;
-const path = require('path');
+const { getElementRepository } = require('./element-repository');
+const { inspectElements, fingerprintElement, scoreFingerprint, findBestMatch } = require('./fingerprint');
+const { decodeGrayscale, matchTemplate } = require('./visual-match');
+const { getConfig } = require('../utils/config');
 
-const elementRepo = new ElementRepository();
-
-async function selfHeal(brokenSelector, page) {
-  logger.info(`Attempting to self-heal selector: ${brokenSelector}`);
+// Each strategy resolves to a working selector or null; one that scores its own match resolves to { selector, confidence }
+const strategies = {
+  // Score every element on the page against the captured fingerprint
+  fingerprint: async (brokenSelector, page) => {
+    const elementData = await getElementRepository().getElementData(brokenSelector, page.url());
+    if (!elementData || !elementData.fingerprint) return null;
+    
+    const candidates = await page.evaluate(inspectElements, null);
+    const best = findBestMatch(elementData.fingerprint, candidates);
+    if (!best || best.score < getConfig().selfHealing.confidenceThreshold) return null;
+    
+    const selector = await page.evaluate(inspectElements, best.index);
+    if (selector) {
+      logger.info(`Found fingerprint match: ${selector} (score ${best.score})`);
+    }
+    return selector;
+  },
   
-  try {
-    // Strategy 1: Check alternative selectors from repository
-    const alternativeSelector = elementRepo.getAlternativeSelector(brokenSelector);
-    if (alternativeSelector) {
-      const exists = await checkSelectorExists(alternativeSelector, page);
-      if (exists) {
-        logger.info(`Found alternative selector: ${alternativeSelector}`);
-        return alternativeSelector;
-      }
+  // Check alternative selectors from repository
+  repository: async (brokenSelector, page) => {
+    const alternativeSelector = await getElementRepository().getAlternativeSelector(brokenSelector, page.url());
+    if (alternativeSelector && await checkSelectorExists(alternativeSelector, page)) {
+      logger.info(`Found alternative selector: ${alternativeSelector}`);
+      return alternativeSelector;
     }
-    
-    // Strategy 2: Try role-based selectors (Playwright specific)
+    return null;
+  },
+  
+  // Try role-based selectors (Playwright specific)
+  role: async (brokenSelector, page) => {
     const roleSelector = await generateRoleSelectors(brokenSelector, page);
     if (roleSelector) {
       logger.info(`Found role-based selector: ${roleSelector}`);
-      return roleSelector;
     }
-    
-    // Strategy 3: Try looser CSS selectors
-    const looserSelector = generateLooserSelectors(brokenSelector);
-    for (const selector of looserSelector) {
-      const exists = await checkSelectorExists(selector, page);
-      if (exists) {
+    return roleSelector;
+  },
+  
+  // Try looser CSS selectors
+  css: async (brokenSelector, page) => {
+    for (const selector of generateLooserSelectors(brokenSelector)) {
+      if (await checkSelectorExists(selector, page)) {
         logger.info(`Generated looser selector: ${selector}`);
         return selector;
       }
     }
-    
-    // Strategy 4: Visual matching if we have snapshots
+    return null;
+  },
+  
+  // Template matching of the captured element image against the page
+  visual: async (brokenSelector, page) => {
     const visualMatch = await findByVisualMatch(brokenSelector, page);
-    if (visualMatch) {
-      logger.info(`Found visual match: ${visualMatch}`);
-      return visualMatch;
-    }
+    if (!visualMatch) return null;
     
-    // Strategy 5: Find by nearest text if applicable
+    logger.info(`Found visual match: ${visualMatch.selector} (similarity ${visualMatch.similarity})`);
+    return { selector: visualMatch.selector, confidence: visualMatch.similarity };
+  },
+  
+  // Find by nearest text if applicable
+  text: async (brokenSelector, page) => {
     const textMatch = await findByNearestText(brokenSelector, page);
     if (textMatch) {
       logger.info(`Found by nearest text: ${textMatch}`);
-      return textMatch;
+    }
+    return textMatch;
+  }
+};
+
+/**
+ * Find a working selector for an element whose selector broke
+ *
+ * A selector pinned in the element repository wins if it finds an element.
+ * Otherwise strategies run in the configured order. When the element was
+ * captured with a fingerprint, a strategy's selector is only accepted if the
+ * element it finds scores at least `selfHealing.confidenceThreshold`
+ * against it; without one, the first selector that exists wins, with the
+ * strategy's own score (the visual similarity) as its confidence, if any.
+ *
+ * @param {string} brokenSelector - Selector that no longer works
+ * @param {Object} page - Playwright page or frame the command ran in
+ * @returns {Promise<Object|null>} `{ selector, strategy, confidence, breakdown }`, with
+ *   breakdown null when there was no fingerprint to score against, or null
+ */
+async function selfHeal(brokenSelector, page) {
+  const { enabled, strategies: order, confidenceThreshold } = getConfig().selfHealing;
+  if (!enabled) {
+    logger.info(`Self-healing is disabled; not healing selector: ${brokenSelector}`);
+    return null;
+  }
+  
+  logger.info(`Attempting to self-heal selector: ${brokenSelector}`);
+  
+  try {
+    const elementData = await getElementRepository().getElementData(brokenSelector, page.url());
+    const fingerprint = elementData && elementData.fingerprint;
+    
+    // A selector pinned by hand is trusted as long as it finds something
+    if (elementData && elementData.preferredSelector && await checkSelectorExists(elementData.preferredSelector, page)) {
+      const match = fingerprint ? await scoreSelector(elementData.preferredSelector, fingerprint, page) : null;
+      return {
+        selector: elementData.preferredSelector,
+        strategy: 'pinned',
+        confidence: match ? match.score : null,
+        breakdown: match ? match.breakdown : null
+      };
+    }
+    
+    for (const name of order) {
+      const result = await strategies[name](brokenSelector, page);
+      if (!result) continue;
+      const healed = typeof result === 'string' ? result : result.selector;
+      
+      if (!fingerprint) {
+        return { selector: healed, strategy: name, confidence: typeof result === 'string' ? null : result.confidence, breakdown: null };
+      }
+      
+      const match = await scoreSelector(healed, fingerprint, page);
+      if (match && match.score >= confidenceThreshold) {
+        return { selector: healed, strategy: name, confidence: match.score, breakdown: match.breakdown };
+      }
+      logger.info(`Rejected ${name} match ${healed}: score ${match ? match.score : 0} is below ${confidenceThreshold}`);
     }
     
     logger.warn(`Unable to heal selector: ${brokenSelector}`);
@@ -58,6 +134,16 @@ async function selfHeal(brokenSelector, page) {
   }
 }
 
+// Score the element a selector finds against a fingerprint; null if it finds none
+async function scoreSelector(selector, fingerprint, page) {
+  try {
+    const element = await page.$(selector);
+    return element ? scoreFingerprint(fingerprint, await fingerprintElement(element)) : null;
+  } catch (error) {
+    return null;
+  }
+}
+
 async function checkSelectorExists(selector, page) {
   try {
     const element = await page.$(selector);
@@ -69,7 +155,7 @@ async function checkSelectorExists(selector, page) {
 
 async function generateRoleSelectors(brokenSelector, page) {
   // Get element data from repository
-  const elementData = elementRepo.getElementData(brokenSelector);
+  const elementData = await getElementRepository().getElementData(brokenSelector, page.url());
   if (!elementData || !elementData.nearbyText) return null;
   
   // Try to find element by role
@@ -135,76 +221,33 @@ function generateLooserSelectors(selector) {
   return selectors;
 }
 
+// Find the captured element image in a screenshot of the viewport; the element at the best match is the healed one
 async function findByVisualMatch(brokenSelector, page) {
-  const elementSnapshot = elementRepo.getElementSnapshot(brokenSelector);
+  const elementSnapshot = await getElementRepository().getElementSnapshot(brokenSelector, page.url());
   if (!elementSnapshot) return null;
   
   try {
-    // Create temporary directory for screenshots if needed
-    const tempDir = path.join(__dirname, '../../temp');
-    try {
-      await fs.mkdir(tempDir, { recursive: true });
-    } catch (err) {
-      // Directory might already exist
-    }
-    
-    // Save element snapshot to a temporary file
-    const snapshotPath = path.join(tempDir, `element-snapshot-${Date.now()}.png`);
-    await fs.writeFile(snapshotPath, Buffer.from(elementSnapshot.image, 'base64'));
-    
-    // Take full page screenshot
-    const fullScreenshotPath = path.join(tempDir, `page-snapshot-${Date.now()}.png`);
-    await page.screenshot({ path: fullScreenshotPath, fullPage: true });
+    // A frame has no screenshot of its own; its iframe element shows its viewport
+    const target = typeof page.screenshot === 'function' ? page : await page.frameElement();
+    const screenshot = decodeGrayscale(await target.screenshot({ type: 'jpeg', quality: 90 }));
+    const template = decodeGrayscale(Buffer.from(elementSnapshot.image, 'base64'));
     
-    // Use Playwright's built-in visual matching capabilities
-    // We'll use the DOM from the current page to find the best match
-    const { width: elementWidth, height: elementHeight } = elementSnapshot;
-    
-    // Find elements that are similar in size to the snapshot
-    const potentialElements = await page.evaluate((targetWidth, targetHeight) => {
-      const elements = document.querySelectorAll('button, a, input, select, div, span, img');
-      const results = [];
-      
-      for (const el of elements) {
-        const rect = el.getBoundingClientRect();
-        // Allow for some size difference (20% tolerance)
-        const widthDiff = Math.abs(rect.width - targetWidth) / targetWidth;
-        const heightDiff = Math.abs(rect.height - targetHeight) / targetHeight;
-        
-        if (widthDiff < 0.2 && heightDiff < 0.2) {
-          results.push({
-            x: rect.x + rect.width / 2,
-            y: rect.y + rect.height / 2
-          });
-        }
-      }
-      
-      return results;
-    }, elementWidth, elementHeight);
-    
-    // Try each potential element
-    for (const point of potentialElements) {
-      // Check if there's an element at this position
-      const elementAtPoint = await page.evaluate((x, y) => {
-        const element = document.elementFromPoint(x, y);
-        return element ? true : false;
-      }, point.x, point.y);
-      
-      if (elementAtPoint) {
-        // Use Playwright's built-in locator for element at position
-        return `internal:control=x:${point.x},y:${point.y}`;
-      }
+    const match = matchTemplate(screenshot, template);
+    const threshold = getConfig().selfHealing.confidenceThreshold;
+    if (!match || match.score < threshold) {
+      logger.debug(`No visual match for ${brokenSelector}: best similarity ${match ? match.score : 0} is below ${threshold}`);
+      return null;
     }
     
-    // Clean up temporary files
-    try {
-      await fs.unlink(snapshotPath);
-      await fs.unlink(fullScreenshotPath);
-    } catch (err) {
-      // Ignore cleanup errors
-    }
+    // Screenshots are in device pixels, elementFromPoint takes CSS pixels
+    const viewportWidth = await page.evaluate(() => window.innerWidth);
+    const scale = screenshot.width / viewportWidth;
+    const selector = await page.evaluate(inspectElements, {
+      x: (match.x + match.width / 2) / scale,
+      y: (match.y + match.height / 2) / scale
+    });
     
-    return null;
+    return selector ? { selector, similarity: Math.round(match.score * 1000) / 1000 } : null;
   } catch (error) {
     logger.error(`Visual matching error: ${error.message}`);
     return null;
@@ -212,7 +255,7 @@ async function findByVisualMatch(brokenSelector, page) {
 }
 
 async function findByNearestText(brokenSelector, page) {
-  const elementData = elementRepo.getElementData(brokenSelector);
+  const elementData = await getElementRepository().getElementData(brokenSelector, page.url());
   if (!elementData || !elementData.nearbyText) return null;
   
   // Try to find element by nearby text
@@ -233,16 +276,21 @@ async function findByNearestText(brokenSelector, page) {
     
     // Try to find the nearest clickable element to the text
     const nearbySelector = await page.evaluate((text) => {
-      // Find all elements containing the text
+      // Find all elements containing the text, including inside open shadow roots
       const textNodes = [];
-      const walker = document.createTreeWalker(document.body, NodeFilter.SHOW_TEXT);
-      
-      let node;
-      while ((node = walker.nextNode())) {
-        if (node.textContent.trim() && node.textContent.includes(text)) {
-          textNodes.push(node);
+      const walk = (root) => {
+        const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT | NodeFilter.SHOW_ELEMENT);
+        
+        let node;
+        while ((node = walker.nextNode())) {
+          if (node.nodeType === Node.ELEMENT_NODE) {
+            if (node.shadowRoot) walk(node.shadowRoot);
+          } else if (node.textContent.trim() && node.textContent.includes(text)) {
+            textNodes.push(node);
+          }
         }
-      }
+      };
+      walk(document.body);
       
       if (textNodes.length > 0) {
         // Get parent element with nearest clickable
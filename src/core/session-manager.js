@@ -0,0 +1,405 @@
+/**
+ * Session Manager Module
+ *
+ * Gives every automation client its own isolated BrowserContext inside a
+ * shared browser process. Sessions are addressed by ID, and sessions that
+ * sit idle longer than the configured timeout are closed automatically.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../utils/logger');
+const { resolveEngine, getContextOptions, launchBrowser } = require('./browser-launcher');
+
+const DEFAULT_SESSION_ID = 'default';
+const DEFAULT_IDLE_TIMEOUT_MS = 15 * 60 * 1000;
+
+class SessionNotFoundError extends Error {
+  constructor(sessionId) {
+    super(`Session not found: ${sessionId}`);
+    this.name = 'SessionNotFoundError';
+    this.sessionId = sessionId;
+  }
+}
+
+class SessionManager {
+  constructor(options = {}) {
+    this.idleTimeoutMs = options.idleTimeoutMs || Number(process.env.SESSION_IDLE_TIMEOUT_MS) || DEFAULT_IDLE_TIMEOUT_MS;
+    this.reapIntervalMs = options.reapIntervalMs || 60 * 1000;
+    this.launchOptions = options.launchOptions || {};
+    this.sessions = new Map();
+    // One browser process per engine, shared by every session on that engine
+    this.browsers = new Map();
+    this.browserPromises = new Map();
+    // Sessions whose context is still being created, so their IDs cannot be taken twice
+    this.sessionPromises = new Map();
+    this.reapTimer = null;
+    this.closeListeners = [];
+  }
+
+  /**
+   * Register a function to call whenever a session closes, also when the reaper closes it
+   *
+   * @param {Function} listener - Called with the ID of the closed session
+   */
+  onSessionClosed(listener) {
+    this.closeListeners.push(listener);
+  }
+
+  /**
+   * Get the shared browser for an engine, launching it on first use
+   *
+   * @param {string} [browserName] - Engine name (defaults to the configured browser)
+   * @returns {Promise<Browser>} Playwright browser
+   */
+  async getBrowser(browserName) {
+    const engine = resolveEngine(browserName);
+    if (this.browsers.has(engine)) return this.browsers.get(engine);
+
+    // Concurrent session creation must share a single launch
+    if (!this.browserPromises.has(engine)) {
+      const promise = launchBrowser(engine, this.launchOptions).then(browser => {
+        this.browsers.set(engine, browser);
+        logger.info(`Browser initialized: ${engine}`);
+        return browser;
+      }).finally(() => {
+        this.browserPromises.delete(engine);
+      });
+      this.browserPromises.set(engine, promise);
+    }
+
+    return this.browserPromises.get(engine);
+  }
+
+  /**
+   * Create a new session with its own BrowserContext
+   *
+   * @param {Object} [options] - Session options
+   * @param {string} [options.id] - Explicit session ID (generated if omitted)
+   * @param {string} [options.label] - Human readable label
+   * @param {string} [options.browser] - Engine to run the session on (chromium, firefox or webkit)
+   * @param {string} [options.device] - Playwright device name to emulate
+   * @param {Object} [options.contextOptions] - Extra Playwright BrowserContext options
+   * @returns {Promise<Object>} The created session
+   */
+  async createSession(options = {}) {
+    const id = options.id || uuidv4();
+    if (this.sessions.has(id) || this.sessionPromises.has(id)) {
+      throw new Error(`Session already exists: ${id}`);
+    }
+
+    const promise = this.openSession(id, options).finally(() => {
+      this.sessionPromises.delete(id);
+    });
+    this.sessionPromises.set(id, promise);
+    return promise;
+  }
+
+  async openSession(id, options) {
+    const engine = resolveEngine(options.browser);
+    const browser = await this.getBrowser(engine);
+    const context = await browser.newContext({
+      ...getContextOptions({ device: options.device }),
+      ...(options.contextOptions || {})
+    });
+
+    const now = Date.now();
+    const session = {
+      id,
+      label: options.label || null,
+      browser: engine,
+      context,
+      activePage: null,
+      createdAt: now,
+      lastUsedAt: now
+    };
+
+    this.sessions.set(id, session);
+    this.startReaper();
+    logger.info(`Session created: ${id}`);
+
+    return session;
+  }
+
+  /**
+   * Look up a session and mark it as used
+   *
+   * @param {string} sessionId - Session ID
+   * @returns {Object} The session
+   */
+  getSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new SessionNotFoundError(sessionId);
+    }
+
+    session.lastUsedAt = Date.now();
+    return session;
+  }
+
+  /**
+   * Resolve the session a command should run in. Commands without a
+   * sessionId share an implicitly created default session per engine.
+   *
+   * @param {string} [sessionId] - Session ID
+   * @param {Object} [options] - Options
+   * @param {string} [options.browser] - Engine the command asks for
+   * @returns {Promise<Object>} The session
+   */
+  async resolveSession(sessionId, options = {}) {
+    if (sessionId) {
+      const session = this.getSession(sessionId);
+      if (options.browser && options.browser !== session.browser) {
+        throw new Error(`Session ${sessionId} runs ${session.browser}, not ${options.browser}`);
+      }
+      return session;
+    }
+
+    const engine = resolveEngine(options.browser);
+    const id = defaultSessionId(engine);
+    // Concurrent first commands must share a single default session
+    if (this.sessionPromises.has(id)) {
+      await this.sessionPromises.get(id);
+    } else if (!this.sessions.has(id)) {
+      await this.createSession({ id, label: 'Default session', browser: engine });
+    }
+
+    return this.getSession(id);
+  }
+
+  /**
+   * Get the page commands in a session act on
+   *
+   * @param {Object} session - Session
+   * @returns {Promise<Page>} Active page
+   */
+  async getActivePage(session) {
+    if (!session.activePage || isPageClosed(session.activePage)) {
+      const pages = session.context.pages();
+      // Fall back to the most recently opened page that is still around
+      session.activePage = pages.length > 0 ? pages[pages.length - 1] : await session.context.newPage();
+    }
+
+    return session.activePage;
+  }
+
+  /**
+   * Describe every open page in a session
+   *
+   * @param {Object} session - Session
+   * @returns {Promise<Array<Object>>} Page descriptions ({ index, url, title, active })
+   */
+  async listPages(session) {
+    const pages = session.context.pages();
+    return Promise.all(pages.map(async (page, index) => ({
+      index,
+      url: page.url(),
+      title: await page.title(),
+      active: page === session.activePage
+    })));
+  }
+
+  /**
+   * Make another open page the active one. Pages can be matched by index,
+   * or by a substring of their URL or title.
+   *
+   * @param {Object} session - Session
+   * @param {Object} criteria - Match criteria
+   * @param {number} [criteria.index] - Page index as reported by listPages
+   * @param {string} [criteria.url] - Substring of the page URL
+   * @param {string} [criteria.title] - Substring of the page title
+   * @returns {Promise<Page>} The new active page
+   */
+  async switchPage(session, criteria = {}) {
+    const { index, url, title } = criteria;
+    const pages = session.context.pages();
+    let page;
+
+    if (index !== undefined) {
+      page = pages[index];
+    } else if (url) {
+      page = pages.find(candidate => candidate.url().includes(url));
+    } else if (title) {
+      for (const candidate of pages) {
+        if ((await candidate.title()).includes(title)) {
+          page = candidate;
+          break;
+        }
+      }
+    } else {
+      throw new Error('switch_page requires an index, url or title');
+    }
+
+    if (!page) {
+      throw new Error(`No page matches ${JSON.stringify(criteria)}`);
+    }
+
+    session.activePage = page;
+    await page.bringToFront();
+    return page;
+  }
+
+  /**
+   * Open a new tab in the session and make it the active page
+   *
+   * @param {Object} session - Session
+   * @returns {Promise<Page>} The new page
+   */
+  async newPage(session) {
+    const page = await session.context.newPage();
+    session.activePage = page;
+    return page;
+  }
+
+  /**
+   * Close a page in the session (the active page if no index is given)
+   *
+   * @param {Object} session - Session
+   * @param {number} [index] - Page index as reported by listPages
+   * @returns {Promise<Object>} Description of the closed page
+   */
+  async closePage(session, index) {
+    const pages = session.context.pages();
+    const page = index === undefined ? await this.getActivePage(session) : pages[index];
+    if (!page) {
+      throw new Error(`No page at index ${index}`);
+    }
+
+    const closed = this.describePage(session, page);
+    await page.close();
+    if (page === session.activePage) {
+      const remaining = session.context.pages();
+      session.activePage = remaining.length > 0 ? remaining[remaining.length - 1] : null;
+    }
+
+    return closed;
+  }
+
+  /**
+   * Run a trigger on the active page and wait for the popup it opens.
+   * The popup becomes the active page.
+   *
+   * @param {Object} session - Session
+   * @param {Function} [trigger] - Receives the active page and performs the action that opens the popup
+   * @param {Object} [options] - Options
+   * @param {number} [options.timeout] - How long to wait for the popup in ms
+   * @returns {Promise<Page>} The popup page
+   */
+  async waitForPopup(session, trigger, options = {}) {
+    const page = await this.getActivePage(session);
+    const [popup] = await Promise.all([
+      page.waitForEvent('popup', { timeout: options.timeout || 30000 }),
+      trigger ? trigger(page) : Promise.resolve()
+    ]);
+
+    await popup.waitForLoadState();
+    session.activePage = popup;
+    return popup;
+  }
+
+  /**
+   * Identify a page within its session for inclusion in command results
+   *
+   * @param {Object} session - Session
+   * @param {Page} page - Page
+   * @returns {Object} Page reference ({ index, url })
+   */
+  describePage(session, page) {
+    return {
+      index: session.context.pages().indexOf(page),
+      url: page.url()
+    };
+  }
+
+  listSessions() {
+    return Array.from(this.sessions.values()).map(describeSession);
+  }
+
+  async closeSession(sessionId) {
+    const session = this.sessions.get(sessionId);
+    if (!session) {
+      throw new SessionNotFoundError(sessionId);
+    }
+
+    this.sessions.delete(sessionId);
+    try {
+      await session.context.close();
+    } catch (error) {
+      logger.warn(`Failed to close context for session ${sessionId}: ${error.message}`);
+    }
+    logger.info(`Session closed: ${sessionId}`);
+    for (const listener of this.closeListeners) {
+      listener(sessionId);
+    }
+
+    return describeSession(session);
+  }
+
+  async reapIdleSessions() {
+    const now = Date.now();
+    const expired = Array.from(this.sessions.values())
+      .filter(session => now - session.lastUsedAt > this.idleTimeoutMs);
+
+    for (const session of expired) {
+      logger.info(`Reaping idle session: ${session.id}`);
+      await this.closeSession(session.id).catch(error => {
+        logger.error(`Failed to reap session ${session.id}: ${error.message}`);
+      });
+    }
+
+    return expired.map(session => session.id);
+  }
+
+  startReaper() {
+    if (this.reapTimer) return;
+
+    this.reapTimer = setInterval(() => {
+      this.reapIdleSessions();
+    }, this.reapIntervalMs);
+    this.reapTimer.unref();
+  }
+
+  async closeAll() {
+    if (this.reapTimer) {
+      clearInterval(this.reapTimer);
+      this.reapTimer = null;
+    }
+
+    for (const sessionId of Array.from(this.sessions.keys())) {
+      await this.closeSession(sessionId);
+    }
+
+    const browsers = Array.from(this.browsers.entries());
+    this.browsers.clear();
+    for (const [engine, browser] of browsers) {
+      await browser.close();
+      logger.info(`Browser closed: ${engine}`);
+    }
+  }
+}
+
+// The configured engine keeps the plain default ID so existing clients are unaffected
+function defaultSessionId(engine) {
+  return engine === resolveEngine() ? DEFAULT_SESSION_ID : `${DEFAULT_SESSION_ID}-${engine}`;
+}
+
+function isPageClosed(page) {
+  return typeof page.isClosed === 'function' && page.isClosed();
+}
+
+function describeSession(session) {
+  return {
+    sessionId: session.id,
+    label: session.label,
+    browser: session.browser,
+    createdAt: new Date(session.createdAt).toISOString(),
+    lastUsedAt: new Date(session.lastUsedAt).toISOString(),
+    pages: session.context.pages().length
+  };
+}
+
+module.exports = {
+  SessionManager,
+  SessionNotFoundError,
+  DEFAULT_SESSION_ID,
+  defaultSessionId
+};
@@ -0,0 +1,77 @@
+/**
+ * Stdio Transport Module
+ *
+ * Runs the MCP server over stdin/stdout using newline-delimited JSON-RPC
+ * messages, so MCP clients can launch the server as a subprocess.
+ * Nothing but protocol messages may be written to stdout in this mode.
+ */
+
+const readline = require('readline');
+const { logger } = require('../utils/logger');
+const { McpServer, JSON_RPC_ERRORS, createErrorResponse } = require('./mcp-server');
+
+/**
+ * Start serving MCP over a pair of streams
+ *
+ * @param {Object} [options] - Transport options
+ * @param {stream.Readable} [options.input] - Stream to read requests from (default: stdin)
+ * @param {stream.Writable} [options.output] - Stream to write responses to (default: stdout)
+ * @returns {Object} Handle with the server instance and a close() function
+ */
+function startStdioServer(options = {}) {
+  const input = options.input || process.stdin;
+  const output = options.output || process.stdout;
+  const server = options.server || new McpServer({ transport: 'stdio' });
+
+  const rl = readline.createInterface({ input, crlfDelay: Infinity });
+  const pending = new Set();
+
+  const send = (message) => {
+    output.write(`${JSON.stringify(message)}\n`);
+  };
+
+  rl.on('line', (line) => {
+    if (!line.trim()) return;
+
+    let message;
+    try {
+      message = JSON.parse(line);
+    } catch (error) {
+      send(createErrorResponse(null, JSON_RPC_ERRORS.PARSE_ERROR, `Parse error: ${error.message}`));
+      return;
+    }
+
+    // Requests are handled concurrently so a long-running tool call
+    // does not block pings or other calls
+    const task = server.handleMessage(message, { notify: send })
+      .then(response => {
+        if (response) send(response);
+      })
+      .catch(error => {
+        logger.error(`Stdio transport error: ${error.message}`);
+      })
+      .finally(() => pending.delete(task));
+
+    pending.add(task);
+  });
+
+  const closed = new Promise(resolve => {
+    rl.on('close', async () => {
+      await Promise.all(pending);
+      logger.info('Stdio transport closed');
+      resolve();
+    });
+  });
+
+  logger.info('MCP stdio transport started');
+
+  return {
+    server,
+    closed,
+    close: () => rl.close()
+  };
+}
+
+module.exports = {
+  startStdioServer
+};
@@ -0,0 +1,46 @@
+/**
+ * Step Commands
+ *
+ * Commands a stored test step may use. The TestCase and TestSuite models
+ * and the file repositories validate steps against this list.
+ *
+ * Flow-control steps are run by the test runner itself rather than the
+ * automation backend, and carry nested `steps` (and, for `if`, `elseSteps`).
+ */
+
+const { ASSERTION_COMMANDS } = require('./assertions');
+const { WAIT_COMMANDS } = require('./waits');
+
+const FLOW_COMMANDS = ['if', 'forEach', 'retryBlock', 'callTestCase'];
+
+const STEP_COMMANDS = [
+  'navigate',
+  'click',
+  'type',
+  'select',
+  'hover',
+  'double_click',
+  'right_click',
+  'press_key',
+  'drag_and_drop',
+  'upload_file',
+  'check',
+  'uncheck',
+  'scroll',
+  'focus',
+  'blur',
+  'extract',
+  'extract_all',
+  'screenshot',
+  'wait',
+  ...WAIT_COMMANDS,
+  'desktop_click',
+  'desktop_type',
+  ...ASSERTION_COMMANDS,
+  ...FLOW_COMMANDS
+];
+
+module.exports = {
+  FLOW_COMMANDS,
+  STEP_COMMANDS
+};
@@ -0,0 +1,186 @@
+/**
+ * Suite Runner Module
+ *
+ * Runs the test cases of a TestSuite and aggregates their results into a
+ * single report. Suite setup steps run at the start of, and teardown steps
+ * at the end of, every session the suite uses: a sequential run shares one
+ * session between all test cases, a parallel run gives each test case its own.
+ */
+
+const { createSession, closeSession } = require('./automation-backend');
+const { runStoredTestCase, runSteps } = require('./test-runner');
+const { getTestSuiteRepository } = require('./test-suite-repository');
+const { activeProfile, buildVariables } = require('./variables');
+const { logger } = require('../utils/logger');
+
+const RUN_MODES = ['sequential', 'parallel'];
+const DEFAULT_CONCURRENCY = 4;
+
+/**
+ * Run every test case in a suite
+ *
+ * @param {Object} testSuite - Test suite
+ * @param {Object} [options] - Run options
+ * @param {string} [options.mode] - `sequential` (default) or `parallel`
+ * @param {number} [options.concurrency] - Test cases running at once in parallel mode (default: 4)
+ * @param {string} [options.browser] - Browser engine for the suite's sessions
+ * @param {string|null} [options.profile] - Environment profile (default: the configured `profile`)
+ * @param {Object} [options.inputs] - Run-time inputs, which override the suite variables
+ * @returns {Promise<Object>} Suite report
+ * @throws {ProfileNotFoundError} If the profile is not configured
+ */
+async function runSuite(testSuite, options = {}) {
+  const mode = options.mode || 'sequential';
+  if (!RUN_MODES.includes(mode)) {
+    throw new Error(`Unknown suite run mode: ${mode}. Expected one of ${RUN_MODES.join(', ')}`);
+  }
+  const concurrency = options.concurrency !== undefined ? options.concurrency : DEFAULT_CONCURRENCY;
+  checkConcurrency(concurrency);
+
+  const startTime = Date.now();
+  const profile = activeProfile(options.profile);
+  const runOptions = {
+    browser: options.browser,
+    profile,
+    variables: testSuite.variables,
+    inputs: options.inputs,
+    // Setup and teardown steps see the same variables as the test cases, minus dataset rows
+    hookVariables: buildVariables({ profile, suite: testSuite.variables, inputs: options.inputs })
+  };
+
+  logger.info(`Running suite "${testSuite.name}" (${testSuite.testCases.length} test case(s), ${mode})`);
+
+  const sessionRuns = mode === 'sequential'
+    ? [await runInSession(testSuite, testSuite.testCases, runOptions)]
+    : await mapWithConcurrency(
+      testSuite.testCases,
+      concurrency,
+      testCaseId => runInSession(testSuite, [testCaseId], runOptions)
+    );
+
+  const results = sessionRuns.flatMap(run => run.results);
+  const report = {
+    suiteId: testSuite._id !== undefined ? String(testSuite._id) : undefined,
+    name: testSuite.name,
+    mode,
+    ...(profile && { profile }),
+    executedAt: new Date(startTime),
+    duration: Date.now() - startTime,
+    status: computeSuiteStatus(sessionRuns, results),
+    summary: summarize(results),
+    setup: sessionRuns.map(run => run.setup),
+    teardown: sessionRuns.map(run => run.teardown),
+    results
+  };
+
+  logger.info(`Suite "${testSuite.name}" finished: ${report.status}`);
+  return report;
+}
+
+/**
+ * Load a stored suite and run it
+ *
+ * @param {string} id - TestSuite id
+ * @param {Object} [options] - Run options (see runSuite)
+ * @returns {Promise<Object|null>} Suite report, or null if the suite does not exist
+ */
+async function runStoredSuite(id, options = {}) {
+  const testSuite = await getTestSuiteRepository().get(id);
+  if (!testSuite) {
+    return null;
+  }
+  return await runSuite(testSuite, options);
+}
+
+async function runInSession(testSuite, testCaseIds, options) {
+  const { sessionId } = await createSession({ label: `suite:${testSuite.name}`, browser: options.browser });
+  const results = [];
+  let setup;
+  let teardown;
+
+  try {
+    setup = await runSteps(testSuite.setup || [], sessionId, { variables: options.hookVariables });
+
+    for (const testCaseId of testCaseIds) {
+      // Test cases depend on their setup, so a failed setup skips them
+      results.push(setup.aborted
+        ? { testCaseId: String(testCaseId), status: 'skipped' }
+        : await runMember(testCaseId, sessionId, options));
+    }
+  } finally {
+    teardown = await runSteps(testSuite.teardown || [], sessionId, { variables: options.hookVariables });
+    await closeSession(sessionId).catch(error => logger.warn(`Failed to close suite session: ${error.message}`));
+  }
+
+  return {
+    setup: { sessionId, aborted: setup.aborted, stepResults: setup.stepResults },
+    teardown: { sessionId, aborted: teardown.aborted, stepResults: teardown.stepResults },
+    results
+  };
+}
+
+async function runMember(testCaseId, sessionId, options) {
+  try {
+    const execution = await runStoredTestCase(String(testCaseId), {
+      sessionId,
+      profile: options.profile,
+      variables: options.variables,
+      inputs: options.inputs
+    });
+    if (!execution) {
+      return { testCaseId: String(testCaseId), status: 'failure', error: 'Test case not found' };
+    }
+    return execution;
+  } catch (error) {
+    logger.error(`Suite member ${testCaseId} failed to run: ${error.message}`);
+    return { testCaseId: String(testCaseId), status: 'failure', error: error.message };
+  }
+}
+
+// Anything but a positive integer would start no workers and report an empty run as a success
+function checkConcurrency(concurrency) {
+  if (!Number.isInteger(concurrency) || concurrency < 1) {
+    throw new Error(`Suite concurrency must be a positive integer, got ${concurrency}`);
+  }
+}
+
+async function mapWithConcurrency(items, concurrency, worker) {
+  checkConcurrency(concurrency);
+  const results = new Array(items.length);
+  let next = 0;
+
+  const runWorker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index]);
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(concurrency, items.length) }, runWorker));
+  return results;
+}
+
+function summarize(results) {
+  const summary = { total: results.length, success: 0, failure: 0, partial: 0, skipped: 0 };
+  for (const result of results) {
+    summary[result.status]++;
+  }
+  return summary;
+}
+
+function computeSuiteStatus(sessionRuns, results) {
+  const hooksFailed = sessionRuns.some(run => run.setup.aborted || run.teardown.aborted);
+  if (hooksFailed || results.some(result => result.status === 'failure' || result.status === 'skipped')) {
+    return 'failure';
+  }
+  if (results.some(result => result.status === 'partial')) {
+    return 'partial';
+  }
+  return 'success';
+}
+
+module.exports = {
+  RUN_MODES,
+  runSuite,
+  runStoredSuite
+};
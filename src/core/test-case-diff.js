@@ -0,0 +1,149 @@
+/**
+ * Test Case Diff Module
+ *
+ * Compares two versions of a test case. Steps are aligned with a longest
+ * common subsequence, so inserting or removing one step does not show every
+ * later step as changed; unmatched steps between two aligned ones are
+ * reported as modified pairwise and the rest as added or removed.
+ */
+
+const STEP_FIELDS = ['command', 'description', 'parameters', 'timeout', 'retryOnFailure', 'skipIfFailed', 'steps', 'elseSteps'];
+const NESTED_STEP_FIELDS = ['steps', 'elseSteps'];
+const TEST_CASE_FIELDS = ['name', 'description'];
+
+/**
+ * Diff two versions of a test case
+ *
+ * @param {Object} before - Earlier version (name, description, steps)
+ * @param {Object} after - Later version
+ * @returns {{fields: Array<Object>, steps: Array<Object>}} Changed test case fields and step changes
+ */
+function diffTestCases(before, after) {
+  const fields = [];
+  for (const field of TEST_CASE_FIELDS) {
+    if (!isEqual(before[field], after[field])) {
+      fields.push({ field, from: before[field], to: after[field] });
+    }
+  }
+
+  return { fields, steps: diffSteps(before.steps || [], after.steps || []) };
+}
+
+/**
+ * Diff two step lists
+ *
+ * @param {Array<Object>} before - Earlier steps
+ * @param {Array<Object>} after - Later steps
+ * @returns {Array<Object>} Changes: `added` (index, step), `removed` (index, step)
+ *   and `modified` (fromIndex, toIndex, changes: [{field, from, to}])
+ */
+function diffSteps(before, after) {
+  const oldSteps = before.map(normalizeStep);
+  const newSteps = after.map(normalizeStep);
+  const matches = longestCommonSubsequence(oldSteps, newSteps);
+
+  const changes = [];
+  let oldIndex = 0;
+  let newIndex = 0;
+
+  // A sentinel match at the end flushes the steps after the last real match
+  for (const [matchOld, matchNew] of [...matches, [oldSteps.length, newSteps.length]]) {
+    const removed = range(oldIndex, matchOld);
+    const added = range(newIndex, matchNew);
+    const paired = Math.min(removed.length, added.length);
+
+    for (let i = 0; i < paired; i++) {
+      changes.push({
+        type: 'modified',
+        fromIndex: removed[i],
+        toIndex: added[i],
+        changes: diffFields(oldSteps[removed[i]], newSteps[added[i]])
+      });
+    }
+    for (const index of removed.slice(paired)) {
+      changes.push({ type: 'removed', index, step: oldSteps[index] });
+    }
+    for (const index of added.slice(paired)) {
+      changes.push({ type: 'added', index, step: newSteps[index] });
+    }
+
+    oldIndex = matchOld + 1;
+    newIndex = matchNew + 1;
+  }
+
+  return changes;
+}
+
+// Pairs of [oldIndex, newIndex] for steps that are unchanged, in order
+function longestCommonSubsequence(oldSteps, newSteps) {
+  const oldKeys = oldSteps.map(canonicalJson);
+  const newKeys = newSteps.map(canonicalJson);
+  const lengths = Array.from({ length: oldKeys.length + 1 }, () => new Array(newKeys.length + 1).fill(0));
+
+  for (let i = oldKeys.length - 1; i >= 0; i--) {
+    for (let j = newKeys.length - 1; j >= 0; j--) {
+      lengths[i][j] = oldKeys[i] === newKeys[j]
+        ? lengths[i + 1][j + 1] + 1
+        : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+    }
+  }
+
+  const matches = [];
+  let i = 0;
+  let j = 0;
+  while (i < oldKeys.length && j < newKeys.length) {
+    if (oldKeys[i] === newKeys[j]) {
+      matches.push([i, j]);
+      i++;
+      j++;
+    } else if (lengths[i + 1][j] >= lengths[i][j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+  return matches;
+}
+
+function diffFields(before, after) {
+  return STEP_FIELDS
+    .filter(field => !isEqual(before[field], after[field]))
+    .map(field => ({ field, from: before[field], to: after[field] }));
+}
+
+// Only the fields users edit take part in a comparison (not database ids)
+function normalizeStep(step) {
+  const normalized = {};
+  for (const field of STEP_FIELDS) {
+    let value = step[field];
+    if (value instanceof Map) value = Object.fromEntries(value);
+    // Flow-control steps are compared with their nested steps normalized the same way
+    if (NESTED_STEP_FIELDS.includes(field) && Array.isArray(value)) value = value.map(normalizeStep);
+    if (value !== undefined) normalized[field] = value;
+  }
+  return normalized;
+}
+
+function isEqual(left, right) {
+  return canonicalJson(left) === canonicalJson(right);
+}
+
+// JSON with sorted object keys, so key order does not count as a change
+function canonicalJson(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonicalJson).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonicalJson(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+}
+
+function range(start, end) {
+  return Array.from({ length: Math.max(0, end - start) }, (_, offset) => start + offset);
+}
+
+module.exports = {
+  diffTestCases,
+  diffSteps
+};
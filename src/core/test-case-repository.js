@@ -0,0 +1,596 @@
+/**
+ * Test Case Repository Module
+ *
+ * Storage for TestCase documents behind a single interface, so the API and
+ * the test runner work the same with or without a database server:
+ *
+ *   MongoTestCaseRepository - the mongoose TestCase model
+ *   FileTestCaseRepository  - a local JSON file, for local-only and air-gapped use
+ *
+ * `storage.driver` in the config picks one; when it is unset, MongoDB is used
+ * if `storage.mongodbUri` is configured and the JSON file otherwise.
+ *
+ * Every method resolves to plain objects shaped like the TestCase model
+ * (`_id`, `steps`, `tags`, `createdAt`, `updatedAt`, `executionHistory`).
+ *
+ * `list(query)` filters, sorts and paginates. The query fields are:
+ *   search - case-insensitive substring of the name or description
+ *   tags   - tags a test case must all have
+ *   status - statuses of the last run (`success`, `failure`, `partial` or `never`)
+ *   sort   - `createdAt` or `name`, prefixed with `-` for descending order
+ *   limit  - page size; `nextCursor` is set when there are more results
+ *   cursor - `nextCursor` from the previous page
+ *
+ * Creating, updating and restoring a test case each write an immutable
+ * revision: a snapshot of the name, description and steps with its author,
+ * timestamp and a diff against the previous revision. `revision` on the
+ * test case is the number of its current revision. Tags and datasets are
+ * not versioned.
+ *
+ * `dataset` holds the rows a test case can be run against (see dataset.js).
+ */
+
+const crypto = require('crypto');
+const Joi = require('joi');
+const { logger } = require('../utils/logger');
+const { JsonCollection, clone } = require('../utils/json-file');
+const { getConfig } = require('../utils/config');
+const { diffTestCases } = require('./test-case-diff');
+const { STEP_COMMANDS } = require('./step-commands');
+
+class MongoTestCaseRepository {
+  constructor() {
+    // Loaded here so the file driver never pulls in mongoose
+    this.TestCase = require('../models/test-case');
+    this.TestCaseRevision = require('../models/test-case-revision');
+  }
+
+  async create(data, options = {}) {
+    const testCase = new this.TestCase({ ...omitUndefined(data), revision: 1, createdAt: new Date() });
+    await testCase.save();
+
+    const plain = toPlain(testCase);
+    await this.TestCaseRevision.create(buildRevision(null, plain, options));
+    return plain;
+  }
+
+  async list(query = {}) {
+    const sort = query.sort || DEFAULT_SORT;
+    const { field, direction } = parseSort(sort);
+    const conditions = [];
+
+    if (query.search) {
+      const pattern = new RegExp(escapeRegExp(query.search), 'i');
+      conditions.push({ $or: [{ name: pattern }, { description: pattern }] });
+    }
+    if (query.tags && query.tags.length > 0) {
+      conditions.push({ tags: { $all: query.tags } });
+    }
+    if (query.status && query.status.length > 0) {
+      const lastStatus = { $ifNull: [{ $arrayElemAt: ['$executionHistory.status', -1] }, 'never'] };
+      conditions.push({ $expr: { $in: [lastStatus, query.status] } });
+    }
+    if (query.cursor) {
+      const { value, id } = decodeCursor(query.cursor, sort);
+      const operator = direction === 1 ? '$gt' : '$lt';
+      conditions.push({ $or: [{ [field]: { [operator]: value } }, { [field]: value, _id: { [operator]: id } }] });
+    }
+
+    let find = this.TestCase
+      .find(conditions.length > 0 ? { $and: conditions } : {})
+      .sort({ [field]: direction, _id: direction });
+    if (query.limit) {
+      find = find.limit(query.limit + 1);
+    }
+
+    return paginate((await find).map(toPlain), sort, query.limit);
+  }
+
+  async get(id) {
+    if (!this.isId(id)) return null;
+    return toPlain(await this.TestCase.findById(id));
+  }
+
+  async update(id, data, options = {}) {
+    if (!this.isId(id)) return null;
+    const testCase = await this.TestCase.findById(id);
+    if (!testCase) return null;
+
+    const previous = toPlain(testCase);
+    testCase.set({ ...omitUndefined(data), revision: (testCase.revision || 0) + 1, updatedAt: new Date() });
+    await testCase.save();
+
+    const plain = toPlain(testCase);
+    await this.TestCaseRevision.create(buildRevision(previous, plain, options));
+    return plain;
+  }
+
+  async delete(id) {
+    if (!this.isId(id)) return false;
+    const testCase = await this.TestCase.findByIdAndDelete(id);
+    if (!testCase) return false;
+
+    await this.TestCaseRevision.deleteMany({ testCaseId: testCase._id });
+    return true;
+  }
+
+  async listRevisions(id) {
+    if (!this.isId(id) || !(await this.TestCase.exists({ _id: id }))) return null;
+
+    const revisions = await this.TestCaseRevision
+      .find({ testCaseId: id })
+      .select('-name -description -steps')
+      .sort({ revision: -1 });
+    return revisions.map(revision => revisionSummary(toRevision(toPlain(revision))));
+  }
+
+  async getRevision(id, revision) {
+    if (!this.isId(id)) return null;
+    const found = await this.TestCaseRevision.findOne({ testCaseId: id, revision });
+    return found ? toRevision(toPlain(found)) : null;
+  }
+
+  async restoreRevision(id, revision, options = {}) {
+    return await restoreFrom(this, id, revision, options);
+  }
+
+  async addTags(ids, tags) {
+    return await this.updateTags(ids, { tags: { $not: { $all: tags } } }, { $addToSet: { tags: { $each: tags } } });
+  }
+
+  async removeTags(ids, tags) {
+    return await this.updateTags(ids, { tags: { $in: tags } }, { $pullAll: { tags } });
+  }
+
+  // Only test cases the change applies to are updated, so `modified` counts real changes
+  async updateTags(ids, filter, update) {
+    const byId = { _id: { $in: ids.filter(id => this.isId(id)) } };
+    const matched = await this.TestCase.countDocuments(byId);
+    const result = await this.TestCase.updateMany(
+      { ...byId, ...filter },
+      { ...update, $set: { updatedAt: new Date() } }
+    );
+    return { matched, modified: result.modifiedCount };
+  }
+
+  async setDataset(id, dataset) {
+    if (!this.isId(id)) return null;
+    const testCase = await this.TestCase.findByIdAndUpdate(
+      id,
+      { dataset, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    );
+    return toPlain(testCase);
+  }
+
+  async addExecution(id, execution) {
+    if (!this.isId(id)) return null;
+    const testCase = await this.TestCase.findByIdAndUpdate(
+      id,
+      { $push: { executionHistory: execution } },
+      { new: true }
+    );
+    return toPlain(testCase);
+  }
+
+  // Ids the file driver would not find either, instead of a CastError from mongoose
+  isId(id) {
+    return this.TestCase.base.isValidObjectId(id);
+  }
+}
+
+// Mirrors the TestCase model so both drivers accept and reject the same input
+const stepSchema = Joi.object({
+  command: Joi.string().valid(...STEP_COMMANDS).required(),
+  description: Joi.string().trim().allow(''),
+  parameters: Joi.object().default({}),
+  timeout: Joi.number().default(10000),
+  retryOnFailure: Joi.boolean().default(true),
+  skipIfFailed: Joi.boolean().default(false),
+  // Nested steps of flow-control commands
+  steps: Joi.array().items(Joi.link('#step')),
+  elseSteps: Joi.array().items(Joi.link('#step'))
+}).id('step').unknown(true);
+
+const testCaseSchema = Joi.object({
+  name: Joi.string().trim().required(),
+  description: Joi.string().trim().allow(''),
+  steps: Joi.array().items(stepSchema).default([]),
+  tags: Joi.array().items(Joi.string().trim()).default([]),
+  dataset: Joi.array().items(Joi.object())
+}).unknown(true);
+
+class FileTestCaseRepository {
+  /**
+   * @param {string} filePath - JSON file holding all test cases
+   */
+  constructor(filePath) {
+    this.collection = new JsonCollection(filePath, {
+      empty: { testCases: [], revisions: {} },
+      parse: stored => {
+        // Stores written before revisions existed hold a plain array of test cases
+        if (Array.isArray(stored)) stored = { testCases: stored, revisions: {} };
+        return {
+          testCases: new Map(stored.testCases.map(testCase => [testCase._id, testCase])),
+          revisions: new Map(Object.entries(stored.revisions || {}))
+        };
+      },
+      serialize: ({ testCases, revisions }) => ({
+        testCases: Array.from(testCases.values()),
+        revisions: Object.fromEntries(revisions)
+      }),
+      describe: ({ testCases }) => `${testCases.size} test case(s)`
+    });
+  }
+
+  async create(data, options = {}) {
+    const { testCases, revisions } = await this.collection.load();
+    const testCase = {
+      ...validate(omitUndefined(data)),
+      _id: generateId(),
+      revision: 1,
+      createdAt: new Date().toISOString(),
+      executionHistory: []
+    };
+
+    testCases.set(testCase._id, testCase);
+    revisions.set(testCase._id, [this.newRevision(null, testCase, options)]);
+    await this.collection.save();
+    return clone(testCase);
+  }
+
+  async list(query = {}) {
+    const { testCases } = await this.collection.load();
+    const sort = query.sort || DEFAULT_SORT;
+    const { field, direction } = parseSort(sort);
+    const search = query.search && query.search.toLowerCase();
+    const cursor = query.cursor && decodeCursor(query.cursor, sort);
+
+    const matches = Array.from(testCases.values())
+      .filter(testCase => !search ||
+        testCase.name.toLowerCase().includes(search) ||
+        (testCase.description || '').toLowerCase().includes(search))
+      .filter(testCase => !query.tags || query.tags.every(tag => testCase.tags.includes(tag)))
+      .filter(testCase => !query.status || query.status.length === 0 || query.status.includes(lastRunStatus(testCase)))
+      .filter(testCase => !cursor || compareKeys([testCase[field], testCase._id], [cursor.value, cursor.id]) * direction > 0)
+      .sort((a, b) => compareKeys([a[field], a._id], [b[field], b._id]) * direction);
+
+    const page = query.limit ? matches.slice(0, query.limit + 1) : matches;
+    return paginate(page.map(clone), sort, query.limit);
+  }
+
+  async get(id) {
+    const { testCases } = await this.collection.load();
+    return testCases.has(id) ? clone(testCases.get(id)) : null;
+  }
+
+  async update(id, data, options = {}) {
+    const { testCases, revisions } = await this.collection.load();
+    const existing = testCases.get(id);
+    if (!existing) return null;
+
+    const testCase = {
+      ...existing,
+      ...validate({ ...existing, ...omitUndefined(data) }),
+      _id: id,
+      revision: (existing.revision || 0) + 1,
+      createdAt: existing.createdAt,
+      executionHistory: existing.executionHistory,
+      updatedAt: new Date().toISOString()
+    };
+
+    testCases.set(id, testCase);
+    const history = revisions.get(id) || [];
+    history.push(this.newRevision(existing, testCase, options));
+    revisions.set(id, history);
+    await this.collection.save();
+    return clone(testCase);
+  }
+
+  async delete(id) {
+    const { testCases, revisions } = await this.collection.load();
+    if (!testCases.delete(id)) return false;
+
+    revisions.delete(id);
+    await this.collection.save();
+    return true;
+  }
+
+  async listRevisions(id) {
+    const { testCases, revisions } = await this.collection.load();
+    if (!testCases.has(id)) return null;
+
+    return (revisions.get(id) || [])
+      .map(revision => clone(revisionSummary(revision)))
+      .reverse();
+  }
+
+  async getRevision(id, revision) {
+    const { revisions } = await this.collection.load();
+    const found = (revisions.get(id) || []).find(candidate => candidate.revision === revision);
+    return found ? clone(found) : null;
+  }
+
+  async restoreRevision(id, revision, options = {}) {
+    return await restoreFrom(this, id, revision, options);
+  }
+
+  newRevision(previous, testCase, options) {
+    return clone({ ...buildRevision(previous, testCase, options), createdAt: new Date().toISOString() });
+  }
+
+  async addTags(ids, tags) {
+    return await this.updateTags(ids, testCase => {
+      const added = tags.filter(tag => !testCase.tags.includes(tag));
+      testCase.tags.push(...added);
+      return added.length > 0;
+    });
+  }
+
+  async removeTags(ids, tags) {
+    return await this.updateTags(ids, testCase => {
+      const remaining = testCase.tags.filter(tag => !tags.includes(tag));
+      const changed = remaining.length !== testCase.tags.length;
+      testCase.tags = remaining;
+      return changed;
+    });
+  }
+
+  async updateTags(ids, change) {
+    const { testCases } = await this.collection.load();
+    let matched = 0;
+    let modified = 0;
+
+    for (const id of new Set(ids)) {
+      const testCase = testCases.get(id);
+      if (!testCase) continue;
+
+      matched++;
+      if (change(testCase)) {
+        testCase.updatedAt = new Date().toISOString();
+        modified++;
+      }
+    }
+
+    if (modified > 0) {
+      await this.collection.save();
+    }
+    return { matched, modified };
+  }
+
+  async setDataset(id, dataset) {
+    const { testCases } = await this.collection.load();
+    const testCase = testCases.get(id);
+    if (!testCase) return null;
+
+    testCase.dataset = validate({ ...testCase, dataset }).dataset;
+    testCase.updatedAt = new Date().toISOString();
+    await this.collection.save();
+    return clone(testCase);
+  }
+
+  async addExecution(id, execution) {
+    const { testCases } = await this.collection.load();
+    const testCase = testCases.get(id);
+    if (!testCase) return null;
+
+    testCase.executionHistory.push({ _id: generateId(), ...clone(execution) });
+    await this.collection.save();
+    return clone(testCase);
+  }
+}
+
+const SORT_FIELDS = ['createdAt', 'name'];
+const DEFAULT_SORT = '-createdAt';
+
+let currentRepository = null;
+
+/**
+ * Create the repository selected by the storage config
+ *
+ * @param {Object} [storage] - Storage config (defaults to the current config)
+ * @returns {MongoTestCaseRepository|FileTestCaseRepository} Repository
+ */
+function createTestCaseRepository(storage = getConfig().storage) {
+  const driver = resolveStorageDriver(storage);
+  logger.info(`Using ${driver} test case storage`);
+  return driver === 'mongodb'
+    ? new MongoTestCaseRepository()
+    : new FileTestCaseRepository(storage.filePath);
+}
+
+function resolveStorageDriver(storage = getConfig().storage) {
+  return storage.driver || (storage.mongodbUri ? 'mongodb' : 'file');
+}
+
+/**
+ * Get the shared repository, creating it from the config on first use
+ *
+ * @returns {MongoTestCaseRepository|FileTestCaseRepository} Repository
+ */
+function getTestCaseRepository() {
+  if (!currentRepository) {
+    currentRepository = createTestCaseRepository();
+  }
+  return currentRepository;
+}
+
+/**
+ * Replace the shared repository (e.g. with a custom implementation)
+ *
+ * @param {Object|null} repository - Repository, or null to recreate it from the config
+ */
+function setTestCaseRepository(repository) {
+  currentRepository = repository;
+}
+
+function parseSort(sort) {
+  const descending = sort.startsWith('-');
+  const field = descending ? sort.slice(1) : sort;
+  if (!SORT_FIELDS.includes(field)) {
+    throw new Error(`Cannot sort test cases by ${field}`);
+  }
+  return { field, direction: descending ? -1 : 1 };
+}
+
+/**
+ * Encode the position after a test case, for the given sort order
+ *
+ * @param {Object} testCase - Last test case of a page
+ * @param {string} sort - Sort order of the page
+ * @returns {string} Opaque cursor
+ */
+function encodeCursor(testCase, sort) {
+  const { field } = parseSort(sort);
+  const value = testCase[field] instanceof Date ? testCase[field].toISOString() : testCase[field];
+  return Buffer.from(JSON.stringify({ sort, value, id: String(testCase._id) })).toString('base64url');
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ *
+ * @param {string} cursor - Opaque cursor
+ * @param {string} sort - Sort order the cursor must have been created with
+ * @returns {{value: *, id: string}} Position to continue after
+ */
+function decodeCursor(cursor, sort) {
+  let decoded;
+  try {
+    decoded = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+  } catch (error) {
+    throw new Error('Invalid cursor');
+  }
+  if (!decoded || typeof decoded.id !== 'string' || !('value' in decoded)) {
+    throw new Error('Invalid cursor');
+  }
+  if (decoded.sort !== sort) {
+    throw new Error(`Cursor was created for sort ${decoded.sort}, not ${sort}`);
+  }
+  return { value: decoded.value, id: decoded.id };
+}
+
+// Fetches ask for one extra item to know whether another page exists
+function paginate(items, sort, limit) {
+  if (!limit || items.length <= limit) {
+    return { items, nextCursor: null };
+  }
+  const page = items.slice(0, limit);
+  return { items: page, nextCursor: encodeCursor(page[page.length - 1], sort) };
+}
+
+function lastRunStatus(testCase) {
+  const history = testCase.executionHistory || [];
+  return history.length > 0 ? history[history.length - 1].status : 'never';
+}
+
+// Plain code-unit comparison, the same ordering MongoDB uses for strings
+function compareKeys(left, right) {
+  for (let i = 0; i < left.length; i++) {
+    if (left[i] < right[i]) return -1;
+    if (left[i] > right[i]) return 1;
+  }
+  return 0;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Build the revision written after a create or update
+ *
+ * @param {Object|null} previous - Test case before the change (null when it was created)
+ * @param {Object} testCase - Test case after the change
+ * @param {Object} options - Change options
+ * @param {string} [options.author] - Who made the change
+ * @param {number} [options.restoredFrom] - Revision that was restored
+ * @returns {Object} Revision
+ */
+function buildRevision(previous, testCase, options) {
+  const snapshot = revisionSnapshot(testCase);
+  return {
+    testCaseId: testCase._id,
+    revision: testCase.revision,
+    author: options.author || 'anonymous',
+    ...(options.restoredFrom !== undefined && { restoredFrom: options.restoredFrom }),
+    ...snapshot,
+    diff: previous ? diffTestCases(revisionSnapshot(previous), snapshot) : null
+  };
+}
+
+// Steps are stored without their database ids so a restore writes fresh ones
+function revisionSnapshot(testCase) {
+  return {
+    name: testCase.name,
+    description: testCase.description,
+    steps: (testCase.steps || []).map(withoutStepIds)
+  };
+}
+
+function withoutStepIds(step) {
+  const plain = withoutKeys(step, ['_id']);
+  for (const field of ['steps', 'elseSteps']) {
+    if (Array.isArray(plain[field])) plain[field] = plain[field].map(withoutStepIds);
+  }
+  return plain;
+}
+
+async function restoreFrom(repository, id, revision, options) {
+  const snapshot = await repository.getRevision(id, revision);
+  if (!snapshot) return null;
+
+  return await repository.update(
+    id,
+    { name: snapshot.name, description: snapshot.description, steps: snapshot.steps },
+    { ...options, restoredFrom: revision }
+  );
+}
+
+function toRevision(revision) {
+  return { ...withoutKeys(revision, ['_id', '__v']), testCaseId: String(revision.testCaseId) };
+}
+
+// Revision lists leave out the snapshot itself
+function revisionSummary(revision) {
+  return withoutKeys(revision, ['name', 'description', 'steps']);
+}
+
+function withoutKeys(object, keys) {
+  return Object.fromEntries(Object.entries(object).filter(([key]) => !keys.includes(key)));
+}
+
+function omitUndefined(data) {
+  return Object.fromEntries(Object.entries(data).filter(([, value]) => value !== undefined));
+}
+
+function validate(data) {
+  const { error, value } = testCaseSchema.validate(data, { abortEarly: false });
+  if (error) {
+    throw error;
+  }
+  return value;
+}
+
+function generateId() {
+  // Same shape as a MongoDB ObjectId so clients need not care which driver is active
+  return crypto.randomBytes(12).toString('hex');
+}
+
+function toPlain(document) {
+  return document ? document.toJSON({ flattenMaps: true }) : null;
+}
+
+module.exports = {
+  SORT_FIELDS,
+  DEFAULT_SORT,
+  MongoTestCaseRepository,
+  FileTestCaseRepository,
+  createTestCaseRepository,
+  resolveStorageDriver,
+  stepSchema,
+  generateId,
+  encodeCursor,
+  decodeCursor,
+  getTestCaseRepository,
+  setTestCaseRepository
+};
@@ -6,6 +6,7 @@
  */
 
 const { logger } = require('../utils/logger');
+const { getConfig } = require('../utils/config');
 const Anthropic = require('@anthropic-ai/sdk');
 const fs = require('fs').promises;
 const path = require('path');
@@ -57,6 +58,7 @@ const OUTPUT_FORMATS = {
  * @param {string} options.prompt - User prompt describing test requirements
  * @param {string} options.outputPath - Path to save generated tests
  * @param {Object} options.additionalContext - Additional context for generation
+ * @param {string} [options.browser] - Browser engine used to analyze the application
  * @returns {Promise<Object>} Generated test details
  */
 async function generateTests(options) {
@@ -64,7 +66,7 @@ async function generateTests(options) {
     logger.info(`Generating tests for ${options.url} using ${options.framework} with ${options.style} style`);
     
     // Extract page information
-    const pageInfo = await analyzeApplication(options.url);
+    const pageInfo = await analyzeApplication(options.url, { browser: options.browser });
     
     // Generate tests based on analysis
     const testCode = await generateTestCode({
@@ -100,12 +102,14 @@ async function generateTests(options) {
  * Analyze an application to gather information for test generation
  * 
  * @param {string} url - URL of the application to analyze
+ * @param {Object} [options] - Analysis options
+ * @param {string} [options.browser] - Browser engine (chromium, firefox or webkit)
  * @returns {Promise<Object>} Application information
  */
-async function analyzeApplication(url) {
+async function analyzeApplication(url, options = {}) {
   logger.info(`Analyzing application at ${url}`);
   
-  const { chromium } = require('playwright');
+  const { launchBrowser } = require('./browser-launcher');
   
   let browser = null;
   let context = null;
@@ -113,7 +117,7 @@ async function analyzeApplication(url) {
   
   try {
     // Launch browser
-    browser = await chromium.launch({ headless: true });
+    browser = await launchBrowser(options.browser, { headless: true });
     context = await browser.newContext({
       viewport: { width: 1280, height: 720 },
       userAgent: 'UniAuto-TestGenerator/1.0'
@@ -503,7 +507,7 @@ async function generateTestCode(params) {
   try {
     // Use Claude to generate the test code based on the analysis and requirements
     const anthropic = new Anthropic({
-      apiKey: process.env.CLAUDE_API_KEY,
+      apiKey: getConfig().ai.apiKey,
     });
     
     // Prepare prompt for Claude
@@ -511,7 +515,7 @@ async function generateTestCode(params) {
     
     // Generate test code using Claude
     const response = await anthropic.messages.create({
-      model: process.env.CLAUDE_MODEL || "claude-3-7-sonnet-20240229",
+      model: getConfig().ai.defaultModel,
       max_tokens: 4000,
       messages: [
         {
@@ -676,7 +680,6 @@ GENERAL INSTRUCTIONS:
 
 The final code should be production-ready, well-structured, and follow all best practices for ${framework} test automation. Include all necessary imports, configuration, and setup code.`;
 }
-}
 
 /**
  * Extract code blocks from Claude's response
@@ -759,7 +762,7 @@ async function generateFullTestSuite(url, options) {
   
   try {
     // Analyze the application
-    const pageInfo = await analyzeApplication(url);
+    const pageInfo = await analyzeApplication(url, { browser: options.browser });
     
     // Different test types to generate
     const testTypes = [
@@ -0,0 +1,330 @@
+/**
+ * Test Runner Module
+ *
+ * Executes stored test cases step by step through the automation
+ * backend and records the outcome in the test case's execution history.
+ * Step parameters are templated with `${name}` variables (see variables.js);
+ * the `dataset` run mode runs a test case once per row of its dataset.
+ * Flow-control steps (if, forEach, retryBlock, callTestCase) run their
+ * nested steps through runSteps and report them in their step result.
+ */
+
+const { handleAutomationCommand, createSession, closeSession } = require('./automation-backend');
+const { getTestCaseRepository } = require('./test-case-repository');
+const { activeProfile, buildVariables, resolveTemplate } = require('./variables');
+const { DatasetError } = require('./dataset');
+const { AssertionFailedError } = require('./assertions');
+const { WaitTimeoutError } = require('./waits');
+const { FLOW_COMMANDS } = require('./step-commands');
+const { runFlowStep } = require('./flow-control');
+const { logger } = require('../utils/logger');
+
+// Extra attempts for a step with retryOnFailure
+const DEFAULT_RETRIES = 1;
+
+// `single` runs a test case once, `dataset` once per dataset row
+const TEST_RUN_MODES = ['single', 'dataset'];
+
+/**
+ * Run the steps of a test case
+ *
+ * A failing step is retried when `retryOnFailure` is set. If it still fails,
+ * a step with `skipIfFailed` lets the run continue (status `partial`);
+ * any other failure stops the run and the remaining steps are skipped.
+ *
+ * @param {Object} testCase - TestCase document or plain object with steps
+ * @param {Object} [options] - Run options
+ * @param {string} [options.sessionId] - Existing session to run in (a new one is created and closed otherwise)
+ * @param {string} [options.browser] - Browser engine for a new session
+ * @param {number} [options.retries] - Extra attempts for steps with retryOnFailure (default: 1)
+ * @param {string|null} [options.profile] - Environment profile (default: the configured `profile`)
+ * @param {Object} [options.variables] - Suite variables
+ * @param {number} [options.row] - Index of the dataset row to run against
+ * @param {Object} [options.inputs] - Run-time inputs, which override every other variable
+ * @returns {Promise<Object>} Execution record
+ * @throws {ProfileNotFoundError} If the profile is not configured
+ * @throws {DatasetError} If the dataset row does not exist
+ */
+async function runTestCase(testCase, options = {}) {
+  const startTime = Date.now();
+  const profile = activeProfile(options.profile);
+  const variables = buildVariables({
+    profile,
+    suite: options.variables,
+    row: options.row !== undefined ? getDatasetRow(testCase, options.row) : undefined,
+    inputs: options.inputs
+  });
+
+  const ownSession = !options.sessionId;
+  const sessionId = ownSession
+    ? (await createSession({ label: `test-case:${testCase.name}`, browser: options.browser })).sessionId
+    : options.sessionId;
+
+  logger.info(`Running test case "${testCase.name}" in session ${sessionId}`);
+
+  let stepResults;
+  let aborted;
+
+  try {
+    ({ stepResults, aborted } = await runSteps(testCase.steps, sessionId, {
+      retries: options.retries,
+      variables,
+      callStack: testCase._id !== undefined ? [String(testCase._id)] : []
+    }));
+  } finally {
+    if (ownSession) {
+      await closeSession(sessionId).catch(error => logger.warn(`Failed to close test session: ${error.message}`));
+    }
+  }
+
+  const execution = {
+    executedAt: new Date(startTime),
+    status: computeStatus(stepResults, aborted),
+    duration: Date.now() - startTime,
+    ...(testCase.revision !== undefined && { revision: testCase.revision }),
+    ...(profile && { profile }),
+    ...(options.row !== undefined && { datasetRow: options.row }),
+    stepResults
+  };
+
+  logger.info(`Test case "${testCase.name}" finished: ${execution.status}`);
+  return execution;
+}
+
+/**
+ * Load a stored test case, run it and append the execution to its history
+ *
+ * In `dataset` mode the test case runs once per dataset row, each run is
+ * recorded as its own execution, and a report of all of them is returned.
+ * Without a `sessionId` every row gets a fresh session.
+ *
+ * @param {string} id - TestCase id
+ * @param {Object} [options] - Run options (see runTestCase)
+ * @param {string} [options.mode] - `single` (default) or `dataset`
+ * @returns {Promise<Object|null>} Execution record or dataset report, or null if the test case does not exist
+ * @throws {DatasetError} If a dataset run is requested for a test case without a dataset
+ */
+async function runStoredTestCase(id, options = {}) {
+  const mode = options.mode || 'single';
+  if (!TEST_RUN_MODES.includes(mode)) {
+    throw new Error(`Unknown test run mode: ${mode}. Expected one of ${TEST_RUN_MODES.join(', ')}`);
+  }
+
+  const repository = getTestCaseRepository();
+  const testCase = await repository.get(id);
+  if (!testCase) {
+    return null;
+  }
+
+  if (mode === 'dataset') {
+    return await runDataset(repository, testCase, options);
+  }
+
+  const execution = await runTestCase(testCase, options);
+  await repository.addExecution(id, execution);
+
+  return { testCaseId: String(testCase._id), name: testCase.name, ...execution };
+}
+
+async function runDataset(repository, testCase, options) {
+  const rows = testCase.dataset || [];
+  if (rows.length === 0) {
+    throw new DatasetError(`Test case "${testCase.name}" has no dataset`);
+  }
+
+  const startTime = Date.now();
+  const executions = [];
+
+  for (let row = 0; row < rows.length; row++) {
+    const execution = await runTestCase(testCase, { ...options, row });
+    await repository.addExecution(testCase._id, execution);
+    executions.push(execution);
+  }
+
+  return {
+    testCaseId: String(testCase._id),
+    name: testCase.name,
+    mode: 'dataset',
+    executedAt: new Date(startTime),
+    duration: Date.now() - startTime,
+    status: computeDatasetStatus(executions),
+    summary: {
+      total: executions.length,
+      success: executions.filter(execution => execution.status === 'success').length,
+      failure: executions.filter(execution => execution.status === 'failure').length,
+      partial: executions.filter(execution => execution.status === 'partial').length
+    },
+    executions
+  };
+}
+
+/**
+ * Run a list of steps in a session, honouring retryOnFailure and skipIfFailed
+ *
+ * @param {Array<Object>} steps - Steps to run
+ * @param {string} sessionId - Session to run in
+ * @param {Object} [options] - Run options
+ * @param {number} [options.retries] - Extra attempts for steps with retryOnFailure (default: 1)
+ * @param {Object} [options.variables] - Values for `${name}` placeholders in step parameters
+ * @param {Array<string>} [options.callStack] - Ids of the test cases being run, for callTestCase
+ * @returns {Promise<{stepResults: Array<Object>, aborted: boolean}>} Step results, and whether a failure stopped the run
+ */
+async function runSteps(steps, sessionId, options = {}) {
+  const retries = options.retries !== undefined ? options.retries : DEFAULT_RETRIES;
+  const stepResults = [];
+  let aborted = false;
+
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+
+    if (aborted) {
+      stepResults.push({ stepIndex: index, status: 'skipped' });
+      continue;
+    }
+
+    const stepResult = FLOW_COMMANDS.includes(step.command)
+      ? await runFlow(step, index, sessionId, { ...options, retries })
+      : await runStep(step, index, sessionId, step.retryOnFailure ? retries : 0, options.variables);
+    stepResults.push(stepResult);
+
+    if (stepResult.status === 'failure' && !step.skipIfFailed) {
+      aborted = true;
+    }
+  }
+
+  return { stepResults, aborted };
+}
+
+async function runStep(step, index, sessionId, retries, variables) {
+  const params = { ...resolveTemplate(toPlainParameters(step.parameters), variables), sessionId };
+  if (step.timeout) {
+    params.options = { timeout: step.timeout, ...params.options };
+  }
+
+  const stepResult = { stepIndex: index };
+  if (params.selector) {
+    stepResult.originalSelector = params.selector;
+  }
+
+  const startTime = Date.now();
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    try {
+      const result = await handleAutomationCommand(step.command, params);
+
+      // Self-healing reruns the command with a different selector
+      if (params.selector && result.selector && result.selector !== params.selector) {
+        stepResult.healedSelector = result.selector;
+      }
+      if (result.healing) {
+        const { strategy, confidence, breakdown } = result.healing;
+        stepResult.healing = { strategy, confidence, breakdown };
+      }
+
+      return { ...stepResult, status: 'success', duration: Date.now() - startTime };
+    } catch (error) {
+      lastError = error;
+      logger.warn(`Step ${index} (${step.command}) failed on attempt ${attempt + 1}: ${error.message}`);
+    }
+  }
+
+  const screenshotPath = await captureFailureScreenshot(sessionId, index);
+
+  return {
+    ...stepResult,
+    status: 'failure',
+    error: lastError.message,
+    ...(lastError instanceof AssertionFailedError && { assertion: lastError.details }),
+    ...(lastError instanceof WaitTimeoutError && { wait: lastError.details }),
+    ...(screenshotPath && { screenshotPath }),
+    duration: Date.now() - startTime
+  };
+}
+
+// Flow steps are not retried themselves; retryBlock covers that
+async function runFlow(step, index, sessionId, options) {
+  const startTime = Date.now();
+  const params = resolveTemplate(toPlainParameters(step.parameters), options.variables);
+
+  try {
+    const result = await runFlowStep(step, params, {
+      sessionId,
+      variables: options.variables || {},
+      retries: options.retries,
+      callStack: options.callStack || [],
+      runSteps
+    });
+    return { stepIndex: index, command: step.command, ...result, duration: Date.now() - startTime };
+  } catch (error) {
+    logger.warn(`Step ${index} (${step.command}) failed: ${error.message}`);
+    return { stepIndex: index, command: step.command, status: 'failure', error: error.message, duration: Date.now() - startTime };
+  }
+}
+
+async function captureFailureScreenshot(sessionId, index) {
+  try {
+    const result = await handleAutomationCommand('screenshot', {
+      fileName: `failure-step-${index}-${Date.now()}.png`,
+      sessionId
+    });
+    return result.path;
+  } catch (error) {
+    logger.warn(`Failed to capture failure screenshot: ${error.message}`);
+    return null;
+  }
+}
+
+// Mongoose stores step parameters as a Map
+function toPlainParameters(parameters) {
+  if (!parameters) return {};
+  if (parameters instanceof Map) return Object.fromEntries(parameters);
+  return { ...parameters };
+}
+
+function computeStatus(stepResults, aborted) {
+  if (aborted) {
+    return 'failure';
+  }
+  if (containsFailure(stepResults)) {
+    return 'partial';
+  }
+  return 'success';
+}
+
+// Failures skipped inside flow steps make the run partial too
+function containsFailure(stepResults) {
+  return stepResults.some(result => result.status === 'failure' || containsFailure(nestedResults(result)));
+}
+
+function nestedResults(result) {
+  // Only the last attempt of a retryBlock counts; earlier ones were retried
+  if (result.attempts) return result.attempts[result.attempts.length - 1].stepResults;
+  if (result.iterations) return result.iterations.flatMap(iteration => iteration.stepResults);
+  return result.stepResults || [];
+}
+
+function computeDatasetStatus(executions) {
+  if (executions.some(execution => execution.status === 'failure')) {
+    return 'failure';
+  }
+  if (executions.some(execution => execution.status === 'partial')) {
+    return 'partial';
+  }
+  return 'success';
+}
+
+function getDatasetRow(testCase, row) {
+  const rows = testCase.dataset || [];
+  if (!Number.isInteger(row) || row < 0 || row >= rows.length) {
+    throw new DatasetError(`Test case "${testCase.name}" has no dataset row ${row}`);
+  }
+  return rows[row];
+}
+
+module.exports = {
+  TEST_RUN_MODES,
+  runTestCase,
+  runStoredTestCase,
+  runSteps
+};
@@ -0,0 +1,191 @@
+/**
+ * Test Suite Repository Module
+ *
+ * Storage for TestSuite documents, using the same driver as test cases
+ * (see test-case-repository.js): the mongoose TestSuite model when MongoDB
+ * is configured and a local JSON file otherwise.
+ *
+ * Suites resolve to plain objects with `_id`, `name`, `description`,
+ * `testCases` (ordered test case ids), `setup`, `teardown`, `variables`,
+ * `tags`, `createdAt` and `updatedAt`.
+ */
+
+const Joi = require('joi');
+const { getConfig } = require('../utils/config');
+const { JsonCollection, clone } = require('../utils/json-file');
+const { resolveStorageDriver, stepSchema, generateId } = require('./test-case-repository');
+
+class MongoTestSuiteRepository {
+  constructor() {
+    this.TestSuite = require('../models/test-suite');
+  }
+
+  async create(data) {
+    const testSuite = new this.TestSuite({ ...data, createdAt: new Date() });
+    await testSuite.save();
+    return toPlain(testSuite);
+  }
+
+  async list(query = {}) {
+    const filter = query.tags && query.tags.length > 0 ? { tags: { $all: query.tags } } : {};
+    const testSuites = await this.TestSuite.find(filter).sort({ createdAt: -1 });
+    return testSuites.map(toPlain);
+  }
+
+  async get(id) {
+    if (!this.isId(id)) return null;
+    return toPlain(await this.TestSuite.findById(id));
+  }
+
+  async update(id, data) {
+    if (!this.isId(id)) return null;
+    const testSuite = await this.TestSuite.findByIdAndUpdate(
+      id,
+      { ...data, updatedAt: new Date() },
+      { new: true, runValidators: true }
+    );
+    return toPlain(testSuite);
+  }
+
+  async delete(id) {
+    if (!this.isId(id)) return false;
+    return Boolean(await this.TestSuite.findByIdAndDelete(id));
+  }
+
+  isId(id) {
+    return this.TestSuite.base.isValidObjectId(id);
+  }
+}
+
+// Mirrors the TestSuite model so both drivers accept and reject the same input
+const testSuiteSchema = Joi.object({
+  name: Joi.string().trim().required(),
+  description: Joi.string().trim().allow(''),
+  testCases: Joi.array().items(Joi.string()).default([]),
+  setup: Joi.array().items(stepSchema).default([]),
+  teardown: Joi.array().items(stepSchema).default([]),
+  variables: Joi.object().default({}),
+  tags: Joi.array().items(Joi.string().trim()).default([])
+}).unknown(true);
+
+class FileTestSuiteRepository {
+  /**
+   * @param {string} filePath - JSON file holding all test suites
+   */
+  constructor(filePath) {
+    this.collection = new JsonCollection(filePath, {
+      empty: [],
+      parse: stored => new Map(stored.map(testSuite => [testSuite._id, testSuite])),
+      serialize: testSuites => Array.from(testSuites.values()),
+      describe: testSuites => `${testSuites.size} test suite(s)`
+    });
+  }
+
+  async create(data) {
+    const testSuites = await this.collection.load();
+    const testSuite = {
+      ...validate(data),
+      _id: generateId(),
+      createdAt: new Date().toISOString()
+    };
+
+    testSuites.set(testSuite._id, testSuite);
+    await this.collection.save();
+    return clone(testSuite);
+  }
+
+  async list(query = {}) {
+    const testSuites = await this.collection.load();
+    return Array.from(testSuites.values())
+      .filter(testSuite => !query.tags || query.tags.every(tag => testSuite.tags.includes(tag)))
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt))
+      .map(clone);
+  }
+
+  async get(id) {
+    const testSuites = await this.collection.load();
+    return testSuites.has(id) ? clone(testSuites.get(id)) : null;
+  }
+
+  async update(id, data) {
+    const testSuites = await this.collection.load();
+    const existing = testSuites.get(id);
+    if (!existing) return null;
+
+    const testSuite = {
+      ...validate({ ...existing, ...data }),
+      _id: id,
+      createdAt: existing.createdAt,
+      updatedAt: new Date().toISOString()
+    };
+
+    testSuites.set(id, testSuite);
+    await this.collection.save();
+    return clone(testSuite);
+  }
+
+  async delete(id) {
+    const testSuites = await this.collection.load();
+    if (!testSuites.delete(id)) return false;
+
+    await this.collection.save();
+    return true;
+  }
+}
+
+let currentRepository = null;
+
+/**
+ * Create the repository selected by the storage config
+ *
+ * @param {Object} [storage] - Storage config (defaults to the current config)
+ * @returns {MongoTestSuiteRepository|FileTestSuiteRepository} Repository
+ */
+function createTestSuiteRepository(storage = getConfig().storage) {
+  return resolveStorageDriver(storage) === 'mongodb'
+    ? new MongoTestSuiteRepository()
+    : new FileTestSuiteRepository(storage.suitesFilePath);
+}
+
+/**
+ * Get the shared repository, creating it from the config on first use
+ *
+ * @returns {MongoTestSuiteRepository|FileTestSuiteRepository} Repository
+ */
+function getTestSuiteRepository() {
+  if (!currentRepository) {
+    currentRepository = createTestSuiteRepository();
+  }
+  return currentRepository;
+}
+
+/**
+ * Replace the shared repository (e.g. with a custom implementation)
+ *
+ * @param {Object|null} repository - Repository, or null to recreate it from the config
+ */
+function setTestSuiteRepository(repository) {
+  currentRepository = repository;
+}
+
+function validate(data) {
+  const { error, value } = testSuiteSchema.validate(data, { abortEarly: false });
+  if (error) {
+    throw error;
+  }
+  return value;
+}
+
+function toPlain(document) {
+  if (!document) return null;
+  const testSuite = document.toJSON({ flattenMaps: true });
+  return { ...testSuite, testCases: testSuite.testCases.map(String) };
+}
+
+module.exports = {
+  MongoTestSuiteRepository,
+  FileTestSuiteRepository,
+  createTestSuiteRepository,
+  getTestSuiteRepository,
+  setTestSuiteRepository
+};
@@ -0,0 +1,1035 @@
+/**
+ * Tool Registry Module
+ *
+ * Single source of truth for every action the server exposes. Each tool
+ * declares its name, JSON Schema input definition, handler and capability
+ * tags; the MCP manifest, request validation and dispatch for every
+ * transport are all derived from this list.
+ */
+
+const { logger } = require('../utils/logger');
+const { handleAutomationCommand, createSession, listSessions, closeSession, listBackends } = require('./automation-backend');
+const { generateTests, generateFullTestSuite, scaffoldTestProject, TEST_FRAMEWORKS, TEST_STYLES, OUTPUT_FORMATS } = require('./test-generator');
+const { visualCompare, accessibilityTest, performanceTest, networkTrace, runTestSuite } = require('./advanced-testing');
+const { processAutomationTask } = require('../handlers/ai-processing');
+const { runStoredTestCase, TEST_RUN_MODES } = require('./test-runner');
+const { runStoredSuite, RUN_MODES } = require('./suite-runner');
+const { BROWSER_ENGINES } = require('./browser-launcher');
+const { SELECTOR_STATES, LOAD_STATES, NAVIGATION_WAITS } = require('./waits');
+const { getElementRepository } = require('./element-repository');
+const packageJson = require('../../package.json');
+
+const SESSION_ID_PROPERTY = {
+  type: 'string',
+  description: 'Session to run the command in (uses the default session if omitted)'
+};
+
+const BROWSER_PROPERTY = {
+  type: 'string',
+  enum: BROWSER_ENGINES,
+  description: 'Browser engine to run in (defaults to the configured browser)'
+};
+
+const PROFILE_PROPERTY = {
+  type: 'string',
+  description: 'Environment profile whose variables the steps use (defaults to the configured profile)'
+};
+
+const INPUTS_PROPERTY = {
+  type: 'object',
+  description: 'Values for ${name} placeholders in step parameters, overriding profile, suite and dataset variables'
+};
+
+const SELECTOR_PROPERTY = { type: 'string', format: 'selector', description: 'CSS selector of the element' };
+
+const IFRAME_CHAIN = { type: 'array', items: { type: 'string', format: 'selector' }, minItems: 1 };
+
+// Element commands can run inside an iframe (see frames.js)
+const FRAME_PROPERTY = {
+  description: 'Frame to run in instead of the top document: its name, a chain of iframe selectors (outermost first), or an object with one of name, url (substring) or selector',
+  oneOf: [
+    { type: 'string', minLength: 1 },
+    IFRAME_CHAIN,
+    {
+      type: 'object',
+      properties: {
+        name: { type: 'string', minLength: 1 },
+        url: { type: 'string', minLength: 1 },
+        selector: { oneOf: [{ type: 'string', format: 'selector' }, IFRAME_CHAIN] }
+      },
+      additionalProperties: false
+    }
+  ]
+};
+
+// A captured element is identified by its page and the selector it was captured with
+const ELEMENT_KEY_PROPERTIES = {
+  url: { type: 'string', minLength: 1, description: 'Page URL or URL pattern the element was captured on' },
+  selector: { type: 'string', minLength: 1, description: 'Selector the element was captured with' }
+};
+
+// Text matchers shared by the assertion tools; exactly one of equals, contains or matches is required
+const MATCHER_PROPERTIES = {
+  equals: { type: 'string', description: 'Expected exact value' },
+  contains: { type: 'string', description: 'Expected substring' },
+  matches: { type: 'string', description: 'Regular expression the value must match' },
+  flags: { type: 'string', description: 'Flags for the matches expression, e.g. i' }
+};
+
+function assertionTool(name, description, properties, required = []) {
+  return {
+    name,
+    description,
+    capabilities: ['assertions'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...properties,
+        timeout: { type: 'integer', minimum: 0, description: 'Milliseconds to keep polling before failing (defaults to automation.assertionTimeout)' },
+        frame: FRAME_PROPERTY,
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      },
+      required
+    },
+    handler: (params) => handleAutomationCommand(name, params)
+  };
+}
+
+// URL patterns shared by wait_for_url and wait_for_response; one of url or matches is required
+const URL_PATTERN_PROPERTIES = {
+  url: { type: 'string', description: 'URL glob: * matches anything but /, ** matches anything, {a,b} either' },
+  matches: { type: 'string', description: 'Regular expression the URL must match, instead of url' },
+  flags: { type: 'string', description: 'Flags for the matches expression, e.g. i' }
+};
+
+function waitTool(name, description, properties, required = []) {
+  return {
+    name,
+    description,
+    capabilities: ['waits'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...properties,
+        timeout: { type: 'integer', minimum: 0, description: 'Milliseconds to wait before failing (defaults to automation.waitTimeout)' },
+        frame: FRAME_PROPERTY,
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      },
+      required
+    },
+    handler: (params) => handleAutomationCommand(name, params)
+  };
+}
+
+// Element interactions, self-healed through their selector like click
+function interactionTool(name, description, properties = {}, required = ['selector']) {
+  return {
+    name,
+    description,
+    capabilities: ['web_automation', 'self_healing'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        selector: SELECTOR_PROPERTY,
+        ...properties,
+        frame: FRAME_PROPERTY,
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      },
+      required
+    },
+    handler: (params) => handleAutomationCommand(name, params)
+  };
+}
+
+const tools = [
+  {
+    name: 'navigate',
+    description: 'Navigate to a URL',
+    capabilities: ['web_automation'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', format: 'uri', description: 'URL to navigate to' },
+        waitUntil: { type: 'string', enum: NAVIGATION_WAITS, description: 'When navigation counts as finished (default: networkidle)' },
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      },
+      required: ['url']
+    },
+    handler: (params) => handleAutomationCommand('navigate', {
+      url: params.url,
+      waitUntil: params.waitUntil,
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'click',
+    description: 'Click on an element',
+    capabilities: ['web_automation', 'self_healing'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        selector: { type: 'string', format: 'selector', description: 'CSS selector of the element' },
+        frame: FRAME_PROPERTY,
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      },
+      required: ['selector']
+    },
+    handler: (params) => handleAutomationCommand('click', {
+      selector: params.selector,
+      frame: params.frame,
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'type',
+    description: 'Type text into an input field',
+    capabilities: ['web_automation', 'self_healing'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        selector: { type: 'string', format: 'selector', description: 'CSS selector of the input field' },
+        text: { type: 'string', description: 'Text to type' },
+        clearFirst: { type: 'boolean', description: 'Clear the field before typing' },
+        frame: FRAME_PROPERTY,
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      },
+      required: ['selector', 'text']
+    },
+    handler: (params) => handleAutomationCommand('type', {
+      selector: params.selector,
+      text: params.text,
+      options: { clearFirst: params.clearFirst },
+      frame: params.frame,
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'extract',
+    description: 'Extract data from an element',
+    capabilities: ['web_automation', 'self_healing'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        selector: { type: 'string', format: 'selector', description: 'CSS selector of the element' },
+        attribute: { type: 'string', description: 'Attribute to extract (default: textContent)' },
+        frame: FRAME_PROPERTY,
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      },
+      required: ['selector']
+    },
+    handler: (params) => handleAutomationCommand('extract', {
+      selector: params.selector,
+      attribute: params.attribute || 'textContent',
+      frame: params.frame,
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'extract_all',
+    description: 'Extract data from every element matching a selector',
+    capabilities: ['web_automation'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        selector: { type: 'string', format: 'selector', description: 'CSS selector of the elements' },
+        attribute: { type: 'string', description: 'Attribute to extract (default: textContent)' },
+        frame: FRAME_PROPERTY,
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      },
+      required: ['selector']
+    },
+    handler: (params) => handleAutomationCommand('extract_all', {
+      selector: params.selector,
+      attribute: params.attribute || 'textContent',
+      frame: params.frame,
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'select',
+    description: 'Select an option from a dropdown',
+    capabilities: ['web_automation', 'self_healing'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        selector: { type: 'string', format: 'selector', description: 'CSS selector of the select element' },
+        value: { type: 'string', description: 'Value to select' },
+        frame: FRAME_PROPERTY,
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      },
+      required: ['selector', 'value']
+    },
+    handler: (params) => handleAutomationCommand('select', {
+      selector: params.selector,
+      value: params.value,
+      frame: params.frame,
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  interactionTool('hover', 'Move the mouse over an element'),
+  interactionTool('double_click', 'Double-click an element'),
+  interactionTool('right_click', 'Right-click an element to open its context menu'),
+  interactionTool('press_key', 'Press a key or key chord, in an element or wherever the focus is', {
+    selector: { ...SELECTOR_PROPERTY, description: 'CSS selector of the element to press the key in (defaults to the focused element)' },
+    key: { type: 'string', minLength: 1, description: 'Key or chord, e.g. Enter, Escape or Control+Shift+A' }
+  }, ['key']),
+  interactionTool('drag_and_drop', 'Drag an element onto another element', {
+    selector: { ...SELECTOR_PROPERTY, description: 'CSS selector of the element to drag' },
+    target: { type: 'string', format: 'selector', description: 'CSS selector of the element to drop it on' }
+  }, ['selector', 'target']),
+  interactionTool('upload_file', 'Set the files of a file input', {
+    selector: { ...SELECTOR_PROPERTY, description: 'CSS selector of the file input' },
+    files: { type: 'array', items: { type: 'string' }, description: 'Paths of the files to upload (an empty list clears the input)' }
+  }, ['selector', 'files']),
+  interactionTool('check', 'Check a checkbox or radio button'),
+  interactionTool('uncheck', 'Uncheck a checkbox'),
+  interactionTool('scroll', 'Scroll an element into view, or scroll the page by an offset', {
+    selector: { ...SELECTOR_PROPERTY, description: 'CSS selector of the element to scroll into view' },
+    x: { type: 'number', description: 'Pixels to scroll right (negative scrolls left) when no selector is given' },
+    y: { type: 'number', description: 'Pixels to scroll down (negative scrolls up) when no selector is given' }
+  }, []),
+  interactionTool('focus', 'Give an element keyboard focus'),
+  interactionTool('blur', 'Remove keyboard focus from an element'),
+  {
+    name: 'screenshot',
+    description: 'Take a screenshot',
+    capabilities: ['screenshot_capture'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      }
+    },
+    handler: (params, context) => handleAutomationCommand('screenshot', {
+      fileName: `${context.executionId}-${Date.now()}.png`,
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'wait',
+    description: 'Wait for a specified time in milliseconds',
+    capabilities: ['web_automation'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        milliseconds: { type: 'number', minimum: 0, description: 'Time to wait in milliseconds' },
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      }
+    },
+    handler: (params) => handleAutomationCommand('wait', {
+      milliseconds: params.milliseconds || 1000,
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  waitTool('wait_for_selector', 'Wait until an element is attached, detached, visible or hidden', {
+    selector: SELECTOR_PROPERTY,
+    state: { type: 'string', enum: SELECTOR_STATES, description: 'State to wait for (default: visible)' }
+  }, ['selector']),
+  waitTool('wait_for_url', 'Wait until the URL of the active page matches a pattern', URL_PATTERN_PROPERTIES),
+  waitTool('wait_for_load_state', 'Wait until the active page reaches a load state', {
+    state: { type: 'string', enum: LOAD_STATES, description: 'Load state to wait for (default: load)' }
+  }),
+  waitTool('wait_for_response', 'Wait for a network response whose URL matches a pattern', {
+    ...URL_PATTERN_PROPERTIES,
+    status: { type: 'integer', minimum: 100, maximum: 599, description: 'HTTP status the response must have' }
+  }),
+  waitTool('wait_for_function', 'Wait until a JavaScript expression evaluated in the page is truthy', {
+    expression: { type: 'string', minLength: 1, description: 'Expression or function source, e.g. window.appReady === true' }
+  }, ['expression']),
+  {
+    name: 'desktop_click',
+    description: 'Click at specific screen coordinates',
+    capabilities: ['desktop_automation'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        x: { type: 'number', minimum: 0, description: 'X coordinate' },
+        y: { type: 'number', minimum: 0, description: 'Y coordinate' },
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      },
+      required: ['x', 'y']
+    },
+    handler: (params) => handleAutomationCommand('desktop_click', {
+      x: params.x,
+      y: params.y,
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'desktop_type',
+    description: 'Type text at the current cursor position',
+    capabilities: ['desktop_automation'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        text: { type: 'string', description: 'Text to type' },
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      },
+      required: ['text']
+    },
+    handler: (params) => handleAutomationCommand('desktop_type', {
+      text: params.text,
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  assertionTool('assert_visible', 'Assert that an element is visible', { selector: SELECTOR_PROPERTY }, ['selector']),
+  assertionTool('assert_hidden', 'Assert that an element is hidden or absent', { selector: SELECTOR_PROPERTY }, ['selector']),
+  assertionTool('assert_text', 'Assert the text of an element (whitespace is collapsed)', { selector: SELECTOR_PROPERTY, ...MATCHER_PROPERTIES }, ['selector']),
+  assertionTool('assert_attribute', 'Assert the value of an element attribute', {
+    selector: SELECTOR_PROPERTY,
+    attribute: { type: 'string', description: 'Attribute name' },
+    ...MATCHER_PROPERTIES
+  }, ['selector', 'attribute']),
+  assertionTool('assert_url', 'Assert the URL of the active page', MATCHER_PROPERTIES),
+  assertionTool('assert_title', 'Assert the title of the active page', MATCHER_PROPERTIES),
+  assertionTool('assert_count', 'Assert how many elements match a selector', {
+    selector: SELECTOR_PROPERTY,
+    equals: { type: 'integer', minimum: 0, description: 'Exact number of elements' },
+    min: { type: 'integer', minimum: 0, description: 'Minimum number of elements' },
+    max: { type: 'integer', minimum: 0, description: 'Maximum number of elements' }
+  }, ['selector']),
+  assertionTool('assert_value', 'Assert the value of an input, textarea or select', { selector: SELECTOR_PROPERTY, ...MATCHER_PROPERTIES }, ['selector']),
+  {
+    name: 'list_pages',
+    description: 'List the open pages (tabs and popups) in a session',
+    capabilities: ['page_management'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      }
+    },
+    handler: (params) => handleAutomationCommand('list_pages', {
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'switch_page',
+    description: 'Make another open page active, matched by index, URL substring or title substring',
+    capabilities: ['page_management'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        index: { type: 'integer', minimum: 0, description: 'Page index as reported by list_pages' },
+        url: { type: 'string', minLength: 1, description: 'Substring of the page URL' },
+        title: { type: 'string', minLength: 1, description: 'Substring of the page title' },
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      }
+    },
+    handler: (params) => handleAutomationCommand('switch_page', {
+      index: params.index,
+      url: params.url,
+      title: params.title,
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'new_page',
+    description: 'Open a new tab and make it the active page',
+    capabilities: ['page_management'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', format: 'uri', description: 'URL to open in the new tab' },
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      }
+    },
+    handler: (params) => handleAutomationCommand('new_page', {
+      url: params.url,
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'close_page',
+    description: 'Close a page (the active page if no index is given)',
+    capabilities: ['page_management'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        index: { type: 'integer', minimum: 0, description: 'Page index as reported by list_pages' },
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      }
+    },
+    handler: (params) => handleAutomationCommand('close_page', {
+      index: params.index,
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'wait_for_popup',
+    description: 'Click an element and wait for the popup or new tab it opens, then make it the active page',
+    capabilities: ['page_management', 'web_automation'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        selector: { type: 'string', format: 'selector', description: 'CSS selector of the element that opens the popup' },
+        timeout: { type: 'integer', minimum: 0, description: 'How long to wait for the popup in milliseconds' },
+        sessionId: SESSION_ID_PROPERTY,
+        browser: BROWSER_PROPERTY
+      }
+    },
+    handler: (params) => handleAutomationCommand('wait_for_popup', {
+      selector: params.selector,
+      options: { timeout: params.timeout },
+      sessionId: params.sessionId,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'create_session',
+    description: 'Create an isolated browser session and return its sessionId',
+    capabilities: ['session_management'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        label: { type: 'string', description: 'Human readable label for the session' },
+        browser: { ...BROWSER_PROPERTY, description: 'Browser engine for the session (defaults to the configured browser)' },
+        device: { type: 'string', description: 'Playwright device name to emulate (e.g. "iPhone 13")' },
+        backend: { type: 'string', enum: listBackends(), description: 'Automation backend for the session (defaults to the configured backend)' },
+        fixtures: { type: 'object', description: 'Mock backend only: canned pages and injected failures for this session' }
+      }
+    },
+    handler: (params) => createSession({
+      label: params.label,
+      browser: params.browser,
+      device: params.device,
+      backend: params.backend,
+      fixtures: params.fixtures
+    })
+  },
+  {
+    name: 'list_sessions',
+    description: 'List open browser sessions',
+    capabilities: ['session_management'],
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: async () => listSessions()
+  },
+  {
+    name: 'close_session',
+    description: 'Close a browser session and release its resources',
+    capabilities: ['session_management'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        sessionId: { type: 'string', minLength: 1, description: 'Session to close' }
+      },
+      required: ['sessionId']
+    },
+    handler: (params) => closeSession(params.sessionId)
+  },
+  {
+    name: 'ai_process',
+    description: 'Process a task with AI to generate automation steps',
+    capabilities: ['ai_integration'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        task: { type: 'string', minLength: 1, description: 'Task description' },
+        url: { type: 'string', format: 'uri', description: 'URL context' },
+        model: { type: 'string', description: 'AI model to use' }
+      },
+      required: ['task']
+    },
+    handler: (params) => processAutomationTask({
+      task: params.task,
+      url: params.url,
+      model: params.model
+    })
+  },
+  {
+    name: 'generate_tests',
+    description: 'Generate test cases for an application in a specific framework and style',
+    capabilities: ['test_generation', 'ai_integration'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', format: 'uri', description: 'URL of the application to analyze' },
+        framework: { type: 'string', enum: Object.values(TEST_FRAMEWORKS), description: 'Test framework to use (e.g., playwright, cypress, jest)' },
+        style: { type: 'string', enum: Object.values(TEST_STYLES), description: 'Test style (e.g., bdd, tdd)' },
+        format: { type: 'string', enum: Object.values(OUTPUT_FORMATS), description: 'Output format (e.g., javascript, typescript, python)' },
+        prompt: { type: 'string', description: 'User prompt describing test requirements' },
+        outputPath: { type: 'string', description: 'Path to save generated tests' },
+        additionalContext: { type: 'object', description: 'Additional context for test generation' },
+        browser: BROWSER_PROPERTY
+      },
+      required: ['url']
+    },
+    handler: (params) => generateTests({
+      url: params.url,
+      framework: params.framework,
+      style: params.style,
+      format: params.format,
+      prompt: params.prompt,
+      outputPath: params.outputPath,
+      additionalContext: params.additionalContext,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'generate_test_suite',
+    description: 'Generate a complete test suite with different test types (unit, integration, e2e, etc.)',
+    capabilities: ['test_generation', 'ai_integration'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', format: 'uri', description: 'URL of the application to analyze' },
+        framework: { type: 'string', enum: Object.values(TEST_FRAMEWORKS), description: 'Test framework to use' },
+        format: { type: 'string', enum: Object.values(OUTPUT_FORMATS), description: 'Output format' },
+        outputDir: { type: 'string', description: 'Directory to save generated tests' },
+        additionalContext: { type: 'object', description: 'Additional context for test generation' },
+        browser: BROWSER_PROPERTY
+      },
+      required: ['url']
+    },
+    handler: (params) => generateFullTestSuite(params.url, {
+      framework: params.framework,
+      format: params.format,
+      outputDir: params.outputDir,
+      additionalContext: params.additionalContext,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'scaffold_project',
+    description: 'Scaffold a complete test project structure with configuration files',
+    capabilities: ['project_scaffolding'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        framework: { type: 'string', enum: Object.values(TEST_FRAMEWORKS), description: 'Test framework to use' },
+        outputDir: { type: 'string', minLength: 1, description: 'Directory to create the project' }
+      },
+      required: ['framework', 'outputDir']
+    },
+    handler: (params) => scaffoldTestProject(params.framework, params.outputDir)
+  },
+  {
+    name: 'list_frameworks',
+    description: 'Get a list of supported test frameworks, styles, and formats',
+    capabilities: ['test_generation'],
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: async () => ({
+      frameworks: Object.values(TEST_FRAMEWORKS),
+      styles: Object.values(TEST_STYLES),
+      formats: Object.values(OUTPUT_FORMATS)
+    })
+  },
+  {
+    name: 'visual_compare',
+    description: 'Compare a page or element against a baseline image',
+    capabilities: ['visual_comparison'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', format: 'uri', description: 'URL to navigate to' },
+        selector: { type: 'string', format: 'selector', description: 'Optional CSS selector to compare' },
+        baselineName: { type: 'string', description: 'Name for the baseline image' },
+        updateBaseline: { type: 'boolean', description: 'Whether to update the baseline' },
+        threshold: { type: 'number', minimum: 0, description: 'Difference threshold percentage (default: 0.1)' },
+        browser: BROWSER_PROPERTY
+      },
+      required: ['url']
+    },
+    handler: (params) => visualCompare({
+      url: params.url,
+      selector: params.selector,
+      baselineName: params.baselineName,
+      updateBaseline: params.updateBaseline,
+      threshold: params.threshold,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'accessibility_test',
+    description: 'Perform accessibility testing on a page',
+    capabilities: ['accessibility_testing'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', format: 'uri', description: 'URL to test' },
+        standard: { type: 'string', enum: ['wcag2a', 'wcag2aa', 'wcag21aa'], description: 'Accessibility standard (wcag2a, wcag2aa, wcag21aa)' },
+        browser: BROWSER_PROPERTY
+      },
+      required: ['url']
+    },
+    handler: (params) => accessibilityTest({
+      url: params.url,
+      standard: params.standard,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'performance_test',
+    description: 'Perform performance testing on a page',
+    capabilities: ['performance_testing'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', format: 'uri', description: 'URL to test' },
+        iterations: { type: 'integer', minimum: 1, description: 'Number of test iterations' },
+        browser: BROWSER_PROPERTY
+      },
+      required: ['url']
+    },
+    handler: (params) => performanceTest({
+      url: params.url,
+      iterations: params.iterations,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'network_trace',
+    description: 'Trace network activity for API testing',
+    capabilities: ['network_tracing'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', format: 'uri', description: 'URL to test' },
+        apiEndpoints: { type: 'array', items: { type: 'string' }, description: 'Optional API endpoints to specifically monitor' },
+        browser: BROWSER_PROPERTY
+      },
+      required: ['url']
+    },
+    handler: (params) => networkTrace({
+      url: params.url,
+      apiEndpoints: params.apiEndpoints,
+      browser: params.browser
+    })
+  },
+  {
+    name: 'run_test_suite',
+    description: 'Run a comprehensive test suite (visual, accessibility, performance, network)',
+    capabilities: ['parallel_testing', 'visual_comparison', 'accessibility_testing', 'performance_testing', 'network_tracing'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', format: 'uri', description: 'URL to test' },
+        visual: { type: 'boolean', description: 'Whether to run visual tests' },
+        accessibility: { type: 'boolean', description: 'Whether to run accessibility tests' },
+        performance: { type: 'boolean', description: 'Whether to run performance tests' },
+        network: { type: 'boolean', description: 'Whether to run network tests' },
+        browsers: {
+          type: 'array',
+          items: { type: 'string', enum: BROWSER_ENGINES },
+          description: 'Browser engines to run the suite on (defaults to the configured browser)'
+        }
+      },
+      required: ['url']
+    },
+    handler: (params) => runTestSuite({
+      url: params.url,
+      visual: params.visual,
+      accessibility: params.accessibility,
+      performance: params.performance,
+      network: params.network,
+      browsers: params.browsers
+    })
+  },
+  {
+    name: 'run_test_case',
+    description: 'Run a stored test case and record the result in its execution history',
+    capabilities: ['test_execution', 'self_healing'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', minLength: 1, description: 'ID of the stored test case' },
+        sessionId: { type: 'string', description: 'Session to run in (a fresh session is used if omitted)' },
+        browser: BROWSER_PROPERTY,
+        mode: { type: 'string', enum: TEST_RUN_MODES, description: 'Run once (single, default) or once per row of the test case dataset (dataset)' },
+        profile: PROFILE_PROPERTY,
+        inputs: INPUTS_PROPERTY,
+        row: { type: 'integer', minimum: 0, description: 'Index of the dataset row to run against in single mode' }
+      },
+      required: ['id']
+    },
+    handler: async (params) => {
+      const execution = await runStoredTestCase(params.id, {
+        sessionId: params.sessionId,
+        browser: params.browser,
+        mode: params.mode,
+        profile: params.profile,
+        inputs: params.inputs,
+        row: params.row
+      });
+      if (!execution) {
+        throw new Error(`Test case not found: ${params.id}`);
+      }
+      return execution;
+    }
+  },
+  {
+    name: 'run_suite',
+    description: 'Run the test cases of a stored test suite and return an aggregated report',
+    capabilities: ['test_execution', 'parallel_testing'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        id: { type: 'string', minLength: 1, description: 'ID of the stored test suite' },
+        mode: { type: 'string', enum: RUN_MODES, description: 'Run test cases one after another in a shared session (sequential, default) or in separate sessions at once (parallel)' },
+        concurrency: { type: 'integer', minimum: 1, description: 'Test cases running at once in parallel mode (default: 4)' },
+        profile: PROFILE_PROPERTY,
+        inputs: INPUTS_PROPERTY,
+        browser: BROWSER_PROPERTY
+      },
+      required: ['id']
+    },
+    handler: async (params) => {
+      const report = await runStoredSuite(params.id, {
+        mode: params.mode,
+        concurrency: params.concurrency,
+        profile: params.profile,
+        inputs: params.inputs,
+        browser: params.browser
+      });
+      if (!report) {
+        throw new Error(`Test suite not found: ${params.id}`);
+      }
+      return report;
+    }
+  },
+  {
+    name: 'list_elements',
+    description: 'List elements captured for self-healing, without their screenshots',
+    capabilities: ['element_repository'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'Only list elements of the page with this URL or URL pattern' }
+      }
+    },
+    handler: async (params) => ({ elements: await getElementRepository().listElements(params.url) })
+  },
+  {
+    name: 'get_element',
+    description: 'Get a captured element: alternative selectors, pinned selector, screenshot, bounding box and nearby text',
+    capabilities: ['element_repository'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...ELEMENT_KEY_PROPERTIES
+      },
+      required: ['url', 'selector']
+    },
+    handler: async (params) => {
+      const element = await getElementRepository().getElementData(params.selector, params.url);
+      if (!element) {
+        throw new Error(`Element not found: ${params.selector} on ${params.url}`);
+      }
+      return element;
+    }
+  },
+  {
+    name: 'pin_selector',
+    description: 'Pin the selector self-healing tries first for a captured element',
+    capabilities: ['element_repository', 'self_healing'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        ...ELEMENT_KEY_PROPERTIES,
+        preferredSelector: {
+          oneOf: [{ type: 'string', format: 'selector', minLength: 1 }, { type: 'null' }],
+          description: 'Selector to pin, or null to unpin'
+        }
+      },
+      required: ['url', 'selector', 'preferredSelector']
+    },
+    handler: async (params) => {
+      const element = await getElementRepository().pinSelector(params.selector, params.url, params.preferredSelector);
+      if (!element) {
+        throw new Error(`Element not found: ${params.selector} on ${params.url}`);
+      }
+      return element;
+    }
+  },
+  {
+    name: 'delete_elements',
+    description: 'Delete one captured element, or every element captured longer ago than maxAge',
+    capabilities: ['element_repository'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        url: { type: 'string', description: 'Page URL or URL pattern; limits maxAge deletion to that page' },
+        selector: { type: 'string', description: 'Selector of the one element to delete (requires url)' },
+        maxAge: { type: 'integer', minimum: 0, description: 'Delete elements captured more than this many milliseconds ago (default: 1 hour)' }
+      }
+    },
+    handler: async (params) => {
+      const repository = getElementRepository();
+      if (params.selector !== undefined) {
+        if (!params.url) {
+          throw new Error('Deleting an element by selector requires its url');
+        }
+        return { deleted: await repository.deleteElement(params.selector, params.url) ? 1 : 0 };
+      }
+      return { deleted: await repository.clearOldEntries(params.maxAge, params.url) };
+    }
+  },
+  {
+    name: 'export_elements',
+    description: 'Export the element repository as JSON, screenshots included, for import elsewhere',
+    capabilities: ['element_repository'],
+    inputSchema: {
+      type: 'object',
+      properties: {}
+    },
+    handler: async () => getElementRepository().exportElements()
+  },
+  {
+    name: 'import_elements',
+    description: 'Import elements from export_elements; stored elements are only replaced by newer captures',
+    capabilities: ['element_repository'],
+    inputSchema: {
+      type: 'object',
+      properties: {
+        version: { type: 'integer', description: 'Export format version' },
+        exportedAt: { type: 'string', description: 'When the export was made' },
+        elements: { type: 'array', items: { type: 'object' }, description: 'Exported elements' }
+      },
+      required: ['version', 'elements']
+    },
+    handler: async (params) => getElementRepository().importElements(params)
+  }
+];
+
+const toolsByName = new Map(tools.map(tool => [tool.name, tool]));
+
+/**
+ * List all registered tools
+ *
+ * @returns {Array<Object>} Registered tool definitions
+ */
+function listTools() {
+  return tools;
+}
+
+/**
+ * Look up a tool by name
+ *
+ * @param {string} name - Tool name
+ * @returns {Object|null} Tool definition or null if unknown
+ */
+function getTool(name) {
+  return toolsByName.get(name) || null;
+}
+
+/**
+ * List the capability tags of all tools, in registration order
+ *
+ * @returns {Array<string>} Unique capability tags
+ */
+function listCapabilities() {
+  const capabilities = [];
+  for (const tool of tools) {
+    for (const capability of tool.capabilities) {
+      if (!capabilities.includes(capability)) capabilities.push(capability);
+    }
+  }
+  return capabilities;
+}
+
+/**
+ * Convert a tool's JSON Schema into the legacy manifest parameter list
+ *
+ * @param {Object} tool - Tool definition
+ * @returns {Array<Object>} Manifest parameters
+ */
+function toManifestParameters(tool) {
+  const { properties = {}, required = [] } = tool.inputSchema;
+  return Object.entries(properties).map(([name, schema]) => {
+    const parameter = {
+      name,
+      type: schema.type,
+      description: schema.description,
+      required: required.includes(name)
+    };
+    if (schema.enum) parameter.enum = schema.enum;
+    if (schema.format) parameter.format = schema.format;
+    return parameter;
+  });
+}
+
+/**
+ * Build the legacy MCP manifest served at /api/mcp/manifest
+ *
+ * @returns {Object} MCP manifest
+ */
+function buildManifest() {
+  return {
+    name: 'UniAuto Test Automation',
+    version: packageJson.version,
+    description: 'Universal Test Automation with self-healing capabilities',
+    author: 'UniAuto Team',
+    protocol: 'mcp',
+    protocolName: 'Model Context Protocol',
+    protocolVersion: '1.0',
+    actions: tools.map(tool => ({
+      name: tool.name,
+      description: tool.description,
+      parameters: toManifestParameters(tool)
+    })),
+    capabilities: listCapabilities()
+  };
+}
+
+/**
+ * Execute a registered tool
+ *
+ * @param {string} name - Tool name
+ * @param {Object} params - Tool arguments
+ * @param {Object} [context] - Invocation context (executionId, transport, ...)
+ * @returns {Promise<Object>} Tool result
+ */
+async function callTool(name, params = {}, context = {}) {
+  const tool = getTool(name);
+  if (!tool) {
+    throw new Error(`Unknown tool: ${name}`);
+  }
+
+  logger.info(`Calling tool: ${name}`);
+  return await tool.handler(params, context);
+}
+
+module.exports = {
+  listTools,
+  getTool,
+  listCapabilities,
+  buildManifest,
+  callTool
+};
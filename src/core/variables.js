@@ -0,0 +1,130 @@
+/**
+ * Variables Module
+ *
+ * Step parameters may contain `${name}` placeholders. When a test case runs,
+ * its variables are merged from these sources, each overriding the ones
+ * before it:
+ *
+ *   1. the environment profile (`profiles.<name>` in the config)
+ *   2. the suite variables, when run as part of a test suite
+ *   3. the dataset row, when run against a row of the test case's dataset
+ *   4. the inputs passed to the run
+ *
+ * A placeholder may use a dotted path (`${user.email}`) to reach into
+ * object values. A parameter that is a single placeholder takes the
+ * variable's value as is, so numbers and objects keep their type; inside
+ * longer text the value is converted to a string. Placeholders without a
+ * matching variable are left unchanged.
+ */
+
+const { getConfig } = require('../utils/config');
+
+const PLACEHOLDER = /\$\{([\w-]+(?:\.[\w-]+)*)\}/g;
+const WHOLE_PLACEHOLDER = /^\$\{([\w-]+(?:\.[\w-]+)*)\}$/;
+
+class ProfileNotFoundError extends Error {
+  constructor(profile) {
+    super(`Environment profile not found: ${profile}`);
+    this.name = 'ProfileNotFoundError';
+    this.profile = profile;
+  }
+}
+
+/**
+ * Merge the variables for a run
+ *
+ * @param {Object} [sources] - Variable sources
+ * @param {string|null} [sources.profile] - Environment profile name (default: the configured `profile`)
+ * @param {Object} [sources.suite] - Suite variables
+ * @param {Object} [sources.row] - Dataset row
+ * @param {Object} [sources.inputs] - Run-time inputs
+ * @returns {Object} Variables
+ * @throws {ProfileNotFoundError} If the profile is not configured
+ */
+function buildVariables(sources = {}) {
+  return {
+    ...getProfileVariables(sources.profile),
+    ...sources.suite,
+    ...sources.row,
+    ...sources.inputs
+  };
+}
+
+/**
+ * Get the variables of an environment profile
+ *
+ * @param {string|null} [profile] - Profile name (default: the configured `profile`)
+ * @returns {Object} Profile variables, empty when no profile is selected
+ * @throws {ProfileNotFoundError} If the profile is not configured
+ */
+function getProfileVariables(profile) {
+  const name = activeProfile(profile);
+  if (!name) {
+    return {};
+  }
+  const { profiles } = getConfig();
+  if (!Object.hasOwn(profiles, name)) {
+    throw new ProfileNotFoundError(name);
+  }
+  return profiles[name];
+}
+
+/**
+ * Get the name of the profile a run uses
+ *
+ * @param {string|null} [profile] - Requested profile (default: the configured `profile`)
+ * @returns {string|null} Profile name, or null when no profile is selected
+ */
+function activeProfile(profile) {
+  return (profile === undefined ? getConfig().profile : profile) || null;
+}
+
+/**
+ * Replace `${name}` placeholders in a value, recursing into arrays and objects
+ *
+ * @param {*} value - Step parameter value
+ * @param {Object} [variables] - Variables
+ * @returns {*} Value with placeholders resolved
+ */
+function resolveTemplate(value, variables) {
+  if (!variables) return value;
+
+  if (typeof value === 'string') {
+    const whole = value.match(WHOLE_PLACEHOLDER);
+    if (whole) {
+      const resolved = lookup(variables, whole[1]);
+      return resolved === undefined ? value : resolved;
+    }
+    return value.replace(PLACEHOLDER, (placeholder, name) => {
+      const resolved = lookup(variables, name);
+      if (resolved === undefined) return placeholder;
+      return resolved !== null && typeof resolved === 'object' ? JSON.stringify(resolved) : String(resolved);
+    });
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => resolveTemplate(item, variables));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, resolveTemplate(item, variables)]));
+  }
+  return value;
+}
+
+function lookup(variables, path) {
+  let value = variables;
+  for (const key of path.split('.')) {
+    if (value === null || typeof value !== 'object' || !Object.hasOwn(value, key)) {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+}
+
+module.exports = {
+  ProfileNotFoundError,
+  activeProfile,
+  buildVariables,
+  getProfileVariables,
+  resolveTemplate
+};
@@ -0,0 +1,204 @@
+/**
+ * Visual Match Module
+ *
+ * Finds a captured element image in a screenshot by template matching, in
+ * plain JavaScript. Both images are decoded to grayscale and compared with
+ * zero-mean normalized cross-correlation, which tolerates uniform changes
+ * in brightness and contrast. The score at a position is from 0 (nothing
+ * alike) to 1 (identical up to brightness and contrast).
+ *
+ * To stay fast on large screenshots the search starts on both images scaled
+ * down until the template is about MIN_COARSE_SIZE pixels high or wide,
+ * and refines the best positions there at twice the scale, level by level,
+ * up to full resolution. Matching is at one scale, so the template has to be captured at the
+ * device scale factor of the screenshot.
+ */
+
+const jpeg = require('jpeg-js');
+
+// Smaller side of the template in the coarse search, in pixels
+const MIN_COARSE_SIZE = 8;
+
+// Coarse positions refined up to full resolution
+const COARSE_CANDIDATES = 5;
+
+// Regions with less variance than this count as flat
+const FLAT_VARIANCE = 1e-6;
+
+/**
+ * Decode a JPEG to grayscale
+ *
+ * @param {Buffer} buffer - JPEG image
+ * @returns {{width: number, height: number, data: Float32Array}} Luma per pixel, row by row
+ */
+function decodeGrayscale(buffer) {
+  const { width, height, data } = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true });
+  const gray = new Float32Array(width * height);
+  for (let i = 0; i < gray.length; i++) {
+    gray[i] = 0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2];
+  }
+  return { width, height, data: gray };
+}
+
+/**
+ * Find where a template looks most alike in an image
+ *
+ * @param {Object} image - Grayscale image (see decodeGrayscale)
+ * @param {Object} template - Grayscale template, no larger than the image
+ * @returns {{x: number, y: number, width: number, height: number, score: number}|null}
+ *   Best matching region in image pixels and its similarity, or null if the template does not fit
+ */
+function matchTemplate(image, template) {
+  if (template.width > image.width || template.height > image.height || template.width === 0 || template.height === 0) {
+    return null;
+  }
+
+  // Halve the scale level by level, refining each candidate around where the previous level put it
+  const factors = [];
+  for (let factor = Math.max(1, Math.floor(Math.min(template.width, template.height) / MIN_COARSE_SIZE)); factor > 1; factor = Math.floor(factor / 2)) {
+    factors.push(factor);
+  }
+  factors.push(1);
+
+  const levels = factors.map(factor => prepare(downscale(image, factor), downscale(template, factor)));
+  let candidates = bestPositions(levels[0], COARSE_CANDIDATES);
+  for (let level = 1; level < levels.length; level++) {
+    const { image: scaled, template: scaledTemplate } = levels[level];
+    const ratio = factors[level - 1] / factors[level];
+    const reach = Math.ceil(ratio);
+    candidates = candidates.map(candidate => searchRegion(
+      levels[level],
+      Math.max(0, Math.round(candidate.x * ratio) - reach),
+      Math.max(0, Math.round(candidate.y * ratio) - reach),
+      Math.min(scaled.width - scaledTemplate.width, Math.round(candidate.x * ratio) + reach),
+      Math.min(scaled.height - scaledTemplate.height, Math.round(candidate.y * ratio) + reach)
+    ));
+  }
+
+  const best = candidates.reduce((a, b) => b.score > a.score ? b : a);
+  return { ...best, width: template.width, height: template.height };
+}
+
+// The template centered on its mean, plus integral images of the image for window sums
+function prepare(image, template) {
+  const count = template.width * template.height;
+  let mean = 0;
+  for (let i = 0; i < count; i++) mean += template.data[i];
+  mean /= count;
+
+  const centered = new Float32Array(count);
+  let variance = 0;
+  for (let i = 0; i < count; i++) {
+    centered[i] = template.data[i] - mean;
+    variance += centered[i] * centered[i];
+  }
+
+  const stride = image.width + 1;
+  const sums = new Float64Array(stride * (image.height + 1));
+  const squares = new Float64Array(stride * (image.height + 1));
+  for (let y = 0; y < image.height; y++) {
+    let rowSum = 0;
+    let rowSquares = 0;
+    for (let x = 0; x < image.width; x++) {
+      const value = image.data[y * image.width + x];
+      rowSum += value;
+      rowSquares += value * value;
+      sums[(y + 1) * stride + x + 1] = sums[y * stride + x + 1] + rowSum;
+      squares[(y + 1) * stride + x + 1] = squares[y * stride + x + 1] + rowSquares;
+    }
+  }
+
+  return { image, template, centered, mean, variance, count, stride, sums, squares };
+}
+
+// Similarity of the template with the image window at (x, y)
+function scoreAt(prepared, x, y) {
+  const { image, template, centered, mean, variance, count, stride, sums, squares } = prepared;
+  const x2 = x + template.width;
+  const y2 = y + template.height;
+  const sum = sums[y2 * stride + x2] - sums[y * stride + x2] - sums[y2 * stride + x] + sums[y * stride + x];
+  const sumSquares = squares[y2 * stride + x2] - squares[y * stride + x2] - squares[y2 * stride + x] + squares[y * stride + x];
+  const windowVariance = sumSquares - sum * sum / count;
+
+  // A flat template, like an empty box, only matches a flat window of the same shade
+  if (variance < FLAT_VARIANCE * count || windowVariance < FLAT_VARIANCE * count) {
+    return variance < FLAT_VARIANCE * count && windowVariance < FLAT_VARIANCE * count
+      ? 1 - Math.abs(sum / count - mean) / 255
+      : 0;
+  }
+
+  let product = 0;
+  for (let row = 0; row < template.height; row++) {
+    const imageOffset = (y + row) * image.width + x;
+    const templateOffset = row * template.width;
+    for (let column = 0; column < template.width; column++) {
+      product += centered[templateOffset + column] * image.data[imageOffset + column];
+    }
+  }
+  return Math.max(0, product / Math.sqrt(variance * windowVariance));
+}
+
+function searchRegion(prepared, left, top, right, bottom) {
+  let best = { x: left, y: top, score: -1 };
+  for (let y = top; y <= bottom; y++) {
+    for (let x = left; x <= right; x++) {
+      const score = scoreAt(prepared, x, y);
+      if (score > best.score) best = { x, y, score };
+    }
+  }
+  return best;
+}
+
+// Best scoring positions at least a template apart, so they are different places on the page
+function bestPositions(prepared, limit) {
+  const { image, template } = prepared;
+  const columns = image.width - template.width + 1;
+  const rows = image.height - template.height + 1;
+  const scores = new Float32Array(columns * rows);
+  for (let y = 0; y < rows; y++) {
+    for (let x = 0; x < columns; x++) {
+      scores[y * columns + x] = scoreAt(prepared, x, y);
+    }
+  }
+
+  const best = [];
+  while (best.length < limit) {
+    let index = -1;
+    for (let i = 0; i < scores.length; i++) {
+      if (scores[i] >= 0 && (index === -1 || scores[i] > scores[index])) index = i;
+    }
+    if (index === -1) break;
+
+    const position = { x: index % columns, y: Math.floor(index / columns), score: scores[index] };
+    best.push(position);
+    // Rule out the positions overlapping this one
+    for (let y = Math.max(0, position.y - template.height + 1); y < Math.min(rows, position.y + template.height); y++) {
+      scores.fill(-1, y * columns + Math.max(0, position.x - template.width + 1), y * columns + Math.min(columns, position.x + template.width));
+    }
+  }
+  return best;
+}
+
+// Average each factor x factor block into one pixel
+function downscale(image, factor) {
+  if (factor === 1) return image;
+  const width = Math.floor(image.width / factor);
+  const height = Math.floor(image.height / factor);
+  const data = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      let sum = 0;
+      for (let row = 0; row < factor; row++) {
+        const offset = (y * factor + row) * image.width + x * factor;
+        for (let column = 0; column < factor; column++) sum += image.data[offset + column];
+      }
+      data[y * width + x] = sum / (factor * factor);
+    }
+  }
+  return { width, height, data };
+}
+
+module.exports = {
+  decodeGrayscale,
+  matchTemplate
+};
@@ -0,0 +1,213 @@
+/**
+ * Waits Module
+ *
+ * Wait commands block until the active page reaches a state, instead of
+ * sleeping for a fixed time, and fail with a WaitTimeoutError when their
+ * timeout runs out.
+ *
+ * Backends do the waiting through a waiter, one method per command, each
+ * taking the command's parameters and its timeout in milliseconds:
+ *   selector(selector, state, timeout)   -> resolves once the selector is in `state`
+ *   url(pattern, timeout)                -> resolves to the page URL once it matches `pattern`
+ *   loadState(state, timeout)            -> resolves once the page reached the load state
+ *   response(predicate, timeout)         -> resolves to { url, status } of the first match
+ *   function(expression, timeout)        -> resolves to the truthy value of the expression
+ * and reject with a TimeoutError (or a WaitTimeoutError) on timeout.
+ *
+ * URL patterns are globs: `*` matches anything but `/`, `**` matches
+ * anything, and `{a,b}` matches either alternative. A `matches` regular
+ * expression (with optional `flags`) can be used instead.
+ */
+
+const { getConfig } = require('../utils/config');
+
+const WAIT_COMMANDS = [
+  'wait_for_selector',
+  'wait_for_url',
+  'wait_for_load_state',
+  'wait_for_response',
+  'wait_for_function'
+];
+
+const SELECTOR_STATES = ['attached', 'detached', 'visible', 'hidden'];
+
+const LOAD_STATES = ['load', 'domcontentloaded', 'networkidle'];
+
+// navigate also accepts `commit`: continue as soon as the response arrives
+const NAVIGATION_WAITS = [...LOAD_STATES, 'commit'];
+
+class WaitTimeoutError extends Error {
+  constructor(message, details) {
+    super(message);
+    this.name = 'WaitTimeoutError';
+    this.details = details;
+  }
+}
+
+const waits = {
+  wait_for_selector: {
+    target: params => {
+      if (!params.selector) {
+        throw new Error('wait_for_selector requires a selector');
+      }
+      const state = choice(params.state || 'visible', SELECTOR_STATES, 'state');
+      return { selector: params.selector, state };
+    },
+    run: (waiter, target, timeout) => waiter.selector(target.selector, target.state, timeout),
+    result: target => target,
+    describe: target => `"${target.selector}" to be ${target.state}`
+  },
+  wait_for_url: {
+    target: params => ({ pattern: urlPattern(params), text: patternText(params) }),
+    run: (waiter, target, timeout) => waiter.url(target.pattern, timeout),
+    result: (target, url) => ({ url }),
+    describe: target => `the URL to match ${target.text}`
+  },
+  wait_for_load_state: {
+    target: params => ({ state: choice(params.state || 'load', LOAD_STATES, 'state') }),
+    run: (waiter, target, timeout) => waiter.loadState(target.state, timeout),
+    result: target => target,
+    describe: target => `the ${target.state} load state`
+  },
+  wait_for_response: {
+    target: params => {
+      const status = params.status !== undefined ? Number(params.status) : undefined;
+      if (status !== undefined && !Number.isInteger(status)) {
+        throw new Error('wait_for_response status must be an HTTP status code');
+      }
+      return { pattern: urlPattern(params), text: patternText(params), ...(status !== undefined && { status }) };
+    },
+    run: (waiter, target, timeout) => waiter.response(
+      response => target.pattern.test(response.url) && (target.status === undefined || response.status === target.status),
+      timeout
+    ),
+    result: (target, response) => ({ url: response.url, responseStatus: response.status }),
+    describe: target => `a response from ${target.text}${target.status !== undefined ? ` with status ${target.status}` : ''}`
+  },
+  wait_for_function: {
+    target: params => {
+      if (!params.expression || typeof params.expression !== 'string') {
+        throw new Error('wait_for_function requires an expression');
+      }
+      return { expression: params.expression };
+    },
+    run: (waiter, target, timeout) => waiter.function(target.expression, timeout),
+    result: (target, value) => ({ value }),
+    describe: target => `${target.expression} to be truthy`
+  }
+};
+
+function isWaitCommand(command) {
+  return WAIT_COMMANDS.includes(command);
+}
+
+/**
+ * Run a wait command with a backend's waiter
+ *
+ * @param {string} command - Wait command (see WAIT_COMMANDS)
+ * @param {Object} params - Command parameters
+ * @param {Object} waiter - Waiter provided by the backend
+ * @returns {Promise<Object>} Result describing what was waited for
+ * @throws {WaitTimeoutError} If the page does not get there before the timeout
+ */
+async function runWait(command, params, waiter) {
+  const wait = waits[command];
+  if (!wait) {
+    throw new Error(`Unknown wait: ${command}`);
+  }
+
+  const target = wait.target(params);
+  const timeout = waitTimeout(params);
+
+  try {
+    const value = await wait.run(waiter, target, timeout);
+    return { status: 'success', ...wait.result(target, value) };
+  } catch (error) {
+    if (error instanceof WaitTimeoutError || error.name !== 'TimeoutError') {
+      throw error;
+    }
+    throw timeoutError(command, wait.describe(target), timeout);
+  }
+}
+
+// `awaited` says what was waited for, e.g. `"#menu" to be visible`
+function timeoutError(command, awaited, timeout) {
+  return new WaitTimeoutError(`${command} timed out waiting for ${awaited} (timeout ${timeout}ms)`, {
+    wait: command,
+    awaited,
+    timeout
+  });
+}
+
+function waitTimeout(params) {
+  const options = params.options || {};
+  return [options.timeout, params.timeout, getConfig().automation.waitTimeout]
+    .find(value => typeof value === 'number' && value >= 0);
+}
+
+/**
+ * Compile the URL pattern of a wait: a `url` glob or a `matches` expression
+ *
+ * @param {Object} params - Parameters with `url`, or `matches` and optional `flags`
+ * @returns {RegExp} Expression matching whole URLs
+ */
+function urlPattern(params) {
+  if (params.matches !== undefined) {
+    try {
+      return new RegExp(params.matches, params.flags);
+    } catch (error) {
+      throw new Error(`Invalid matches pattern: ${error.message}`);
+    }
+  }
+  if (!params.url || typeof params.url !== 'string') {
+    throw new Error('A url glob or matches expression is required');
+  }
+  return globToRegExp(params.url);
+}
+
+function patternText(params) {
+  return params.matches !== undefined ? `/${params.matches}/${params.flags || ''}` : params.url;
+}
+
+function globToRegExp(glob) {
+  let source = '';
+  let inGroup = false;
+
+  for (let index = 0; index < glob.length; index++) {
+    const char = glob[index];
+    if (char === '*' && glob[index + 1] === '*') {
+      source += '.*';
+      index++;
+    } else if (char === '*') {
+      source += '[^/]*';
+    } else if (char === '{' && !inGroup) {
+      source += '(?:';
+      inGroup = true;
+    } else if (char === '}' && inGroup) {
+      source += ')';
+      inGroup = false;
+    } else if (char === ',' && inGroup) {
+      source += '|';
+    } else {
+      source += char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+    }
+  }
+  return new RegExp(`^${source}$`);
+}
+
+function choice(value, allowed, name) {
+  if (!allowed.includes(value)) {
+    throw new Error(`${name} must be one of ${allowed.join(', ')}`);
+  }
+  return value;
+}
+
+module.exports = {
+  WAIT_COMMANDS,
+  SELECTOR_STATES,
+  LOAD_STATES,
+  NAVIGATION_WAITS,
+  WaitTimeoutError,
+  isWaitCommand,
+  runWait
+};
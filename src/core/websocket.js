@@ -1,6 +1,6 @@
 const WebSocket = require('ws');
 const { logger } = require('../utils/logger');
-const { handleAutomationCommand } = require('./automation');
+const { handleAutomationCommand } = require('./automation-backend');
 
 let wss;
 
@@ -27,7 +27,8 @@ function setupWebsocketServer(server) {
         logger.error(`WebSocket error: ${error.message}`);
         ws.send(JSON.stringify({
           type: 'error',
-          message: error.message
+          message: error.message,
+          ...(error.details && { details: error.details })
         }));
       }
     });
@@ -1,6 +1,7 @@
 const Anthropic = require('@anthropic-ai/sdk');
 const { logger } = require('../utils/logger');
-const { handleAutomationCommand } = require('../core/mock-automation');
+const { getConfig } = require('../utils/config');
+const { handleAutomationCommand } = require('../core/automation-backend');
 const { generateTests, generateFullTestSuite } = require('../core/test-generator');
 
 async function aiProcessing(req, res) {
@@ -11,43 +12,58 @@ async function aiProcessing(req, res) {
       return res.status(400).json({ error: 'Task description is required' });
     }
     
-    logger.info(`AI processing task: ${task.substring(0, 100)}...`);
-    
-    // Get screenshot of current page if available
-    let screenshot;
-    try {
-      screenshot = await handleAutomationCommand('screenshot', {
-        fileName: `ai-processing-${Date.now()}.png`
-      });
-    } catch (err) {
-      logger.warn(`Failed to take screenshot: ${err.message}`);
-    }
-    
-    // Prepare context for AI model
-    const aiContext = {
-      task,
-      url: url || (await getCurrentPageUrl()),
-      screenshot: screenshot ? screenshot.path : null,
-      additionalContext: context || {}
-    };
-    
-    // Process with AI model (Claude or other)
-    const aiResponse = await processWithAI(aiContext, model);
-    
-    // Extract actionable steps from AI response
-    const steps = parseAIResponseToSteps(aiResponse);
-    
-    res.json({
-      task,
-      steps,
-      rawResponse: aiResponse
-    });
+    const result = await processAutomationTask({ task, url, model, context });
+    res.json(result);
   } catch (error) {
     logger.error(`AI processing error: ${error.message}`);
     res.status(500).json({ error: error.message });
   }
 }
 
+/**
+ * Turn a natural language task into automation steps using the AI model
+ * 
+ * @param {Object} options - Task options
+ * @param {string} options.task - Task description
+ * @param {string} [options.url] - URL context (defaults to the current page)
+ * @param {string} [options.model] - AI model to use
+ * @param {Object} [options.context] - Additional context for the model
+ * @returns {Promise<Object>} Task, parsed steps and the raw model response
+ */
+async function processAutomationTask({ task, url, model, context }) {
+  logger.info(`AI processing task: ${task.substring(0, 100)}...`);
+  
+  // Get screenshot of current page if available
+  let screenshot;
+  try {
+    screenshot = await handleAutomationCommand('screenshot', {
+      fileName: `ai-processing-${Date.now()}.png`
+    });
+  } catch (err) {
+    logger.warn(`Failed to take screenshot: ${err.message}`);
+  }
+  
+  // Prepare context for AI model
+  const aiContext = {
+    task,
+    url: url || (await getCurrentPageUrl()),
+    screenshot: screenshot ? screenshot.path : null,
+    additionalContext: context || {}
+  };
+  
+  // Process with AI model (Claude or other)
+  const aiResponse = await processWithAI(aiContext, model);
+  
+  // Extract actionable steps from AI response
+  const steps = parseAIResponseToSteps(aiResponse);
+  
+  return {
+    task,
+    steps,
+    rawResponse: aiResponse
+  };
+}
+
 async function getCurrentPageUrl() {
   try {
     const result = await handleAutomationCommand('extract', {
@@ -65,7 +81,7 @@ async function processWithAI(context, modelName = 'claude') {
   try {
     // Create Anthropic client instance
     const anthropic = new Anthropic({
-      apiKey: process.env.CLAUDE_API_KEY,
+      apiKey: getConfig().ai.apiKey,
     });
     
     // Prepare user message content
@@ -115,7 +131,7 @@ Please provide step-by-step instructions for automating this task. For each step
     }
     
     // Determine which model to use
-    const model = process.env.CLAUDE_MODEL || 'claude-3-7-sonnet-20240229';
+    const model = getConfig().ai.defaultModel;
     logger.info(`Using AI model: ${model}`);
     
     // Create the message
@@ -282,5 +298,6 @@ async function aiTestGeneration(req, res) {
 
 module.exports = {
   aiProcessing,
+  processAutomationTask,
   aiTestGeneration
 };
\ No newline at end of file
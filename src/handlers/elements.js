@@ -0,0 +1,160 @@
+const Joi = require('joi');
+const { getElementRepository } = require('../core/element-repository');
+const { logger } = require('../utils/logger');
+const { statusForError } = require('./errors');
+
+// Selectors contain characters that do not fit in a path, so elements are addressed by query parameters
+const elementQuerySchema = Joi.object({
+  url: Joi.string().required(),
+  selector: Joi.string().required()
+});
+
+const pinSchema = Joi.object({
+  url: Joi.string().required(),
+  selector: Joi.string().required(),
+  preferredSelector: Joi.string().allow(null).required()
+});
+
+const clearQuerySchema = Joi.object({
+  url: Joi.string(),
+  maxAge: Joi.number().integer().min(0).default(60 * 60 * 1000)
+});
+
+async function listElements(req, res) {
+  try {
+    const elements = await getElementRepository().listElements(req.query.url || undefined);
+    res.json(elements);
+  } catch (error) {
+    logger.error(`List elements error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function getElement(req, res) {
+  try {
+    const { error, value } = elementQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const element = await getElementRepository().getElementData(value.selector, value.url);
+
+    if (!element) {
+      return res.status(404).json({ error: 'Element not found' });
+    }
+
+    res.json(element);
+  } catch (error) {
+    logger.error(`Get element error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function getElementImage(req, res) {
+  try {
+    const { error, value } = elementQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const snapshot = await getElementRepository().getElementSnapshot(value.selector, value.url);
+
+    if (!snapshot) {
+      return res.status(404).json({ error: 'Element snapshot not found' });
+    }
+
+    res.type('image/jpeg').send(Buffer.from(snapshot.image, 'base64'));
+  } catch (error) {
+    logger.error(`Get element image error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function pinElementSelector(req, res) {
+  try {
+    const { error, value } = pinSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const element = await getElementRepository().pinSelector(value.selector, value.url, value.preferredSelector);
+
+    if (!element) {
+      return res.status(404).json({ error: 'Element not found' });
+    }
+
+    logger.info(`Preferred selector for ${value.selector} on ${element.url}: ${value.preferredSelector}`);
+    res.json(element);
+  } catch (error) {
+    logger.error(`Pin selector error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function deleteElement(req, res) {
+  try {
+    const { error, value } = elementQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const deleted = await getElementRepository().deleteElement(value.selector, value.url);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Element not found' });
+    }
+
+    res.json({ message: 'Element deleted successfully' });
+  } catch (error) {
+    logger.error(`Delete element error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function clearElements(req, res) {
+  try {
+    const { error, value } = clearQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const deleted = await getElementRepository().clearOldEntries(value.maxAge, value.url);
+    logger.info(`Deleted ${deleted} element(s) older than ${value.maxAge}ms`);
+    res.json({ status: 'success', deleted });
+  } catch (error) {
+    logger.error(`Clear elements error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function exportElements(req, res) {
+  try {
+    const exported = await getElementRepository().exportElements();
+    res.attachment('elements.json').json(exported);
+  } catch (error) {
+    logger.error(`Export elements error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function importElements(req, res) {
+  try {
+    const result = await getElementRepository().importElements(req.body);
+    logger.info(`Imported ${result.imported} element(s), skipped ${result.skipped}`);
+    res.json({ status: 'success', ...result });
+  } catch (error) {
+    logger.error(`Import elements error: ${error.message}`);
+    res.status(statusForError(error)).json({ error: error.message });
+  }
+}
+
+module.exports = {
+  listElements,
+  getElement,
+  getElementImage,
+  pinElementSelector,
+  deleteElement,
+  clearElements,
+  exportElements,
+  importElements
+};
@@ -0,0 +1,28 @@
+/**
+ * Handler Errors
+ *
+ * Maps errors thrown by the repositories and runners to HTTP status codes,
+ * so every handler answers the same error with the same status.
+ */
+
+const { DatasetError } = require('../core/dataset');
+const { ProfileNotFoundError } = require('../core/variables');
+
+/**
+ * Status code for an error: 400 for invalid input, 500 otherwise
+ *
+ * Both the mongoose models and the file stores report invalid documents as a ValidationError.
+ *
+ * @param {Error} error - Error thrown while handling a request
+ * @returns {number} HTTP status code
+ */
+function statusForError(error) {
+  if (error.name === 'ValidationError' || error instanceof DatasetError || error instanceof ProfileNotFoundError) {
+    return 400;
+  }
+  return 500;
+}
+
+module.exports = {
+  statusForError
+};
@@ -0,0 +1,116 @@
+const Joi = require('joi');
+const { getHealingLog, InvalidTestPathError } = require('../core/healing-log');
+const { logger } = require('../utils/logger');
+const { statusForError } = require('./errors');
+
+const eventsQuerySchema = Joi.object({
+  url: Joi.string(),
+  selector: Joi.string(),
+  strategy: Joi.string(),
+  status: Joi.string().valid('pending', 'approved'),
+  since: Joi.number().integer().min(0),
+  limit: Joi.number().integer().min(1).max(1000).default(100)
+});
+
+const fixesQuerySchema = Joi.object({
+  url: Joi.string(),
+  minOccurrences: Joi.number().integer().min(1).default(2)
+});
+
+const approveSchema = Joi.object({
+  url: Joi.string().required(),
+  originalSelector: Joi.string().required(),
+  selector: Joi.string().required(),
+  paths: Joi.array().items(Joi.string()),
+  testCaseIds: Joi.array().items(Joi.string()).min(1),
+  author: Joi.string()
+});
+
+async function listHealingEvents(req, res) {
+  try {
+    const { error, value } = eventsQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(await getHealingLog().listEvents(value));
+  } catch (error) {
+    logger.error(`List healing events error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function getHealingEvent(req, res) {
+  try {
+    const event = await getHealingLog().getEvent(req.params.id);
+
+    if (!event) {
+      return res.status(404).json({ error: 'Healing event not found' });
+    }
+
+    const summary = { ...event };
+    delete summary.screenshot;
+    res.json(summary);
+  } catch (error) {
+    logger.error(`Get healing event error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function getHealingEventScreenshot(req, res) {
+  try {
+    const event = await getHealingLog().getEvent(req.params.id);
+
+    if (!event || !event.screenshot) {
+      return res.status(404).json({ error: 'Healing screenshot not found' });
+    }
+
+    res.type('image/jpeg').send(Buffer.from(event.screenshot, 'base64'));
+  } catch (error) {
+    logger.error(`Get healing screenshot error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function suggestHealingFixes(req, res) {
+  try {
+    const { error, value } = fixesQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    res.json(await getHealingLog().suggestFixes(value));
+  } catch (error) {
+    logger.error(`Suggest healing fixes error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function approveHealingFix(req, res) {
+  try {
+    const { error, value } = approveSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const { author, ...fix } = value;
+    const result = await getHealingLog().approveFix(fix, { author: req.get('X-Author') || author });
+
+    if (!result) {
+      return res.status(404).json({ error: 'No healing events for this fix' });
+    }
+
+    res.json({ status: 'success', ...result });
+  } catch (error) {
+    logger.error(`Approve healing fix error: ${error.message}`);
+    res.status(error instanceof InvalidTestPathError ? 400 : statusForError(error)).json({ error: error.message });
+  }
+}
+
+module.exports = {
+  listHealingEvents,
+  getHealingEvent,
+  getHealingEventScreenshot,
+  suggestHealingFixes,
+  approveHealingFix
+};
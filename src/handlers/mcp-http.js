@@ -0,0 +1,157 @@
+/**
+ * Streamable HTTP transport for the Model Context Protocol
+ *
+ * A single endpoint accepts JSON-RPC POSTs. Requests are answered either with
+ * plain JSON or, when the client accepts `text/event-stream`, with a stream of
+ * server-sent events carrying progress notifications followed by the result.
+ */
+
+const { v4: uuidv4 } = require('uuid');
+const { logger } = require('../utils/logger');
+const { McpServer, JSON_RPC_ERRORS, createErrorResponse } = require('../core/mcp-server');
+
+const SESSION_HEADER = 'Mcp-Session-Id';
+const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000;
+
+const sessions = new Map();
+
+function createSession() {
+  const session = {
+    id: uuidv4(),
+    server: new McpServer({ transport: 'http' }),
+    lastSeen: Date.now()
+  };
+  sessions.set(session.id, session);
+  logger.info(`MCP HTTP session created: ${session.id}`);
+  return session;
+}
+
+function reapIdleSessions() {
+  const now = Date.now();
+  for (const [id, session] of sessions.entries()) {
+    if (now - session.lastSeen > SESSION_IDLE_TIMEOUT_MS) {
+      sessions.delete(id);
+      logger.info(`MCP HTTP session expired: ${id}`);
+    }
+  }
+}
+
+setInterval(reapIdleSessions, 60 * 1000).unref();
+
+function isRequest(message) {
+  return !!message && typeof message === 'object' && !!message.method && message.id !== undefined;
+}
+
+// Notifications, and responses to requests the client got from us, need no answer
+function isNotificationOrResponse(message) {
+  if (!message || typeof message !== 'object' || Array.isArray(message) || message.jsonrpc !== '2.0') {
+    return false;
+  }
+  if (message.method !== undefined) {
+    return typeof message.method === 'string' && message.id === undefined;
+  }
+  return message.id !== undefined && (message.result !== undefined) !== (message.error !== undefined);
+}
+
+function writeEvent(res, message) {
+  res.write(`event: message\ndata: ${JSON.stringify(message)}\n\n`);
+}
+
+/**
+ * Handle a JSON-RPC POST on the MCP endpoint
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+async function handleMcpPost(req, res) {
+  const message = req.body;
+  const messages = Array.isArray(message) ? message : [message];
+  const sessionId = req.get(SESSION_HEADER);
+
+  let session;
+  if (messages.some(entry => entry && entry.method === 'initialize')) {
+    session = createSession();
+    res.set(SESSION_HEADER, session.id);
+  } else if (sessionId) {
+    session = sessions.get(sessionId);
+    if (!session) {
+      return res.status(404).json(createErrorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, `Unknown MCP session: ${sessionId}`));
+    }
+  }
+
+  // Clients that skip initialization get a throwaway server instance
+  const server = session ? session.server : new McpServer({ transport: 'http' });
+  if (session) session.lastSeen = Date.now();
+
+  try {
+    // Notifications and client responses are acknowledged without a body
+    if (!messages.some(isRequest)) {
+      if (messages.length === 0 || !messages.every(isNotificationOrResponse)) {
+        return res.status(400).json(createErrorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Invalid JSON-RPC 2.0 message'));
+      }
+      await server.handleMessage(message);
+      return res.status(202).end();
+    }
+
+    const accept = req.get('Accept') || '';
+    if (!accept.includes('text/event-stream')) {
+      const response = await server.handleMessage(message);
+      return res.json(response);
+    }
+
+    res.status(200).set({
+      'Content-Type': 'text/event-stream',
+      'Cache-Control': 'no-cache',
+      Connection: 'keep-alive'
+    });
+    res.flushHeaders();
+
+    const response = await server.handleMessage(message, {
+      notify: notification => writeEvent(res, notification)
+    });
+    if (response) writeEvent(res, response);
+    res.end();
+  } catch (error) {
+    logger.error(`MCP HTTP transport error: ${error.message}`);
+    if (res.headersSent) {
+      writeEvent(res, createErrorResponse(null, JSON_RPC_ERRORS.INTERNAL_ERROR, error.message));
+      return res.end();
+    }
+    res.status(500).json(createErrorResponse(null, JSON_RPC_ERRORS.INTERNAL_ERROR, error.message));
+  }
+}
+
+/**
+ * Standalone server-to-client streams are not offered by this server
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+function handleMcpGet(req, res) {
+  res.set('Allow', 'POST, DELETE').status(405).json(
+    createErrorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Server-initiated streams are not supported; POST JSON-RPC messages instead')
+  );
+}
+
+/**
+ * Terminate an MCP session
+ *
+ * @param {Object} req - Request object
+ * @param {Object} res - Response object
+ */
+function handleMcpDelete(req, res) {
+  const sessionId = req.get(SESSION_HEADER);
+
+  if (!sessionId || !sessions.delete(sessionId)) {
+    return res.status(404).json(createErrorResponse(null, JSON_RPC_ERRORS.INVALID_REQUEST, 'Unknown MCP session'));
+  }
+
+  logger.info(`MCP HTTP session terminated: ${sessionId}`);
+  res.status(204).end();
+}
+
+module.exports = {
+  handleMcpPost,
+  handleMcpGet,
+  handleMcpDelete
+};
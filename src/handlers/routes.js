@@ -1,12 +1,57 @@
 const express = require('express');
 const { logger } = require('../utils/logger');
-// Use mock automation for testing without browser dependencies
-const { handleAutomationCommand } = require('../core/mock-automation');
-const { createTestCase, getAllTestCases, getTestCaseById, updateTestCase, deleteTestCase } = require('./test-cases');
+const { getPublicConfig } = require('../utils/config');
+const { handleAutomationCommand, createSession, listSessions, closeSession, listBackends, getBackend } = require('../core/automation-backend');
+const { SessionNotFoundError } = require('../core/session-manager');
+const { AssertionFailedError } = require('../core/assertions');
+const { WaitTimeoutError } = require('../core/waits');
+const { BROWSER_ENGINES } = require('../core/browser-launcher');
+const {
+  createTestCase,
+  getAllTestCases,
+  getTestCaseById,
+  updateTestCase,
+  deleteTestCase,
+  runTestCaseById,
+  setTestCaseDataset,
+  getTestCaseRevisions,
+  getTestCaseRevision,
+  diffTestCaseRevisions,
+  restoreTestCaseRevision,
+  addTestCaseTags,
+  removeTestCaseTags
+} = require('./test-cases');
+const {
+  createTestSuite,
+  getAllTestSuites,
+  getTestSuiteById,
+  updateTestSuite,
+  deleteTestSuite,
+  runSuiteById
+} = require('./test-suites');
+const {
+  listElements,
+  getElement,
+  getElementImage,
+  pinElementSelector,
+  deleteElement,
+  clearElements,
+  exportElements,
+  importElements
+} = require('./elements');
+const {
+  listHealingEvents,
+  getHealingEvent,
+  getHealingEventScreenshot,
+  suggestHealingFixes,
+  approveHealingFix
+} = require('./healing');
 const { aiProcessing, aiTestGeneration } = require('./ai-processing');
-const { validateMcpRequest, formatMcpResponse, formatMcpErrorResponse } = require('../utils/mcp-validator');
+const { ValidationError, validateMcpRequest, formatMcpResponse, formatMcpErrorResponse } = require('../utils/mcp-validator');
 const { generateTests, generateFullTestSuite, scaffoldTestProject, TEST_FRAMEWORKS, TEST_STYLES, OUTPUT_FORMATS } = require('../core/test-generator');
 const { visualCompare, accessibilityTest, performanceTest, networkTrace, runTestSuite } = require('../core/advanced-testing');
+const { buildManifest, callTool } = require('../core/tool-registry');
+const { handleMcpPost, handleMcpGet, handleMcpDelete } = require('./mcp-http');
 
 const router = express.Router();
 
@@ -15,6 +60,11 @@ router.get('/health', (req, res) => {
   res.status(200).json({ status: 'ok', timestamp: new Date().toISOString() });
 });
 
+// Effective configuration (secrets masked)
+router.get('/config', (req, res) => {
+  res.json(getPublicConfig());
+});
+
 // Automation endpoints
 router.post('/execute', async (req, res) => {
   try {
@@ -29,16 +79,103 @@ router.post('/execute', async (req, res) => {
     res.json(result);
   } catch (error) {
     logger.error(`Execute error: ${error.message}`);
+    if (error instanceof AssertionFailedError || error instanceof WaitTimeoutError) {
+      return res.status(422).json({ error: error.message, details: error.details });
+    }
+    res.status(error instanceof SessionNotFoundError ? 404 : 500).json({ error: error.message });
+  }
+});
+
+// Browser session endpoints
+router.post('/sessions', async (req, res) => {
+  try {
+    const { label, browser, device, backend, fixtures } = req.body;
+    
+    if (browser && !BROWSER_ENGINES.includes(browser)) {
+      return res.status(400).json({ error: `browser must be one of ${BROWSER_ENGINES.join(', ')}` });
+    }
+    
+    if (backend && !listBackends().includes(backend)) {
+      return res.status(400).json({ error: `backend must be one of ${listBackends().join(', ')}` });
+    }
+    
+    const result = await createSession({ label, browser, device, backend, fixtures });
+    res.status(201).json(result);
+  } catch (error) {
+    logger.error(`Create session error: ${error.message}`);
     res.status(500).json({ error: error.message });
   }
 });
 
+router.get('/sessions', (req, res) => {
+  res.json(listSessions());
+});
+
+router.delete('/sessions/:id', async (req, res) => {
+  try {
+    const result = await closeSession(req.params.id);
+    res.json(result);
+  } catch (error) {
+    logger.error(`Close session error: ${error.message}`);
+    res.status(error instanceof SessionNotFoundError ? 404 : 500).json({ error: error.message });
+  }
+});
+
+// Mock backend fixtures, for driving agent flows in CI without a browser
+router.put('/mock/fixtures', (req, res) => {
+  try {
+    getBackend('mock').loadFixtures(req.body);
+    res.json({ status: 'success' });
+  } catch (error) {
+    logger.error(`Load fixtures error: ${error.message}`);
+    res.status(400).json({ error: error.message });
+  }
+});
+
+router.delete('/mock/fixtures', (req, res) => {
+  getBackend('mock').resetFixtures();
+  res.json({ status: 'success' });
+});
+
 // Test case management endpoints
 router.post('/test-cases', createTestCase);
 router.get('/test-cases', getAllTestCases);
+router.post('/test-cases/tags/add', addTestCaseTags);
+router.post('/test-cases/tags/remove', removeTestCaseTags);
 router.get('/test-cases/:id', getTestCaseById);
 router.put('/test-cases/:id', updateTestCase);
 router.delete('/test-cases/:id', deleteTestCase);
+router.post('/test-cases/:id/run', runTestCaseById);
+router.put('/test-cases/:id/dataset', express.text({ type: 'text/csv', limit: '10mb' }), setTestCaseDataset);
+router.get('/test-cases/:id/revisions', getTestCaseRevisions);
+router.get('/test-cases/:id/revisions/:revision', getTestCaseRevision);
+router.post('/test-cases/:id/revisions/:revision/restore', restoreTestCaseRevision);
+router.get('/test-cases/:id/diff', diffTestCaseRevisions);
+
+// Test suite management endpoints
+router.post('/test-suites', createTestSuite);
+router.get('/test-suites', getAllTestSuites);
+router.get('/test-suites/:id', getTestSuiteById);
+router.put('/test-suites/:id', updateTestSuite);
+router.delete('/test-suites/:id', deleteTestSuite);
+router.post('/test-suites/:id/run', runSuiteById);
+
+// Element repository: elements captured for self-healing
+router.get('/elements', listElements);
+router.delete('/elements', clearElements);
+router.get('/elements/export', exportElements);
+router.post('/elements/import', importElements);
+router.get('/elements/element', getElement);
+router.delete('/elements/element', deleteElement);
+router.get('/elements/element/image', getElementImage);
+router.put('/elements/element/preferred-selector', pinElementSelector);
+
+// Healing audit log and the selector fixes it suggests
+router.get('/healing/events', listHealingEvents);
+router.get('/healing/events/:id', getHealingEvent);
+router.get('/healing/events/:id/screenshot', getHealingEventScreenshot);
+router.get('/healing/fixes', suggestHealingFixes);
+router.post('/healing/fixes/approve', approveHealingFix);
 
 // AI processing
 router.post('/ai/process', aiProcessing);
@@ -47,7 +184,7 @@ router.post('/ai/generate-tests', aiTestGeneration);
 // Advanced testing endpoints
 router.post('/visual-compare', async (req, res) => {
   try {
-    const { url, selector, baselineName, updateBaseline, threshold } = req.body;
+    const { url, selector, baselineName, updateBaseline, threshold, browser } = req.body;
     
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
@@ -60,7 +197,8 @@ router.post('/visual-compare', async (req, res) => {
       selector,
       baselineName,
       updateBaseline,
-      threshold
+      threshold,
+      browser
     });
     
     res.json(result);
@@ -72,7 +210,7 @@ router.post('/visual-compare', async (req, res) => {
 
 router.post('/accessibility-test', async (req, res) => {
   try {
-    const { url, standard } = req.body;
+    const { url, standard, browser } = req.body;
     
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
@@ -82,7 +220,8 @@ router.post('/accessibility-test', async (req, res) => {
     
     const result = await accessibilityTest({
       url,
-      standard
+      standard,
+      browser
     });
     
     res.json(result);
@@ -94,7 +233,7 @@ router.post('/accessibility-test', async (req, res) => {
 
 router.post('/performance-test', async (req, res) => {
   try {
-    const { url, iterations } = req.body;
+    const { url, iterations, browser } = req.body;
     
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
@@ -104,7 +243,8 @@ router.post('/performance-test', async (req, res) => {
     
     const result = await performanceTest({
       url,
-      iterations
+      iterations,
+      browser
     });
     
     res.json(result);
@@ -116,7 +256,7 @@ router.post('/performance-test', async (req, res) => {
 
 router.post('/network-trace', async (req, res) => {
   try {
-    const { url, apiEndpoints } = req.body;
+    const { url, apiEndpoints, browser } = req.body;
     
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
@@ -126,7 +266,8 @@ router.post('/network-trace', async (req, res) => {
     
     const result = await networkTrace({
       url,
-      apiEndpoints
+      apiEndpoints,
+      browser
     });
     
     res.json(result);
@@ -138,7 +279,7 @@ router.post('/network-trace', async (req, res) => {
 
 router.post('/test-suite', async (req, res) => {
   try {
-    const { url, visual, accessibility, performance, network } = req.body;
+    const { url, visual, accessibility, performance, network, browsers } = req.body;
     
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
@@ -151,7 +292,8 @@ router.post('/test-suite', async (req, res) => {
       visual,
       accessibility,
       performance,
-      network
+      network,
+      browsers
     });
     
     res.json(result);
@@ -164,7 +306,7 @@ router.post('/test-suite', async (req, res) => {
 // Test generation endpoints
 router.post('/generate-tests', async (req, res) => {
   try {
-    const { url, framework, style, format, prompt, outputPath, additionalContext } = req.body;
+    const { url, framework, style, format, prompt, outputPath, additionalContext, browser } = req.body;
     
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
@@ -179,7 +321,8 @@ router.post('/generate-tests', async (req, res) => {
       format,
       prompt,
       outputPath,
-      additionalContext
+      additionalContext,
+      browser
     });
     
     res.json(result);
@@ -191,7 +334,7 @@ router.post('/generate-tests', async (req, res) => {
 
 router.post('/generate-full-suite', async (req, res) => {
   try {
-    const { url, framework, format, outputDir, additionalContext } = req.body;
+    const { url, framework, format, outputDir, additionalContext, browser } = req.body;
     
     if (!url) {
       return res.status(400).json({ error: 'URL is required' });
@@ -203,7 +346,8 @@ router.post('/generate-full-suite', async (req, res) => {
       framework,
       format,
       outputDir,
-      additionalContext
+      additionalContext,
+      browser
     });
     
     res.json(result);
@@ -244,14 +388,19 @@ router.get('/test-frameworks', (req, res) => {
   });
 });
 
-// Model Context Protocol (MCP) integration endpoints
+// Model Context Protocol (MCP) Streamable HTTP endpoint
+router.post('/mcp', handleMcpPost);
+router.get('/mcp', handleMcpGet);
+router.delete('/mcp', handleMcpDelete);
+
+// Legacy Model Context Protocol (MCP) integration endpoints
 router.post('/mcp/invoke', async (req, res) => {
   try {
     // Validate the incoming Model Context Protocol request
     const validation = validateMcpRequest(req);
     if (!validation.isValid) {
       return res.status(400).json(formatMcpErrorResponse(
-        new Error(validation.error),
+        new ValidationError(validation.error, validation.details),
         req.body.executionId
       ));
     }
@@ -261,177 +410,8 @@ router.post('/mcp/invoke', async (req, res) => {
     
     logger.info(`Model Context Protocol invoke: ${action}, executionId: ${executionId}`);
     
-    // Map Model Context Protocol actions to internal commands
-    let command, params;
-    
-    switch (action) {
-      case 'navigate':
-        command = 'navigate';
-        params = { url: parameters.url };
-        break;
-        
-      case 'click':
-        command = 'click';
-        params = { selector: parameters.selector };
-        break;
-        
-      case 'type':
-        command = 'type';
-        params = { 
-          selector: parameters.selector, 
-          text: parameters.text, 
-          options: { clearFirst: parameters.clearFirst } 
-        };
-        break;
-        
-      case 'extract':
-        command = 'extract';
-        params = { 
-          selector: parameters.selector, 
-          attribute: parameters.attribute || 'textContent' 
-        };
-        break;
-        
-      case 'screenshot':
-        command = 'screenshot';
-        params = { fileName: `${executionId}-${Date.now()}.png` };
-        break;
-        
-      case 'wait':
-        command = 'wait';
-        params = { milliseconds: parameters.milliseconds || 1000 };
-        break;
-        
-      case 'generate_tests':
-        // Handle test generation action
-        try {
-          const result = await generateTests({
-            url: parameters.url,
-            framework: parameters.framework,
-            style: parameters.style,
-            format: parameters.format,
-            prompt: parameters.prompt,
-            outputPath: parameters.outputPath,
-            additionalContext: parameters.additionalContext
-          });
-          
-          return res.json(formatMcpResponse(action, result, executionId));
-        } catch (error) {
-          return res.status(500).json(formatMcpErrorResponse(error, executionId));
-        }
-        
-      case 'generate_test_suite':
-        // Handle full test suite generation
-        try {
-          const result = await generateFullTestSuite(parameters.url, {
-            framework: parameters.framework,
-            format: parameters.format,
-            outputDir: parameters.outputDir,
-            additionalContext: parameters.additionalContext
-          });
-          
-          return res.json(formatMcpResponse(action, result, executionId));
-        } catch (error) {
-          return res.status(500).json(formatMcpErrorResponse(error, executionId));
-        }
-        
-      case 'scaffold_project':
-        // Handle project scaffolding
-        try {
-          const result = await scaffoldTestProject(parameters.framework, parameters.outputDir);
-          return res.json(formatMcpResponse(action, result, executionId));
-        } catch (error) {
-          return res.status(500).json(formatMcpErrorResponse(error, executionId));
-        }
-        
-      case 'list_frameworks':
-        // Return available test frameworks, styles, and formats
-        return res.json(formatMcpResponse(action, {
-          frameworks: Object.values(TEST_FRAMEWORKS),
-          styles: Object.values(TEST_STYLES),
-          formats: Object.values(OUTPUT_FORMATS)
-        }, executionId));
-      
-      case 'visual_compare':
-        // Handle visual comparison action
-        try {
-          const result = await visualCompare({
-            url: parameters.url,
-            selector: parameters.selector,
-            baselineName: parameters.baselineName,
-            updateBaseline: parameters.updateBaseline,
-            threshold: parameters.threshold
-          });
-          
-          return res.json(formatMcpResponse(action, result, executionId));
-        } catch (error) {
-          return res.status(500).json(formatMcpErrorResponse(error, executionId));
-        }
-        
-      case 'accessibility_test':
-        // Handle accessibility testing action
-        try {
-          const result = await accessibilityTest({
-            url: parameters.url,
-            standard: parameters.standard
-          });
-          
-          return res.json(formatMcpResponse(action, result, executionId));
-        } catch (error) {
-          return res.status(500).json(formatMcpErrorResponse(error, executionId));
-        }
-        
-      case 'performance_test':
-        // Handle performance testing action
-        try {
-          const result = await performanceTest({
-            url: parameters.url,
-            iterations: parameters.iterations
-          });
-          
-          return res.json(formatMcpResponse(action, result, executionId));
-        } catch (error) {
-          return res.status(500).json(formatMcpErrorResponse(error, executionId));
-        }
-        
-      case 'network_trace':
-        // Handle network tracing action
-        try {
-          const result = await networkTrace({
-            url: parameters.url,
-            apiEndpoints: parameters.apiEndpoints
-          });
-          
-          return res.json(formatMcpResponse(action, result, executionId));
-        } catch (error) {
-          return res.status(500).json(formatMcpErrorResponse(error, executionId));
-        }
-        
-      case 'run_test_suite':
-        // Handle test suite action
-        try {
-          const result = await runTestSuite({
-            url: parameters.url,
-            visual: parameters.visual,
-            accessibility: parameters.accessibility,
-            performance: parameters.performance,
-            network: parameters.network
-          });
-          
-          return res.json(formatMcpResponse(action, result, executionId));
-        } catch (error) {
-          return res.status(500).json(formatMcpErrorResponse(error, executionId));
-        }
-        
-      default:
-        return res.status(400).json(formatMcpErrorResponse(
-          new Error(`Unsupported Model Context Protocol action: ${action}`),
-          executionId
-        ));
-    }
-    
-    // Execute automation command
-    const result = await handleAutomationCommand(command, params);
+    // Dispatch through the shared tool registry used by the stdio and HTTP transports
+    const result = await callTool(action, parameters || {}, { executionId, transport: 'legacy' });
     
     // Format response according to Model Context Protocol specification using the validator
     res.json(formatMcpResponse(action, result, executionId));
@@ -446,120 +426,8 @@ router.post('/mcp/invoke', async (req, res) => {
 
 // Model Context Protocol (MCP) manifest endpoint
 router.get('/mcp/manifest', (req, res) => {
-  // Return tool manifest in Model Context Protocol format
-  const fs = require('fs');
-  const path = require('path');
-  
-  try {
-    // Read manifest directly from file to ensure consistency
-    const manifestPath = path.join(process.cwd(), 'mcp-manifest.json');
-    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
-    res.json(manifest);
-  } catch (error) {
-    logger.error(`Error reading MCP manifest: ${error.message}`);
-    // Fallback to hardcoded manifest
-    res.json({
-      name: 'UniAuto Test Automation',
-      version: '1.0.0',
-      description: 'Universal Test Automation with self-healing capabilities',
-      author: 'UniAuto Team',
-      protocol: 'mcp',
-      protocolName: 'Model Context Protocol',
-      protocolVersion: '1.0',
-      actions: [
-        {
-          name: 'navigate',
-          description: 'Navigate to a URL',
-          parameters: [
-            { name: 'url', type: 'string', description: 'URL to navigate to', required: true }
-          ]
-        },
-        {
-          name: 'click',
-          description: 'Click on an element',
-          parameters: [
-            { name: 'selector', type: 'string', description: 'CSS selector of the element', required: true }
-          ]
-        },
-        {
-          name: 'type',
-          description: 'Type text into an input field',
-          parameters: [
-            { name: 'selector', type: 'string', description: 'CSS selector of the input field', required: true },
-            { name: 'text', type: 'string', description: 'Text to type', required: true },
-            { name: 'clearFirst', type: 'boolean', description: 'Clear the field before typing', required: false }
-          ]
-        },
-        {
-          name: 'extract',
-          description: 'Extract data from an element',
-          parameters: [
-            { name: 'selector', type: 'string', description: 'CSS selector of the element', required: true },
-            { name: 'attribute', type: 'string', description: 'Attribute to extract (default: textContent)', required: false }
-          ]
-        },
-        {
-          name: 'screenshot',
-          description: 'Take a screenshot',
-          parameters: []
-        },
-        {
-          name: 'wait',
-          description: 'Wait for a specified time in milliseconds',
-          parameters: [
-            { name: 'milliseconds', type: 'number', description: 'Time to wait in milliseconds', required: false }
-          ]
-        },
-        {
-          name: 'generate_tests',
-          description: 'Generate test cases for an application in a specific framework and style',
-          parameters: [
-            { name: 'url', type: 'string', description: 'URL of the application to analyze', required: true },
-            { name: 'framework', type: 'string', description: 'Test framework to use (e.g., playwright, cypress, jest)', required: false },
-            { name: 'style', type: 'string', description: 'Test style (e.g., bdd, tdd)', required: false },
-            { name: 'format', type: 'string', description: 'Output format (e.g., javascript, typescript, python)', required: false },
-            { name: 'prompt', type: 'string', description: 'User prompt describing test requirements', required: false },
-            { name: 'outputPath', type: 'string', description: 'Path to save generated tests', required: false },
-            { name: 'additionalContext', type: 'object', description: 'Additional context for test generation', required: false }
-          ]
-        },
-        {
-          name: 'generate_test_suite',
-          description: 'Generate a complete test suite with different test types (unit, integration, e2e, etc.)',
-          parameters: [
-            { name: 'url', type: 'string', description: 'URL of the application to analyze', required: true },
-            { name: 'framework', type: 'string', description: 'Test framework to use', required: false },
-            { name: 'format', type: 'string', description: 'Output format', required: false },
-            { name: 'outputDir', type: 'string', description: 'Directory to save generated tests', required: false },
-            { name: 'additionalContext', type: 'object', description: 'Additional context for test generation', required: false }
-          ]
-        },
-        {
-          name: 'scaffold_project',
-          description: 'Scaffold a complete test project structure with configuration files',
-          parameters: [
-            { name: 'framework', type: 'string', description: 'Test framework to use', required: true },
-            { name: 'outputDir', type: 'string', description: 'Directory to create the project', required: true }
-          ]
-        },
-        {
-          name: 'list_frameworks',
-          description: 'Get a list of supported test frameworks, styles, and formats',
-          parameters: []
-        }
-      ],
-      capabilities: [
-        "web_automation",
-        "desktop_automation",
-        "self_healing",
-        "ai_integration",
-        "screenshot_capture",
-        "visual_comparison",
-        "test_generation",
-        "project_scaffolding"
-      ]
-    });
-  }
+  // Return tool manifest in Model Context Protocol format, generated from the tool registry
+  res.json(buildManifest());
 });
 
 module.exports = router;
\ No newline at end of file
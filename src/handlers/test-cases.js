@@ -1,35 +1,98 @@
-const TestCase = require('../models/test-case');
+const Joi = require('joi');
+const { getTestCaseRepository, SORT_FIELDS, DEFAULT_SORT, decodeCursor } = require('../core/test-case-repository');
 const { logger } = require('../utils/logger');
+const { runStoredTestCase, TEST_RUN_MODES } = require('../core/test-runner');
+const { BROWSER_ENGINES } = require('../core/browser-launcher');
+const { diffTestCases } = require('../core/test-case-diff');
+const { parseDataset } = require('../core/dataset');
+const { statusForError } = require('./errors');
+
+const RUN_STATUSES = ['success', 'failure', 'partial', 'never'];
+const DEFAULT_PAGE_SIZE = 100;
+const MAX_PAGE_SIZE = 1000;
+
+// Tags and statuses are passed comma separated, e.g. ?tags=smoke,login
+const splitList = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+const listQuerySchema = Joi.object({
+  q: Joi.string().trim().allow(''),
+  tags: Joi.string().custom(splitList),
+  status: Joi.string().custom((value, helpers) => {
+    const statuses = splitList(value);
+    const unknown = statuses.find(status => !RUN_STATUSES.includes(status));
+    return unknown ? helpers.message(`"status" must be one of ${RUN_STATUSES.join(', ')}`) : statuses;
+  }),
+  sort: Joi.string().valid(...SORT_FIELDS.flatMap(field => [field, `-${field}`])).default(DEFAULT_SORT),
+  limit: Joi.number().integer().min(1).max(MAX_PAGE_SIZE),
+  cursor: Joi.string()
+});
+
+const runSchema = Joi.object({
+  sessionId: Joi.string(),
+  browser: Joi.string().valid(...BROWSER_ENGINES),
+  mode: Joi.string().valid(...TEST_RUN_MODES),
+  profile: Joi.string().allow(null),
+  inputs: Joi.object(),
+  row: Joi.number().integer().min(0)
+});
+
+const bulkTagsSchema = Joi.object({
+  ids: Joi.array().items(Joi.string()).min(1).required(),
+  tags: Joi.array().items(Joi.string().trim().min(1)).min(1).required()
+});
 
 async function createTestCase(req, res) {
   try {
-    const { name, description, steps } = req.body;
+    const { name, description, steps, tags, dataset } = req.body;
     
     if (!name || !steps || !Array.isArray(steps)) {
       return res.status(400).json({ error: 'Name and steps array are required' });
     }
     
-    const testCase = new TestCase({
-      name,
-      description,
-      steps,
-      createdAt: new Date()
-    });
-    
-    await testCase.save();
+    const testCase = await getTestCaseRepository().create(
+      { name, description, steps, ...(tags !== undefined && { tags }), ...(dataset !== undefined && { dataset: parseDataset(dataset) }) },
+      { author: getAuthor(req) }
+    );
     logger.info(`Test case created: ${testCase._id}`);
     
     res.status(201).json(testCase);
   } catch (error) {
     logger.error(`Create test case error: ${error.message}`);
-    res.status(500).json({ error: error.message });
+    res.status(statusForError(error)).json({ error: error.message });
   }
 }
 
 async function getAllTestCases(req, res) {
   try {
-    const testCases = await TestCase.find().sort({ createdAt: -1 });
-    res.json(testCases);
+    const { error, value: query } = listQuerySchema.validate(req.query);
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    if (query.cursor) {
+      try {
+        decodeCursor(query.cursor, query.sort);
+      } catch (cursorError) {
+        return res.status(400).json({ error: cursorError.message });
+      }
+    }
+    
+    const { items, nextCursor } = await getTestCaseRepository().list({
+      search: query.q,
+      tags: query.tags,
+      status: query.status,
+      sort: query.sort,
+      // Without a limit or cursor the whole list is returned, as before paging was added
+      limit: query.limit || (query.cursor ? DEFAULT_PAGE_SIZE : undefined),
+      cursor: query.cursor
+    });
+    
+    // The body stays a plain array; the next page is announced in a header
+    res.set('Access-Control-Expose-Headers', 'X-Next-Cursor');
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+    }
+    res.json(items);
   } catch (error) {
     logger.error(`Get all test cases error: ${error.message}`);
     res.status(500).json({ error: error.message });
@@ -38,7 +101,7 @@ async function getAllTestCases(req, res) {
 
 async function getTestCaseById(req, res) {
   try {
-    const testCase = await TestCase.findById(req.params.id);
+    const testCase = await getTestCaseRepository().get(req.params.id);
     
     if (!testCase) {
       return res.status(404).json({ error: 'Test case not found' });
@@ -53,21 +116,16 @@ async function getTestCaseById(req, res) {
 
 async function updateTestCase(req, res) {
   try {
-    const { name, description, steps } = req.body;
+    const { name, description, steps, tags, dataset } = req.body;
     
     if (!name || !steps || !Array.isArray(steps)) {
       return res.status(400).json({ error: 'Name and steps array are required' });
     }
     
-    const testCase = await TestCase.findByIdAndUpdate(
+    const testCase = await getTestCaseRepository().update(
       req.params.id,
-      {
-        name,
-        description,
-        steps,
-        updatedAt: new Date()
-      },
-      { new: true }
+      { name, description, steps, ...(tags !== undefined && { tags }), ...(dataset !== undefined && { dataset: parseDataset(dataset) }) },
+      { author: getAuthor(req) }
     );
     
     if (!testCase) {
@@ -78,15 +136,15 @@ async function updateTestCase(req, res) {
     res.json(testCase);
   } catch (error) {
     logger.error(`Update test case error: ${error.message}`);
-    res.status(500).json({ error: error.message });
+    res.status(statusForError(error)).json({ error: error.message });
   }
 }
 
 async function deleteTestCase(req, res) {
   try {
-    const testCase = await TestCase.findByIdAndDelete(req.params.id);
+    const deleted = await getTestCaseRepository().delete(req.params.id);
     
-    if (!testCase) {
+    if (!deleted) {
       return res.status(404).json({ error: 'Test case not found' });
     }
     
@@ -98,10 +156,179 @@ async function deleteTestCase(req, res) {
   }
 }
 
+async function runTestCaseById(req, res) {
+  try {
+    const { error, value: options } = runSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const execution = await runStoredTestCase(req.params.id, options);
+    
+    if (!execution) {
+      return res.status(404).json({ error: 'Test case not found' });
+    }
+    
+    logger.info(`Test case run: ${req.params.id} (${execution.status})`);
+    res.json(execution);
+  } catch (error) {
+    logger.error(`Run test case error: ${error.message}`);
+    res.status(statusForError(error)).json({ error: error.message });
+  }
+}
+
+async function setTestCaseDataset(req, res) {
+  try {
+    // CSV is sent as text; JSON as an array of rows
+    const dataset = typeof req.body === 'string' ? parseDataset(req.body, 'csv') : parseDataset(req.body);
+    const testCase = await getTestCaseRepository().setDataset(req.params.id, dataset);
+    
+    if (!testCase) {
+      return res.status(404).json({ error: 'Test case not found' });
+    }
+    
+    logger.info(`Dataset of test case ${req.params.id} set to ${dataset.length} row(s)`);
+    res.json(testCase);
+  } catch (error) {
+    logger.error(`Set test case dataset error: ${error.message}`);
+    res.status(statusForError(error)).json({ error: error.message });
+  }
+}
+
+async function getTestCaseRevisions(req, res) {
+  try {
+    const revisions = await getTestCaseRepository().listRevisions(req.params.id);
+    
+    if (!revisions) {
+      return res.status(404).json({ error: 'Test case not found' });
+    }
+    
+    res.json(revisions);
+  } catch (error) {
+    logger.error(`Get test case revisions error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function getTestCaseRevision(req, res) {
+  try {
+    const revision = parseRevision(req.params.revision);
+    if (!revision) {
+      return res.status(400).json({ error: 'Revision must be a positive integer' });
+    }
+    
+    const found = await getTestCaseRepository().getRevision(req.params.id, revision);
+    
+    if (!found) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    res.json(found);
+  } catch (error) {
+    logger.error(`Get test case revision error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function diffTestCaseRevisions(req, res) {
+  try {
+    const repository = getTestCaseRepository();
+    const testCase = await repository.get(req.params.id);
+    
+    if (!testCase) {
+      return res.status(404).json({ error: 'Test case not found' });
+    }
+    
+    // Without `to` the diff runs up to the current revision
+    const from = parseRevision(req.query.from);
+    const to = req.query.to === undefined ? testCase.revision : parseRevision(req.query.to);
+    if (!from || !to) {
+      return res.status(400).json({ error: 'from and to must be positive integer revisions' });
+    }
+    
+    const [before, after] = await Promise.all([repository.getRevision(req.params.id, from), repository.getRevision(req.params.id, to)]);
+    if (!before || !after) {
+      return res.status(404).json({ error: `Revision not found: ${!before ? from : to}` });
+    }
+    
+    res.json({ from, to, diff: diffTestCases(before, after) });
+  } catch (error) {
+    logger.error(`Diff test case revisions error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function restoreTestCaseRevision(req, res) {
+  try {
+    const revision = parseRevision(req.params.revision);
+    if (!revision) {
+      return res.status(400).json({ error: 'Revision must be a positive integer' });
+    }
+    
+    const testCase = await getTestCaseRepository().restoreRevision(req.params.id, revision, { author: getAuthor(req) });
+    
+    if (!testCase) {
+      return res.status(404).json({ error: 'Revision not found' });
+    }
+    
+    logger.info(`Test case ${req.params.id} restored to revision ${revision} as revision ${testCase.revision}`);
+    res.json(testCase);
+  } catch (error) {
+    logger.error(`Restore test case revision error: ${error.message}`);
+    res.status(statusForError(error)).json({ error: error.message });
+  }
+}
+
+async function addTestCaseTags(req, res) {
+  await updateTestCaseTags(req, res, 'add');
+}
+
+async function removeTestCaseTags(req, res) {
+  await updateTestCaseTags(req, res, 'remove');
+}
+
+async function updateTestCaseTags(req, res, action) {
+  try {
+    const { error, value } = bulkTagsSchema.validate(req.body);
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+    
+    const repository = getTestCaseRepository();
+    const result = action === 'add'
+      ? await repository.addTags(value.ids, value.tags)
+      : await repository.removeTags(value.ids, value.tags);
+    
+    logger.info(`Tags ${action === 'add' ? 'added to' : 'removed from'} ${result.modified} test case(s)`);
+    res.json({ status: 'success', ...result });
+  } catch (error) {
+    logger.error(`Bulk ${action} tags error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+// Revisions record who made a change; there is no login, so clients say who they are
+function getAuthor(req) {
+  return req.get('X-Author') || (req.body && req.body.author) || undefined;
+}
+
+function parseRevision(value) {
+  const revision = Number(value);
+  return Number.isInteger(revision) && revision > 0 ? revision : null;
+}
+
 module.exports = {
   createTestCase,
   getAllTestCases,
   getTestCaseById,
   updateTestCase,
-  deleteTestCase
+  deleteTestCase,
+  runTestCaseById,
+  setTestCaseDataset,
+  getTestCaseRevisions,
+  getTestCaseRevision,
+  diffTestCaseRevisions,
+  restoreTestCaseRevision,
+  addTestCaseTags,
+  removeTestCaseTags
 };
\ No newline at end of file
@@ -0,0 +1,128 @@
+const Joi = require('joi');
+const { getTestSuiteRepository } = require('../core/test-suite-repository');
+const { runStoredSuite, RUN_MODES } = require('../core/suite-runner');
+const { BROWSER_ENGINES } = require('../core/browser-launcher');
+const { logger } = require('../utils/logger');
+const { statusForError } = require('./errors');
+
+const SUITE_FIELDS = ['name', 'description', 'testCases', 'setup', 'teardown', 'variables', 'tags'];
+
+const runSchema = Joi.object({
+  mode: Joi.string().valid(...RUN_MODES),
+  concurrency: Joi.number().integer().min(1),
+  browser: Joi.string().valid(...BROWSER_ENGINES),
+  profile: Joi.string().allow(null),
+  inputs: Joi.object()
+});
+
+async function createTestSuite(req, res) {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const testSuite = await getTestSuiteRepository().create(pickSuiteFields(req.body));
+    logger.info(`Test suite created: ${testSuite._id}`);
+
+    res.status(201).json(testSuite);
+  } catch (error) {
+    logger.error(`Create test suite error: ${error.message}`);
+    res.status(statusForError(error)).json({ error: error.message });
+  }
+}
+
+async function getAllTestSuites(req, res) {
+  try {
+    const tags = req.query.tags ? String(req.query.tags).split(',').map(tag => tag.trim()).filter(Boolean) : undefined;
+    const testSuites = await getTestSuiteRepository().list({ tags });
+    res.json(testSuites);
+  } catch (error) {
+    logger.error(`Get all test suites error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function getTestSuiteById(req, res) {
+  try {
+    const testSuite = await getTestSuiteRepository().get(req.params.id);
+
+    if (!testSuite) {
+      return res.status(404).json({ error: 'Test suite not found' });
+    }
+
+    res.json(testSuite);
+  } catch (error) {
+    logger.error(`Get test suite by ID error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function updateTestSuite(req, res) {
+  try {
+    if (!req.body.name) {
+      return res.status(400).json({ error: 'Name is required' });
+    }
+
+    const testSuite = await getTestSuiteRepository().update(req.params.id, pickSuiteFields(req.body));
+
+    if (!testSuite) {
+      return res.status(404).json({ error: 'Test suite not found' });
+    }
+
+    logger.info(`Test suite updated: ${testSuite._id}`);
+    res.json(testSuite);
+  } catch (error) {
+    logger.error(`Update test suite error: ${error.message}`);
+    res.status(statusForError(error)).json({ error: error.message });
+  }
+}
+
+async function deleteTestSuite(req, res) {
+  try {
+    const deleted = await getTestSuiteRepository().delete(req.params.id);
+
+    if (!deleted) {
+      return res.status(404).json({ error: 'Test suite not found' });
+    }
+
+    logger.info(`Test suite deleted: ${req.params.id}`);
+    res.json({ message: 'Test suite deleted successfully' });
+  } catch (error) {
+    logger.error(`Delete test suite error: ${error.message}`);
+    res.status(500).json({ error: error.message });
+  }
+}
+
+async function runSuiteById(req, res) {
+  try {
+    const { error, value } = runSchema.validate(req.body || {});
+    if (error) {
+      return res.status(400).json({ error: error.message });
+    }
+
+    const report = await runStoredSuite(req.params.id, value);
+
+    if (!report) {
+      return res.status(404).json({ error: 'Test suite not found' });
+    }
+
+    logger.info(`Test suite run: ${req.params.id} (${report.status})`);
+    res.json(report);
+  } catch (error) {
+    logger.error(`Run test suite error: ${error.message}`);
+    res.status(statusForError(error)).json({ error: error.message });
+  }
+}
+
+function pickSuiteFields(body) {
+  return Object.fromEntries(SUITE_FIELDS.filter(field => body[field] !== undefined).map(field => [field, body[field]]));
+}
+
+module.exports = {
+  createTestSuite,
+  getAllTestSuites,
+  getTestSuiteById,
+  updateTestSuite,
+  deleteTestSuite,
+  runSuiteById
+};
@@ -1,13 +1,21 @@
 require('dotenv').config();
+
+// Stdio mode must be known before the logger is created so that console
+// output is kept off stdout
+if (process.argv.includes('--stdio')) {
+  process.env.MCP_TRANSPORT = 'stdio';
+}
+
 const express = require('express');
 const cors = require('cors');
 const { setupWebsocketServer } = require('./core/websocket');
 const { initializeDatabase } = require('./core/database');
+const { resolveStorageDriver } = require('./core/test-case-repository');
 const { logger } = require('./utils/logger');
+const { loadConfig } = require('./utils/config');
 const routes = require('./handlers/routes');
 
 const app = express();
-const PORT = process.env.PORT || 3000;
 
 // Middleware
 app.use(cors());
@@ -23,14 +31,26 @@ app.use('/api', routes);
 // Initialize services
 async function startServer() {
   try {
-    // Connect to database if configured
-    if (process.env.MONGODB_URI) {
-      await initializeDatabase();
+    // File, environment and CLI flags are merged and validated once at startup
+    const config = loadConfig({ argv: process.argv.slice(2) });
+    
+    // Test cases live in MongoDB when it is configured and in a local JSON file otherwise
+    if (resolveStorageDriver(config.storage) === 'mongodb') {
+      await initializeDatabase(config.storage.mongodbUri);
+    }
+    
+    // Serve MCP over stdin/stdout when launched by an MCP client
+    if (process.env.MCP_TRANSPORT === 'stdio') {
+      const { startStdioServer } = require('./core/stdio-transport');
+      const { closed } = startStdioServer();
+      closed.then(() => process.exit(0));
+      return;
     }
     
     // Start HTTP server
-    const server = app.listen(PORT, () => {
-      logger.info(`UniAuto MCP Server running on port ${PORT}`);
+    const { port, host } = config.server;
+    const server = app.listen(port, host, () => {
+      logger.info(`UniAuto MCP Server running on ${host}:${port}`);
     });
     
     // Setup WebSocket server
@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+
+// What an element looked like when a command acted on it, for self-healing
+const capturedElementSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true // URL pattern of the page (see element-repository.js)
+  },
+  selector: {
+    type: String,
+    required: true
+  },
+  alternativeSelectors: {
+    type: [String],
+    default: []
+  },
+  preferredSelector: {
+    type: String,
+    default: null // pinned selector self-healing tries first
+  },
+  image: {
+    type: String // base64 JPEG screenshot of the element
+  },
+  boundingBox: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  nearbyText: {
+    type: String
+  },
+  fingerprint: {
+    type: mongoose.Schema.Types.Mixed // tag, attributes, text, role, name, path, siblings, parent and position
+  },
+  timestamp: {
+    type: Number // capture time in milliseconds since the epoch
+  }
+});
+
+capturedElementSchema.index({ url: 1, selector: 1 }, { unique: true });
+
+const CapturedElement = mongoose.model('CapturedElement', capturedElementSchema);
+
+module.exports = CapturedElement;
@@ -0,0 +1,55 @@
+const mongoose = require('mongoose');
+
+// A selector that self-healing replaced while running a command
+const healingEventSchema = new mongoose.Schema({
+  url: {
+    type: String,
+    required: true // URL of the page
+  },
+  urlPattern: {
+    type: String,
+    required: true // URL pattern of the page (see element-repository.js)
+  },
+  command: {
+    type: String
+  },
+  originalSelector: {
+    type: String,
+    required: true
+  },
+  selector: {
+    type: String,
+    required: true // healed selector
+  },
+  strategy: {
+    type: String
+  },
+  confidence: {
+    type: Number // fingerprint similarity, null when the element had no fingerprint
+  },
+  breakdown: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  screenshot: {
+    type: String // base64 JPEG screenshot of the page, only loaded for a single event
+  },
+  hasScreenshot: {
+    type: Boolean,
+    default: false
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'approved'],
+    default: 'pending'
+  },
+  timestamp: {
+    type: Number // time of the heal in milliseconds since the epoch
+  }
+});
+
+healingEventSchema.index({ urlPattern: 1, originalSelector: 1, selector: 1 });
+healingEventSchema.index({ timestamp: -1 });
+
+const HealingEvent = mongoose.model('HealingEvent', healingEventSchema);
+
+module.exports = HealingEvent;
@@ -0,0 +1,45 @@
+const mongoose = require('mongoose');
+
+// Immutable snapshot of a test case, written on every create, update and restore
+const testCaseRevisionSchema = new mongoose.Schema({
+  testCaseId: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'TestCase',
+    required: true
+  },
+  revision: {
+    type: Number,
+    required: true
+  },
+  author: {
+    type: String,
+    trim: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  restoredFrom: {
+    type: Number
+  },
+  name: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String
+  },
+  steps: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: []
+  },
+  diff: {
+    type: mongoose.Schema.Types.Mixed
+  }
+});
+
+testCaseRevisionSchema.index({ testCaseId: 1, revision: 1 }, { unique: true });
+
+const TestCaseRevision = mongoose.model('TestCaseRevision', testCaseRevisionSchema);
+
+module.exports = TestCaseRevision;
\ No newline at end of file
@@ -1,4 +1,46 @@
 const mongoose = require('mongoose');
+const { STEP_COMMANDS } = require('../core/step-commands');
+
+const stepSchema = new mongoose.Schema({
+  command: {
+    type: String,
+    required: true,
+    enum: STEP_COMMANDS
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  parameters: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  timeout: {
+    type: Number,
+    default: 10000
+  },
+  retryOnFailure: {
+    type: Boolean,
+    default: true
+  },
+  skipIfFailed: {
+    type: Boolean,
+    default: false
+  }
+});
+
+// Flow-control steps (if, forEach, retryBlock) nest further steps
+stepSchema.add({
+  steps: {
+    type: [stepSchema],
+    default: undefined
+  },
+  elseSteps: {
+    type: [stepSchema],
+    default: undefined
+  }
+});
 
 const testCaseSchema = new mongoose.Schema({
   name: {
@@ -10,42 +52,17 @@ const testCaseSchema = new mongoose.Schema({
     type: String,
     trim: true
   },
-  steps: [
-    {
-      command: {
-        type: String,
-        required: true,
-        enum: ['navigate', 'click', 'type', 'select', 'extract', 'screenshot', 'wait', 'desktop_click', 'desktop_type']
-      },
-      description: {
-        type: String,
-        trim: true
-      },
-      parameters: {
-        type: Map,
-        of: mongoose.Schema.Types.Mixed,
-        default: {}
-      },
-      timeout: {
-        type: Number,
-        default: 10000
-      },
-      retryOnFailure: {
-        type: Boolean,
-        default: true
-      },
-      skipIfFailed: {
-        type: Boolean,
-        default: false
-      }
-    }
-  ],
+  steps: [stepSchema],
   tags: [
     {
       type: String,
       trim: true
     }
   ],
+  dataset: {
+    type: [mongoose.Schema.Types.Mixed],
+    default: undefined
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -53,6 +70,9 @@ const testCaseSchema = new mongoose.Schema({
   updatedAt: {
     type: Date
   },
+  revision: {
+    type: Number
+  },
   executionHistory: [
     {
       executedAt: {
@@ -67,6 +87,15 @@ const testCaseSchema = new mongoose.Schema({
       duration: {
         type: Number // in milliseconds
       },
+      revision: {
+        type: Number
+      },
+      profile: {
+        type: String
+      },
+      datasetRow: {
+        type: Number
+      },
       stepResults: [
         {
           stepIndex: {
@@ -84,12 +113,47 @@ const testCaseSchema = new mongoose.Schema({
           healedSelector: {
             type: String
           },
+          healing: {
+            type: mongoose.Schema.Types.Mixed // strategy, confidence and score breakdown of the healed selector
+          },
           error: {
             type: String
           },
           screenshotPath: {
             type: String
           },
+          assertion: {
+            type: mongoose.Schema.Types.Mixed // expected and actual values of a failed assertion
+          },
+          wait: {
+            type: mongoose.Schema.Types.Mixed // what a timed out wait command was waiting for
+          },
+          // Flow-control steps
+          command: {
+            type: String
+          },
+          condition: {
+            type: mongoose.Schema.Types.Mixed // if: the assertion checked and whether it passed
+          },
+          branch: {
+            type: String,
+            enum: ['then', 'else']
+          },
+          testCaseId: {
+            type: String // callTestCase
+          },
+          name: {
+            type: String // callTestCase
+          },
+          stepResults: {
+            type: mongoose.Schema.Types.Mixed // if, callTestCase: nested step results
+          },
+          iterations: {
+            type: mongoose.Schema.Types.Mixed // forEach: [{ index, item, stepResults }]
+          },
+          attempts: {
+            type: mongoose.Schema.Types.Mixed // retryBlock: [{ attempt, stepResults }]
+          },
           duration: {
             type: Number // in milliseconds
           }
@@ -0,0 +1,85 @@
+const mongoose = require('mongoose');
+const { STEP_COMMANDS } = require('../core/step-commands');
+
+const suiteStepSchema = new mongoose.Schema({
+  command: {
+    type: String,
+    required: true,
+    enum: STEP_COMMANDS
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  parameters: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  timeout: {
+    type: Number,
+    default: 10000
+  },
+  retryOnFailure: {
+    type: Boolean,
+    default: true
+  },
+  skipIfFailed: {
+    type: Boolean,
+    default: false
+  }
+});
+
+suiteStepSchema.add({
+  steps: {
+    type: [suiteStepSchema],
+    default: undefined
+  },
+  elseSteps: {
+    type: [suiteStepSchema],
+    default: undefined
+  }
+});
+
+const testSuiteSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true
+  },
+  description: {
+    type: String,
+    trim: true
+  },
+  // Members run in this order
+  testCases: [
+    {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'TestCase'
+    }
+  ],
+  setup: [suiteStepSchema],
+  teardown: [suiteStepSchema],
+  variables: {
+    type: Map,
+    of: mongoose.Schema.Types.Mixed,
+    default: {}
+  },
+  tags: [
+    {
+      type: String,
+      trim: true
+    }
+  ],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date
+  }
+});
+
+const TestSuite = mongoose.model('TestSuite', testSuiteSchema);
+
+module.exports = TestSuite;
\ No newline at end of file
@@ -0,0 +1,66 @@
+/**
+ * Blob Directory
+ *
+ * Binary files kept next to a JSON store, one file per name, so large
+ * values such as screenshots stay out of the JSON document that is
+ * rewritten on every change. Used by the file-based storage drivers.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+
+class BlobDirectory {
+  /**
+   * @param {string} directory - Directory holding the blobs
+   */
+  constructor(directory) {
+    this.directory = path.resolve(directory);
+  }
+
+  /**
+   * Directory for the blobs of a JSON file: `data/elements.json` keeps them in `data/elements-files/`
+   *
+   * @param {string} filePath - Path of the JSON file
+   * @returns {BlobDirectory} Blob directory
+   */
+  static besideFile(filePath) {
+    return new BlobDirectory(path.join(path.dirname(filePath), `${path.basename(filePath, path.extname(filePath))}-files`));
+  }
+
+  /**
+   * @param {string} name - File name of the blob
+   * @returns {Promise<Buffer|null>} Contents, or null if there is no such blob
+   */
+  async read(name) {
+    try {
+      return await fs.readFile(path.join(this.directory, name));
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  }
+
+  /**
+   * @param {string} name - File name of the blob
+   * @param {Buffer} data - Contents
+   * @returns {Promise<void>} Resolves once the blob is on disk
+   */
+  async write(name, data) {
+    await fs.mkdir(this.directory, { recursive: true });
+    const tempPath = path.join(this.directory, `${name}.tmp`);
+    await fs.writeFile(tempPath, data);
+    await fs.rename(tempPath, path.join(this.directory, name));
+  }
+
+  /**
+   * @param {string} name - File name of the blob; a missing blob is not an error
+   * @returns {Promise<void>} Resolves once the blob is gone
+   */
+  async delete(name) {
+    await fs.rm(path.join(this.directory, name), { force: true });
+  }
+}
+
+module.exports = {
+  BlobDirectory
+};
@@ -0,0 +1,299 @@
+/**
+ * Configuration Loader
+ *
+ * Builds the server configuration from, in increasing order of precedence:
+ * built-in defaults, config/uniauto-config.json (or the file named by
+ * UNIAUTO_CONFIG / --config), environment variables and CLI flags. The
+ * merged result is validated with Joi before anything reads it.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const Joi = require('joi');
+
+const DEFAULT_CONFIG_PATH = path.join(__dirname, '../../config/uniauto-config.json');
+
+// Self-healing strategies in the order selfHeal tries them by default
+const SELF_HEALING_STRATEGIES = ['fingerprint', 'repository', 'role', 'css', 'visual', 'text'];
+
+// How much each element feature counts when self-healing compares fingerprints (see fingerprint.js)
+const FINGERPRINT_WEIGHTS = {
+  tag: 1,
+  attributes: 3,
+  text: 2,
+  role: 1,
+  name: 2,
+  path: 1,
+  siblings: 0.5,
+  parent: 1,
+  position: 0.5
+};
+
+const configSchema = Joi.object({
+  server: Joi.object({
+    port: Joi.number().integer().min(0).max(65535).default(3000),
+    host: Joi.string().default('localhost')
+  }).default(),
+  automation: Joi.object({
+    backend: Joi.string().default('real'),
+    mockFixtures: Joi.string().allow(null).default(null),
+    headless: Joi.boolean().default(false),
+    browser: Joi.string().valid('chromium', 'firefox', 'webkit').default('chromium'),
+    slowMo: Joi.number().min(0).default(0),
+    viewport: Joi.object({
+      width: Joi.number().integer().min(1).required(),
+      height: Joi.number().integer().min(1).required()
+    }).allow(null).default({ width: 1366, height: 768 }),
+    locale: Joi.string().allow(null).default(null),
+    timezone: Joi.string().allow(null).default(null),
+    device: Joi.string().allow(null).default(null),
+    assertionTimeout: Joi.number().integer().min(0).default(5000),
+    assertionInterval: Joi.number().integer().min(10).default(100),
+    waitTimeout: Joi.number().integer().min(0).default(10000)
+  }).default(),
+  selfHealing: Joi.object({
+    enabled: Joi.boolean().default(true),
+    strategies: Joi.array()
+      .items(Joi.string().valid(...SELF_HEALING_STRATEGIES))
+      .unique()
+      .default(SELF_HEALING_STRATEGIES),
+    confidenceThreshold: Joi.number().min(0).max(1).default(0.7),
+    // Approved selector fixes only rewrite test files in this directory
+    testsDir: Joi.string().default('generated-tests'),
+    weights: Joi.object(Object.fromEntries(
+      Object.entries(FINGERPRINT_WEIGHTS).map(([feature, weight]) => [feature, Joi.number().min(0).default(weight)])
+    )).default()
+  }).default(),
+  ai: Joi.object({
+    defaultModel: Joi.string().default('claude-3-7-sonnet-20240229'),
+    apiKey: Joi.string().allow('')
+  }).default(),
+  storage: Joi.object({
+    driver: Joi.string().valid('mongodb', 'file').allow(null).default(null),
+    mongodbUri: Joi.string().allow(null, '').default(null),
+    filePath: Joi.string().default('data/test-cases.json'),
+    suitesFilePath: Joi.string().default('data/test-suites.json'),
+    elementsFilePath: Joi.string().default('data/elements.json'),
+    healingFilePath: Joi.string().default('data/healing-events.json'),
+    healingMaxEvents: Joi.number().integer().min(1).default(1000)
+  }).default(),
+  profiles: Joi.object().pattern(Joi.string(), Joi.object()).default({}),
+  // The active profile has to be one of the profiles above
+  profile: Joi.string().allow(null).default(null).custom((profile, helpers) => {
+    const profiles = helpers.state.ancestors[0].profiles || {};
+    return Object.hasOwn(profiles, profile)
+      ? profile
+      : helpers.message(`"profile" must be one of the configured profiles (${Object.keys(profiles).join(', ') || 'none'})`);
+  }),
+  logLevel: Joi.string().valid('error', 'warn', 'info', 'debug').default('info')
+});
+
+// Environment variables and the config paths they set
+const ENV_MAPPING = {
+  PORT: 'server.port',
+  HOST: 'server.host',
+  AUTOMATION_BACKEND: 'automation.backend',
+  MOCK_FIXTURES: 'automation.mockFixtures',
+  HEADLESS: 'automation.headless',
+  BROWSER: 'automation.browser',
+  SLOW_MO: 'automation.slowMo',
+  ASSERTION_TIMEOUT: 'automation.assertionTimeout',
+  WAIT_TIMEOUT: 'automation.waitTimeout',
+  SELF_HEALING_ENABLED: 'selfHealing.enabled',
+  SELF_HEALING_STRATEGIES: 'selfHealing.strategies',
+  SELF_HEALING_THRESHOLD: 'selfHealing.confidenceThreshold',
+  SELF_HEALING_TESTS_DIR: 'selfHealing.testsDir',
+  STORAGE_DRIVER: 'storage.driver',
+  MONGODB_URI: 'storage.mongodbUri',
+  STORAGE_FILE: 'storage.filePath',
+  STORAGE_SUITES_FILE: 'storage.suitesFilePath',
+  STORAGE_ELEMENTS_FILE: 'storage.elementsFilePath',
+  STORAGE_HEALING_FILE: 'storage.healingFilePath',
+  STORAGE_HEALING_MAX_EVENTS: 'storage.healingMaxEvents',
+  UNIAUTO_PROFILE: 'profile',
+  CLAUDE_MODEL: 'ai.defaultModel',
+  CLAUDE_API_KEY: 'ai.apiKey',
+  LOG_LEVEL: 'logLevel'
+};
+
+// CLI flags and the config paths they set
+const FLAG_MAPPING = {
+  port: 'server.port',
+  host: 'server.host',
+  backend: 'automation.backend',
+  'mock-fixtures': 'automation.mockFixtures',
+  headless: 'automation.headless',
+  browser: 'automation.browser',
+  'slow-mo': 'automation.slowMo',
+  'self-healing': 'selfHealing.enabled',
+  'self-healing-strategies': 'selfHealing.strategies',
+  storage: 'storage.driver',
+  'storage-file': 'storage.filePath',
+  profile: 'profile',
+  model: 'ai.defaultModel',
+  'log-level': 'logLevel'
+};
+
+const LIST_PATHS = ['selfHealing.strategies'];
+
+class ConfigError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ConfigError';
+    this.details = details;
+  }
+}
+
+let currentConfig = null;
+
+/**
+ * Load, merge and validate the configuration, and make it the current one
+ *
+ * @param {Object} [options] - Loader options
+ * @param {string} [options.configPath] - Config file path (overrides UNIAUTO_CONFIG and --config)
+ * @param {Object} [options.env] - Environment variables (default: process.env)
+ * @param {Array<string>} [options.argv] - CLI arguments without node and the script name
+ * @returns {Object} Validated configuration
+ */
+function loadConfig(options = {}) {
+  const env = options.env || process.env;
+  const argv = options.argv || [];
+  const flags = parseFlags(argv);
+
+  const configPath = options.configPath || flags.config || env.UNIAUTO_CONFIG || DEFAULT_CONFIG_PATH;
+  const merged = readConfigFile(configPath, env, !options.configPath && !flags.config && !env.UNIAUTO_CONFIG);
+
+  for (const [name, configPathKey] of Object.entries(ENV_MAPPING)) {
+    if (env[name] !== undefined && env[name] !== '') {
+      setPath(merged, configPathKey, parseValue(configPathKey, env[name]));
+    }
+  }
+
+  for (const [flag, configPathKey] of Object.entries(FLAG_MAPPING)) {
+    if (flags[flag] !== undefined) {
+      setPath(merged, configPathKey, parseValue(configPathKey, flags[flag]));
+    }
+  }
+
+  const { error, value } = configSchema.validate(merged, { abortEarly: false });
+  if (error) {
+    const details = error.details.map(detail => ({ field: detail.path.join('.'), message: detail.message }));
+    throw new ConfigError(`Invalid configuration: ${details.map(detail => detail.message).join('; ')}`, details);
+  }
+
+  currentConfig = value;
+  return currentConfig;
+}
+
+/**
+ * Get the current configuration, loading it from file and environment on first use
+ *
+ * @returns {Object} Validated configuration
+ */
+function getConfig() {
+  return currentConfig || loadConfig();
+}
+
+/**
+ * Get the current configuration with secrets masked, for display over the API
+ *
+ * @returns {Object} Configuration safe to expose
+ */
+function getPublicConfig() {
+  const config = getConfig();
+  return {
+    ...config,
+    storage: { ...config.storage, mongodbUri: config.storage.mongodbUri ? '********' : null },
+    ai: { ...config.ai, apiKey: config.ai.apiKey ? '********' : null }
+  };
+}
+
+function readConfigFile(configPath, env, optional) {
+  let raw;
+  try {
+    raw = fs.readFileSync(configPath, 'utf8');
+  } catch (error) {
+    // Only an explicitly requested file has to exist
+    if (optional && error.code === 'ENOENT') return {};
+    throw new ConfigError(`Could not read config file ${configPath}: ${error.message}`);
+  }
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new ConfigError(`Config file ${configPath} is not valid JSON: ${error.message}`);
+  }
+
+  return interpolateEnv(parsed, env);
+}
+
+// Replace "${VAR}" placeholders with environment values; a value that is only an unset placeholder is dropped
+function interpolateEnv(value, env) {
+  if (typeof value === 'string') {
+    const match = value.match(/^\$\{(\w+)\}$/);
+    if (match) return env[match[1]];
+    return value.replace(/\$\{(\w+)\}/g, (placeholder, name) => env[name] || '');
+  }
+  if (Array.isArray(value)) {
+    return value.map(item => interpolateEnv(item, env));
+  }
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolateEnv(item, env)]));
+  }
+  return value;
+}
+
+/**
+ * Parse --name value, --name=value, --flag and --no-flag arguments
+ *
+ * @param {Array<string>} argv - CLI arguments
+ * @returns {Object} Flag values keyed by flag name
+ */
+function parseFlags(argv) {
+  const flags = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) continue;
+
+    const [name, inlineValue] = arg.slice(2).split(/=(.*)/s);
+    if (inlineValue !== undefined) {
+      flags[name] = inlineValue;
+    } else if (name.startsWith('no-')) {
+      flags[name.slice(3)] = 'false';
+    } else if (argv[i + 1] !== undefined && !argv[i + 1].startsWith('--')) {
+      flags[name] = argv[++i];
+    } else {
+      flags[name] = 'true';
+    }
+  }
+  return flags;
+}
+
+// Strings are converted to numbers and booleans by Joi; only lists need splitting
+function parseValue(configPathKey, value) {
+  if (LIST_PATHS.includes(configPathKey) && typeof value === 'string') {
+    return value.split(',').map(item => item.trim()).filter(Boolean);
+  }
+  return value;
+}
+
+function setPath(target, dottedPath, value) {
+  const keys = dottedPath.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (!node[key] || typeof node[key] !== 'object') node[key] = {};
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+}
+
+module.exports = {
+  SELF_HEALING_STRATEGIES,
+  FINGERPRINT_WEIGHTS,
+  ConfigError,
+  loadConfig,
+  getConfig,
+  getPublicConfig,
+  parseFlags
+};
@@ -0,0 +1,115 @@
+/**
+ * JSON File Store
+ *
+ * Reads and writes a single JSON document on disk. Writes are serialized
+ * and go through a temporary file, so a crash never leaves a half-written
+ * file behind. JsonCollection keeps such a document in memory, read on
+ * first use and written back as a whole after every change. Used by the
+ * file-based storage drivers.
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { logger } = require('./logger');
+
+class JsonFile {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   */
+  constructor(filePath) {
+    this.filePath = path.resolve(filePath);
+    this.writeQueue = Promise.resolve();
+  }
+
+  /**
+   * Read the document
+   *
+   * @param {*} fallback - Value to return when the file does not exist yet
+   * @returns {Promise<*>} Parsed document
+   */
+  async read(fallback) {
+    try {
+      return JSON.parse(await fs.readFile(this.filePath, 'utf8'));
+    } catch (error) {
+      if (error.code === 'ENOENT') return fallback;
+      throw new Error(`Could not read ${this.filePath}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Replace the document
+   *
+   * @param {*} data - Document to write
+   * @returns {Promise<void>} Resolves once this and all earlier writes are on disk
+   */
+  write(data) {
+    const snapshot = JSON.stringify(data, null, 2);
+    const write = async () => {
+      const tempPath = `${this.filePath}.tmp`;
+      await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+      await fs.writeFile(tempPath, snapshot);
+      await fs.rename(tempPath, this.filePath);
+    };
+
+    this.writeQueue = this.writeQueue.then(write, write);
+    return this.writeQueue;
+  }
+}
+
+class JsonCollection {
+  /**
+   * @param {string} filePath - Path of the JSON file
+   * @param {Object} format - How the document maps to the data kept in memory
+   * @param {*} format.empty - Document of a file that does not exist yet
+   * @param {Function} format.parse - Turns the document into the data
+   * @param {Function} format.serialize - Turns the data into the document
+   * @param {Function} format.describe - What the data holds, for the log (e.g. `3 test case(s)`)
+   */
+  constructor(filePath, format) {
+    this.file = new JsonFile(filePath);
+    this.format = format;
+    this.data = null;
+  }
+
+  /**
+   * Get the data, reading the file on first use
+   *
+   * @returns {Promise<*>} Data; changes to it are written by save
+   */
+  async load() {
+    if (this.data) return this.data;
+
+    const stored = await this.file.read(this.format.empty);
+    // Another call may have finished loading while this one was reading
+    if (!this.data) {
+      this.data = this.format.parse(stored);
+      logger.info(`Loaded ${this.format.describe(this.data)} from ${this.file.filePath}`);
+    }
+    return this.data;
+  }
+
+  /**
+   * Write the data back to the file
+   *
+   * @returns {Promise<void>} Resolves once the file is written
+   */
+  save() {
+    return this.file.write(this.format.serialize(this.data));
+  }
+}
+
+/**
+ * Deep copy of a JSON value, so callers never share objects with a store
+ *
+ * @param {*} value - JSON-compatible value
+ * @returns {*} Copy
+ */
+function clone(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+module.exports = {
+  JsonFile,
+  JsonCollection,
+  clone
+};
@@ -8,12 +8,18 @@ const logFormat = winston.format.combine(
   })
 );
 
+// In stdio MCP mode stdout carries protocol messages, so console logs go to stderr
+const consoleStderrLevels = process.env.MCP_TRANSPORT === 'stdio'
+  ? Object.keys(winston.config.npm.levels)
+  : [];
+
 const logger = winston.createLogger({
   level: process.env.LOG_LEVEL || 'info',
   format: logFormat,
   transports: [
     // Console logging
     new winston.transports.Console({
+      stderrLevels: consoleStderrLevels,
       format: winston.format.combine(
         winston.format.colorize(),
         logFormat
@@ -5,13 +5,182 @@
  * against the Model Context Protocol specification.
  */
 
-const { logger } = require('./logger');
+const Joi = require('joi');
+const { getTool } = require('../core/tool-registry');
+
+// Selector engines Playwright understands besides plain CSS
+const SELECTOR_ENGINE_PATTERN = /^(css|xpath|text|role|id|data-testid|internal:[a-z-]+)=|^\/\/|^\.\.|^\(/;
+
+class ValidationError extends Error {
+  constructor(message, details = []) {
+    super(message);
+    this.name = 'ValidationError';
+    this.details = details;
+  }
+}
+
+/**
+ * Check that a selector is non-empty and, for CSS, has balanced brackets and quotes
+ * 
+ * @param {string} selector - Selector to check
+ * @returns {boolean} Whether the selector is well-formed
+ */
+function isValidSelector(selector) {
+  const trimmed = selector.trim();
+  if (!trimmed) return false;
+  if (SELECTOR_ENGINE_PATTERN.test(trimmed)) return true;
+  
+  const closers = { ')': '(', ']': '[' };
+  const stack = [];
+  let quote = null;
+  
+  for (let i = 0; i < trimmed.length; i++) {
+    const char = trimmed[i];
+    if (char === '\\') {
+      i++;
+      continue;
+    }
+    if (quote) {
+      if (char === quote) quote = null;
+    } else if (char === '"' || char === "'") {
+      quote = char;
+    } else if (char === '(' || char === '[') {
+      stack.push(char);
+    } else if (closers[char]) {
+      if (stack.pop() !== closers[char]) return false;
+    }
+  }
+  
+  return !quote && stack.length === 0;
+}
+
+/**
+ * Convert a JSON Schema definition into an equivalent Joi schema
+ * 
+ * Supports the subset used by the tool registry: primitive types and null, enum,
+ * minimum/maximum, minLength, items, nested properties/required, oneOf
+ * (for alternatives of different types) and the `uri` and `selector`
+ * string formats.
+ * 
+ * @param {Object} schema - JSON Schema definition
+ * @returns {Object} Joi schema
+ */
+function jsonSchemaToJoi(schema) {
+  let joiSchema;
+  
+  if (schema.oneOf) {
+    return Joi.alternatives().try(...schema.oneOf.map(jsonSchemaToJoi));
+  }
+  
+  switch (schema.type) {
+    case 'string':
+      joiSchema = Joi.string();
+      if (schema.format === 'uri') {
+        joiSchema = joiSchema.uri();
+      } else if (schema.format === 'selector') {
+        joiSchema = joiSchema.custom((value, helpers) => (
+          isValidSelector(value) ? value : helpers.error('string.selector')
+        ));
+      }
+      if (schema.minLength !== undefined) joiSchema = joiSchema.min(schema.minLength);
+      break;
+    case 'number':
+    case 'integer':
+      joiSchema = schema.type === 'integer' ? Joi.number().integer() : Joi.number();
+      if (schema.minimum !== undefined) joiSchema = joiSchema.min(schema.minimum);
+      if (schema.maximum !== undefined) joiSchema = joiSchema.max(schema.maximum);
+      break;
+    case 'boolean':
+      joiSchema = Joi.boolean();
+      break;
+    case 'null':
+      joiSchema = Joi.valid(null);
+      break;
+    case 'array':
+      joiSchema = Joi.array();
+      if (schema.items) joiSchema = joiSchema.items(jsonSchemaToJoi(schema.items));
+      if (schema.minItems !== undefined) joiSchema = joiSchema.min(schema.minItems);
+      if (schema.maxItems !== undefined) joiSchema = joiSchema.max(schema.maxItems);
+      break;
+    case 'object': {
+      const properties = schema.properties || {};
+      const required = schema.required || [];
+      const keys = {};
+      for (const [name, propertySchema] of Object.entries(properties)) {
+        keys[name] = jsonSchemaToJoi(propertySchema);
+        if (required.includes(name)) keys[name] = keys[name].required();
+      }
+      joiSchema = Joi.object(keys).unknown(schema.additionalProperties !== false);
+      break;
+    }
+    default:
+      joiSchema = Joi.any();
+  }
+  
+  if (schema.enum) {
+    joiSchema = joiSchema.valid(...schema.enum);
+  }
+  
+  return joiSchema;
+}
+
+const joiSchemaCache = new WeakMap();
+
+function getJoiSchema(tool) {
+  if (!joiSchemaCache.has(tool)) {
+    joiSchemaCache.set(tool, jsonSchemaToJoi(tool.inputSchema).messages({
+      'string.selector': '{{#label}} must be a valid selector'
+    }));
+  }
+  return joiSchemaCache.get(tool);
+}
+
+/**
+ * Validates parameters against a tool's declared input schema
+ * 
+ * @param {string} action - Tool name
+ * @param {Object} [parameters] - Parameters to validate
+ * @returns {Object} Validation result with isValid, error and field-level details
+ */
+function validateToolParameters(action, parameters = {}) {
+  const tool = getTool(action);
+  if (!tool) {
+    return {
+      isValid: false,
+      error: `Unsupported Model Context Protocol action: ${action}`,
+      details: [{ field: 'action', message: `Unknown action '${action}'`, type: 'any.only' }]
+    };
+  }
+  
+  const { error } = getJoiSchema(tool).validate(parameters, {
+    abortEarly: false,
+    convert: false,
+    errors: { wrap: { label: "'" } }
+  });
+  
+  if (!error) {
+    return { isValid: true };
+  }
+  
+  const details = error.details.map(detail => ({
+    field: detail.path.join('.'),
+    message: detail.message,
+    type: detail.type,
+    value: detail.context ? detail.context.value : undefined
+  }));
+  
+  return {
+    isValid: false,
+    error: `Invalid parameters for action '${action}': ${details.map(detail => detail.message).join('; ')}`,
+    details
+  };
+}
 
 /**
  * Validates an incoming MCP request
  * 
  * @param {Object} req - The request object
- * @returns {Object} Validation result with isValid and error properties
+ * @returns {Object} Validation result with isValid, error and details properties
  */
 function validateMcpRequest(req) {
   const { action, parameters, executionId } = req.body;
@@ -19,7 +188,8 @@ function validateMcpRequest(req) {
   if (!action) {
     return {
       isValid: false,
-      error: 'Action is required by Model Context Protocol'
+      error: 'Action is required by Model Context Protocol',
+      details: [{ field: 'action', message: "'action' is required", type: 'any.required' }]
     };
   }
   
@@ -27,20 +197,22 @@ function validateMcpRequest(req) {
   if (executionId !== undefined && typeof executionId !== 'string') {
     return {
       isValid: false,
-      error: 'ExecutionId must be a string according to Model Context Protocol'
+      error: 'ExecutionId must be a string according to Model Context Protocol',
+      details: [{ field: 'executionId', message: "'executionId' must be a string", type: 'string.base' }]
     };
   }
   
   // Validate parameters (should be an object if provided)
-  if (parameters !== undefined && typeof parameters !== 'object') {
+  if (parameters !== undefined && (parameters === null || typeof parameters !== 'object' || Array.isArray(parameters))) {
     return {
       isValid: false,
-      error: 'Parameters must be an object according to Model Context Protocol'
+      error: 'Parameters must be an object according to Model Context Protocol',
+      details: [{ field: 'parameters', message: "'parameters' must be an object", type: 'object.base' }]
     };
   }
   
-  // Request is valid
-  return { isValid: true };
+  // Validate the action and its parameters against the tool registry
+  return validateToolParameters(action, parameters || {});
 }
 
 /**
@@ -69,7 +241,7 @@ function formatMcpResponse(action, result, executionId) {
 /**
  * Formats an error response according to the Model Context Protocol
  * 
- * @param {Error} error - The error that occurred
+ * @param {Error} error - The error that occurred (ValidationError adds field-level details)
  * @param {string} [executionId] - Optional unique execution ID
  * @returns {Object} MCP-formatted error response
  */
@@ -79,6 +251,7 @@ function formatMcpErrorResponse(error, executionId) {
     status: 'error',
     error: error.message,
     errorType: error.name || 'ExecutionError',
+    details: error.details,
     metadata: {
       protocol: 'mcp',
       protocolName: 'Model Context Protocol',
@@ -89,6 +262,10 @@ function formatMcpErrorResponse(error, executionId) {
 }
 
 module.exports = {
+  ValidationError,
+  isValidSelector,
+  jsonSchemaToJoi,
+  validateToolParameters,
   validateMcpRequest,
   formatMcpResponse,
   formatMcpErrorResponse
@@ -1,3 +1,6 @@
+// Run against the browserless mock backend unless a test picks another
+process.env.AUTOMATION_BACKEND = 'mock';
+
 const request = require('supertest');
 const express = require('express');
 const cors = require('cors');
@@ -36,7 +39,15 @@ jest.mock('../../src/handlers/test-cases', () => ({
   getAllTestCases: jest.fn((req, res) => res.json([{ id: 'test-id', name: 'Test Case' }])),
   getTestCaseById: jest.fn((req, res) => res.json({ id: req.params.id, name: 'Test Case' })),
   updateTestCase: jest.fn((req, res) => res.json({ id: req.params.id, ...req.body })),
-  deleteTestCase: jest.fn((req, res) => res.json({ message: 'Test case deleted successfully' }))
+  deleteTestCase: jest.fn((req, res) => res.json({ message: 'Test case deleted successfully' })),
+  runTestCaseById: jest.fn((req, res) => res.json({ testCaseId: req.params.id, status: 'success', stepResults: [] })),
+  setTestCaseDataset: jest.fn((req, res) => res.json({ id: req.params.id, dataset: req.body })),
+  getTestCaseRevisions: jest.fn((req, res) => res.json([{ revision: 1, author: 'anonymous' }])),
+  getTestCaseRevision: jest.fn((req, res) => res.json({ revision: Number(req.params.revision) })),
+  diffTestCaseRevisions: jest.fn((req, res) => res.json({ from: 1, to: 2, diff: { fields: [], steps: [] } })),
+  restoreTestCaseRevision: jest.fn((req, res) => res.json({ id: req.params.id, revision: 3 })),
+  addTestCaseTags: jest.fn((req, res) => res.json({ status: 'success', matched: req.body.ids.length, modified: req.body.ids.length })),
+  removeTestCaseTags: jest.fn((req, res) => res.json({ status: 'success', matched: req.body.ids.length, modified: 0 }))
 }));
 
 jest.mock('../../src/handlers/ai-processing', () => ({
@@ -58,7 +69,8 @@ jest.mock('../../src/handlers/ai-processing', () => ({
       ],
       rawResponse: 'AI generated response'
     });
-  })
+  }),
+  aiTestGeneration: jest.fn((req, res) => res.json({ url: req.body.url, testCode: '// generated' }))
 }));
 
 // Set up the express app
@@ -74,13 +86,70 @@ describe('API Endpoints', () => {
     expect(response.body.status).toBe('ok');
   });
   
+  test('GET /api/config returns the effective configuration', async () => {
+    const response = await request(app).get('/api/config');
+    
+    expect(response.status).toBe(200);
+    expect(response.body.selfHealing.strategies.length).toBeGreaterThan(0);
+    expect(response.body.automation.browser).toBeDefined();
+  });
+  
   test('POST /api/execute executes automation command', async () => {
     const response = await request(app)
       .post('/api/execute')
       .send({ command: 'navigate', params: { url: 'https://example.com' } });
     
     expect(response.status).toBe(200);
-    expect(response.body).toEqual({ status: 'success', url: 'https://example.com' });
+    expect(response.body).toEqual({
+      status: 'success',
+      url: 'https://example.com',
+      page: { index: 0, url: 'https://example.com' }
+    });
+  });
+  
+  test('POST /api/sessions creates a session that can be listed and closed', async () => {
+    const created = await request(app).post('/api/sessions').send({ label: 'agent-1' });
+    expect(created.status).toBe(201);
+    expect(created.body.sessionId).toBeDefined();
+    
+    const listed = await request(app).get('/api/sessions');
+    expect(listed.body.sessions.map(session => session.sessionId)).toContain(created.body.sessionId);
+    
+    const closed = await request(app).delete(`/api/sessions/${created.body.sessionId}`);
+    expect(closed.status).toBe(200);
+  });
+  
+  test('POST /api/sessions rejects unsupported browser engines', async () => {
+    const response = await request(app).post('/api/sessions').send({ browser: 'netscape' });
+    
+    expect(response.status).toBe(400);
+  });
+  
+  test('DELETE /api/sessions/:id returns 404 for unknown sessions', async () => {
+    const response = await request(app).delete('/api/sessions/does-not-exist');
+    expect(response.status).toBe(404);
+  });
+  
+  test('POST /api/execute manages pages within a session', async () => {
+    const created = await request(app).post('/api/sessions').send({ label: 'tabs' });
+    const sessionId = created.body.sessionId;
+    
+    const popup = await request(app)
+      .post('/api/execute')
+      .send({ command: 'wait_for_popup', params: { selector: '#open-popup', sessionId } });
+    expect(popup.body.page).toEqual({ index: 1, url: popup.body.url });
+    
+    const switched = await request(app)
+      .post('/api/execute')
+      .send({ command: 'switch_page', params: { index: 0, sessionId } });
+    expect(switched.body.page.index).toBe(0);
+    
+    const listed = await request(app)
+      .post('/api/execute')
+      .send({ command: 'list_pages', params: { sessionId } });
+    expect(listed.body.pages.map(page => page.active)).toEqual([true, false]);
+    
+    await request(app).delete(`/api/sessions/${sessionId}`);
   });
   
   test('POST /api/test-cases creates a new test case', async () => {
@@ -113,6 +182,14 @@ describe('API Endpoints', () => {
     expect(response.body[0].name).toBe('Test Case');
   });
   
+  test('POST /api/test-cases/:id/run runs a stored test case', async () => {
+    const response = await request(app).post('/api/test-cases/test-id/run').send({});
+    
+    expect(response.status).toBe(200);
+    expect(response.body.testCaseId).toBe('test-id');
+    expect(response.body.status).toBe('success');
+  });
+  
   test('POST /api/ai/process processes task with AI', async () => {
     const response = await request(app)
       .post('/api/ai/process')
@@ -136,7 +213,11 @@ describe('API Endpoints', () => {
     expect(response.status).toBe(200);
     expect(response.body.status).toBe('success');
     expect(response.body.executionId).toBe('test-execution-1');
-    expect(response.body.result).toEqual({ status: 'success', url: 'https://example.com' });
+    expect(response.body.result).toEqual({
+      status: 'success',
+      url: 'https://example.com',
+      page: { index: 0, url: 'https://example.com' }
+    });
   });
   
   test('GET /api/mcp/manifest returns MCP manifest', async () => {
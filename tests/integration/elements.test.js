@@ -0,0 +1,128 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const request = require('supertest');
+const express = require('express');
+const { ElementRepository, FileElementStore, setElementRepository } = require('../../src/core/element-repository');
+const {
+  listElements,
+  getElement,
+  getElementImage,
+  pinElementSelector,
+  deleteElement,
+  clearElements,
+  exportElements,
+  importElements
+} = require('../../src/handlers/elements');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+const app = express();
+app.use(express.json());
+app.get('/api/elements', listElements);
+app.delete('/api/elements', clearElements);
+app.get('/api/elements/export', exportElements);
+app.post('/api/elements/import', importElements);
+app.get('/api/elements/element', getElement);
+app.delete('/api/elements/element', deleteElement);
+app.get('/api/elements/element/image', getElementImage);
+app.put('/api/elements/element/preferred-selector', pinElementSelector);
+
+const submit = {
+  url: 'https://example.com/login',
+  selector: '#submit',
+  alternativeSelectors: ['[data-testid="submit"]', 'button#submit'],
+  image: Buffer.from('jpeg-bytes').toString('base64'),
+  boundingBox: { x: 10, y: 20, width: 80, height: 30 },
+  nearbyText: 'Sign in',
+  timestamp: Date.now()
+};
+const search = { ...submit, url: 'https://example.com/search', selector: '#query', image: null, timestamp: Date.now() - 2 * 60 * 60 * 1000 };
+
+describe('Element Repository API', () => {
+  let directory;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uniauto-elements-'));
+    setElementRepository(new ElementRepository(new FileElementStore(path.join(directory, 'elements.json'))));
+  });
+
+  afterEach(() => {
+    setElementRepository(null);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('imports elements and lists them per page', async () => {
+    const imported = await request(app).post('/api/elements/import').send({ version: 1, elements: [submit, search] });
+    expect(imported.body).toEqual({ status: 'success', imported: 2, skipped: 0 });
+
+    const all = await request(app).get('/api/elements');
+    expect(all.body.map(element => element.selector)).toEqual(['#submit', '#query']);
+
+    const login = await request(app).get('/api/elements').query({ url: 'https://example.com/login?next=/' });
+    expect(login.body).toEqual([{ ...submit, image: undefined, hasImage: true }].map(element => JSON.parse(JSON.stringify(element))));
+  });
+
+  test('shows an element with its snapshot image', async () => {
+    await request(app).post('/api/elements/import').send({ version: 1, elements: [submit] });
+
+    const element = await request(app).get('/api/elements/element').query({ url: submit.url, selector: '#submit' });
+    expect(element.body).toEqual(submit);
+
+    const image = await request(app).get('/api/elements/element/image').query({ url: submit.url, selector: '#submit' });
+    expect(image.headers['content-type']).toBe('image/jpeg');
+    expect(image.body.toString()).toBe('jpeg-bytes');
+
+    const missing = await request(app).get('/api/elements/element').query({ url: submit.url, selector: '#nope' });
+    expect(missing.status).toBe(404);
+    const invalid = await request(app).get('/api/elements/element').query({ url: submit.url });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('pins a preferred selector', async () => {
+    await request(app).post('/api/elements/import').send({ version: 1, elements: [submit] });
+
+    const pinned = await request(app)
+      .put('/api/elements/element/preferred-selector')
+      .send({ url: submit.url, selector: '#submit', preferredSelector: 'role=button[name="Sign in"]' });
+    expect(pinned.body.preferredSelector).toBe('role=button[name="Sign in"]');
+
+    const unknown = await request(app)
+      .put('/api/elements/element/preferred-selector')
+      .send({ url: submit.url, selector: '#nope', preferredSelector: null });
+    expect(unknown.status).toBe(404);
+  });
+
+  test('deletes single and stale elements', async () => {
+    await request(app).post('/api/elements/import').send({ version: 1, elements: [submit, search] });
+
+    const stale = await request(app).delete('/api/elements').query({ maxAge: 60 * 60 * 1000 });
+    expect(stale.body).toEqual({ status: 'success', deleted: 1 });
+
+    const deleted = await request(app).delete('/api/elements/element').query({ url: submit.url, selector: '#submit' });
+    expect(deleted.status).toBe(200);
+    expect((await request(app).get('/api/elements')).body).toEqual([]);
+  });
+
+  test('exports the repository in the format it imports', async () => {
+    await request(app).post('/api/elements/import').send({ version: 1, elements: [submit] });
+
+    const exported = await request(app).get('/api/elements/export');
+    expect(exported.headers['content-disposition']).toContain('elements.json');
+    expect(exported.body).toEqual({ version: 1, exportedAt: expect.any(String), elements: [submit] });
+
+    const again = await request(app).post('/api/elements/import').send(exported.body);
+    expect(again.body).toMatchObject({ imported: 1, skipped: 0 });
+
+    const invalid = await request(app).post('/api/elements/import').send({ version: 2, elements: [] });
+    expect(invalid.status).toBe(400);
+  });
+});
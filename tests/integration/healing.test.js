@@ -0,0 +1,126 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const request = require('supertest');
+const express = require('express');
+const { HealingLog, FileHealingEventStore, setHealingLog } = require('../../src/core/healing-log');
+const { FileTestCaseRepository, setTestCaseRepository } = require('../../src/core/test-case-repository');
+const {
+  listHealingEvents,
+  getHealingEvent,
+  getHealingEventScreenshot,
+  suggestHealingFixes,
+  approveHealingFix
+} = require('../../src/handlers/healing');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+const app = express();
+app.use(express.json());
+app.get('/api/healing/events', listHealingEvents);
+app.get('/api/healing/events/:id', getHealingEvent);
+app.get('/api/healing/events/:id/screenshot', getHealingEventScreenshot);
+app.get('/api/healing/fixes', suggestHealingFixes);
+app.post('/api/healing/fixes/approve', approveHealingFix);
+
+const page = {
+  url: () => 'https://example.com/login',
+  screenshot: async () => Buffer.from('jpeg-bytes')
+};
+
+const healing = { originalSelector: '#submit', selector: '#sign-in', strategy: 'fingerprint', confidence: 0.92, breakdown: { tag: 1 } };
+
+describe('Healing API', () => {
+  let directory;
+  let log;
+  let testCases;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uniauto-healing-'));
+    log = new HealingLog(new FileHealingEventStore(path.join(directory, 'healing-events.json')), { testsDir: directory });
+    setHealingLog(log);
+    testCases = new FileTestCaseRepository(path.join(directory, 'test-cases.json'));
+    setTestCaseRepository(testCases);
+    await log.recordHealing('click', healing, page);
+    await log.recordHealing('click', healing, page);
+  });
+
+  afterEach(() => {
+    setHealingLog(null);
+    setTestCaseRepository(null);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('GET /api/healing/events should list events without screenshots', async () => {
+    const response = await request(app).get('/api/healing/events').query({ url: 'https://example.com/login', limit: 1 });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual([expect.objectContaining({ originalSelector: '#submit', selector: '#sign-in', hasScreenshot: true })]);
+    expect(response.body[0]).not.toHaveProperty('screenshot');
+
+    expect((await request(app).get('/api/healing/events').query({ status: 'healed' })).status).toBe(400);
+  });
+
+  test('GET /api/healing/events/:id should return an event and its screenshot', async () => {
+    const [event] = await log.listEvents();
+
+    const response = await request(app).get(`/api/healing/events/${event._id}`);
+    expect(response.status).toBe(200);
+    expect(response.body).toMatchObject({ _id: event._id, strategy: 'fingerprint', confidence: 0.92 });
+
+    const screenshot = await request(app).get(`/api/healing/events/${event._id}/screenshot`);
+    expect(screenshot.status).toBe(200);
+    expect(screenshot.headers['content-type']).toBe('image/jpeg');
+    expect(screenshot.body.toString()).toBe('jpeg-bytes');
+
+    expect((await request(app).get('/api/healing/events/missing')).status).toBe(404);
+  });
+
+  test('GET /api/healing/fixes should group recurring heals', async () => {
+    const response = await request(app).get('/api/healing/fixes');
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual([expect.objectContaining({ originalSelector: '#submit', selector: '#sign-in', occurrences: 2, averageConfidence: 0.92 })]);
+    expect((await request(app).get('/api/healing/fixes').query({ minOccurrences: 3 })).body).toEqual([]);
+  });
+
+  test('POST /api/healing/fixes/approve should rewrite test cases', async () => {
+    const testCase = await testCases.create({
+      name: 'Login',
+      steps: [{ command: 'navigate', parameters: { url: 'https://example.com/login' } }, { command: 'click', parameters: { selector: '#submit' } }]
+    });
+
+    const response = await request(app)
+      .post('/api/healing/fixes/approve')
+      .set('X-Author', 'reviewer')
+      .send({ url: 'https://example.com/login', originalSelector: '#submit', selector: '#sign-in' });
+
+    expect(response.status).toBe(200);
+    expect(response.body).toEqual({ status: 'success', events: 2, testCases: [{ _id: testCase._id, name: 'Login', replacements: 1 }], files: [] });
+    expect((await testCases.get(testCase._id)).steps[1].parameters.selector).toBe('#sign-in');
+  });
+
+  test('POST /api/healing/fixes/approve should reject unknown fixes and paths', async () => {
+    const fix = { url: 'https://example.com/login', originalSelector: '#submit', selector: '#sign-in' };
+
+    expect((await request(app).post('/api/healing/fixes/approve').send({ url: fix.url })).status).toBe(400);
+    expect((await request(app).post('/api/healing/fixes/approve').send({ ...fix, testCaseIds: [] })).status).toBe(400);
+    expect((await request(app).post('/api/healing/fixes/approve').send({ ...fix, selector: '#other' })).status).toBe(404);
+
+    const response = await request(app).post('/api/healing/fixes/approve').send({ ...fix, paths: ['missing'] });
+    expect(response.status).toBe(400);
+    expect(response.body.error).toMatch(/not found/);
+
+    const outside = await request(app).post('/api/healing/fixes/approve').send({ ...fix, paths: [__filename] });
+    expect(outside.status).toBe(400);
+    expect(outside.body.error).toMatch(/outside/);
+  });
+});
@@ -0,0 +1,134 @@
+// Run against the browserless mock backend unless a test picks another
+process.env.AUTOMATION_BACKEND = 'mock';
+
+const request = require('supertest');
+const express = require('express');
+const routes = require('../../src/handlers/routes');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+jest.mock('../../src/core/mock-automation', () => ({
+  handleAutomationCommand: jest.fn().mockImplementation((command, params) => {
+    return Promise.resolve({ status: 'success', ...params });
+  })
+}));
+
+// Set up the express app
+const app = express();
+app.use(express.json());
+app.use('/api', routes);
+
+function parseEvents(text) {
+  return text
+    .split('\n\n')
+    .filter(block => block.includes('data: '))
+    .map(block => JSON.parse(block.split('data: ')[1]));
+}
+
+describe('MCP Streamable HTTP Transport', () => {
+  test('POST /api/mcp initialize returns a session id', async () => {
+    const response = await request(app)
+      .post('/api/mcp')
+      .set('Accept', 'application/json, text/event-stream')
+      .send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: { protocolVersion: '2025-03-26' } });
+
+    expect(response.status).toBe(200);
+    expect(response.headers['mcp-session-id']).toBeDefined();
+
+    const [message] = parseEvents(response.text);
+    expect(message.result.protocolVersion).toBe('2025-03-26');
+  });
+
+  test('POST /api/mcp streams progress notifications before the result', async () => {
+    const response = await request(app)
+      .post('/api/mcp')
+      .set('Accept', 'application/json, text/event-stream')
+      .send({
+        jsonrpc: '2.0',
+        id: 2,
+        method: 'tools/call',
+        params: { name: 'navigate', arguments: { url: 'https://example.com' }, _meta: { progressToken: 'p1' } }
+      });
+
+    expect(response.headers['content-type']).toContain('text/event-stream');
+
+    const messages = parseEvents(response.text);
+    expect(messages[0].method).toBe('notifications/progress');
+    expect(messages[0].params.progressToken).toBe('p1');
+    expect(messages[messages.length - 1].id).toBe(2);
+    expect(messages[messages.length - 1].result.structuredContent.url).toBe('https://example.com');
+  });
+
+  test('POST /api/mcp answers with plain JSON when SSE is not accepted', async () => {
+    const response = await request(app)
+      .post('/api/mcp')
+      .set('Accept', 'application/json')
+      .send({ jsonrpc: '2.0', id: 3, method: 'tools/list' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.result.tools.length).toBeGreaterThan(0);
+  });
+
+  test('POST /api/mcp acknowledges notifications with 202', async () => {
+    const response = await request(app)
+      .post('/api/mcp')
+      .send({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+    expect(response.status).toBe(202);
+    expect((await request(app).post('/api/mcp').send({ jsonrpc: '2.0', id: 7, result: {} })).status).toBe(202);
+  });
+
+  test('POST /api/mcp rejects bodies that are not JSON-RPC messages', async () => {
+    for (const body of [{ hello: 'world' }, { jsonrpc: '2.0' }, { jsonrpc: '2.0', id: 7 }, { method: 'notifications/initialized' }, []]) {
+      const response = await request(app).post('/api/mcp').send(body);
+
+      expect(response.status).toBe(400);
+      expect(response.body).toEqual({ jsonrpc: '2.0', id: null, error: { code: -32600, message: 'Invalid JSON-RPC 2.0 message' } });
+    }
+  });
+
+  test('unknown and terminated sessions are rejected', async () => {
+    const init = await request(app)
+      .post('/api/mcp')
+      .set('Accept', 'application/json')
+      .send({ jsonrpc: '2.0', id: 1, method: 'initialize', params: {} });
+    const sessionId = init.headers['mcp-session-id'];
+
+    const terminated = await request(app).delete('/api/mcp').set('Mcp-Session-Id', sessionId);
+    expect(terminated.status).toBe(204);
+
+    const response = await request(app)
+      .post('/api/mcp')
+      .set('Mcp-Session-Id', sessionId)
+      .send({ jsonrpc: '2.0', id: 4, method: 'ping' });
+    expect(response.status).toBe(404);
+  });
+
+  test('legacy /api/mcp/invoke dispatches through the tool registry', async () => {
+    const response = await request(app)
+      .post('/api/mcp/invoke')
+      .send({ action: 'list_frameworks', parameters: {}, executionId: 'legacy-1' });
+
+    expect(response.status).toBe(200);
+    expect(response.body.executionId).toBe('legacy-1');
+    expect(response.body.result.frameworks).toContain('playwright');
+  });
+
+  test('legacy /api/mcp/invoke returns field-level validation errors with 400', async () => {
+    const response = await request(app)
+      .post('/api/mcp/invoke')
+      .send({ action: 'navigate', parameters: {}, executionId: 'legacy-2' });
+
+    expect(response.status).toBe(400);
+    expect(response.body.errorType).toBe('ValidationError');
+    expect(response.body.details[0]).toEqual(expect.objectContaining({ field: 'url', type: 'any.required' }));
+  });
+});
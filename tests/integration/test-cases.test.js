@@ -0,0 +1,194 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const request = require('supertest');
+const express = require('express');
+const { FileTestCaseRepository, setTestCaseRepository, getTestCaseRepository } = require('../../src/core/test-case-repository');
+const {
+  createTestCase,
+  getAllTestCases,
+  updateTestCase,
+  getTestCaseRevisions,
+  diffTestCaseRevisions,
+  restoreTestCaseRevision,
+  addTestCaseTags,
+  removeTestCaseTags,
+  runTestCaseById,
+  setTestCaseDataset
+} = require('../../src/handlers/test-cases');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+const app = express();
+app.use(express.json());
+app.post('/api/test-cases', createTestCase);
+app.get('/api/test-cases', getAllTestCases);
+app.put('/api/test-cases/:id', updateTestCase);
+app.get('/api/test-cases/:id/revisions', getTestCaseRevisions);
+app.post('/api/test-cases/:id/revisions/:revision/restore', restoreTestCaseRevision);
+app.get('/api/test-cases/:id/diff', diffTestCaseRevisions);
+app.post('/api/test-cases/tags/add', addTestCaseTags);
+app.post('/api/test-cases/tags/remove', removeTestCaseTags);
+app.post('/api/test-cases/:id/run', runTestCaseById);
+app.put('/api/test-cases/:id/dataset', express.text({ type: 'text/csv' }), setTestCaseDataset);
+
+describe('Test Case API', () => {
+  let directory;
+  const ids = [];
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uniauto-test-cases-'));
+    setTestCaseRepository(new FileTestCaseRepository(path.join(directory, 'test-cases.json')));
+
+    for (const name of ['Alpha', 'Bravo', 'Charlie']) {
+      const response = await request(app)
+        .post('/api/test-cases')
+        .send({ name, steps: [], tags: name === 'Charlie' ? ['smoke'] : [] });
+      ids.push(response.body._id);
+    }
+  });
+
+  afterAll(() => {
+    setTestCaseRepository(null);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('GET /api/test-cases pages with X-Next-Cursor', async () => {
+    const first = await request(app).get('/api/test-cases').query({ sort: 'name', limit: 2 });
+
+    expect(first.status).toBe(200);
+    expect(first.body.map(testCase => testCase.name)).toEqual(['Alpha', 'Bravo']);
+    expect(first.headers['x-next-cursor']).toBeDefined();
+
+    const second = await request(app)
+      .get('/api/test-cases')
+      .query({ sort: 'name', limit: 2, cursor: first.headers['x-next-cursor'] });
+
+    expect(second.body.map(testCase => testCase.name)).toEqual(['Charlie']);
+    expect(second.headers['x-next-cursor']).toBeUndefined();
+  });
+
+  test('GET /api/test-cases returns every test case without a limit or cursor', async () => {
+    const list = jest.spyOn(getTestCaseRepository(), 'list');
+    const response = await request(app).get('/api/test-cases').query({ sort: 'name' });
+    const first = await request(app).get('/api/test-cases').query({ sort: 'name', limit: 1 });
+    await request(app).get('/api/test-cases').query({ sort: 'name', cursor: first.headers['x-next-cursor'] });
+
+    expect(response.body.map(testCase => testCase.name)).toEqual(['Alpha', 'Bravo', 'Charlie']);
+    expect(response.headers['x-next-cursor']).toBeUndefined();
+    expect(list.mock.calls.map(([query]) => query.limit)).toEqual([undefined, 1, 100]);
+    list.mockRestore();
+  });
+
+  test('GET /api/test-cases filters by search, tags and status', async () => {
+    const bySearch = await request(app).get('/api/test-cases').query({ q: 'rav' });
+    const byTags = await request(app).get('/api/test-cases').query({ tags: 'smoke' });
+    const byStatus = await request(app).get('/api/test-cases').query({ status: 'success,partial' });
+
+    expect(bySearch.body.map(testCase => testCase.name)).toEqual(['Bravo']);
+    expect(byTags.body.map(testCase => testCase.name)).toEqual(['Charlie']);
+    expect(byStatus.body).toEqual([]);
+  });
+
+  test('GET /api/test-cases rejects invalid queries', async () => {
+    const badStatus = await request(app).get('/api/test-cases').query({ status: 'broken' });
+    const badSort = await request(app).get('/api/test-cases').query({ sort: 'steps' });
+    const badCursor = await request(app).get('/api/test-cases').query({ cursor: 'not-a-cursor' });
+
+    expect(badStatus.status).toBe(400);
+    expect(badSort.status).toBe(400);
+    expect(badCursor.status).toBe(400);
+  });
+
+  test('POST /api/test-cases/tags/add and /remove update tags in bulk', async () => {
+    const added = await request(app)
+      .post('/api/test-cases/tags/add')
+      .send({ ids, tags: ['regression'] });
+
+    expect(added.body).toEqual({ status: 'success', matched: 3, modified: 3 });
+
+    const removed = await request(app)
+      .post('/api/test-cases/tags/remove')
+      .send({ ids: [ids[2]], tags: ['smoke'] });
+
+    expect(removed.body).toEqual({ status: 'success', matched: 1, modified: 1 });
+
+    const tagged = await request(app).get('/api/test-cases').query({ tags: 'regression' });
+    expect(tagged.body).toHaveLength(3);
+  });
+
+  test('POST /api/test-cases/tags/add requires ids and tags', async () => {
+    const response = await request(app).post('/api/test-cases/tags/add').send({ ids: [] });
+
+    expect(response.status).toBe(400);
+  });
+
+  test('PUT /api/test-cases/:id records revisions that can be diffed and restored', async () => {
+    const steps = [{ command: 'navigate', parameters: { url: 'https://example.com' } }];
+    await request(app)
+      .put(`/api/test-cases/${ids[0]}`)
+      .set('X-Author', 'alice')
+      .send({ name: 'Alpha', steps });
+
+    const revisions = await request(app).get(`/api/test-cases/${ids[0]}/revisions`);
+    expect(revisions.body.map(revision => [revision.revision, revision.author])).toEqual([[2, 'alice'], [1, 'anonymous']]);
+
+    const diff = await request(app).get(`/api/test-cases/${ids[0]}/diff`).query({ from: 1 });
+    expect(diff.body).toMatchObject({ from: 1, to: 2, diff: { fields: [], steps: [{ type: 'added', index: 0 }] } });
+
+    const restored = await request(app)
+      .post(`/api/test-cases/${ids[0]}/revisions/1/restore`)
+      .send({ author: 'bob' });
+    expect(restored.status).toBe(200);
+    expect(restored.body).toMatchObject({ revision: 3, steps: [] });
+
+    const missing = await request(app).post(`/api/test-cases/${ids[0]}/revisions/99/restore`);
+    expect(missing.status).toBe(404);
+
+    const invalid = await request(app).get(`/api/test-cases/${ids[0]}/diff`).query({ from: 'first' });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('PUT /api/test-cases/:id/dataset accepts CSV and JSON rows', async () => {
+    const csv = await request(app)
+      .put(`/api/test-cases/${ids[1]}/dataset`)
+      .set('Content-Type', 'text/csv')
+      .send('username,password\nalice,secret\n"bob, jr",hunter2\n');
+
+    expect(csv.status).toBe(200);
+    expect(csv.body.dataset).toEqual([
+      { username: 'alice', password: 'secret' },
+      { username: 'bob, jr', password: 'hunter2' }
+    ]);
+    expect(csv.body.revision).toBe(1);
+
+    const json = await request(app).put(`/api/test-cases/${ids[1]}/dataset`).send([{ username: 'carol' }]);
+    expect(json.body.dataset).toEqual([{ username: 'carol' }]);
+
+    const invalid = await request(app).put(`/api/test-cases/${ids[1]}/dataset`).send({ username: 'carol' });
+    const missing = await request(app).put('/api/test-cases/000000000000000000000000/dataset').send([]);
+    expect(invalid.status).toBe(400);
+    expect(missing.status).toBe(404);
+  });
+
+  test('POST /api/test-cases/:id/run validates the run options', async () => {
+    const badMode = await request(app).post(`/api/test-cases/${ids[0]}/run`).send({ mode: 'loop' });
+    const badRow = await request(app).post(`/api/test-cases/${ids[0]}/run`).send({ row: -1 });
+    const badBrowser = await request(app).post(`/api/test-cases/${ids[0]}/run`).send({ browser: 'netscape' });
+    const noDataset = await request(app).post(`/api/test-cases/${ids[0]}/run`).send({ mode: 'dataset' });
+
+    expect(badMode.status).toBe(400);
+    expect(badRow.status).toBe(400);
+    expect(badBrowser.status).toBe(400);
+    expect(noDataset.status).toBe(400);
+    expect(noDataset.body.error).toContain('has no dataset');
+  });
+});
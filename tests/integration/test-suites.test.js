@@ -0,0 +1,106 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const request = require('supertest');
+const express = require('express');
+const { FileTestSuiteRepository, setTestSuiteRepository } = require('../../src/core/test-suite-repository');
+const {
+  createTestSuite,
+  getAllTestSuites,
+  getTestSuiteById,
+  updateTestSuite,
+  deleteTestSuite,
+  runSuiteById
+} = require('../../src/handlers/test-suites');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+jest.mock('../../src/core/suite-runner', () => ({
+  RUN_MODES: ['sequential', 'parallel'],
+  runStoredSuite: jest.fn((id, options) => Promise.resolve(id === 'missing' ? null : { suiteId: id, mode: options.mode || 'sequential', status: 'success' }))
+}));
+
+const app = express();
+app.use(express.json());
+app.post('/api/test-suites', createTestSuite);
+app.get('/api/test-suites', getAllTestSuites);
+app.get('/api/test-suites/:id', getTestSuiteById);
+app.put('/api/test-suites/:id', updateTestSuite);
+app.delete('/api/test-suites/:id', deleteTestSuite);
+app.post('/api/test-suites/:id/run', runSuiteById);
+
+describe('Test Suite API', () => {
+  let directory;
+
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uniauto-test-suites-'));
+    setTestSuiteRepository(new FileTestSuiteRepository(path.join(directory, 'test-suites.json')));
+  });
+
+  afterAll(() => {
+    setTestSuiteRepository(null);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('supports create, read, update and delete', async () => {
+    const created = await request(app)
+      .post('/api/test-suites')
+      .send({
+        name: 'Checkout',
+        testCases: ['case-1', 'case-2'],
+        setup: [{ command: 'navigate', parameters: { url: '${baseUrl}/login' } }],
+        variables: { baseUrl: 'https://example.com' },
+        tags: ['smoke']
+      });
+
+    expect(created.status).toBe(201);
+    expect(created.body).toMatchObject({ name: 'Checkout', testCases: ['case-1', 'case-2'], teardown: [] });
+    expect(created.body.setup[0].timeout).toBe(10000);
+
+    const id = created.body._id;
+    const updated = await request(app).put(`/api/test-suites/${id}`).send({ name: 'Checkout', testCases: ['case-2', 'case-1'] });
+    expect(updated.body.testCases).toEqual(['case-2', 'case-1']);
+    expect(updated.body.tags).toEqual(['smoke']);
+
+    const tagged = await request(app).get('/api/test-suites').query({ tags: 'smoke' });
+    expect(tagged.body.map(testSuite => testSuite._id)).toEqual([id]);
+
+    const deleted = await request(app).delete(`/api/test-suites/${id}`);
+    expect(deleted.status).toBe(200);
+
+    const missing = await request(app).get(`/api/test-suites/${id}`);
+    expect(missing.status).toBe(404);
+  });
+
+  test('rejects invalid suites', async () => {
+    const noName = await request(app).post('/api/test-suites').send({ testCases: [] });
+    const badStep = await request(app).post('/api/test-suites').send({ name: 'Bad', setup: [{ command: 'teleport' }] });
+
+    expect(noName.status).toBe(400);
+    expect(badStep.status).toBe(400);
+  });
+
+  test('POST /api/test-suites/:id/run returns the suite report', async () => {
+    const response = await request(app).post('/api/test-suites/suite-1/run').send({ mode: 'parallel' });
+    const unknownMode = await request(app).post('/api/test-suites/suite-1/run').send({ mode: 'random' });
+    const badConcurrency = await Promise.all([-1, 0, 1.5, 'abc'].map(concurrency => (
+      request(app).post('/api/test-suites/suite-1/run').send({ mode: 'parallel', concurrency })
+    )));
+    const unknownBrowser = await request(app).post('/api/test-suites/suite-1/run').send({ browser: 'netscape' });
+    const missing = await request(app).post('/api/test-suites/missing/run').send({});
+
+    expect(response.body).toEqual({ suiteId: 'suite-1', mode: 'parallel', status: 'success' });
+    expect(unknownMode.status).toBe(400);
+    expect(badConcurrency.map(res => res.status)).toEqual([400, 400, 400, 400]);
+    expect(unknownBrowser.status).toBe(400);
+    expect(missing.status).toBe(404);
+  });
+});
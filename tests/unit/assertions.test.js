@@ -0,0 +1,96 @@
+const { runAssertion, AssertionFailedError, ASSERTION_COMMANDS } = require('../../src/core/assertions');
+const { STEP_COMMANDS } = require('../../src/core/step-commands');
+
+function createProbe(state) {
+  return {
+    isVisible: selector => Boolean(state.visible[selector]),
+    count: selector => state.counts[selector] || 0,
+    text: selector => (state.texts[selector] !== undefined ? state.texts[selector] : null),
+    value: selector => (state.values[selector] !== undefined ? state.values[selector] : null),
+    attribute: (selector, name) => (state.attributes[`${selector}@${name}`] !== undefined ? state.attributes[`${selector}@${name}`] : null),
+    url: () => state.url,
+    title: () => state.title
+  };
+}
+
+describe('Assertions', () => {
+  let state;
+  let probe;
+
+  beforeEach(() => {
+    state = {
+      visible: { '#banner': true },
+      counts: { '.item': 3 },
+      texts: { '#greeting': '  Hello,\n  world  ' },
+      values: { '#email': 'a@example.com' },
+      attributes: { '#submit@aria-disabled': 'false' },
+      url: 'https://example.com/cart?items=3',
+      title: 'Cart (3)'
+    };
+    probe = createProbe(state);
+  });
+
+  test('should pass assertions that match the page', async () => {
+    const options = { timeout: 0 };
+
+    await expect(runAssertion('assert_visible', { selector: '#banner', options }, probe)).resolves.toMatchObject({ status: 'success', actual: 'visible' });
+    await expect(runAssertion('assert_hidden', { selector: '#modal', options }, probe)).resolves.toMatchObject({ actual: 'hidden' });
+    await expect(runAssertion('assert_text', { selector: '#greeting', equals: 'Hello, world', options }, probe)).resolves.toMatchObject({ actual: 'Hello, world' });
+    await expect(runAssertion('assert_attribute', { selector: '#submit', attribute: 'aria-disabled', equals: 'false', options }, probe)).resolves.toBeDefined();
+    await expect(runAssertion('assert_url', { matches: '/cart\\?items=\\d+$', options }, probe)).resolves.toBeDefined();
+    await expect(runAssertion('assert_title', { matches: '^cart', flags: 'i', options }, probe)).resolves.toBeDefined();
+    await expect(runAssertion('assert_count', { selector: '.item', min: 1, max: 3, options }, probe)).resolves.toMatchObject({ expected: { min: 1, max: 3 }, actual: 3 });
+    await expect(runAssertion('assert_value', { selector: '#email', contains: '@example.com', options }, probe)).resolves.toBeDefined();
+  });
+
+  test('should report the expected and actual values when an assertion fails', async () => {
+    expect.assertions(3);
+    try {
+      await runAssertion('assert_text', { selector: '#greeting', contains: 'Goodbye', options: { timeout: 30, interval: 10 } }, probe);
+    } catch (error) {
+      expect(error).toBeInstanceOf(AssertionFailedError);
+      expect(error.details).toEqual({
+        assertion: 'assert_text',
+        selector: '#greeting',
+        expected: { contains: 'Goodbye' },
+        actual: 'Hello, world',
+        timeout: 30
+      });
+      expect(error.message).toContain('assert_text failed for "#greeting": expected {"contains":"Goodbye"} but was "Hello, world"');
+    }
+  });
+
+  test('should keep polling until the page catches up', async () => {
+    setTimeout(() => { state.counts['.item'] = 5; }, 30);
+
+    const result = await runAssertion('assert_count', { selector: '.item', equals: 5, timeout: 1000, interval: 10 }, probe);
+
+    expect(result.actual).toBe(5);
+  });
+
+  test('should poll read errors until the timeout and report them', async () => {
+    probe.title = () => { throw new Error('Execution context was destroyed'); };
+
+    await expect(runAssertion('assert_title', { equals: 'Cart', timeout: 20, interval: 5 }, probe))
+      .rejects.toMatchObject({ details: { actual: null, error: 'Execution context was destroyed' } });
+  });
+
+  test('should check only once when the probe cannot change', async () => {
+    const start = Date.now();
+
+    await expect(runAssertion('assert_visible', { selector: '#modal', timeout: 5000 }, { ...probe, live: false })).rejects.toThrow(AssertionFailedError);
+    expect(Date.now() - start).toBeLessThan(1000);
+  });
+
+  test('should reject malformed assertions without polling', async () => {
+    await expect(runAssertion('assert_text', { equals: 'x' }, probe)).rejects.toThrow('assert_text requires a selector');
+    await expect(runAssertion('assert_text', { selector: '#greeting', equals: 'a', contains: 'b' }, probe)).rejects.toThrow('exactly one of equals, contains, matches');
+    await expect(runAssertion('assert_url', { matches: '(' }, probe)).rejects.toThrow('Invalid matches pattern');
+    await expect(runAssertion('assert_count', { selector: '.item' }, probe)).rejects.toThrow('numeric equals, min or max');
+    await expect(runAssertion('assert_attribute', { selector: '#submit', equals: 'x' }, probe)).rejects.toThrow('requires an attribute');
+  });
+
+  test('should be available as test step commands', () => {
+    expect(STEP_COMMANDS).toEqual(expect.arrayContaining(ASSERTION_COMMANDS));
+  });
+});
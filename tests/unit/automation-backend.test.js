@@ -0,0 +1,88 @@
+// The configured default backend for these tests
+process.env.AUTOMATION_BACKEND = 'mock';
+
+const {
+  registerBackend,
+  listBackends,
+  handleAutomationCommand,
+  createSession,
+  listSessions,
+  closeSession
+} = require('../../src/core/automation-backend');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+jest.mock('../../src/core/automation', () => ({
+  handleAutomationCommand: jest.fn().mockResolvedValue({ status: 'success', engine: 'real' }),
+  createSession: jest.fn().mockResolvedValue({ status: 'success', sessionId: 'real-1' }),
+  listSessions: jest.fn().mockReturnValue({ status: 'success', sessions: [{ sessionId: 'real-1' }] }),
+  closeSession: jest.fn().mockResolvedValue({ status: 'success', sessionId: 'real-1' }),
+  onSessionClosed: jest.fn()
+}));
+
+describe('Automation Backend', () => {
+  test('should use the configured backend by default', async () => {
+    const realAutomation = require('../../src/core/automation');
+
+    const result = await handleAutomationCommand('navigate', { url: 'https://example.com' });
+
+    expect(result.page).toBeDefined();
+    expect(realAutomation.handleAutomationCommand).not.toHaveBeenCalled();
+  });
+
+  test('should route commands for a session to the backend it was created on', async () => {
+    const realAutomation = require('../../src/core/automation');
+
+    const session = await createSession({ backend: 'real' });
+    const result = await handleAutomationCommand('click', { selector: '#go', sessionId: session.sessionId });
+
+    expect(session.backend).toBe('real');
+    expect(result.engine).toBe('real');
+    expect(realAutomation.handleAutomationCommand).toHaveBeenCalledWith('click', expect.objectContaining({ sessionId: 'real-1' }));
+    expect(listSessions().sessions).toContainEqual(expect.objectContaining({ sessionId: 'real-1', backend: 'real' }));
+
+    const closed = await closeSession(session.sessionId);
+    expect(closed.backend).toBe('real');
+  });
+
+  test('should forget sessions the backend closed by itself', async () => {
+    const realAutomation = require('../../src/core/automation');
+    const session = await createSession({ backend: 'real' });
+    const [[sessionClosed]] = realAutomation.onSessionClosed.mock.calls;
+    realAutomation.handleAutomationCommand.mockClear();
+
+    // The idle session reaper closed it
+    sessionClosed(session.sessionId);
+    await handleAutomationCommand('navigate', { url: 'https://example.com', sessionId: session.sessionId }).catch(() => {});
+
+    expect(realAutomation.handleAutomationCommand).not.toHaveBeenCalled();
+  });
+
+  test('should accept additional backends', async () => {
+    const custom = {
+      handleAutomationCommand: jest.fn().mockResolvedValue({ status: 'success' }),
+      createSession: jest.fn().mockResolvedValue({ sessionId: 'remote-1' }),
+      listSessions: jest.fn().mockReturnValue({ sessions: [] }),
+      closeSession: jest.fn()
+    };
+    registerBackend('remote', () => custom);
+
+    const session = await createSession({ backend: 'remote' });
+    await handleAutomationCommand('navigate', { url: 'https://example.com', sessionId: session.sessionId });
+
+    expect(listBackends()).toEqual(['real', 'mock', 'remote']);
+    expect(custom.handleAutomationCommand).toHaveBeenCalled();
+  });
+
+  test('should reject unknown backends', async () => {
+    await expect(createSession({ backend: 'selenium' })).rejects.toThrow('Unknown automation backend');
+  });
+});
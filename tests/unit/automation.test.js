@@ -1,5 +1,15 @@
 const { handleAutomationCommand, cleanup } = require('../../src/core/automation');
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
 const { selfHeal } = require('../../src/core/self-healing');
+const {
+  ElementRepository,
+  FileElementStore,
+  getElementRepository,
+  setElementRepository
+} = require('../../src/core/element-repository');
+const { HealingLog, FileHealingEventStore, getHealingLog, setHealingLog } = require('../../src/core/healing-log');
 
 // Mock dependencies
 jest.mock('../../src/utils/logger', () => ({
@@ -16,16 +26,34 @@ jest.mock('playwright', () => {
   // Mock elements
   const mockElement = {
     screenshot: jest.fn().mockResolvedValue(Buffer.from('mock-screenshot')),
-    boundingBox: jest.fn().mockResolvedValue({ x: 10, y: 10, width: 100, height: 30 })
+    boundingBox: jest.fn().mockResolvedValue({ x: 10, y: 10, width: 100, height: 30 }),
+    evaluate: jest.fn().mockResolvedValue(['#alt-1', '.alt-2'])
+  };
+  
+  // Mock iframe
+  const mockFrame = {
+    name: jest.fn().mockReturnValue('checkout'),
+    url: jest.fn().mockReturnValue('https://pay.example.com/checkout'),
+    click: jest.fn().mockResolvedValue(undefined),
+    $: jest.fn().mockResolvedValue(mockElement)
   };
   
   // Mock page
   const mockPage = {
+    frames: jest.fn().mockReturnValue([mockFrame]),
     goto: jest.fn().mockResolvedValue(undefined),
     url: jest.fn().mockReturnValue('https://example.com'),
     click: jest.fn().mockResolvedValue(undefined),
     fill: jest.fn().mockResolvedValue(undefined),
     selectOption: jest.fn().mockResolvedValue(undefined),
+    hover: jest.fn().mockResolvedValue(undefined),
+    dblclick: jest.fn().mockResolvedValue(undefined),
+    press: jest.fn().mockResolvedValue(undefined),
+    keyboard: { press: jest.fn().mockResolvedValue(undefined) },
+    dragAndDrop: jest.fn().mockResolvedValue(undefined),
+    setInputFiles: jest.fn().mockResolvedValue(undefined),
+    setChecked: jest.fn().mockResolvedValue(undefined),
+    waitForSelector: jest.fn().mockResolvedValue(undefined),
     textContent: jest.fn().mockResolvedValue('mock text content'),
     innerText: jest.fn().mockResolvedValue('mock inner text'),
     getAttribute: jest.fn().mockResolvedValue('mock attribute'),
@@ -64,26 +92,46 @@ jest.mock('../../src/core/self-healing', () => ({
 }));
 
 describe('Automation Core with Playwright', () => {
+  // Every result reports the page the command ran against
+  const activePage = { index: 0, url: 'https://example.com' };
+  let directory;
+  
+  beforeAll(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uniauto-elements-'));
+    setElementRepository(new ElementRepository(new FileElementStore(path.join(directory, 'elements.json'))));
+    setHealingLog(new HealingLog(new FileHealingEventStore(path.join(directory, 'healing-events.json'))));
+  });
+  
   afterEach(() => {
     jest.clearAllMocks();
   });
   
   afterAll(async () => {
     await cleanup();
+    setElementRepository(null);
+    setHealingLog(null);
+    fs.rmSync(directory, { recursive: true, force: true });
   });
   
   test('should navigate to URL successfully', async () => {
     const result = await handleAutomationCommand('navigate', { url: 'https://example.com' });
     
     // Verify Playwright's goto was called with correct params
-    expect(result).toEqual({ status: 'success', url: 'https://example.com' });
+    expect(result).toEqual({ status: 'success', url: 'https://example.com', page: activePage });
   });
   
   test('should click on element successfully', async () => {
     const result = await handleAutomationCommand('click', { selector: '#submit-button' });
     
     // Verify Playwright's click was called
-    expect(result).toEqual({ status: 'success', selector: '#submit-button' });
+    expect(result).toEqual({ status: 'success', selector: '#submit-button', page: activePage });
+  });
+  
+  test('should capture clicked elements in the shared repository', async () => {
+    await handleAutomationCommand('click', { selector: '#submit-button' });
+    
+    const captured = await getElementRepository().getElementData('#submit-button', 'https://example.com/?tab=1');
+    expect(captured).toMatchObject({ url: 'https://example.com/', selector: '#submit-button', alternativeSelectors: ['#alt-1', '.alt-2'] });
   });
   
   test('should type text successfully', async () => {
@@ -94,7 +142,7 @@ describe('Automation Core with Playwright', () => {
     });
     
     // Verify Playwright's fill was called
-    expect(result).toEqual({ status: 'success', selector: '#username', textLength: 8 });
+    expect(result).toEqual({ status: 'success', selector: '#username', textLength: 8, page: activePage });
   });
   
   test('should handle errors and attempt self-healing', async () => {
@@ -105,15 +153,89 @@ describe('Automation Core with Playwright', () => {
     });
     
     // Mock self-healing to return a fixed selector
-    selfHeal.mockResolvedValueOnce('role=button[name="Submit"]');
+    const healing = { selector: 'role=button[name="Submit"]', strategy: 'fingerprint', confidence: 0.91, breakdown: { tag: 1, text: 1 } };
+    selfHeal.mockResolvedValueOnce(healing);
     
     const result = await handleAutomationCommand('click', { selector: '#broken-button' });
     
     // Should have called selfHeal
     expect(selfHeal).toHaveBeenCalledWith('#broken-button', expect.anything());
     
-    // Should have returned success with the fixed selector
-    expect(result).toEqual({ status: 'success', selector: 'role=button[name="Submit"]' });
+    // Should have returned success with the fixed selector and how it was found
+    expect(result).toEqual({
+      status: 'success',
+      selector: 'role=button[name="Submit"]',
+      page: activePage,
+      healing: { originalSelector: '#broken-button', ...healing }
+    });
+    
+    // Should have logged the heal with a screenshot of the page
+    const [event] = await getHealingLog().listEvents({ selector: '#broken-button' });
+    expect(event).toMatchObject({ command: 'click', url: 'https://example.com', selector: 'role=button[name="Submit"]', strategy: 'fingerprint', confidence: 0.91, hasScreenshot: true });
+  });
+  
+  test('should run rich interactions through Playwright', async () => {
+    const page = await require('playwright').chromium.launch().then(b => b.newContext()).then(c => c.newPage());
+    
+    await handleAutomationCommand('right_click', { selector: '#row' });
+    await handleAutomationCommand('press_key', { key: 'Control+Shift+A' });
+    await handleAutomationCommand('drag_and_drop', { selector: '#card', target: '#done' });
+    const upload = await handleAutomationCommand('upload_file', { selector: '#file', files: 'report.pdf' });
+    const uncheck = await handleAutomationCommand('uncheck', { selector: '#terms' });
+    
+    expect(page.click).toHaveBeenCalledWith('#row', expect.objectContaining({ button: 'right' }));
+    expect(page.keyboard.press).toHaveBeenCalledWith('Control+Shift+A');
+    expect(page.dragAndDrop).toHaveBeenCalledWith('#card', '#done', expect.any(Object));
+    expect(page.setInputFiles).toHaveBeenCalledWith('#file', ['report.pdf'], expect.any(Object));
+    expect(upload).toEqual({ status: 'success', selector: '#file', files: 1, page: activePage });
+    expect(uncheck).toEqual({ status: 'success', selector: '#terms', checked: false, page: activePage });
+  });
+  
+  test('should self-heal interactions like clicks', async () => {
+    const page = await require('playwright').chromium.launch().then(b => b.newContext()).then(c => c.newPage());
+    page.hover.mockRejectedValueOnce(new Error('Timeout 10000ms exceeded waiting for selector "#menu"'));
+    selfHeal.mockResolvedValueOnce({ selector: 'role=menu', strategy: 'role', confidence: null, breakdown: null });
+    
+    const result = await handleAutomationCommand('hover', { selector: '#menu' });
+    
+    expect(page.hover).toHaveBeenLastCalledWith('role=menu', expect.any(Object));
+    expect(result).toMatchObject({ status: 'success', selector: 'role=menu', page: activePage, healing: { originalSelector: '#menu', strategy: 'role' } });
+  });
+  
+  test('should navigate with the requested waitUntil', async () => {
+    const page = await require('playwright').chromium.launch().then(b => b.newContext()).then(c => c.newPage());
+    
+    await handleAutomationCommand('navigate', { url: 'https://example.com', waitUntil: 'domcontentloaded' });
+    
+    expect(page.goto).toHaveBeenCalledWith('https://example.com', { waitUntil: 'domcontentloaded' });
+    await expect(handleAutomationCommand('navigate', { url: 'https://example.com', waitUntil: 'idle' })).rejects.toThrow('waitUntil must be one of');
+  });
+  
+  test('should report wait timeouts without self-healing', async () => {
+    const page = await require('playwright').chromium.launch().then(b => b.newContext()).then(c => c.newPage());
+    const timeout = Object.assign(new Error('Timeout 500ms exceeded.'), { name: 'TimeoutError' });
+    page.waitForSelector.mockRejectedValueOnce(timeout);
+    
+    await expect(handleAutomationCommand('wait_for_selector', { selector: '#toast', state: 'hidden', timeout: 500 })).rejects.toMatchObject({
+      name: 'WaitTimeoutError',
+      message: 'wait_for_selector timed out waiting for "#toast" to be hidden (timeout 500ms)'
+    });
+    expect(page.waitForSelector).toHaveBeenCalledWith('#toast', { state: 'hidden', timeout: 500 });
+    expect(selfHeal).not.toHaveBeenCalled();
+  });
+  
+  test('should run element commands inside the requested frame', async () => {
+    const page = await require('playwright').chromium.launch().then(b => b.newContext()).then(c => c.newPage());
+    const [frame] = page.frames();
+    
+    const result = await handleAutomationCommand('click', { selector: '#pay', frame: { url: 'pay.example.com' } });
+    
+    expect(frame.click).toHaveBeenCalledWith('#pay', expect.any(Object));
+    expect(page.click).not.toHaveBeenCalled();
+    expect(result).toEqual({ status: 'success', selector: '#pay', page: activePage });
+    await expect(handleAutomationCommand('click', { selector: '#pay', frame: 'ads', options: { timeout: 10 } }))
+      .rejects.toMatchObject({ name: 'FrameNotFoundError' });
+    expect(selfHeal).not.toHaveBeenCalled();
   });
   
   test('should extract data successfully', async () => {
@@ -125,7 +247,8 @@ describe('Automation Core with Playwright', () => {
     expect(result).toEqual({ 
       status: 'success', 
       selector: '.content', 
-      data: 'mock text content' 
+      data: 'mock text content',
+      page: activePage
     });
   });
   
@@ -134,7 +257,8 @@ describe('Automation Core with Playwright', () => {
     
     expect(result).toEqual({ 
       status: 'success', 
-      path: './public/screenshots/test.png' 
+      path: './public/screenshots/test.png',
+      page: activePage
     });
   });
 });
\ No newline at end of file
@@ -0,0 +1,66 @@
+const { resolveEngine, getLaunchOptions, getContextOptions, launchBrowser } = require('../../src/core/browser-launcher');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+// Mock Playwright
+jest.mock('playwright', () => {
+  const launcher = () => ({ launch: jest.fn().mockResolvedValue({ close: jest.fn() }) });
+
+  return {
+    chromium: launcher(),
+    firefox: launcher(),
+    webkit: launcher(),
+    devices: {
+      'iPhone 13': {
+        viewport: { width: 390, height: 664 },
+        userAgent: 'iPhone',
+        isMobile: true,
+        hasTouch: true,
+        defaultBrowserType: 'webkit'
+      }
+    }
+  };
+});
+
+describe('Browser Launcher', () => {
+  test('should default to the configured engine and reject unknown ones', () => {
+    expect(resolveEngine()).toBe('chromium');
+    expect(resolveEngine('webkit')).toBe('webkit');
+    expect(() => resolveEngine('netscape')).toThrow('Unsupported browser engine');
+  });
+
+  test('should let launch overrides take precedence over config', () => {
+    expect(getLaunchOptions({ headless: true, slowMo: 0 })).toEqual({ headless: true });
+  });
+
+  test('should build context options from a device descriptor', () => {
+    const options = getContextOptions({ device: 'iPhone 13', locale: 'en-GB', timezone: 'Europe/London' });
+
+    expect(options).toEqual({
+      viewport: { width: 390, height: 664 },
+      userAgent: 'iPhone',
+      isMobile: true,
+      hasTouch: true,
+      locale: 'en-GB',
+      timezoneId: 'Europe/London'
+    });
+    expect(() => getContextOptions({ device: 'Nokia 3310' })).toThrow('Unknown device');
+  });
+
+  test('should launch the requested engine', async () => {
+    const playwright = require('playwright');
+
+    await launchBrowser('firefox', { headless: true });
+
+    expect(playwright.firefox.launch).toHaveBeenCalledWith(expect.objectContaining({ headless: true }));
+    expect(playwright.chromium.launch).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,61 @@
+const path = require('path');
+const { loadConfig, parseFlags, ConfigError, SELF_HEALING_STRATEGIES } = require('../../src/utils/config');
+
+const CONFIG_PATH = path.join(__dirname, '../../config/uniauto-config.json');
+
+describe('Configuration Loader', () => {
+  test('should fill in defaults when no file, environment or flags are given', () => {
+    const config = loadConfig({ configPath: CONFIG_PATH, env: {} });
+
+    expect(config.server).toEqual({ port: 3000, host: 'localhost' });
+    expect(config.automation.browser).toBe('chromium');
+    expect(config.automation.backend).toBe('real');
+    expect(config.selfHealing.strategies).toEqual(SELF_HEALING_STRATEGIES);
+    expect(config.ai.apiKey).toBeUndefined();
+  });
+
+  test('should let environment variables override the file and flags override both', () => {
+    const config = loadConfig({
+      configPath: CONFIG_PATH,
+      env: { PORT: '4000', HEADLESS: 'true', SLOW_MO: '10', CLAUDE_API_KEY: 'secret' },
+      argv: ['--port', '5000', '--browser=firefox', '--self-healing-strategies', 'text,role']
+    });
+
+    expect(config.server.port).toBe(5000);
+    expect(config.automation.headless).toBe(true);
+    expect(config.automation.slowMo).toBe(10);
+    expect(config.automation.browser).toBe('firefox');
+    expect(config.selfHealing.strategies).toEqual(['text', 'role']);
+    expect(config.ai.apiKey).toBe('secret');
+  });
+
+  test('should reject invalid values with field-level details', () => {
+    expect.assertions(2);
+    try {
+      loadConfig({ configPath: CONFIG_PATH, env: { PORT: 'abc', SELF_HEALING_STRATEGIES: 'repository,magic' } });
+    } catch (error) {
+      expect(error).toBeInstanceOf(ConfigError);
+      expect(error.details.map(detail => detail.field)).toEqual(['server.port', 'selfHealing.strategies.1']);
+    }
+  });
+
+  test('should only accept a configured environment profile', () => {
+    const examplePath = path.join(__dirname, '../../config/uniauto-config.example.json');
+
+    expect(loadConfig({ configPath: examplePath, env: { UNIAUTO_PROFILE: 'staging' } }).profile).toBe('staging');
+    expect(() => loadConfig({ configPath: examplePath, env: {}, argv: ['--profile', 'production'] })).toThrow(ConfigError);
+  });
+
+  test('should require an explicitly named config file to exist', () => {
+    expect(() => loadConfig({ configPath: '/nonexistent/uniauto.json', env: {} })).toThrow(ConfigError);
+  });
+
+  test('should parse boolean and negated flags', () => {
+    expect(parseFlags(['--stdio', '--no-self-healing', '--headless', '--port', '80'])).toEqual({
+      stdio: 'true',
+      'self-healing': 'false',
+      headless: 'true',
+      port: '80'
+    });
+  });
+});
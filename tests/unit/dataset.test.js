@@ -0,0 +1,40 @@
+const { parseDataset, parseCsv, DatasetError } = require('../../src/core/dataset');
+
+describe('Dataset', () => {
+  test('should parse CSV with a header row', () => {
+    const rows = parseCsv('username,password\r\nalice,secret\r\n\r\nbob,hunter2\r\n');
+
+    expect(rows).toEqual([
+      { username: 'alice', password: 'secret' },
+      { username: 'bob', password: 'hunter2' }
+    ]);
+  });
+
+  test('should handle quoted fields with commas, quotes and line breaks', () => {
+    const rows = parseCsv('\uFEFFname,note\n"Smith, Jane","She said ""hi""\nthen left"\nplain,\n');
+
+    expect(rows).toEqual([
+      { name: 'Smith, Jane', note: 'She said "hi"\nthen left' },
+      { name: 'plain', note: '' }
+    ]);
+  });
+
+  test('should reject malformed CSV', () => {
+    expect(() => parseCsv('a,b\n1,2,3')).toThrow('CSV row 1 has 3 field(s), expected 2');
+    expect(() => parseCsv('a,a\n1,2')).toThrow('duplicate column: a');
+    expect(() => parseCsv('a\n"open')).toThrow(DatasetError);
+  });
+
+  test('should accept JSON rows as text or arrays', () => {
+    expect(parseDataset('[{"user":{"email":"a@example.com"}}]')).toEqual([{ user: { email: 'a@example.com' } }]);
+    expect(parseDataset([{ id: 1 }])).toEqual([{ id: 1 }]);
+    expect(parseDataset('id\n7', 'csv')).toEqual([{ id: '7' }]);
+  });
+
+  test('should reject input that is not a list of rows', () => {
+    expect(() => parseDataset({ id: 1 })).toThrow('Dataset must be an array of rows');
+    expect(() => parseDataset([{ id: 1 }, 'two'])).toThrow('Dataset row 2 must be an object');
+    expect(() => parseDataset('{oops')).toThrow(DatasetError);
+    expect(() => parseDataset('[]', 'xml')).toThrow('Unknown dataset format: xml');
+  });
+});
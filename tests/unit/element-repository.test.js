@@ -0,0 +1,152 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const {
+  ElementRepository,
+  FileElementStore,
+  MongoElementStore,
+  createElementRepository,
+  urlPattern
+} = require('../../src/core/element-repository');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+function createPage(url) {
+  const element = {
+    evaluate: jest.fn()
+      .mockResolvedValueOnce(['#submit', 'button#submit'])
+      .mockResolvedValueOnce('Sign in'),
+    screenshot: jest.fn().mockResolvedValue(Buffer.from('element-image')),
+    boundingBox: jest.fn().mockResolvedValue({ x: 10, y: 20, width: 80, height: 30 })
+  };
+  return { url: () => url, $: jest.fn().mockResolvedValue(element) };
+}
+
+describe('Element Repository', () => {
+  let directory;
+  let filePath;
+  let repository;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uniauto-elements-'));
+    filePath = path.join(directory, 'nested', 'elements.json');
+    repository = new ElementRepository(new FileElementStore(filePath));
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should capture elements and keep them across restarts', async () => {
+    await repository.captureElement('#submit', createPage('https://example.com/login?next=/home'));
+
+    const restarted = new ElementRepository(new FileElementStore(filePath));
+    expect(await restarted.getElementData('#submit', 'https://example.com/login')).toEqual({
+      url: 'https://example.com/login',
+      selector: '#submit',
+      alternativeSelectors: ['#submit', 'button#submit'],
+      image: Buffer.from('element-image').toString('base64'),
+      boundingBox: { x: 10, y: 20, width: 80, height: 30 },
+      nearbyText: 'Sign in',
+      timestamp: expect.any(Number)
+    });
+    expect(await restarted.getAlternativeSelector('#submit', 'https://example.com/login#form')).toBe('#submit');
+    expect(await restarted.getElementSnapshot('#submit', 'https://example.com/login')).toMatchObject({ boundingBox: { width: 80 } });
+  });
+
+  test('should keep screenshots out of the elements file', async () => {
+    await repository.captureElement('#submit', createPage('https://example.com/login'));
+
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain(Buffer.from('element-image').toString('base64'));
+    expect(fs.readdirSync(path.join(directory, 'nested', 'elements-files'))).toHaveLength(1);
+
+    expect(await repository.clearOldEntries(-1)).toBe(1);
+    expect(fs.readdirSync(path.join(directory, 'nested', 'elements-files'))).toEqual([]);
+  });
+
+  test('should keep the same selector apart on different pages', async () => {
+    await repository.captureElement('#submit', createPage('https://example.com/login'));
+
+    expect(await repository.getElementData('#submit', 'https://example.com/signup')).toBeNull();
+    expect(await repository.getAlternativeSelector('#missing', 'https://example.com/login')).toBeNull();
+  });
+
+  test('should share elements between pages with the same URL pattern', () => {
+    expect(urlPattern('https://example.com/orders/42?tab=items#top')).toBe('https://example.com/orders/*');
+    expect(urlPattern('https://example.com/users/3f2504e0-4f89-11d3-9a0c-0305e82c3301/edit')).toBe('https://example.com/users/*/edit');
+    expect(urlPattern('https://example.com/items/65a1f0c2e4b0a1b2c3d4e5f6')).toBe('https://example.com/items/*');
+    expect(urlPattern('https://example.com/products/coffee-beans')).toBe('https://example.com/products/coffee-beans');
+    expect(urlPattern('about:blank')).toBe('about:blank');
+  });
+
+  test('should remove old entries', async () => {
+    await repository.captureElement('#submit', createPage('https://example.com/login'));
+
+    expect(await repository.clearOldEntries(60000)).toBe(0);
+    expect(await repository.clearOldEntries(-1)).toBe(1);
+    expect(await repository.getElementData('#submit', 'https://example.com/login')).toBeNull();
+  });
+
+  test('should prefer a pinned selector, also after the element is captured again', async () => {
+    await repository.captureElement('#submit', createPage('https://example.com/login'));
+    const pinned = await repository.pinSelector('#submit', 'https://example.com/login', '[data-testid="sign-in"]');
+    await repository.captureElement('#submit', createPage('https://example.com/login'));
+
+    expect(pinned.preferredSelector).toBe('[data-testid="sign-in"]');
+    expect(await repository.getAlternativeSelector('#submit', 'https://example.com/login')).toBe('[data-testid="sign-in"]');
+    expect(await repository.pinSelector('#missing', 'https://example.com/login', '#other')).toBeNull();
+
+    await repository.pinSelector('#submit', 'https://example.com/login', null);
+    expect(await repository.getAlternativeSelector('#submit', 'https://example.com/login')).toBe('#submit');
+  });
+
+  test('should list elements per page without their screenshots', async () => {
+    await repository.captureElement('#submit', createPage('https://example.com/login'));
+    await repository.captureElement('#email', createPage('https://example.com/signup'));
+
+    const readImage = jest.spyOn(repository.store.images, 'read');
+
+    const listed = await repository.listElements('https://example.com/login?next=/');
+    expect(listed).toEqual([expect.objectContaining({ url: 'https://example.com/login', selector: '#submit', hasImage: true })]);
+    expect(listed[0]).not.toHaveProperty('image');
+    expect(readImage).not.toHaveBeenCalled();
+    expect((await repository.listElements()).map(element => element.selector)).toEqual(['#submit', '#email']);
+  });
+
+  test('should import exports without replacing newer captures', async () => {
+    await repository.captureElement('#submit', createPage('https://example.com/login'));
+    const exported = await repository.exportElements();
+    const other = new ElementRepository(new FileElementStore(path.join(directory, 'other.json')));
+
+    expect(await other.importElements(exported)).toEqual({ imported: 1, skipped: 0 });
+    expect(await other.getElementData('#submit', 'https://example.com/login')).toEqual(exported.elements[0]);
+
+    const stale = { ...exported.elements[0], timestamp: 1, alternativeSelectors: ['#old'] };
+    expect(await other.importElements({ ...exported, elements: [stale] })).toEqual({ imported: 0, skipped: 1 });
+    expect(await other.getAlternativeSelector('#submit', 'https://example.com/login')).toBe('#submit');
+
+    await expect(other.importElements({ elements: [{ selector: '#x' }] })).rejects.toMatchObject({ name: 'ValidationError' });
+  });
+
+  test('should keep pinned selectors in the MongoDB model', () => {
+    const CapturedElement = require('../../src/models/captured-element');
+    const element = { url: 'https://example.com/login', selector: '#submit', preferredSelector: '[data-testid="sign-in"]' };
+
+    // Updates and imports are cast against the schema, which drops unknown fields
+    expect(CapturedElement.castObject(element)).toEqual(element);
+    expect(new CapturedElement({ url: element.url, selector: element.selector }).preferredSelector).toBeNull();
+  });
+
+  test('should use the test case storage driver', () => {
+    expect(createElementRepository({ driver: 'file', elementsFilePath: filePath }).store).toBeInstanceOf(FileElementStore);
+    expect(createElementRepository({ driver: 'mongodb' }).store).toBeInstanceOf(MongoElementStore);
+  });
+});
@@ -0,0 +1,162 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { scoreFingerprint, findBestMatch, textSimilarity } = require('../../src/core/fingerprint');
+const { selfHeal } = require('../../src/core/self-healing');
+const { ElementRepository, FileElementStore, setElementRepository } = require('../../src/core/element-repository');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+const form = { tag: 'form', id: 'login', classes: [] };
+
+const submit = {
+  tag: 'button',
+  attributes: { id: 'submit', type: 'submit' },
+  classes: ['btn', 'btn-primary'],
+  text: 'Sign in',
+  role: 'button',
+  name: 'Sign in',
+  path: ['html', 'body', 'form', 'button'],
+  siblings: { previous: 'input', next: null, index: 0 },
+  parent: form,
+  position: { x: 100, y: 200, width: 80, height: 30 }
+};
+
+// The same button after a redesign renamed its id
+const renamed = { ...submit, attributes: { id: 'sign-in', type: 'submit' } };
+
+const cancel = {
+  ...submit,
+  attributes: { type: 'button' },
+  classes: ['btn'],
+  text: 'Cancel',
+  name: 'Cancel',
+  siblings: { previous: 'button', next: null, index: 1 },
+  position: { x: 200, y: 200, width: 80, height: 30 }
+};
+
+const forgot = {
+  tag: 'a',
+  attributes: { href: '/forgot' },
+  classes: [],
+  text: 'Forgot password?',
+  role: 'link',
+  name: 'Forgot password?',
+  path: ['html', 'body', 'form', 'a'],
+  siblings: { previous: 'button', next: null, index: 0 },
+  parent: form,
+  position: { x: 100, y: 260, width: 120, height: 20 }
+};
+
+// A page whose elements have the given selectors and fingerprints
+function createPage(elements) {
+  const handles = Object.fromEntries(elements.map(([selector, fingerprint]) => [selector, { evaluate: jest.fn().mockResolvedValue(fingerprint) }]));
+  return {
+    url: () => 'https://example.com/login',
+    $: jest.fn(async selector => handles[selector] || null),
+    $$: jest.fn().mockResolvedValue([]),
+    evaluate: jest.fn(async (fn, target) => target === null
+      ? elements.map(([, fingerprint]) => fingerprint)
+      : elements[target][0])
+  };
+}
+
+describe('Fingerprints', () => {
+  test('should score identical elements 1 on every feature', () => {
+    const { score, breakdown } = scoreFingerprint(submit, submit);
+
+    expect(score).toBe(1);
+    expect(Object.keys(breakdown)).toEqual(['tag', 'attributes', 'text', 'role', 'name', 'path', 'siblings', 'parent', 'position']);
+    expect(Object.values(breakdown).every(value => value === 1)).toBe(true);
+  });
+
+  test('should score a renamed element above similar looking ones', () => {
+    const match = scoreFingerprint(submit, renamed);
+    const other = scoreFingerprint(submit, cancel);
+
+    expect(match.score).toBeGreaterThanOrEqual(0.9);
+    expect(match.breakdown.attributes).toBeCloseTo(0.667, 2);
+    expect(other.score).toBeLessThan(0.5);
+    expect(other.breakdown).toMatchObject({ tag: 1, role: 1, text: 0, name: 0 });
+    expect(findBestMatch(submit, [cancel, forgot, renamed])).toMatchObject({ index: 2, score: match.score });
+  });
+
+  test('should apply the weights', () => {
+    const textOnly = { tag: 0, attributes: 0, text: 1, role: 0, name: 0, path: 0, siblings: 0, parent: 0, position: 0 };
+
+    expect(scoreFingerprint(submit, cancel, textOnly).score).toBe(0);
+    expect(scoreFingerprint(submit, renamed, textOnly).score).toBe(1);
+  });
+
+  test('should leave out features neither element has', () => {
+    const bare = { tag: 'div', attributes: {}, classes: [], text: '', role: '', name: '' };
+
+    expect(scoreFingerprint(bare, { ...bare }).breakdown).toEqual({ tag: 1 });
+  });
+
+  test('should compare text by shared character pairs', () => {
+    expect(textSimilarity('Sign in', 'sign in')).toBe(1);
+    expect(textSimilarity('Sign in', 'Sign in now')).toBeGreaterThan(0.7);
+    expect(textSimilarity('Sign in', 'Cancel')).toBe(0);
+  });
+});
+
+describe('Self-healing with fingerprints', () => {
+  let directory;
+  let repository;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uniauto-elements-'));
+    repository = new ElementRepository(new FileElementStore(path.join(directory, 'elements.json')));
+    setElementRepository(repository);
+    await repository.importElements({
+      version: 1,
+      elements: [{ url: 'https://example.com/login', selector: '#submit', alternativeSelectors: ['.btn'], fingerprint: submit, timestamp: Date.now() }]
+    });
+  });
+
+  afterEach(() => {
+    setElementRepository(null);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should pick the best scoring element on the page', async () => {
+    const page = createPage([['.btn', cancel], ['#sign-in', renamed], ['form > a', forgot]]);
+
+    const healed = await selfHeal('#submit', page);
+
+    expect(healed).toEqual({
+      selector: '#sign-in',
+      strategy: 'fingerprint',
+      confidence: scoreFingerprint(submit, renamed).score,
+      breakdown: scoreFingerprint(submit, renamed).breakdown
+    });
+  });
+
+  test('should reject matches below the confidence threshold', async () => {
+    const page = createPage([['.btn', cancel], ['form > a', forgot]]);
+
+    // The repository strategy finds .btn, but that is the cancel button
+    expect(await selfHeal('#submit', page)).toBeNull();
+    expect(page.$).toHaveBeenCalledWith('.btn');
+  });
+
+  test('should trust a pinned selector and report its score', async () => {
+    await repository.pinSelector('#submit', 'https://example.com/login', '.btn');
+    const page = createPage([['.btn', cancel], ['#sign-in', renamed]]);
+
+    expect(await selfHeal('#submit', page)).toMatchObject({
+      selector: '.btn',
+      strategy: 'pinned',
+      confidence: scoreFingerprint(submit, cancel).score
+    });
+  });
+});
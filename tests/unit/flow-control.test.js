@@ -0,0 +1,233 @@
+// Run steps against the browserless mock backend
+process.env.AUTOMATION_BACKEND = 'mock';
+
+const { runTestCase } = require('../../src/core/test-runner');
+const { loadFixtures, resetFixtures } = require('../../src/core/mock-automation');
+const { getTestCaseRepository } = require('../../src/core/test-case-repository');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+jest.mock('../../src/core/test-case-repository', () => {
+  const repository = { get: jest.fn(), addExecution: jest.fn() };
+  return { getTestCaseRepository: () => repository };
+});
+
+const SHOP_URL = 'https://example.com/shop';
+
+function step(command, parameters, extra = {}) {
+  return { command, parameters, timeout: 10000, retryOnFailure: false, skipIfFailed: false, ...extra };
+}
+
+describe('Flow Control', () => {
+  beforeEach(() => {
+    loadFixtures({
+      pages: {
+        [SHOP_URL]: {
+          title: 'Shop',
+          elements: {
+            '#banner': { text: 'Sale' },
+            '#error': { text: 'Oops', visible: false },
+            '#search': { value: '' },
+            '.product': { items: ['Apple', 'Pear'] },
+            '#checkout': { text: 'Checkout' }
+          }
+        }
+      },
+      failures: [{ command: 'click', selector: '#checkout', message: 'element is detached', times: 1 }]
+    });
+    getTestCaseRepository().get.mockReset();
+  });
+
+  afterEach(() => {
+    resetFixtures();
+  });
+
+  test('if should run the branch matching its condition', async () => {
+    const execution = await runTestCase({
+      name: 'Branches',
+      steps: [
+        step('navigate', { url: SHOP_URL }),
+        step('if', { selector: '#banner' }, { steps: [step('click', { selector: '#banner' })] }),
+        step('if', { selector: '#error' }, {
+          steps: [step('click', { selector: '#error' })],
+          elseSteps: [step('type', { selector: '#search', text: 'no error' })]
+        }),
+        step('if', { assertion: 'assert_title', equals: 'Shop' })
+      ]
+    });
+
+    expect(execution.status).toBe('success');
+    expect(execution.stepResults[1]).toMatchObject({
+      command: 'if',
+      status: 'success',
+      branch: 'then',
+      condition: { assertion: 'assert_visible', passed: true, actual: 'visible' },
+      stepResults: [{ stepIndex: 0, status: 'success' }]
+    });
+    expect(execution.stepResults[2]).toMatchObject({
+      branch: 'else',
+      condition: { passed: false, expected: 'visible', actual: 'hidden' },
+      stepResults: [{ stepIndex: 0, status: 'success' }]
+    });
+    expect(execution.stepResults[3]).toMatchObject({ branch: 'then', stepResults: [] });
+  });
+
+  test('if should fail on a condition that is not an assertion', async () => {
+    const execution = await runTestCase({
+      name: 'Bad condition',
+      steps: [step('if', { assertion: 'click', selector: '#banner' })]
+    });
+
+    expect(execution.status).toBe('failure');
+    expect(execution.stepResults[0].error).toMatch('not click');
+  });
+
+  test('forEach should run its steps once per extracted item', async () => {
+    const execution = await runTestCase({
+      name: 'Products',
+      steps: [
+        step('navigate', { url: SHOP_URL }),
+        step('forEach', { selector: '.product', as: 'product' }, {
+          steps: [
+            step('type', { selector: '#search', text: '${product}' }),
+            step('assert_value', { selector: '#search', equals: '${index}: ${product}' }, { skipIfFailed: true })
+          ]
+        }),
+        step('forEach', { items: '${sizes}' }, {
+          steps: [step('type', { selector: '#search', text: '${item}' })]
+        })
+      ]
+    }, { inputs: { sizes: ['S', 'M', 'L'] } });
+
+    const [, products, sizes] = execution.stepResults;
+    expect(products.iterations.map(iteration => iteration.item)).toEqual(['Apple', 'Pear']);
+    expect(products.iterations[1]).toMatchObject({
+      index: 1,
+      stepResults: [
+        { stepIndex: 0, status: 'success' },
+        { stepIndex: 1, status: 'failure', assertion: { expected: { equals: '1: Pear' }, actual: 'Pear' } }
+      ]
+    });
+    expect(sizes.iterations).toHaveLength(3);
+
+    // The skipped failures inside the loop make the run partial
+    expect(execution.status).toBe('partial');
+  });
+
+  test('forEach should stop at a failing iteration', async () => {
+    const execution = await runTestCase({
+      name: 'Stop',
+      steps: [
+        step('navigate', { url: SHOP_URL }),
+        step('forEach', { items: ['#banner', '#missing', '#checkout'] }, {
+          steps: [step('assert_visible', { selector: '${item}', timeout: 0 })]
+        }),
+        step('click', { selector: '#banner' })
+      ]
+    });
+
+    expect(execution.status).toBe('failure');
+    expect(execution.stepResults[1]).toMatchObject({ status: 'failure', error: 'Iteration 1 failed' });
+    expect(execution.stepResults[1].iterations).toHaveLength(2);
+    expect(execution.stepResults[2]).toEqual({ stepIndex: 2, status: 'skipped' });
+  });
+
+  test('retryBlock should rerun the whole block until it passes', async () => {
+    const execution = await runTestCase({
+      name: 'Flaky checkout',
+      steps: [
+        step('navigate', { url: SHOP_URL }),
+        step('retryBlock', { attempts: 3 }, {
+          steps: [
+            step('type', { selector: '#search', text: 'Apple' }),
+            step('click', { selector: '#checkout' })
+          ]
+        })
+      ]
+    });
+
+    const block = execution.stepResults[1];
+    expect(block.status).toBe('success');
+    expect(block.attempts.map(attempt => attempt.stepResults.map(result => result.status))).toEqual([
+      ['success', 'failure'],
+      ['success', 'success']
+    ]);
+    expect(execution.status).toBe('success');
+  });
+
+  test('retryBlock should fail once its attempts run out', async () => {
+    const execution = await runTestCase({
+      name: 'Broken',
+      steps: [
+        step('navigate', { url: SHOP_URL }),
+        step('retryBlock', { attempts: 2 }, {
+          steps: [step('assert_visible', { selector: '#error', timeout: 0 })]
+        })
+      ]
+    });
+
+    expect(execution.status).toBe('failure');
+    expect(execution.stepResults[1]).toMatchObject({ status: 'failure', error: 'Block failed after 2 attempt(s)' });
+    expect(execution.stepResults[1].attempts).toHaveLength(2);
+  });
+
+  test('callTestCase should run a stored test case with inputs', async () => {
+    getTestCaseRepository().get.mockResolvedValue({
+      _id: 'search-1',
+      name: 'Search',
+      revision: 4,
+      steps: [
+        step('type', { selector: '#search', text: '${term}' }),
+        step('assert_value', { selector: '#search', equals: '${term}' })
+      ]
+    });
+
+    const execution = await runTestCase({
+      _id: 'main-1',
+      name: 'Main',
+      steps: [
+        step('navigate', { url: SHOP_URL }),
+        step('callTestCase', { testCaseId: 'search-1', inputs: { term: '${fruit}' } })
+      ]
+    }, { inputs: { fruit: 'Pear' } });
+
+    expect(getTestCaseRepository().get).toHaveBeenCalledWith('search-1');
+    expect(execution.status).toBe('success');
+    expect(execution.stepResults[1]).toMatchObject({
+      command: 'callTestCase',
+      status: 'success',
+      testCaseId: 'search-1',
+      name: 'Search',
+      revision: 4,
+      stepResults: [{ status: 'success' }, { status: 'success' }]
+    });
+  });
+
+  test('callTestCase should refuse recursive and unknown test cases', async () => {
+    getTestCaseRepository().get.mockImplementation(id => Promise.resolve(id === 'loop-1'
+      ? { _id: 'loop-1', name: 'Loop', steps: [step('callTestCase', { testCaseId: 'main-1' })] }
+      : null));
+
+    const recursive = await runTestCase({
+      _id: 'main-1',
+      name: 'Main',
+      steps: [step('callTestCase', { testCaseId: 'loop-1' })]
+    });
+    const unknown = await runTestCase({
+      name: 'Main',
+      steps: [step('callTestCase', { testCaseId: 'nope' })]
+    });
+
+    expect(recursive.status).toBe('failure');
+    expect(recursive.stepResults[0].stepResults[0].error).toBe('callTestCase would call test case main-1 recursively');
+    expect(unknown.stepResults[0].error).toBe('Test case not found: nope');
+  });
+});
@@ -0,0 +1,62 @@
+const { FrameNotFoundError, normalizeFrame, resolveFrame, usesFrame, pageOf } = require('../../src/core/frames');
+
+function createFrame(name, url, children = {}) {
+  const frame = {
+    name: () => name,
+    url: () => url,
+    page: () => page,
+    waitForSelector: jest.fn(async selector => {
+      if (!(selector in children)) throw new Error(`Timeout waiting for ${selector}`);
+      return { contentFrame: async () => children[selector] };
+    })
+  };
+  return frame;
+}
+
+const card = createFrame('card', 'https://js.payments.example/card');
+const payment = createFrame('payment', 'https://example.com/payment', { 'iframe.card': card, '#label': null });
+const page = {
+  frames: () => [main, payment, card],
+  waitForSelector: jest.fn(async selector => {
+    if (selector !== '#payment') throw new Error(`Timeout waiting for ${selector}`);
+    return { contentFrame: async () => payment };
+  })
+};
+const main = createFrame('', 'https://example.com/checkout');
+
+describe('Frames', () => {
+  test('should normalize every form of the frame parameter', () => {
+    expect(normalizeFrame('checkout')).toEqual({ name: 'checkout' });
+    expect(normalizeFrame(['#outer', 'iframe'])).toEqual({ selector: ['#outer', 'iframe'] });
+    expect(normalizeFrame({ url: 'stripe.com' })).toEqual({ url: 'stripe.com' });
+    expect(normalizeFrame({ selector: '#payment' })).toEqual({ selector: ['#payment'] });
+
+    expect(() => normalizeFrame({ name: 'a', url: 'b' })).toThrow('frame must be');
+    expect(() => normalizeFrame([])).toThrow('frame must be');
+    expect(() => normalizeFrame(42)).toThrow('frame must be');
+  });
+
+  test('should find frames by name, URL and selector chain', async () => {
+    await expect(resolveFrame(page, 'payment')).resolves.toBe(payment);
+    await expect(resolveFrame(page, { url: 'js.payments' })).resolves.toBe(card);
+    await expect(resolveFrame(page, ['#payment', 'iframe.card'])).resolves.toBe(card);
+  });
+
+  test('should fail with a FrameNotFoundError once the timeout runs out', async () => {
+    await expect(resolveFrame(page, 'missing', { timeout: 20 })).rejects.toThrow(new FrameNotFoundError({ name: 'missing' }));
+    await expect(resolveFrame(page, ['#payment', '#nope'])).rejects.toThrow('Frame not found: #payment >> #nope (no element matches #nope)');
+    await expect(resolveFrame(page, ['#payment', '#label'])).rejects.toThrow('#label is not an iframe');
+  });
+
+  test('should only scope element commands to frames', () => {
+    expect(usesFrame('click')).toBe(true);
+    expect(usesFrame('assert_text')).toBe(true);
+    expect(usesFrame('navigate')).toBe(false);
+    expect(usesFrame('screenshot')).toBe(false);
+  });
+
+  test('should find the page a frame belongs to', () => {
+    expect(pageOf(card)).toBe(page);
+    expect(pageOf(page)).toBe(page);
+  });
+});
@@ -0,0 +1,260 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const {
+  HealingLog,
+  FileHealingEventStore,
+  MongoHealingEventStore,
+  InvalidTestPathError,
+  createHealingLog
+} = require('../../src/core/healing-log');
+const { FileTestCaseRepository, setTestCaseRepository } = require('../../src/core/test-case-repository');
+const { loadConfig } = require('../../src/utils/config');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+function createPage(url) {
+  return {
+    url: () => url,
+    screenshot: jest.fn().mockResolvedValue(Buffer.from('page-image'))
+  };
+}
+
+function navigate(url) {
+  return { command: 'navigate', parameters: { url } };
+}
+
+function click(selector) {
+  return { command: 'click', parameters: { selector } };
+}
+
+const healing = {
+  originalSelector: '#submit',
+  selector: '[data-testid="sign-in"]',
+  strategy: 'fingerprint',
+  confidence: 0.9,
+  breakdown: { tag: 1, text: 1 }
+};
+
+describe('Healing Log', () => {
+  let directory;
+  let filePath;
+  let log;
+  let testCases;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uniauto-healing-'));
+    filePath = path.join(directory, 'healing-events.json');
+    log = new HealingLog(new FileHealingEventStore(filePath), { testsDir: directory });
+    testCases = new FileTestCaseRepository(path.join(directory, 'test-cases.json'));
+    setTestCaseRepository(testCases);
+  });
+
+  afterEach(() => {
+    setTestCaseRepository(null);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should record heals and keep them across restarts', async () => {
+    const event = await log.recordHealing('click', healing, createPage('https://example.com/orders/42?tab=1'));
+
+    expect(event).toEqual({
+      _id: expect.any(String),
+      url: 'https://example.com/orders/42?tab=1',
+      urlPattern: 'https://example.com/orders/*',
+      command: 'click',
+      ...healing,
+      hasScreenshot: true,
+      status: 'pending',
+      timestamp: expect.any(Number)
+    });
+
+    const restarted = new HealingLog(new FileHealingEventStore(filePath));
+    const listed = await restarted.listEvents({ url: 'https://example.com/orders/43' });
+    expect(listed).toEqual([expect.objectContaining({ _id: event._id, hasScreenshot: true })]);
+    expect(listed[0]).not.toHaveProperty('screenshot');
+    expect(await restarted.getEvent(event._id)).toEqual({ ...event, screenshot: Buffer.from('page-image').toString('base64') });
+    expect(fs.readFileSync(filePath, 'utf8')).not.toContain(Buffer.from('page-image').toString('base64'));
+  });
+
+  test('should record heals without a screenshot and never throw', async () => {
+    const page = createPage('https://example.com/login');
+    page.screenshot.mockRejectedValue(new Error('Target closed'));
+
+    const event = await log.recordHealing('click', healing, page);
+    expect(event).toMatchObject({ hasScreenshot: false, strategy: 'fingerprint' });
+    expect((await log.getEvent(event._id)).screenshot).toBeNull();
+    expect(await log.recordHealing('click', healing, { url: () => { throw new Error('Page closed'); } })).toBeNull();
+  });
+
+  test('should only keep the newest events', async () => {
+    log = new HealingLog(new FileHealingEventStore(filePath), { maxEvents: 2 });
+    // Events recorded in the same millisecond are still kept newest first
+    jest.spyOn(Date, 'now').mockReturnValue(1700000000000);
+    const oldest = await log.recordHealing('click', healing, createPage('https://example.com/login'));
+    await log.recordHealing('type', healing, createPage('https://example.com/login'));
+    await log.recordHealing('hover', healing, createPage('https://example.com/login'));
+
+    expect((await log.listEvents()).map(event => event.command).sort()).toEqual(['hover', 'type']);
+    expect(await log.getEvent(oldest._id)).toBeNull();
+    expect(fs.readdirSync(path.join(directory, 'healing-events-files'))).toHaveLength(2);
+    Date.now.mockRestore();
+  });
+
+  test('should filter events', async () => {
+    await log.recordHealing('click', healing, createPage('https://example.com/login'));
+    await log.recordHealing('type', { ...healing, originalSelector: '#email', strategy: 'role' }, createPage('https://example.com/login'));
+
+    expect((await log.listEvents({ selector: '#email' })).map(event => event.command)).toEqual(['type']);
+    expect((await log.listEvents({ strategy: 'fingerprint' })).map(event => event.command)).toEqual(['click']);
+    expect(await log.listEvents({ since: Date.now() + 60000 })).toEqual([]);
+    expect(await log.listEvents({ limit: 1 })).toHaveLength(1);
+  });
+
+  test('should suggest fixes for recurring heals', async () => {
+    const login = await testCases.create({ name: 'Login', steps: [navigate('https://example.com/login'), click('#submit')] });
+    await testCases.create({ name: 'Search', steps: [navigate('https://example.com/login'), click('#search')] });
+    await testCases.create({ name: 'Signup', steps: [navigate('https://example.com/signup'), click('#submit')] });
+    await log.recordHealing('click', healing, createPage('https://example.com/login'));
+    await log.recordHealing('click', { ...healing, confidence: 0.8 }, createPage('https://example.com/login?next=/'));
+    await log.recordHealing('click', { ...healing, originalSelector: '#cancel' }, createPage('https://example.com/login'));
+
+    expect(await log.suggestFixes()).toEqual([{
+      url: 'https://example.com/login',
+      originalSelector: '#submit',
+      selector: '[data-testid="sign-in"]',
+      occurrences: 2,
+      strategies: ['fingerprint'],
+      averageConfidence: 0.85,
+      firstSeen: expect.any(Number),
+      lastSeen: expect.any(Number),
+      testCases: [{ _id: login._id, name: 'Login' }]
+    }]);
+    expect(await log.suggestFixes({ minOccurrences: 1 })).toHaveLength(2);
+    expect(await log.suggestFixes({ url: 'https://example.com/signup' })).toEqual([]);
+  });
+
+  test('should rewrite test cases and generated tests when a fix is approved', async () => {
+    const login = await testCases.create({
+      name: 'Login',
+      steps: [
+        navigate('https://example.com/login?next=/'),
+        click('#submit'),
+        { command: 'if', parameters: { condition: { command: 'assert_visible', selector: '#banner' } }, steps: [click('#submit')] }
+      ]
+    });
+    const signup = await testCases.create({ name: 'Signup', steps: [navigate('https://example.com/signup'), click('#submit')] });
+    const generated = path.join(fs.realpathSync(directory), 'generated');
+    fs.mkdirSync(path.join(generated, 'node_modules'), { recursive: true });
+    fs.writeFileSync(path.join(generated, 'login.spec.js'), 'await page.click(\'#submit\');\nawait page.click("#submit-form");\n');
+    fs.writeFileSync(path.join(generated, 'node_modules', 'vendor.js'), 'click(\'#submit\');\n');
+    await log.recordHealing('click', healing, createPage('https://example.com/login'));
+    await log.recordHealing('click', healing, createPage('https://example.com/login'));
+
+    const result = await log.approveFix(
+      { url: 'https://example.com/login', originalSelector: '#submit', selector: healing.selector, paths: [generated] },
+      { author: 'reviewer' }
+    );
+
+    expect(result).toEqual({
+      events: 2,
+      testCases: [{ _id: login._id, name: 'Login', replacements: 2 }],
+      files: [{ path: path.join(generated, 'login.spec.js'), replacements: 1 }]
+    });
+    const updated = await testCases.get(login._id);
+    expect(updated.steps[1].parameters.selector).toBe('[data-testid="sign-in"]');
+    expect(updated.steps[2].steps[0].parameters.selector).toBe('[data-testid="sign-in"]');
+    expect((await testCases.get(signup._id)).steps[1].parameters.selector).toBe('#submit');
+    expect((await testCases.listRevisions(login._id))[0]).toMatchObject({ revision: 2, author: 'reviewer' });
+    expect(fs.readFileSync(path.join(generated, 'login.spec.js'), 'utf8')).toBe('await page.click(\'[data-testid="sign-in"]\');\nawait page.click("#submit-form");\n');
+    expect(fs.readFileSync(path.join(generated, 'node_modules', 'vendor.js'), 'utf8')).toBe('click(\'#submit\');\n');
+    expect(await log.suggestFixes()).toEqual([]);
+    expect(await log.listEvents({ status: 'approved' })).toHaveLength(2);
+  });
+
+  test('should resolve placeholders in navigated URLs with the active profile', async () => {
+    loadConfig({ configPath: path.join(__dirname, '../../config/uniauto-config.example.json'), env: {} });
+    try {
+      const login = await testCases.create({ name: 'Login', steps: [navigate('${baseUrl}/login'), click('#submit')] });
+      await log.recordHealing('click', healing, createPage('http://localhost:8080/login'));
+
+      const result = await log.approveFix({ url: 'http://localhost:8080/login', originalSelector: '#submit', selector: healing.selector });
+
+      expect(result.testCases).toEqual([{ _id: login._id, name: 'Login', replacements: 1 }]);
+    } finally {
+      loadConfig({ env: {} });
+    }
+  });
+
+  test('should rewrite the test cases named in the approval instead', async () => {
+    const login = await testCases.create({ name: 'Login', steps: [navigate('https://example.com/login'), click('#submit')] });
+    const suiteCase = await testCases.create({ name: 'Login in a suite', steps: [click('#submit')] });
+    await log.recordHealing('click', healing, createPage('https://example.com/login'));
+
+    const result = await log.approveFix({ url: 'https://example.com/login', originalSelector: '#submit', selector: healing.selector, testCaseIds: [suiteCase._id] });
+
+    expect(result.testCases).toEqual([{ _id: suiteCase._id, name: 'Login in a suite', replacements: 1 }]);
+    expect((await testCases.get(login._id)).steps[1].parameters.selector).toBe('#submit');
+  });
+
+  test('should escape quotes in rewritten string literals', async () => {
+    const file = path.join(directory, 'login.spec.js');
+    fs.writeFileSync(file, 'await page.click("#submit");\n');
+    await log.recordHealing('click', { ...healing, selector: 'role=button[name="Sign in"]' }, createPage('https://example.com/login'));
+
+    const result = await log.approveFix({ url: 'https://example.com/login', originalSelector: '#submit', selector: 'role=button[name="Sign in"]' });
+
+    expect(result.files).toEqual([{ path: path.join(fs.realpathSync(directory), 'login.spec.js'), replacements: 1 }]);
+    expect(fs.readFileSync(file, 'utf8')).toBe('await page.click("role=button[name=\\"Sign in\\"]");\n');
+  });
+
+  test('should rewrite no files when the tests directory does not exist', async () => {
+    log = new HealingLog(new FileHealingEventStore(filePath), { testsDir: path.join(directory, 'missing') });
+    await log.recordHealing('click', healing, createPage('https://example.com/login'));
+
+    expect((await log.approveFix({ url: 'https://example.com/login', originalSelector: '#submit', selector: healing.selector })).files).toEqual([]);
+  });
+
+  test('should only approve fixes that were healed and check the paths first', async () => {
+    await log.recordHealing('click', healing, createPage('https://example.com/login'));
+
+    expect(await log.approveFix({ url: 'https://example.com/login', originalSelector: '#submit', selector: '#other' })).toBeNull();
+    await expect(log.approveFix({ ...healing, url: 'https://example.com/login', paths: ['missing'] }))
+      .rejects.toThrow(new InvalidTestPathError('Test file or directory not found: missing'));
+    expect(await log.listEvents({ status: 'pending' })).toHaveLength(1);
+  });
+
+  test('should only rewrite test files inside the tests directory', async () => {
+    const fix = { url: 'https://example.com/login', originalSelector: '#submit', selector: healing.selector };
+    const outside = fs.mkdtempSync(path.join(os.tmpdir(), 'uniauto-outside-'));
+    fs.writeFileSync(path.join(outside, 'login.spec.js'), 'await page.click(\'#submit\');\n');
+    fs.symlinkSync(outside, path.join(directory, 'linked'));
+    fs.writeFileSync(path.join(directory, 'notes.txt'), '#submit\n');
+    await log.recordHealing('click', healing, createPage('https://example.com/login'));
+
+    try {
+      for (const filePath of [path.join(outside, 'login.spec.js'), `../${path.basename(outside)}/login.spec.js`, 'linked/login.spec.js']) {
+        await expect(log.approveFix({ ...fix, paths: [filePath] })).rejects.toThrow(/outside/);
+      }
+      await expect(log.approveFix({ ...fix, paths: ['notes.txt'] })).rejects.toThrow(new InvalidTestPathError('Not a test file: notes.txt'));
+      expect((await log.approveFix({ ...fix, paths: ['.'] })).files).toEqual([]);
+      expect(fs.readFileSync(path.join(outside, 'login.spec.js'), 'utf8')).toBe('await page.click(\'#submit\');\n');
+    } finally {
+      fs.rmSync(outside, { recursive: true, force: true });
+    }
+  });
+
+  test('should use the test case storage driver', () => {
+    expect(createHealingLog({ driver: 'file', healingFilePath: filePath }).store).toBeInstanceOf(FileHealingEventStore);
+    expect(createHealingLog({ driver: 'file', healingFilePath: filePath, healingMaxEvents: 50 }).maxEvents).toBe(50);
+    expect(createHealingLog({ driver: 'mongodb' }).store).toBeInstanceOf(MongoHealingEventStore);
+  });
+});
@@ -0,0 +1,137 @@
+// Run against the browserless mock backend unless a test picks another
+process.env.AUTOMATION_BACKEND = 'mock';
+
+const { PassThrough } = require('stream');
+const { McpServer, JSON_RPC_ERRORS } = require('../../src/core/mcp-server');
+const { startStdioServer } = require('../../src/core/stdio-transport');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+jest.mock('../../src/core/mock-automation', () => ({
+  handleAutomationCommand: jest.fn().mockImplementation((command, params) => {
+    if (command === 'click' && params.selector === '#missing') {
+      return Promise.reject(new Error('element not found'));
+    }
+    return Promise.resolve({ status: 'success', ...params });
+  })
+}));
+
+describe('MCP Server', () => {
+  let server;
+
+  beforeEach(() => {
+    server = new McpServer({ transport: 'test' });
+  });
+
+  test('should negotiate protocol version on initialize', async () => {
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      id: 1,
+      method: 'initialize',
+      params: { protocolVersion: '2024-11-05', clientInfo: { name: 'jest' } }
+    });
+
+    expect(response.id).toBe(1);
+    expect(response.result.protocolVersion).toBe('2024-11-05');
+    expect(response.result.capabilities.tools).toBeDefined();
+    expect(response.result.serverInfo.name).toBe('uniauto-mcp-server');
+  });
+
+  test('should not respond to notifications', async () => {
+    const response = await server.handleMessage({ jsonrpc: '2.0', method: 'notifications/initialized' });
+
+    expect(response).toBeNull();
+    expect(server.initialized).toBe(true);
+  });
+
+  test('should list tools with JSON Schema input definitions', async () => {
+    const response = await server.handleMessage({ jsonrpc: '2.0', id: 2, method: 'tools/list' });
+    const navigate = response.result.tools.find(tool => tool.name === 'navigate');
+
+    expect(navigate.inputSchema).toEqual(expect.objectContaining({ type: 'object', required: ['url'] }));
+  });
+
+  test('should call a tool and wrap the result in content blocks', async () => {
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      id: 3,
+      method: 'tools/call',
+      params: { name: 'navigate', arguments: { url: 'https://example.com' } }
+    });
+
+    expect(response.result.isError).toBe(false);
+    expect(response.result.structuredContent).toEqual({ status: 'success', url: 'https://example.com' });
+    expect(JSON.parse(response.result.content[0].text).url).toBe('https://example.com');
+  });
+
+  test('should report tool failures as error results', async () => {
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      id: 4,
+      method: 'tools/call',
+      params: { name: 'click', arguments: { selector: '#missing' } }
+    });
+
+    expect(response.result.isError).toBe(true);
+    expect(response.result.content[0].text).toContain('element not found');
+  });
+
+  test('should return JSON-RPC errors for unknown methods and tools', async () => {
+    const unknownMethod = await server.handleMessage({ jsonrpc: '2.0', id: 5, method: 'resources/list' });
+    const unknownTool = await server.handleMessage({
+      jsonrpc: '2.0',
+      id: 6,
+      method: 'tools/call',
+      params: { name: 'fly' }
+    });
+
+    expect(unknownMethod.error.code).toBe(JSON_RPC_ERRORS.METHOD_NOT_FOUND);
+    expect(unknownTool.error.code).toBe(JSON_RPC_ERRORS.INVALID_PARAMS);
+  });
+
+  test('should reject invalid tool arguments with field-level errors', async () => {
+    const response = await server.handleMessage({
+      jsonrpc: '2.0',
+      id: 8,
+      method: 'tools/call',
+      params: { name: 'navigate', arguments: { url: 42 } }
+    });
+
+    expect(response.error.code).toBe(JSON_RPC_ERRORS.INVALID_PARAMS);
+    expect(response.error.data.errors[0].field).toBe('url');
+  });
+
+  test('should reject malformed messages', async () => {
+    const response = await server.handleMessage({ id: 7, method: 'ping' });
+
+    expect(response.error.code).toBe(JSON_RPC_ERRORS.INVALID_REQUEST);
+  });
+});
+
+describe('Stdio Transport', () => {
+  test('should exchange newline-delimited JSON-RPC messages', async () => {
+    const input = new PassThrough();
+    const output = new PassThrough();
+    const lines = [];
+    output.on('data', chunk => lines.push(...chunk.toString().split('\n').filter(Boolean)));
+
+    const { closed } = startStdioServer({ input, output });
+
+    input.write('{"jsonrpc":"2.0","id":1,"method":"ping"}\n');
+    input.write('not json\n');
+    input.end();
+    await closed;
+
+    const messages = lines.map(line => JSON.parse(line));
+    expect(messages).toContainEqual({ jsonrpc: '2.0', id: 1, result: {} });
+    expect(messages.find(message => message.error).error.code).toBe(JSON_RPC_ERRORS.PARSE_ERROR);
+  });
+});
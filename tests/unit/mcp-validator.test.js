@@ -0,0 +1,108 @@
+const { validateMcpRequest, formatMcpErrorResponse, isValidSelector, jsonSchemaToJoi, ValidationError } = require('../../src/utils/mcp-validator');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+function validate(action, parameters) {
+  return validateMcpRequest({ body: { action, parameters } });
+}
+
+describe('MCP Request Validation', () => {
+  test('should accept valid parameters', () => {
+    expect(validate('navigate', { url: 'https://example.com' })).toEqual({ isValid: true });
+    expect(validate('type', { selector: '#username', text: 'user', clearFirst: true })).toEqual({ isValid: true });
+  });
+
+  test('should report missing required fields', () => {
+    const result = validate('navigate', {});
+
+    expect(result.isValid).toBe(false);
+    expect(result.details).toEqual([
+      expect.objectContaining({ field: 'url', type: 'any.required' })
+    ]);
+  });
+
+  test('should report every invalid field at once', () => {
+    const result = validate('type', { selector: 42, text: true });
+
+    expect(result.details.map(detail => detail.field)).toEqual(['selector', 'text']);
+  });
+
+  test('should enforce enums', () => {
+    const result = validate('generate_tests', { url: 'https://example.com', framework: 'junit' });
+
+    expect(result.isValid).toBe(false);
+    expect(result.details[0]).toEqual(expect.objectContaining({ field: 'framework', type: 'any.only' }));
+  });
+
+  test('should enforce URL and selector formats', () => {
+    const badUrl = validate('navigate', { url: 'not a url' });
+    const badSelector = validate('click', { selector: 'div[data-id="1"' });
+
+    expect(badUrl.details[0]).toEqual(expect.objectContaining({ field: 'url', type: 'string.uri' }));
+    expect(badSelector.details[0]).toEqual(expect.objectContaining({ field: 'selector', type: 'string.selector' }));
+  });
+
+  test('should accept any of the alternatives of a oneOf property', () => {
+    expect(validate('click', { selector: '#pay', frame: 'checkout' })).toEqual({ isValid: true });
+    expect(validate('click', { selector: '#pay', frame: ['#outer', 'iframe.card'] })).toEqual({ isValid: true });
+    expect(validate('click', { selector: '#pay', frame: { selector: '#outer' } })).toEqual({ isValid: true });
+
+    expect(validate('click', { selector: '#pay', frame: 42 }).details[0]).toEqual(expect.objectContaining({ field: 'frame' }));
+    expect(validate('click', { selector: '#pay', frame: { id: 'x' } }).isValid).toBe(false);
+  });
+
+  test('should enforce array lengths', () => {
+    expect(validate('click', { selector: '#pay', frame: [] }).isValid).toBe(false);
+    expect(validate('click', { selector: '#pay', frame: { selector: [] } }).isValid).toBe(false);
+
+    const schema = jsonSchemaToJoi({ type: 'array', items: { type: 'string' }, minItems: 1, maxItems: 2 });
+    expect(schema.validate(['a', 'b']).error).toBeUndefined();
+    expect(schema.validate([]).error.details[0].type).toBe('array.min');
+    expect(schema.validate(['a', 'b', 'c']).error.details[0].type).toBe('array.max');
+  });
+
+  test('should accept null only where the schema allows it', () => {
+    const key = { url: 'https://example.com/login', selector: '#submit' };
+    expect(validate('pin_selector', { ...key, preferredSelector: null })).toEqual({ isValid: true });
+    expect(validate('pin_selector', { ...key, preferredSelector: '[data-testid="submit"]' })).toEqual({ isValid: true });
+    expect(validate('pin_selector', { ...key, preferredSelector: 42 }).isValid).toBe(false);
+    expect(validate('pin_selector', { ...key, selector: null }).isValid).toBe(false);
+  });
+
+  test('should not coerce types', () => {
+    const result = validate('desktop_click', { x: '10', y: 20 });
+
+    expect(result.details[0]).toEqual(expect.objectContaining({ field: 'x', type: 'number.base' }));
+  });
+
+  test('should include field-level details in error responses', () => {
+    const result = validate('navigate', {});
+    const response = formatMcpErrorResponse(new ValidationError(result.error, result.details), 'exec-1');
+
+    expect(response.errorType).toBe('ValidationError');
+    expect(response.details[0].field).toBe('url');
+  });
+});
+
+describe('Selector Validation', () => {
+  test('should accept CSS and engine-prefixed selectors', () => {
+    expect(isValidSelector('form > input[name="email"]')).toBe(true);
+    expect(isValidSelector('button:has-text("Sign (in)")')).toBe(true);
+    expect(isValidSelector('role=button[name="Submit"]')).toBe(true);
+    expect(isValidSelector('//div[@id="main"]')).toBe(true);
+  });
+
+  test('should reject empty and unbalanced selectors', () => {
+    expect(isValidSelector('   ')).toBe(false);
+    expect(isValidSelector('div:not(.a')).toBe(false);
+    expect(isValidSelector('a[title="x]')).toBe(false);
+  });
+});
@@ -0,0 +1,144 @@
+const { handleAutomationCommand, createSession, closeSession, loadFixtures, resetFixtures } = require('../../src/core/mock-automation');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+const fixtures = {
+  pages: {
+    'https://example.com/login': {
+      title: 'Login',
+      elements: {
+        '#username': { value: '' },
+        '#submit': { text: 'Sign in', attributes: { 'data-testid': 'submit' } },
+        '#error': { text: 'Wrong password', visible: false },
+        '.field': { count: 2 },
+        '#remember': { checked: false },
+        '#avatar': {}
+      },
+      frames: [
+        {
+          name: 'payment',
+          url: 'https://pay.example.com/widget',
+          selector: '#payment',
+          elements: { '#card': { value: '' } },
+          frames: [{ selector: 'iframe.cvc', elements: { '#cvc': { value: '' } } }]
+        }
+      ]
+    }
+  },
+  failures: [
+    { command: 'click', selector: '#submit', message: 'element is detached', times: 1 }
+  ]
+};
+
+describe('Mock Automation Fixtures', () => {
+  let sessionId;
+
+  beforeEach(async () => {
+    loadFixtures(fixtures);
+    ({ sessionId } = await createSession({ label: 'fixtures' }));
+    await handleAutomationCommand('navigate', { url: 'https://example.com/login', sessionId });
+  });
+
+  afterEach(async () => {
+    await closeSession(sessionId);
+    resetFixtures();
+  });
+
+  test('should answer extracts from the canned DOM', async () => {
+    const text = await handleAutomationCommand('extract', { selector: '#submit', sessionId });
+    const attribute = await handleAutomationCommand('extract', { selector: '#submit', attribute: 'data-testid', sessionId });
+
+    expect(text.data).toBe('Sign in');
+    expect(attribute.data).toBe('submit');
+  });
+
+  test('should remember typed values', async () => {
+    await handleAutomationCommand('type', { selector: '#username', text: 'agent', sessionId });
+    const result = await handleAutomationCommand('extract', { selector: '#username', attribute: 'value', sessionId });
+
+    expect(result.data).toBe('agent');
+  });
+
+  test('should fail for selectors that are not on the page', async () => {
+    await expect(handleAutomationCommand('click', { selector: '#missing', sessionId }))
+      .rejects.toThrow('waiting for selector "#missing"');
+  });
+
+  test('should inject failures the configured number of times', async () => {
+    await expect(handleAutomationCommand('click', { selector: '#submit', sessionId })).rejects.toThrow('element is detached');
+
+    const retry = await handleAutomationCommand('click', { selector: '#submit', sessionId });
+    expect(retry.status).toBe('success');
+  });
+
+  test('should answer assertions from the canned DOM', async () => {
+    await handleAutomationCommand('type', { selector: '#username', text: 'agent', sessionId });
+
+    await expect(handleAutomationCommand('assert_value', { selector: '#username', equals: 'agent', sessionId })).resolves.toMatchObject({ status: 'success' });
+    await expect(handleAutomationCommand('assert_title', { equals: 'Login', sessionId })).resolves.toMatchObject({ status: 'success' });
+    await expect(handleAutomationCommand('assert_count', { selector: '.field', equals: 2, sessionId })).resolves.toMatchObject({ actual: 2 });
+    await expect(handleAutomationCommand('assert_hidden', { selector: '#error', sessionId })).resolves.toMatchObject({ actual: 'hidden' });
+    await expect(handleAutomationCommand('assert_attribute', { selector: '#submit', attribute: 'data-testid', equals: 'login', sessionId }))
+      .rejects.toMatchObject({ details: { expected: { equals: 'login' }, actual: 'submit' } });
+  });
+
+  test('should run interactions against the canned DOM', async () => {
+    await expect(handleAutomationCommand('check', { selector: '#remember', sessionId })).resolves.toMatchObject({ checked: true });
+    await expect(handleAutomationCommand('upload_file', { selector: '#avatar', files: ['a.png', 'b.png'], sessionId })).resolves.toMatchObject({ files: 2 });
+    await expect(handleAutomationCommand('press_key', { selector: '#username', key: 'Enter', sessionId })).resolves.toMatchObject({ key: 'Enter' });
+    await expect(handleAutomationCommand('drag_and_drop', { selector: '#submit', target: '#missing', sessionId }))
+      .rejects.toThrow('waiting for selector "#missing"');
+
+    await handleAutomationCommand('scroll', { y: 300, sessionId });
+    await expect(handleAutomationCommand('scroll', { y: -500, sessionId })).resolves.toMatchObject({ x: 0, y: 0 });
+  });
+
+  test('should answer waits from the canned DOM at once', async () => {
+    await expect(handleAutomationCommand('wait_for_selector', { selector: '#error', state: 'hidden', sessionId })).resolves.toMatchObject({ status: 'success' });
+    await expect(handleAutomationCommand('wait_for_url', { url: '**/login', sessionId })).resolves.toMatchObject({ url: 'https://example.com/login' });
+    await expect(handleAutomationCommand('wait_for_selector', { selector: '#missing', state: 'attached', sessionId }))
+      .rejects.toMatchObject({ name: 'WaitTimeoutError', details: { wait: 'wait_for_selector', awaited: '"#missing" to be attached' } });
+    await expect(handleAutomationCommand('navigate', { url: 'https://example.com/login', waitUntil: 'idle', sessionId }))
+      .rejects.toThrow('waitUntil must be one of');
+  });
+
+  test('should run element commands inside frames', async () => {
+    await handleAutomationCommand('type', { selector: '#card', text: '4242', frame: 'payment', sessionId });
+    await handleAutomationCommand('type', { selector: '#cvc', text: '123', frame: ['#payment', 'iframe.cvc'], sessionId });
+
+    await expect(handleAutomationCommand('extract', { selector: '#card', attribute: 'value', frame: { url: 'pay.example.com' }, sessionId }))
+      .resolves.toMatchObject({ data: '4242' });
+    await expect(handleAutomationCommand('assert_value', { selector: '#cvc', equals: '123', frame: { selector: ['#payment', 'iframe.cvc'] }, sessionId }))
+      .resolves.toMatchObject({ status: 'success' });
+    await expect(handleAutomationCommand('click', { selector: '#card', sessionId })).rejects.toThrow('waiting for selector "#card"');
+    await expect(handleAutomationCommand('click', { selector: '#card', frame: 'ads', sessionId }))
+      .rejects.toMatchObject({ name: 'FrameNotFoundError', message: 'Frame not found: name "ads"' });
+  });
+
+  test('should reject navigation to pages without a fixture', async () => {
+    await expect(handleAutomationCommand('navigate', { url: 'https://example.com/other', sessionId }))
+      .rejects.toThrow('No mock fixture');
+  });
+
+  test('should let a session bring its own fixtures', async () => {
+    const own = await createSession({ fixtures: { pages: { '*': { title: 'Anything', elements: { h1: { text: 'Hi' } } } } } });
+
+    await handleAutomationCommand('navigate', { url: 'https://example.com/other', sessionId: own.sessionId });
+    const result = await handleAutomationCommand('extract', { selector: 'h1', sessionId: own.sessionId });
+
+    expect(result.data).toBe('Hi');
+    await closeSession(own.sessionId);
+  });
+
+  test('should reject malformed fixtures', () => {
+    expect(() => loadFixtures({ failures: [{ selector: '#x' }] })).toThrow('Invalid mock fixtures');
+  });
+});
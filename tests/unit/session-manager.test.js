@@ -0,0 +1,204 @@
+const { SessionManager, SessionNotFoundError, DEFAULT_SESSION_ID } = require('../../src/core/session-manager');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+// Mock Playwright: every context gets its own page so isolation is observable
+jest.mock('playwright', () => {
+  const createContext = () => {
+    const pages = [];
+    const createPage = (url = 'about:blank', title = '') => {
+      let closed = false;
+      const page = {
+        url: () => url,
+        title: jest.fn(async () => title),
+        isClosed: () => closed,
+        bringToFront: jest.fn().mockResolvedValue(undefined),
+        waitForLoadState: jest.fn().mockResolvedValue(undefined),
+        // Every popup the page opens is a new page in the same context
+        waitForEvent: jest.fn(async () => createPage('https://example.com/popup', 'Popup')),
+        close: jest.fn(async () => {
+          closed = true;
+          pages.splice(pages.indexOf(page), 1);
+        })
+      };
+      pages.push(page);
+      return page;
+    };
+
+    return {
+      pages: jest.fn(() => pages),
+      newPage: jest.fn(async () => createPage()),
+      close: jest.fn().mockResolvedValue(undefined)
+    };
+  };
+
+  const mockBrowser = {
+    newContext: jest.fn(async () => createContext()),
+    close: jest.fn().mockResolvedValue(undefined)
+  };
+
+  return {
+    chromium: {
+      launch: jest.fn().mockResolvedValue(mockBrowser)
+    },
+    firefox: {
+      launch: jest.fn(async () => ({ ...mockBrowser }))
+    }
+  };
+});
+
+describe('Session Manager', () => {
+  let manager;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    manager = new SessionManager({ idleTimeoutMs: 1000 });
+  });
+
+  afterEach(async () => {
+    await manager.closeAll();
+  });
+
+  test('should give each session its own context and page', async () => {
+    const first = await manager.createSession({ label: 'agent-1' });
+    const second = await manager.createSession({ label: 'agent-2' });
+
+    const firstPage = await manager.getActivePage(first);
+    const secondPage = await manager.getActivePage(second);
+
+    expect(first.context).not.toBe(second.context);
+    expect(firstPage).not.toBe(secondPage);
+  });
+
+  test('should launch the browser only once for concurrent sessions', async () => {
+    const { chromium } = require('playwright');
+
+    await Promise.all([manager.createSession(), manager.createSession()]);
+
+    expect(chromium.launch).toHaveBeenCalledTimes(1);
+  });
+
+  test('should fall back to a default session when no sessionId is given', async () => {
+    const session = await manager.resolveSession();
+    const again = await manager.resolveSession();
+
+    expect(session.id).toBe(DEFAULT_SESSION_ID);
+    expect(again).toBe(session);
+  });
+
+  test('should create a single default session for concurrent first commands', async () => {
+    const { chromium } = require('playwright');
+
+    const [first, second] = await Promise.all([manager.resolveSession(), manager.resolveSession()]);
+    const browser = await chromium.launch.mock.results[0].value;
+
+    expect(second).toBe(first);
+    expect(browser.newContext).toHaveBeenCalledTimes(1);
+    const created = await Promise.allSettled([manager.createSession({ id: 'same' }), manager.createSession({ id: 'same' })]);
+    expect(created.map(result => result.status)).toEqual(['fulfilled', 'rejected']);
+    expect(created[1].reason.message).toBe('Session already exists: same');
+    expect(manager.listSessions().map(session => session.sessionId)).toEqual([DEFAULT_SESSION_ID, 'same']);
+  });
+
+  test('should run sessions on the requested engine with a default session per engine', async () => {
+    const { chromium, firefox } = require('playwright');
+
+    const session = await manager.createSession({ browser: 'firefox' });
+    const defaultFirefox = await manager.resolveSession(undefined, { browser: 'firefox' });
+    const defaultChromium = await manager.resolveSession();
+
+    expect(session.browser).toBe('firefox');
+    expect(defaultFirefox.id).toBe(`${DEFAULT_SESSION_ID}-firefox`);
+    expect(defaultChromium.id).toBe(DEFAULT_SESSION_ID);
+    expect(firefox.launch).toHaveBeenCalledTimes(1);
+    expect(chromium.launch).toHaveBeenCalledTimes(1);
+
+    await expect(manager.resolveSession(session.id, { browser: 'chromium' })).rejects.toThrow('runs firefox');
+  });
+
+  test('should throw SessionNotFoundError for unknown sessions', async () => {
+    await expect(manager.resolveSession('missing')).rejects.toThrow(SessionNotFoundError);
+    await expect(manager.closeSession('missing')).rejects.toThrow(SessionNotFoundError);
+  });
+
+  test('should list and close sessions', async () => {
+    const session = await manager.createSession({ label: 'agent' });
+
+    expect(manager.listSessions()).toEqual([
+      expect.objectContaining({ sessionId: session.id, label: 'agent' })
+    ]);
+
+    await manager.closeSession(session.id);
+
+    expect(session.context.close).toHaveBeenCalled();
+    expect(manager.listSessions()).toEqual([]);
+  });
+
+  test('should open new pages and report which one is active', async () => {
+    const session = await manager.createSession();
+    const first = await manager.getActivePage(session);
+    const second = await manager.newPage(session);
+
+    expect(await manager.getActivePage(session)).toBe(second);
+    expect(manager.describePage(session, second)).toEqual({ index: 1, url: 'about:blank' });
+
+    const pages = await manager.listPages(session);
+    expect(pages.map(page => page.active)).toEqual([false, true]);
+
+    await manager.switchPage(session, { index: 0 });
+    expect(await manager.getActivePage(session)).toBe(first);
+  });
+
+  test('should switch to a popup and match pages by url and title', async () => {
+    const session = await manager.createSession();
+    const opener = await manager.getActivePage(session);
+    const trigger = jest.fn().mockResolvedValue(undefined);
+
+    const popup = await manager.waitForPopup(session, trigger);
+
+    expect(trigger).toHaveBeenCalledWith(opener);
+    expect(await manager.getActivePage(session)).toBe(popup);
+
+    await manager.switchPage(session, { url: 'about:' });
+    expect(await manager.getActivePage(session)).toBe(opener);
+
+    await manager.switchPage(session, { title: 'Pop' });
+    expect(await manager.getActivePage(session)).toBe(popup);
+
+    await expect(manager.switchPage(session, { title: 'Nowhere' })).rejects.toThrow('No page matches');
+  });
+
+  test('should fall back to the last remaining page when the active page closes', async () => {
+    const session = await manager.createSession();
+    const first = await manager.getActivePage(session);
+    await manager.newPage(session);
+
+    const closed = await manager.closePage(session);
+
+    expect(closed.index).toBe(1);
+    expect(await manager.getActivePage(session)).toBe(first);
+  });
+
+  test('should reap sessions that have been idle too long', async () => {
+    const closed = jest.fn();
+    manager.onSessionClosed(closed);
+    const idle = await manager.createSession();
+    const active = await manager.createSession();
+    idle.lastUsedAt = Date.now() - 5000;
+
+    const reaped = await manager.reapIdleSessions();
+
+    expect(reaped).toEqual([idle.id]);
+    expect(closed).toHaveBeenCalledWith(idle.id);
+    expect(closed).toHaveBeenCalledTimes(1);
+    expect(manager.listSessions().map(session => session.sessionId)).toEqual([active.id]);
+  });
+});
@@ -0,0 +1,130 @@
+// Run suites against the browserless mock backend
+process.env.AUTOMATION_BACKEND = 'mock';
+
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const { runSuite, runStoredSuite } = require('../../src/core/suite-runner');
+const { loadFixtures, resetFixtures } = require('../../src/core/mock-automation');
+const { FileTestCaseRepository, setTestCaseRepository } = require('../../src/core/test-case-repository');
+const { FileTestSuiteRepository, setTestSuiteRepository } = require('../../src/core/test-suite-repository');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+const APP_URL = 'https://example.com/app';
+
+describe('Suite Runner', () => {
+  let directory;
+  let testCases;
+  let passing;
+  let failing;
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uniauto-suites-'));
+    testCases = new FileTestCaseRepository(path.join(directory, 'test-cases.json'));
+    setTestCaseRepository(testCases);
+    setTestSuiteRepository(new FileTestSuiteRepository(path.join(directory, 'test-suites.json')));
+
+    loadFixtures({
+      pages: {
+        [APP_URL]: { title: 'App', elements: { '#search': { value: '' }, '#go': { text: 'Go' } } }
+      }
+    });
+
+    passing = await testCases.create({
+      name: 'Search',
+      steps: [
+        { command: 'type', parameters: { selector: '#search', text: '${term}' } },
+        { command: 'click', parameters: { selector: '#go' } }
+      ]
+    });
+    failing = await testCases.create({
+      name: 'Broken',
+      steps: [{ command: 'click', parameters: { selector: '#missing' }, retryOnFailure: false }]
+    });
+  });
+
+  afterEach(() => {
+    resetFixtures();
+    setTestCaseRepository(null);
+    setTestSuiteRepository(null);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const suite = (members, extra = {}) => ({
+    _id: 'suite-1',
+    name: 'Smoke',
+    testCases: members.map(member => member._id),
+    setup: [{ command: 'navigate', parameters: { url: '${baseUrl}' } }],
+    teardown: [{ command: 'screenshot', parameters: {} }],
+    variables: { baseUrl: APP_URL, term: 'shoes' },
+    ...extra
+  });
+
+  test('should run test cases in a shared session after the setup steps', async () => {
+    const report = await runSuite(suite([passing, passing]));
+
+    expect(report.status).toBe('success');
+    expect(report.summary).toEqual({ total: 2, success: 2, failure: 0, partial: 0, skipped: 0 });
+    expect(report.setup).toHaveLength(1);
+    expect(report.setup[0].stepResults[0].status).toBe('success');
+    expect(report.teardown[0].stepResults[0].status).toBe('success');
+    expect(report.results[0]).toMatchObject({ testCaseId: passing._id, name: 'Search', status: 'success' });
+
+    const stored = await testCases.get(passing._id);
+    expect(stored.executionHistory).toHaveLength(2);
+  });
+
+  test('should give every test case its own session in parallel mode', async () => {
+    const report = await runSuite(suite([passing, failing, passing]), { mode: 'parallel', concurrency: 2 });
+
+    expect(report.status).toBe('failure');
+    expect(report.setup).toHaveLength(3);
+    expect(new Set(report.setup.map(run => run.sessionId)).size).toBe(3);
+    expect(report.results.map(result => result.status)).toEqual(['success', 'failure', 'success']);
+  });
+
+  test('should reject a concurrency that is not a positive integer', async () => {
+    for (const concurrency of [0, -1, 1.5, NaN, 'abc']) {
+      await expect(runSuite(suite([passing]), { mode: 'parallel', concurrency })).rejects.toThrow('Suite concurrency must be a positive integer');
+    }
+  });
+
+  test('should skip test cases when the setup fails and still run the teardown', async () => {
+    const report = await runSuite(suite([passing], { variables: { baseUrl: 'https://example.com/unknown' } }));
+
+    expect(report.status).toBe('failure');
+    expect(report.results).toEqual([{ testCaseId: passing._id, status: 'skipped' }]);
+    expect(report.teardown[0].stepResults[0].status).toBe('success');
+  });
+
+  test('should report members that no longer exist', async () => {
+    const report = await runSuite(suite([{ _id: 'deleted' }]));
+
+    expect(report.results[0]).toEqual({ testCaseId: 'deleted', status: 'failure', error: 'Test case not found' });
+  });
+
+  test('should let run-time inputs override suite variables', async () => {
+    const report = await runSuite(suite([passing]), { inputs: { baseUrl: 'https://example.com/unknown' } });
+
+    expect(report.setup[0].aborted).toBe(true);
+  });
+
+  test('should load stored suites', async () => {
+    const { getTestSuiteRepository } = require('../../src/core/test-suite-repository');
+    const stored = await getTestSuiteRepository().create({ ...suite([passing]), _id: undefined });
+
+    const report = await runStoredSuite(stored._id);
+
+    expect(report).toMatchObject({ suiteId: stored._id, status: 'success' });
+    expect(await runStoredSuite('missing')).toBeNull();
+  });
+});
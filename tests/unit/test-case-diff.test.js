@@ -0,0 +1,62 @@
+const { diffTestCases, diffSteps } = require('../../src/core/test-case-diff');
+
+const navigate = { command: 'navigate', parameters: { url: 'https://example.com/login' } };
+const typeUser = { command: 'type', parameters: { selector: '#username', text: 'agent' } };
+const typePassword = { command: 'type', parameters: { selector: '#password', text: 'secret' } };
+const submit = { command: 'click', parameters: { selector: '#submit' } };
+
+describe('Test Case Diff', () => {
+  test('should report no changes for equal steps regardless of key order or ids', () => {
+    const reordered = { parameters: { text: 'agent', selector: '#username' }, command: 'type', _id: 'abc' };
+
+    expect(diffSteps([navigate, typeUser], [navigate, reordered])).toEqual([]);
+  });
+
+  test('should compare the nested steps of flow-control steps', () => {
+    const loop = { command: 'forEach', parameters: { items: ['a'] }, steps: [{ ...typeUser, _id: 'abc' }] };
+    const edited = { ...loop, steps: [typePassword] };
+
+    expect(diffSteps([loop], [{ ...loop, steps: [typeUser] }])).toEqual([]);
+    expect(diffSteps([loop], [edited])).toEqual([
+      { type: 'modified', fromIndex: 0, toIndex: 0, changes: [{ field: 'steps', from: [typeUser], to: [typePassword] }] }
+    ]);
+  });
+
+  test('should show an inserted step without touching the steps after it', () => {
+    expect(diffSteps([navigate, typeUser, submit], [navigate, typeUser, typePassword, submit])).toEqual([
+      { type: 'added', index: 2, step: typePassword }
+    ]);
+  });
+
+  test('should show a removed step', () => {
+    expect(diffSteps([navigate, typeUser, submit], [navigate, submit])).toEqual([
+      { type: 'removed', index: 1, step: typeUser }
+    ]);
+  });
+
+  test('should pair an edited step as modified with field-level changes', () => {
+    const healed = { ...submit, parameters: { selector: 'role=button[name="Sign in"]' }, timeout: 5000 };
+
+    expect(diffSteps([navigate, submit], [navigate, healed])).toEqual([
+      {
+        type: 'modified',
+        fromIndex: 1,
+        toIndex: 1,
+        changes: [
+          { field: 'parameters', from: { selector: '#submit' }, to: { selector: 'role=button[name="Sign in"]' } },
+          { field: 'timeout', from: undefined, to: 5000 }
+        ]
+      }
+    ]);
+  });
+
+  test('should report changed test case fields alongside step changes', () => {
+    const diff = diffTestCases(
+      { name: 'Login', description: 'Old', steps: [navigate] },
+      { name: 'Login', description: 'New', steps: [navigate, submit] }
+    );
+
+    expect(diff.fields).toEqual([{ field: 'description', from: 'Old', to: 'New' }]);
+    expect(diff.steps).toEqual([{ type: 'added', index: 1, step: submit }]);
+  });
+});
@@ -0,0 +1,235 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const {
+  FileTestCaseRepository,
+  MongoTestCaseRepository,
+  createTestCaseRepository
+} = require('../../src/core/test-case-repository');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+const loginTest = {
+  name: 'Login Test',
+  description: 'Tests the login functionality',
+  steps: [
+    { command: 'navigate', parameters: { url: 'https://example.com/login' } },
+    { command: 'click', parameters: { selector: '#submit' }, skipIfFailed: true }
+  ]
+};
+
+describe('File Test Case Repository', () => {
+  let directory;
+  let filePath;
+  let repository;
+
+  beforeEach(() => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uniauto-test-cases-'));
+    filePath = path.join(directory, 'nested', 'test-cases.json');
+    repository = new FileTestCaseRepository(filePath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should create test cases with model defaults', async () => {
+    const testCase = await repository.create(loginTest);
+
+    expect(testCase._id).toMatch(/^[0-9a-f]{24}$/);
+    expect(testCase.createdAt).toBeDefined();
+    expect(testCase.tags).toEqual([]);
+    expect(testCase.executionHistory).toEqual([]);
+    expect(testCase.steps[0]).toMatchObject({ timeout: 10000, retryOnFailure: true, skipIfFailed: false });
+    expect(testCase.steps[1].skipIfFailed).toBe(true);
+  });
+
+  test('should persist test cases across instances', async () => {
+    const created = await repository.create(loginTest);
+    await repository.addExecution(created._id, { status: 'success', duration: 12, stepResults: [] });
+
+    const reopened = new FileTestCaseRepository(filePath);
+    const testCase = await reopened.get(created._id);
+
+    expect(testCase.name).toBe('Login Test');
+    expect(testCase.executionHistory).toHaveLength(1);
+    expect(testCase.executionHistory[0].status).toBe('success');
+  });
+
+  test('should list newest test cases first', async () => {
+    await repository.create({ ...loginTest, name: 'First' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await repository.create({ ...loginTest, name: 'Second' });
+
+    const { items: testCases } = await repository.list();
+
+    expect(testCases.map(testCase => testCase.name)).toEqual(['Second', 'First']);
+  });
+
+  test('should update and delete test cases', async () => {
+    const created = await repository.create(loginTest);
+
+    const updated = await repository.update(created._id, { name: 'Renamed', steps: [] });
+    expect(updated).toMatchObject({ _id: created._id, name: 'Renamed', steps: [], createdAt: created.createdAt });
+    expect(updated.updatedAt).toBeDefined();
+
+    expect(await repository.delete(created._id)).toBe(true);
+    expect(await repository.get(created._id)).toBeNull();
+    expect(await repository.delete(created._id)).toBe(false);
+    expect(await repository.update(created._id, { name: 'Gone' })).toBeNull();
+  });
+
+  test('should write a revision for every create, update and restore', async () => {
+    const created = await repository.create(loginTest, { author: 'alice' });
+    await repository.update(created._id, { steps: [loginTest.steps[0]] }, { author: 'bob' });
+    const restored = await repository.restoreRevision(created._id, 1, { author: 'carol' });
+
+    expect(restored.revision).toBe(3);
+    expect(restored.steps).toHaveLength(2);
+
+    const revisions = await repository.listRevisions(created._id);
+    expect(revisions.map(revision => [revision.revision, revision.author])).toEqual([[3, 'carol'], [2, 'bob'], [1, 'alice']]);
+    expect(revisions[0].restoredFrom).toBe(1);
+    expect(revisions[1].diff.steps).toEqual([{ type: 'removed', index: 1, step: expect.objectContaining({ command: 'click' }) }]);
+    expect(revisions[0].steps).toBeUndefined();
+
+    const first = await repository.getRevision(created._id, 1);
+    expect(first).toMatchObject({ revision: 1, name: 'Login Test', diff: null });
+    expect(first.steps).toHaveLength(2);
+  });
+
+  test('should keep revisions across instances and drop them on delete', async () => {
+    const created = await repository.create(loginTest);
+    await repository.update(created._id, { name: 'Renamed' });
+
+    const reopened = new FileTestCaseRepository(filePath);
+    expect(await reopened.listRevisions(created._id)).toHaveLength(2);
+
+    await reopened.delete(created._id);
+    expect(await reopened.listRevisions(created._id)).toBeNull();
+    expect(await reopened.getRevision(created._id, 1)).toBeNull();
+  });
+
+  test('should read stores written before revisions existed', async () => {
+    fs.mkdirSync(path.dirname(filePath), { recursive: true });
+    fs.writeFileSync(filePath, JSON.stringify([{ _id: 'legacy', name: 'Old', steps: [], tags: [], createdAt: '2025-01-01T00:00:00.000Z', executionHistory: [] }]));
+
+    const updated = await repository.update('legacy', { name: 'Updated' });
+
+    expect(updated.revision).toBe(1);
+    expect((await repository.listRevisions('legacy'))[0].diff.fields).toEqual([{ field: 'name', from: 'Old', to: 'Updated' }]);
+  });
+
+  test('should reject invalid test cases like the mongoose model does', async () => {
+    await expect(repository.create({ name: 'Bad', steps: [{ command: 'teleport' }] }))
+      .rejects.toMatchObject({ name: 'ValidationError' });
+  });
+});
+
+describe('File Test Case Repository Queries', () => {
+  let directory;
+  let repository;
+  let ids;
+
+  beforeAll(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uniauto-test-cases-'));
+    repository = new FileTestCaseRepository(path.join(directory, 'test-cases.json'));
+
+    ids = [];
+    const fixtures = [
+      { name: 'Login works', description: 'Valid credentials', tags: ['smoke', 'login'] },
+      { name: 'Login fails', description: 'Wrong password', tags: ['login'] },
+      { name: 'Checkout', description: 'Pays with a saved card', tags: ['smoke', 'checkout'] },
+      { name: 'Search', description: 'Finds products by LOGIN-free keywords', tags: [] }
+    ];
+    for (const fixture of fixtures) {
+      ids.push((await repository.create({ ...fixture, steps: [] }))._id);
+    }
+    await repository.addExecution(ids[0], { status: 'failure', stepResults: [] });
+    await repository.addExecution(ids[0], { status: 'success', stepResults: [] });
+    await repository.addExecution(ids[1], { status: 'failure', stepResults: [] });
+  });
+
+  afterAll(() => {
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  const names = ({ items }) => items.map(testCase => testCase.name);
+
+  test('should search names and descriptions case-insensitively', async () => {
+    expect(names(await repository.list({ search: 'login', sort: 'name' }))).toEqual(['Login fails', 'Login works', 'Search']);
+  });
+
+  test('should require every requested tag', async () => {
+    expect(names(await repository.list({ tags: ['smoke', 'login'] }))).toEqual(['Login works']);
+  });
+
+  test('should filter on the status of the last run', async () => {
+    expect(names(await repository.list({ status: ['failure'] }))).toEqual(['Login fails']);
+    expect(names(await repository.list({ status: ['never'], sort: 'name' }))).toEqual(['Checkout', 'Search']);
+  });
+
+  test('should page through results with a cursor', async () => {
+    const first = await repository.list({ sort: 'name', limit: 3 });
+    const second = await repository.list({ sort: 'name', limit: 3, cursor: first.nextCursor });
+
+    expect(names(first)).toEqual(['Checkout', 'Login fails', 'Login works']);
+    expect(names(second)).toEqual(['Search']);
+    expect(second.nextCursor).toBeNull();
+  });
+
+  test('should reject a cursor from another sort order', async () => {
+    const { nextCursor } = await repository.list({ sort: 'name', limit: 1 });
+
+    await expect(repository.list({ sort: '-name', cursor: nextCursor })).rejects.toThrow('Cursor was created for sort name');
+  });
+
+  test('should add and remove tags in bulk', async () => {
+    const added = await repository.addTags([ids[0], ids[3], 'unknown'], ['regression']);
+    expect(added).toEqual({ matched: 2, modified: 2 });
+
+    const again = await repository.addTags([ids[0]], ['regression']);
+    expect(again).toEqual({ matched: 1, modified: 0 });
+
+    const removed = await repository.removeTags([ids[0], ids[1]], ['regression', 'smoke']);
+    expect(removed).toEqual({ matched: 2, modified: 1 });
+    expect((await repository.get(ids[0])).tags).toEqual(['login']);
+  });
+});
+
+describe('Test Case Repository Selection', () => {
+  test('should use MongoDB only when it is configured', () => {
+    expect(createTestCaseRepository({ driver: null, mongodbUri: null, filePath: 'data/test-cases.json' }))
+      .toBeInstanceOf(FileTestCaseRepository);
+    expect(createTestCaseRepository({ driver: null, mongodbUri: 'mongodb://localhost/uniauto', filePath: 'data/test-cases.json' }))
+      .toBeInstanceOf(MongoTestCaseRepository);
+    expect(createTestCaseRepository({ driver: 'file', mongodbUri: 'mongodb://localhost/uniauto', filePath: 'data/test-cases.json' }))
+      .toBeInstanceOf(FileTestCaseRepository);
+  });
+});
+
+describe('MongoDB Test Case Repository', () => {
+  test('should not find test cases with malformed ids', async () => {
+    const repository = new MongoTestCaseRepository();
+    const findById = jest.spyOn(repository.TestCase, 'findById');
+    const findByIdAndDelete = jest.spyOn(repository.TestCase, 'findByIdAndDelete');
+
+    await expect(repository.get('not-an-id')).resolves.toBeNull();
+    await expect(repository.update('not-an-id', { name: 'Renamed' })).resolves.toBeNull();
+    await expect(repository.delete('not-an-id')).resolves.toBe(false);
+    await expect(repository.listRevisions('not-an-id')).resolves.toBeNull();
+    expect(findById).not.toHaveBeenCalled();
+    expect(findByIdAndDelete).not.toHaveBeenCalled();
+
+    findById.mockRestore();
+    findByIdAndDelete.mockRestore();
+  });
+});
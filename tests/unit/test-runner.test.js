@@ -0,0 +1,169 @@
+// Run steps against the browserless mock backend
+process.env.AUTOMATION_BACKEND = 'mock';
+
+const { runTestCase, runStoredTestCase } = require('../../src/core/test-runner');
+const { loadFixtures, resetFixtures } = require('../../src/core/mock-automation');
+const { getTestCaseRepository } = require('../../src/core/test-case-repository');
+const { DatasetError } = require('../../src/core/dataset');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+jest.mock('../../src/core/test-case-repository', () => {
+  const repository = { get: jest.fn(), addExecution: jest.fn() };
+  return { getTestCaseRepository: () => repository };
+});
+
+const LOGIN_URL = 'https://example.com/login';
+
+function step(command, parameters, flags = {}) {
+  return { command, parameters, timeout: 10000, retryOnFailure: true, skipIfFailed: false, ...flags };
+}
+
+describe('Test Runner', () => {
+  beforeEach(() => {
+    loadFixtures({
+      pages: {
+        [LOGIN_URL]: {
+          title: 'Login',
+          elements: { '#username': { value: '' }, '#submit': { text: 'Sign in' } }
+        }
+      },
+      failures: [{ command: 'click', selector: '#submit', message: 'element is detached', times: 1 }]
+    });
+  });
+
+  afterEach(() => {
+    resetFixtures();
+  });
+
+  test('should run every step and retry a flaky one', async () => {
+    const execution = await runTestCase({
+      name: 'Login',
+      steps: [
+        step('navigate', new Map([['url', LOGIN_URL]])),
+        step('type', { selector: '#username', text: 'agent' }),
+        step('click', { selector: '#submit' })
+      ]
+    });
+
+    expect(execution.status).toBe('success');
+    expect(execution.stepResults.map(result => result.status)).toEqual(['success', 'success', 'success']);
+    expect(execution.stepResults[2].originalSelector).toBe('#submit');
+    expect(execution.duration).toBeGreaterThanOrEqual(0);
+  });
+
+  test('should stop at a failing step and skip the rest', async () => {
+    const execution = await runTestCase({
+      name: 'Login',
+      steps: [
+        step('navigate', { url: LOGIN_URL }),
+        step('click', { selector: '#submit' }, { retryOnFailure: false }),
+        step('type', { selector: '#username', text: 'agent' })
+      ]
+    });
+
+    expect(execution.status).toBe('failure');
+    expect(execution.stepResults[1]).toMatchObject({
+      stepIndex: 1,
+      status: 'failure',
+      error: 'element is detached',
+      screenshotPath: expect.any(String)
+    });
+    expect(execution.stepResults[2]).toEqual({ stepIndex: 2, status: 'skipped' });
+  });
+
+  test('should continue past a failing step with skipIfFailed', async () => {
+    const execution = await runTestCase({
+      name: 'Login',
+      steps: [
+        step('navigate', { url: LOGIN_URL }),
+        step('click', { selector: '#missing' }, { retryOnFailure: false, skipIfFailed: true }),
+        step('type', { selector: '#username', text: 'agent' })
+      ]
+    });
+
+    expect(execution.status).toBe('partial');
+    expect(execution.stepResults.map(result => result.status)).toEqual(['success', 'failure', 'success']);
+  });
+
+  test('should fail on an assertion and record its expected and actual values', async () => {
+    const execution = await runTestCase({
+      name: 'Login',
+      steps: [
+        step('navigate', { url: LOGIN_URL }),
+        step('assert_title', { equals: 'Login' }),
+        step('assert_text', { selector: '#submit', equals: 'Log in' }, { retryOnFailure: false }),
+        step('click', { selector: '#submit' })
+      ]
+    });
+
+    expect(execution.status).toBe('failure');
+    expect(execution.stepResults.map(result => result.status)).toEqual(['success', 'success', 'failure', 'skipped']);
+    expect(execution.stepResults[2].assertion).toMatchObject({ assertion: 'assert_text', expected: { equals: 'Log in' }, actual: 'Sign in' });
+  });
+
+  test('should append the execution to a stored test case', async () => {
+    const repository = getTestCaseRepository();
+    repository.get.mockResolvedValueOnce({ _id: 'case-1', name: 'Login', revision: 4, steps: [step('navigate', { url: LOGIN_URL })] });
+
+    const execution = await runStoredTestCase('case-1');
+
+    expect(execution).toMatchObject({ testCaseId: 'case-1', status: 'success', revision: 4 });
+    expect(repository.addExecution).toHaveBeenCalledWith('case-1', expect.objectContaining({ status: 'success', revision: 4 }));
+  });
+
+  test('should fill step parameters from the dataset row and run-time inputs', async () => {
+    const execution = await runTestCase({
+      name: 'Login',
+      dataset: [{ user: 'alice' }, { user: 'bob' }],
+      steps: [
+        step('navigate', { url: '${loginUrl}' }),
+        step('type', { selector: '#username', text: '${user}' }),
+        step('click', { selector: '${submit}' }, { retryOnFailure: false })
+      ]
+    }, { profile: null, variables: { loginUrl: LOGIN_URL, submit: '#missing' }, row: 1, inputs: { submit: '#submit' } });
+
+    expect(execution).toMatchObject({ datasetRow: 1 });
+    expect(execution.stepResults.map(result => result.status)).toEqual(['success', 'success', 'failure']);
+    expect(execution.stepResults[2].error).toContain('element is detached');
+  });
+
+  test('should run once per dataset row and record every execution', async () => {
+    const repository = getTestCaseRepository();
+    repository.addExecution.mockClear();
+    repository.get.mockResolvedValueOnce({
+      _id: 'case-1',
+      name: 'Login',
+      dataset: [{ url: LOGIN_URL }, { url: 'https://example.com/unknown' }],
+      steps: [step('navigate', { url: '${url}' }, { retryOnFailure: false })]
+    });
+
+    const report = await runStoredTestCase('case-1', { mode: 'dataset' });
+
+    expect(report).toMatchObject({ testCaseId: 'case-1', mode: 'dataset', status: 'failure' });
+    expect(report.summary).toEqual({ total: 2, success: 1, failure: 1, partial: 0 });
+    expect(report.executions.map(execution => execution.datasetRow)).toEqual([0, 1]);
+    expect(repository.addExecution).toHaveBeenCalledTimes(2);
+  });
+
+  test('should reject dataset runs without a dataset', async () => {
+    getTestCaseRepository().get.mockResolvedValueOnce({ _id: 'case-1', name: 'Login', steps: [] });
+
+    await expect(runStoredTestCase('case-1', { mode: 'dataset' })).rejects.toThrow(DatasetError);
+    await expect(runTestCase({ name: 'Login', steps: [] }, { row: 0 })).rejects.toThrow('has no dataset row 0');
+  });
+
+  test('should return null for an unknown test case', async () => {
+    getTestCaseRepository().get.mockResolvedValueOnce(null);
+
+    expect(await runStoredTestCase('missing')).toBeNull();
+  });
+});
@@ -0,0 +1,114 @@
+// Run against the browserless mock backend unless a test picks another
+process.env.AUTOMATION_BACKEND = 'mock';
+
+const fs = require('fs');
+const path = require('path');
+const { listTools, getTool, buildManifest, callTool } = require('../../src/core/tool-registry');
+const { validateMcpRequest } = require('../../src/utils/mcp-validator');
+const { WAIT_COMMANDS } = require('../../src/core/waits');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+// Build the smallest argument object that satisfies a tool's schema
+function sampleArguments(inputSchema) {
+  const args = {};
+  for (const name of inputSchema.required || []) {
+    args[name] = sampleValue(inputSchema.properties[name]);
+  }
+  return args;
+}
+
+function sampleValue(schema) {
+  const samples = { string: 'https://example.com', number: 1, integer: 1, boolean: true, object: {}, array: [] };
+  if (schema.oneOf) {
+    return sampleValue(schema.oneOf[0]);
+  }
+  if (schema.enum) {
+    return schema.enum[0];
+  }
+  return schema.format === 'selector' ? '#sample' : samples[schema.type];
+}
+
+describe('Tool Registry', () => {
+  test('every tool declares a schema, handler and capabilities', () => {
+    for (const tool of listTools()) {
+      expect(typeof tool.handler).toBe('function');
+      expect(tool.inputSchema.type).toBe('object');
+      expect(tool.capabilities.length).toBeGreaterThan(0);
+
+      for (const name of tool.inputSchema.required || []) {
+        expect(tool.inputSchema.properties).toHaveProperty(name);
+      }
+    }
+  });
+
+  test('tool names are unique', () => {
+    const names = listTools().map(tool => tool.name);
+    expect(new Set(names).size).toBe(names.length);
+  });
+
+  test('mcp-manifest.json matches the registry (run npm run manifest:generate)', () => {
+    const manifestPath = path.join(__dirname, '../../mcp-manifest.json');
+    const manifest = JSON.parse(fs.readFileSync(manifestPath, 'utf8'));
+
+    expect(manifest).toEqual(buildManifest());
+  });
+
+  test('every manifest action passes validation and resolves to a tool', () => {
+    for (const action of buildManifest().actions) {
+      const tool = getTool(action.name);
+      const validation = validateMcpRequest({
+        body: { action: action.name, parameters: sampleArguments(tool.inputSchema) }
+      });
+
+      expect(validation).toEqual({ isValid: true });
+    }
+  });
+
+  test('validation rejects actions that are not registered', () => {
+    const validation = validateMcpRequest({ body: { action: 'teleport', parameters: {} } });
+
+    expect(validation.isValid).toBe(false);
+  });
+
+  test('every automation tool is dispatched by the automation backend', async () => {
+    const automationTools = listTools().filter(tool =>
+      tool.capabilities.includes('web_automation') ||
+      tool.capabilities.includes('desktop_automation') ||
+      tool.capabilities.includes('screenshot_capture')
+    );
+
+    for (const tool of automationTools) {
+      const result = await callTool(tool.name, sampleArguments(tool.inputSchema), { executionId: 'registry-test' });
+      expect(result.status).toBe('success');
+    }
+  });
+
+  test('assertion tools report their verdict from the automation backend', async () => {
+    const assertionTools = listTools().filter(tool => tool.capabilities.includes('assertions'));
+    expect(assertionTools).toHaveLength(8);
+
+    await expect(callTool('assert_visible', { selector: '#sample' })).resolves.toMatchObject({ status: 'success', actual: 'visible' });
+    await expect(callTool('assert_hidden', { selector: '#sample' })).rejects.toMatchObject({
+      name: 'AssertionFailedError',
+      details: { assertion: 'assert_hidden', expected: 'hidden', actual: 'visible' }
+    });
+  });
+
+  test('wait tools wait through the automation backend', async () => {
+    const waitTools = listTools().filter(tool => tool.capabilities.includes('waits'));
+    expect(waitTools.map(tool => tool.name)).toEqual(expect.arrayContaining(WAIT_COMMANDS));
+
+    await expect(callTool('wait_for_selector', { selector: '#sample', state: 'attached' })).resolves.toMatchObject({ status: 'success', state: 'attached' });
+    await expect(callTool('wait_for_load_state', { state: 'domcontentloaded' })).resolves.toMatchObject({ status: 'success' });
+    await expect(callTool('wait_for_selector', { selector: '#sample', state: 'detached' })).rejects.toMatchObject({ name: 'WaitTimeoutError' });
+  });
+});
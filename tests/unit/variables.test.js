@@ -0,0 +1,54 @@
+const path = require('path');
+const { loadConfig } = require('../../src/utils/config');
+const { buildVariables, resolveTemplate, activeProfile, ProfileNotFoundError } = require('../../src/core/variables');
+
+const EXAMPLE_CONFIG_PATH = path.join(__dirname, '../../config/uniauto-config.example.json');
+
+describe('Variables', () => {
+  beforeEach(() => {
+    loadConfig({ configPath: EXAMPLE_CONFIG_PATH, env: { STAGING_PASSWORD: 'from-env' } });
+  });
+
+  afterAll(() => {
+    loadConfig({ env: {} });
+  });
+
+  test('should layer profile, suite, dataset row and inputs', () => {
+    const variables = buildVariables({
+      profile: 'staging',
+      suite: { baseUrl: 'https://suite.example.com', user: 'suite' },
+      row: { user: 'row', password: 'row-secret' },
+      inputs: { password: 'typed' }
+    });
+
+    expect(variables).toEqual({ baseUrl: 'https://suite.example.com', user: 'row', password: 'typed' });
+  });
+
+  test('should use the configured profile unless another is requested', () => {
+    expect(activeProfile()).toBe('local');
+    expect(buildVariables()).toEqual({ baseUrl: 'http://localhost:8080' });
+    expect(buildVariables({ profile: 'staging' }).password).toBe('from-env');
+    expect(buildVariables({ profile: null })).toEqual({});
+    expect(() => buildVariables({ profile: 'production' })).toThrow(ProfileNotFoundError);
+  });
+
+  test('should resolve placeholders inside nested parameters', () => {
+    const variables = { baseUrl: 'https://example.com', user: { email: 'a@example.com' }, count: 3 };
+    const parameters = {
+      url: '${baseUrl}/login?as=${user.email}',
+      text: '${user.email}',
+      times: '${count}',
+      values: ['${count} items', '${missing}'],
+      options: { label: '${user}' }
+    };
+
+    expect(resolveTemplate(parameters, variables)).toEqual({
+      url: 'https://example.com/login?as=a@example.com',
+      text: 'a@example.com',
+      times: 3,
+      values: ['3 items', '${missing}'],
+      options: { label: { email: 'a@example.com' } }
+    });
+    expect(resolveTemplate('${user} is ${user}', { user: { id: 1 } })).toBe('{"id":1} is {"id":1}');
+  });
+});
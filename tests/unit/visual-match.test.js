@@ -0,0 +1,145 @@
+const os = require('os');
+const path = require('path');
+const fs = require('fs');
+const jpeg = require('jpeg-js');
+const { decodeGrayscale, matchTemplate } = require('../../src/core/visual-match');
+const { selfHeal } = require('../../src/core/self-healing');
+const { ElementRepository, FileElementStore, setElementRepository } = require('../../src/core/element-repository');
+
+// Mock dependencies
+jest.mock('../../src/utils/logger', () => ({
+  logger: {
+    info: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn()
+  }
+}));
+
+// A grayscale image with a deterministic texture, so every region looks different
+function texture(width, height, seed = 1) {
+  let state = seed;
+  const data = new Float32Array(width * height);
+  for (let i = 0; i < data.length; i++) {
+    // xorshift32
+    state ^= state << 13;
+    state ^= state >>> 17;
+    state ^= state << 5;
+    data[i] = (state >>> 0) % 256;
+  }
+  return smooth({ width, height, data });
+}
+
+// JPEG compression would blur single-pixel noise away, so use 4x4 blocks
+function smooth(image) {
+  const data = new Float32Array(image.data.length);
+  for (let y = 0; y < image.height; y++) {
+    for (let x = 0; x < image.width; x++) {
+      data[y * image.width + x] = image.data[Math.floor(y / 4) * image.width + Math.floor(x / 4)];
+    }
+  }
+  return { ...image, data };
+}
+
+function crop(image, left, top, width, height) {
+  const data = new Float32Array(width * height);
+  for (let y = 0; y < height; y++) {
+    data.set(image.data.subarray((top + y) * image.width + left, (top + y) * image.width + left + width), y * width);
+  }
+  return { width, height, data };
+}
+
+function encode(image) {
+  const rgba = Buffer.alloc(image.width * image.height * 4);
+  image.data.forEach((value, i) => rgba.fill(Math.round(value), i * 4, i * 4 + 3));
+  return jpeg.encode({ width: image.width, height: image.height, data: rgba }, 90).data;
+}
+
+describe('Visual matching', () => {
+  const page = texture(320, 200);
+
+  test('should find a template at its exact position', () => {
+    expect(matchTemplate(page, crop(page, 150, 90, 60, 24))).toEqual({ x: 150, y: 90, width: 60, height: 24, score: expect.any(Number) });
+    expect(matchTemplate(page, crop(page, 150, 90, 60, 24)).score).toBeCloseTo(1, 5);
+  });
+
+  test('should tolerate brightness and contrast changes', () => {
+    const template = crop(page, 41, 133, 50, 30);
+    const dimmed = { ...template, data: template.data.map(value => value * 0.6 + 40) };
+
+    expect(matchTemplate(page, dimmed)).toMatchObject({ x: 41, y: 133 });
+    expect(matchTemplate(page, dimmed).score).toBeGreaterThan(0.99);
+  });
+
+  test('should survive JPEG compression', () => {
+    const decoded = decodeGrayscale(encode(page));
+    const match = matchTemplate(decoded, decodeGrayscale(encode(crop(page, 200, 40, 80, 32))));
+
+    expect(match).toMatchObject({ x: 200, y: 40 });
+    expect(match.score).toBeGreaterThan(0.9);
+  });
+
+  test('should score unrelated images low', () => {
+    expect(matchTemplate(page, crop(texture(100, 50, 7), 10, 10, 60, 24)).score).toBeLessThan(0.5);
+  });
+
+  test('should not match a template larger than the image', () => {
+    expect(matchTemplate(crop(page, 0, 0, 40, 40), crop(page, 0, 0, 60, 24))).toBeNull();
+  });
+});
+
+describe('Self-healing with visual matching', () => {
+  const screen = texture(320, 200, 3);
+  let directory;
+  let repository;
+
+  // A page with the device scale factor 2 that shows the screen, without the broken selector
+  function createPage(image) {
+    return {
+      url: () => 'https://example.com/login',
+      $: jest.fn().mockResolvedValue(null),
+      $$: jest.fn().mockResolvedValue([]),
+      screenshot: jest.fn().mockResolvedValue(encode(image)),
+      evaluate: jest.fn(async (fn, target) => target === undefined ? image.width / 2 : `point ${target.x},${target.y}`)
+    };
+  }
+
+  beforeEach(async () => {
+    directory = fs.mkdtempSync(path.join(os.tmpdir(), 'uniauto-visual-'));
+    repository = new ElementRepository(new FileElementStore(path.join(directory, 'elements.json')));
+    setElementRepository(repository);
+    await repository.importElements({
+      version: 1,
+      elements: [{ url: 'https://example.com/login', selector: '#submit', image: encode(crop(screen, 120, 100, 80, 40)).toString('base64'), timestamp: Date.now() }]
+    });
+  });
+
+  afterEach(() => {
+    setElementRepository(null);
+    fs.rmSync(directory, { recursive: true, force: true });
+  });
+
+  test('should return the element at the best match with its similarity', async () => {
+    const page = createPage(screen);
+
+    const healed = await selfHeal('#submit', page);
+
+    expect(page.screenshot).toHaveBeenCalledWith({ type: 'jpeg', quality: 90 });
+    expect(page.evaluate).toHaveBeenLastCalledWith(expect.any(Function), { x: 80, y: 60 });
+    expect(healed).toEqual({ selector: 'point 80,60', strategy: 'visual', confidence: expect.any(Number), breakdown: null });
+    expect(healed.confidence).toBeGreaterThan(0.9);
+  });
+
+  test('should not heal when nothing on the page looks like the element', async () => {
+    expect(await selfHeal('#submit', createPage(texture(320, 200, 11)))).toBeNull();
+  });
+
+  test('should screenshot the iframe of a frame', async () => {
+    const frame = { ...createPage(screen), screenshot: undefined };
+    const iframe = { screenshot: jest.fn().mockResolvedValue(encode(screen)) };
+    frame.frameElement = jest.fn().mockResolvedValue(iframe);
+
+    expect(await selfHeal('#submit', frame)).toMatchObject({ selector: 'point 80,60', strategy: 'visual' });
+    expect(iframe.screenshot).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,93 @@
+const { runWait, WaitTimeoutError, WAIT_COMMANDS } = require('../../src/core/waits');
+const { STEP_COMMANDS } = require('../../src/core/step-commands');
+
+function timeout() {
+  return Object.assign(new Error('Timeout 50ms exceeded.'), { name: 'TimeoutError' });
+}
+
+function createWaiter(state) {
+  return {
+    selector: jest.fn(async (selector, awaited) => {
+      if (state.selectors[selector] !== awaited) throw timeout();
+    }),
+    url: jest.fn(async pattern => {
+      if (!pattern.test(state.url)) throw timeout();
+      return state.url;
+    }),
+    loadState: jest.fn(async () => {}),
+    response: jest.fn(async predicate => {
+      const response = state.responses.find(predicate);
+      if (!response) throw timeout();
+      return response;
+    }),
+    function: jest.fn(async () => state.value)
+  };
+}
+
+describe('Waits', () => {
+  let state;
+  let waiter;
+
+  beforeEach(() => {
+    state = {
+      selectors: { '#menu': 'visible', '#spinner': 'detached' },
+      url: 'https://example.com/orders/42?tab=items',
+      responses: [{ url: 'https://api.example.com/orders/42', status: 200 }],
+      value: { ready: true }
+    };
+    waiter = createWaiter(state);
+  });
+
+  test('should resolve once the page gets to the awaited state', async () => {
+    await expect(runWait('wait_for_selector', { selector: '#menu' }, waiter)).resolves.toEqual({ status: 'success', selector: '#menu', state: 'visible' });
+    await expect(runWait('wait_for_selector', { selector: '#spinner', state: 'detached' }, waiter)).resolves.toMatchObject({ state: 'detached' });
+    await expect(runWait('wait_for_url', { url: '**/orders/*?tab={items,history}' }, waiter)).resolves.toEqual({ status: 'success', url: state.url });
+    await expect(runWait('wait_for_load_state', { state: 'networkidle' }, waiter)).resolves.toMatchObject({ state: 'networkidle' });
+    await expect(runWait('wait_for_response', { matches: '/orders/\\d+$', status: 200 }, waiter))
+      .resolves.toEqual({ status: 'success', url: 'https://api.example.com/orders/42', responseStatus: 200 });
+    await expect(runWait('wait_for_function', { expression: 'window.app' }, waiter)).resolves.toEqual({ status: 'success', value: { ready: true } });
+  });
+
+  test('should pass the timeout to the waiter, from the options, the parameters or the config', async () => {
+    await runWait('wait_for_selector', { selector: '#menu', options: { timeout: 250 }, timeout: 500 }, waiter);
+    await runWait('wait_for_load_state', { timeout: 500 }, waiter);
+    await runWait('wait_for_function', { expression: 'true' }, waiter);
+
+    expect(waiter.selector).toHaveBeenCalledWith('#menu', 'visible', 250);
+    expect(waiter.loadState).toHaveBeenCalledWith('load', 500);
+    expect(waiter.function).toHaveBeenCalledWith('true', 10000);
+  });
+
+  test('should turn a timeout into a WaitTimeoutError saying what was awaited', async () => {
+    expect.assertions(3);
+    try {
+      await runWait('wait_for_response', { url: 'https://api.example.com/orders/*', status: 500, timeout: 50 }, waiter);
+    } catch (error) {
+      expect(error).toBeInstanceOf(WaitTimeoutError);
+      expect(error.message).toBe('wait_for_response timed out waiting for a response from https://api.example.com/orders/* with status 500 (timeout 50ms)');
+      expect(error.details).toEqual({
+        wait: 'wait_for_response',
+        awaited: 'a response from https://api.example.com/orders/* with status 500',
+        timeout: 50
+      });
+    }
+  });
+
+  test('should not match URLs the glob does not cover', async () => {
+    await expect(runWait('wait_for_url', { url: 'https://example.com/*' }, waiter)).rejects.toThrow(WaitTimeoutError);
+    await expect(runWait('wait_for_selector', { selector: '#menu', state: 'hidden' }, waiter)).rejects.toThrow('"#menu" to be hidden');
+  });
+
+  test('should pass other errors through and reject bad parameters', async () => {
+    waiter.loadState.mockRejectedValueOnce(new Error('Target page, context or browser has been closed'));
+
+    await expect(runWait('wait_for_load_state', {}, waiter)).rejects.toThrow('has been closed');
+    await expect(runWait('wait_for_selector', { selector: '#menu', state: 'gone' }, waiter)).rejects.toThrow('state must be one of');
+    await expect(runWait('wait_for_url', {}, waiter)).rejects.toThrow('url glob or matches expression is required');
+    await expect(runWait('wait_for_function', {}, waiter)).rejects.toThrow('requires an expression');
+  });
+
+  test('should be valid test step commands', () => {
+    expect(STEP_COMMANDS).toEqual(expect.arrayContaining(WAIT_COMMANDS));
+  });
+});